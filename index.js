@@ -4,14 +4,18 @@ const { ConnectDB } = require("./src/core/db");
 // *************** IMPORT MODULE ***************
 const { apollo } = require("./src/core/apollo");
 const { ExpressRun } = require("./src/core/express");
+const {
+  StartTranscriptWorkerPool,
+} = require("./src/modules/transcriptJob/transcript_job.worker");
 
 /**
  * Initializes and starts the application server.
  *
  * This asynchronous function performs the following steps in sequence:
  * 1. Connects to the MongoDB database.
- * 2. Starts the Apollo Server instance.
- * 3. Runs the Express server to begin handling HTTP requests.
+ * 2. Requeues stuck transcript jobs and starts the transcript worker pool.
+ * 3. Starts the Apollo Server instance.
+ * 4. Runs the Express server to begin handling HTTP requests.
  *
  * @async
  * @function start
@@ -22,6 +26,9 @@ async function start() {
   // *************** Connect to MongoDB
   await ConnectDB();
 
+  // *************** Start transcript recalculation workers
+  await StartTranscriptWorkerPool();
+
   // *************** Initialize Apollo Server
   await apollo.start();
 
@@ -3,19 +3,38 @@ const {
   ApolloServerPluginLandingPageLocalDefault,
 } = require("@apollo/server/plugin/landingPage/default");
 const { ApolloServer } = require("@apollo/server");
+const { makeExecutableSchema } = require("@graphql-tools/schema");
 
 // *************** IMPORT CORE ***************
 const { FormatError } = require("./error");
 const { typeDefs } = require("./typedef");
 const { resolvers } = require("./resolver");
 const { Loaders } = require("./loader");
+const {
+  RequiresPermissionDirective,
+  SensitiveDirective,
+  AuditDirective,
+} = require("./directive");
 
 // *************** IMPORT MODULE ***************
 const AuthRequestMiddleware = require("../middlewares/auth/auth_request_middleware");
 
+// *************** IMPORT UTILITIES ***************
+const { ActorContextTransformer } = require("../shared/utils/actor_stamp");
+
+// *************** Permission check wraps the audit log so denied calls are never audited
+// *************** Sensitive mutations are refused before reaching the audit log while impersonating
+// *************** Mutations run with the caller as actor so writes are stamped with it
+const schema = RequiresPermissionDirective(
+  SensitiveDirective(
+    AuditDirective(
+      ActorContextTransformer(makeExecutableSchema({ typeDefs, resolvers }))
+    )
+  )
+);
+
 const apollo = new ApolloServer({
-  typeDefs,
-  resolvers,
+  schema,
   FormatError,
   plugins: [ApolloServerPluginLandingPageLocalDefault({ embed: true })],
 });
@@ -23,16 +42,28 @@ const apollo = new ApolloServer({
 const contextApollo = {
   context: async ({ req }) => {
     let user = null;
+    let session = null;
+    let realUser = null;
 
     try {
       const authResult = await AuthRequestMiddleware({request: req});
       user = authResult?.user || null;
+      session = authResult?.session || null;
+      realUser = authResult?.real_user || null;
     } catch {
       user = null;
+      session = null;
+      realUser = null;
     }
 
     return {
       user,
+      session,
+      real_user: realUser,
+      client: {
+        ip_address: req?.ip || null,
+        user_agent: req?.headers?.["user-agent"] || null,
+      },
       loaders: Loaders,
     };
   },
@@ -9,4 +9,10 @@ module.exports = {
   DB_NAME: process.env.DB_NAME,
   SENDGRID_API_KEY: process.env.SENDGRID_API_KEY,
   JWT_SECRET: process.env.JWT_SECRET,
+  CLIENT_URL: process.env.CLIENT_URL,
+  BASE_URL: process.env.BASE_URL,
+  TWO_FACTOR_REQUIRED_ROLES: process.env.TWO_FACTOR_REQUIRED_ROLES,
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER,
+  TOTP_ENCRYPTION_KEY: process.env.TOTP_ENCRYPTION_KEY,
+  TRANSCRIPT_WORKER_POOL_SIZE: process.env.TRANSCRIPT_WORKER_POOL_SIZE,
 };
@@ -0,0 +1,144 @@
+// *************** IMPORT LIBRARY ***************
+const { defaultFieldResolver } = require("graphql");
+const { mapSchema, getDirective, MapperKind } = require("@graphql-tools/utils");
+
+// *************** IMPORT MODULE ***************
+const {
+  WithAuditLog,
+  WithImpersonationLog,
+} = require("../modules/auditLog/audit_log.helper");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("./error");
+
+// *************** IMPORT UTILITIES ***************
+const { CheckPermission } = require("../shared/utils/check_permission");
+const { PERMISSION, AUDIT } = require("../shared/utils/enum");
+
+/**
+ * Apply the `@requiresPermission` directive to a schema.
+ *
+ * Every field annotated with `@requiresPermission(permission: "...")` gets its
+ * resolver wrapped so `CheckPermission` runs before the original resolver.
+ * Unknown permission names fail at schema build time instead of silently
+ * denying every request.
+ *
+ * @param {import('graphql').GraphQLSchema} schema - Executable schema.
+ * @param {string} [directiveName='requiresPermission'] - Directive name.
+ * @returns {import('graphql').GraphQLSchema} Schema with permission checks applied.
+ */
+function RequiresPermissionDirective(
+  schema,
+  directiveName = "requiresPermission"
+) {
+  return mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig, fieldName, typeName) => {
+      const directive = getDirective(schema, fieldConfig, directiveName)?.[0];
+      if (!directive) return fieldConfig;
+
+      const { permission } = directive;
+      if (!PERMISSION.VALID_PERMISSION.includes(permission)) {
+        throw new Error(
+          `Unknown permission "${permission}" on ${typeName}.${fieldName}`
+        );
+      }
+
+      const { resolve = defaultFieldResolver } = fieldConfig;
+      fieldConfig.resolve = function (source, args, context, info) {
+        CheckPermission(context, permission);
+        return resolve(source, args, context, info);
+      };
+
+      return fieldConfig;
+    },
+  });
+}
+
+/**
+ * Apply the `@sensitive` directive to a schema.
+ *
+ * Fields annotated with `@sensitive` (credentials, sessions, user management,
+ * API keys) are refused while impersonating another user.
+ *
+ * @param {import('graphql').GraphQLSchema} schema - Executable schema.
+ * @param {string} [directiveName='sensitive'] - Directive name.
+ * @returns {import('graphql').GraphQLSchema} Schema with impersonation guards applied.
+ */
+function SensitiveDirective(schema, directiveName = "sensitive") {
+  return mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig) => {
+      const directive = getDirective(schema, fieldConfig, directiveName)?.[0];
+      if (!directive) return fieldConfig;
+
+      const { resolve = defaultFieldResolver } = fieldConfig;
+      fieldConfig.resolve = function (source, args, context, info) {
+        if (context?.real_user) {
+          throw CreateAppError(
+            "This action is not allowed while impersonating",
+            "FORBIDDEN"
+          );
+        }
+        return resolve(source, args, context, info);
+      };
+
+      return fieldConfig;
+    },
+  });
+}
+
+/**
+ * Apply the `@audit` directive to a schema.
+ *
+ * Every field annotated with `@audit(entity: "...", operation: "...")` gets its
+ * resolver wrapped so each successful call is recorded in the audit log with
+ * the actor from the context and the before/after diff of the entity.
+ * `id_arg` names the argument holding the entity ID when it is not `id`.
+ * Other queries and mutations are only recorded when made while impersonating.
+ *
+ * @param {import('graphql').GraphQLSchema} schema - Executable schema.
+ * @param {string} [directiveName='audit'] - Directive name.
+ * @returns {import('graphql').GraphQLSchema} Schema with audit logging applied.
+ */
+function AuditDirective(schema, directiveName = "audit") {
+  return mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig, fieldName, typeName) => {
+      const directive = getDirective(schema, fieldConfig, directiveName)?.[0];
+      if (!directive) {
+        const isRootField = [schema.getQueryType(), schema.getMutationType()]
+          .some((rootType) => rootType?.name === typeName);
+        if (isRootField) {
+          const { resolve = defaultFieldResolver } = fieldConfig;
+          fieldConfig.resolve = WithImpersonationLog(resolve, fieldName);
+        }
+        return fieldConfig;
+      }
+
+      const { entity, operation, id_arg } = directive;
+      if (!AUDIT.VALID_ENTITY_TYPE.includes(entity)) {
+        throw new Error(`Unknown audit entity "${entity}" on ${typeName}.${fieldName}`);
+      }
+      if (!AUDIT.VALID_OPERATION.includes(operation)) {
+        throw new Error(
+          `Unknown audit operation "${operation}" on ${typeName}.${fieldName}`
+        );
+      }
+
+      const { resolve = defaultFieldResolver } = fieldConfig;
+      fieldConfig.resolve = WithAuditLog(resolve, {
+        mutation: fieldName,
+        entity_type: entity,
+        operation,
+        id_arg,
+      });
+
+      return fieldConfig;
+    },
+  });
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  RequiresPermissionDirective,
+  SensitiveDirective,
+  AuditDirective,
+};
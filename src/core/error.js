@@ -1,12 +1,33 @@
 const ERROR_CODES = {
   VALIDATION_ERROR: "BAD_USER_INPUT",
   DUPLICATE_KEY: "BAD_USER_INPUT",
+  DUPLICATE_FIELD: "BAD_USER_INPUT",
+  BAD_REQUEST: "BAD_USER_INPUT",
   NOT_FOUND: "NOT_FOUND",
   AUTH_ERROR: "UNAUTHORIZED",
+  UNAUTHORIZED: "UNAUTHORIZED",
   FORBIDDEN: "FORBIDDEN",
+  INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED",
+  TOO_MANY_ATTEMPTS: "TOO_MANY_ATTEMPTS",
+  INVALID_TRANSITION: "CONFLICT",
+  AUDIT_LOG_FAILED: "AUDIT_LOG_FAILED",
   INTERNAL: "INTERNAL_SERVER_ERROR",
 };
 
+const HTTP_STATUS_CODES = {
+  BAD_USER_INPUT: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  INVALID_CREDENTIALS: 401,
+  ACCOUNT_LOCKED: 423,
+  TOO_MANY_ATTEMPTS: 429,
+  AUDIT_LOG_FAILED: 503,
+  INTERNAL_SERVER_ERROR: 500,
+};
+
 /**
  * Create a standardized AppError instance.
  *
@@ -45,11 +66,7 @@ const HandleCaughtError = (
 ) => {
   const message = originalError ? originalError.message : fallbackMessage;
 
-  if (
-    originalError &&
-    originalError.extensions &&
-    !originalError.extensions.code
-  ) {
+  if (originalError && originalError.extensions) {
     return originalError;
   }
 
@@ -93,6 +110,26 @@ const FormatError = (error) => {
   return formattedError;
 };
 
+/**
+ * Send an error as a REST JSON response shaped like a GraphQL error response.
+ *
+ * The HTTP status is derived from the error code so REST clients get the same
+ * error contract (`FormatError` shape) as GraphQL clients.
+ *
+ * @param {import('express').Response} response - Express response object.
+ * @param {Error} error - AppError (or any error, treated as INTERNAL).
+ * @returns {import('express').Response} The sent response.
+ */
+const SendErrorResponse = (response, error) => {
+  const appError = error?.extensions
+    ? error
+    : CreateAppError(error?.message || "Internal server error", "INTERNAL");
+  const formattedError = FormatError(appError);
+  const status = HTTP_STATUS_CODES[formattedError.extensions.code] || 500;
+
+  return response.status(status).json({ errors: [formattedError] });
+};
+
 /**
  * Capitalize the first letter of a string.
  *
@@ -108,4 +145,5 @@ module.exports = {
   CreateAppError,
   HandleCaughtError,
   FormatError,
+  SendErrorResponse,
 };
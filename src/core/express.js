@@ -11,6 +11,13 @@ const { apollo, contextApollo } = require("./apollo");
 const {
   HandleTranscriptRequest,
 } = require("../modules/calculationResult/calculation_result.controller");
+const {
+  HandleStudentImportUpload,
+} = require("../modules/studentImport/student_import.controller");
+const {
+  HandleExportDownload,
+} = require("../modules/exportJob/export_job.controller");
+const ExpressAuthMiddleware = require("../middlewares/auth/express_auth_middleware");
 
 async function ExpressRun() {
   const app = express();
@@ -22,7 +29,23 @@ async function ExpressRun() {
     expressMiddleware(apollo, contextApollo)
   );
 
-  app.get("/transcript/:student_id", HandleTranscriptRequest);
+  app.get(
+    "/transcript/:student_id",
+    ExpressAuthMiddleware("transcript:read"),
+    HandleTranscriptRequest
+  );
+
+  app.post(
+    "/students/import",
+    ExpressAuthMiddleware("student:write"),
+    HandleStudentImportUpload
+  );
+
+  app.get(
+    "/exports/:export_job_id",
+    ExpressAuthMiddleware("data:export"),
+    HandleExportDownload
+  );
 
   app.listen(PORT, () => {
     console.log(`GraphQL Playground ready at http://localhost:${PORT}/graphql`);
@@ -9,6 +9,16 @@ const testResolver = require("../modules/test/test.resolver");
 const studentTestResultResolver = require("../modules/studentTestResult/student_test_result.resolver");
 const taskResolver = require("../modules/task/task.resolver");
 const calculationResultResolver = require("../modules/calculationResult/calculation_result.resolver");
+const auditLogResolver = require("../modules/auditLog/audit_log.resolver");
+const twoFactorResolver = require("../modules/twoFactor/two_factor.resolver");
+const serviceAccountResolver = require("../modules/serviceAccount/service_account.resolver");
+const impersonationResolver = require("../modules/impersonation/impersonation.resolver");
+const searchResolver = require("../modules/search/search.resolver");
+const studentImportResolver = require("../modules/studentImport/student_import.resolver");
+const exportJobResolver = require("../modules/exportJob/export_job.resolver");
+const graduationResolver = require("../modules/graduation/graduation.resolver");
+const transcriptJobResolver = require("../modules/transcriptJob/transcript_job.resolver");
+const transcriptSimulationResolver = require("../modules/transcriptSimulation/transcript_simulation.resolver");
 
 const resolvers = [
   userResolvers,
@@ -20,6 +30,16 @@ const resolvers = [
   studentTestResultResolver,
   taskResolver,
   calculationResultResolver,
+  auditLogResolver,
+  twoFactorResolver,
+  serviceAccountResolver,
+  impersonationResolver,
+  searchResolver,
+  studentImportResolver,
+  exportJobResolver,
+  graduationResolver,
+  transcriptJobResolver,
+  transcriptSimulationResolver,
 ];
 
 // *************** EXPORT MODUL ***************
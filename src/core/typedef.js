@@ -10,6 +10,16 @@ const testTypedef = require("../modules/test/test.typedef");
 const studentTestResultTypedef = require("../modules/studentTestResult/student_test_result.typedef");
 const taskTypedef = require("../modules/task/task.typedef");
 const calculationResultTypedef = require("../modules/calculationResult/calculation_result.typedef");
+const auditLogTypedef = require("../modules/auditLog/audit_log.typedef");
+const twoFactorTypedef = require("../modules/twoFactor/two_factor.typedef");
+const serviceAccountTypedef = require("../modules/serviceAccount/service_account.typedef");
+const impersonationTypedef = require("../modules/impersonation/impersonation.typedef");
+const searchTypedef = require("../modules/search/search.typedef");
+const studentImportTypedef = require("../modules/studentImport/student_import.typedef");
+const exportJobTypedef = require("../modules/exportJob/export_job.typedef");
+const graduationTypedef = require("../modules/graduation/graduation.typedef");
+const transcriptJobTypedef = require("../modules/transcriptJob/transcript_job.typedef");
+const transcriptSimulationTypedef = require("../modules/transcriptSimulation/transcript_simulation.typedef");
 
 const typeDefs = [
   globalTypeDefs,
@@ -22,6 +32,16 @@ const typeDefs = [
   studentTestResultTypedef,
   taskTypedef,
   calculationResultTypedef,
+  auditLogTypedef,
+  twoFactorTypedef,
+  serviceAccountTypedef,
+  impersonationTypedef,
+  searchTypedef,
+  studentImportTypedef,
+  exportJobTypedef,
+  graduationTypedef,
+  transcriptJobTypedef,
+  transcriptSimulationTypedef,
 ];
 
 // *************** EXPORT MODUL ***************
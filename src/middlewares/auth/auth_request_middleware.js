@@ -3,6 +3,16 @@ const jwt = require("jsonwebtoken");
 
 // *************** IMPORT MODULE ***************
 const User = require("../../modules/user/user.model");
+const {
+  FindActiveSession,
+} = require("../../modules/session/session.helper");
+const {
+  AuthenticateApiKey,
+} = require("../../modules/serviceAccount/service_account.helper");
+const {
+  IsImpersonationToken,
+  LoadImpersonator,
+} = require("../../modules/impersonation/impersonation.helper");
 
 // *************** IMPORT CORE ***************
 const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
@@ -11,33 +21,71 @@ const { JWT_SECRET } = require("../../core/config.js");
 /**
  * Authentication middleware for GraphQL context.
  *
+ * Access tokens are bound to a session; a token whose session was revoked
+ * (logout, refresh token reuse, user deleted) or has expired is rejected
+ * even if its signature is still valid.
+ *
+ * Machine-to-machine integrations authenticate with an `X-Api-Key` header
+ * instead; the request then runs as the service account owning the key,
+ * limited to the key permissions.
+ *
+ * Impersonation tokens (`ImpersonateUser`) run the request as the impersonated
+ * user and expose the real user as `real_user`. Any other token issued for a
+ * specific purpose (download URLs, two-factor challenges) or audience is not
+ * an access token and is rejected.
+ *
  * @param {Object} request - Express request object.
- * @returns {Promise<Object>} The GraphQL context with `user` if authenticated.
+ * @returns {Promise<Object>} The GraphQL context with `user`, `session` and, while impersonating, `real_user`.
  * @throws {AppError} If token is invalid or user is not found.
  */
 async function AuthRequestMiddleware({ request }) {
   try {
+    const apiKey = request?.headers?.["x-api-key"] || "";
     const authHeader = request?.headers?.authorization || "";
     const token = authHeader.replace("Bearer ", "").trim();
 
-    if (!token) return {};
+    if (!apiKey && !token) return {};
 
     try {
+      if (apiKey) {
+        return await AuthenticateApiKey(apiKey, request?.ip || null);
+      }
+
       const decoded = jwt.verify(token, JWT_SECRET);
       if (!decoded?.user_id) {
         throw CreateAppError("Invalid token", "UNAUTHORIZED");
       }
 
+      if (decoded.aud || (decoded.purpose && !IsImpersonationToken(decoded))) {
+        throw CreateAppError("Token cannot be used for API access", "UNAUTHORIZED");
+      }
+
+      const session = await FindActiveSession(decoded?.session_id);
+
+      let realUser = null;
+      if (IsImpersonationToken(decoded)) {
+        realUser = await LoadImpersonator(decoded, session);
+      } else if (
+        !session ||
+        String(session.user_id) !== String(decoded.user_id)
+      ) {
+        throw CreateAppError("Session revoked or expired", "UNAUTHORIZED");
+      }
+
       const user = await User.findById(decoded?.user_id).lean();
 
       if (!user || user.user_status === "DELETED") {
         throw CreateAppError("User not found or inactive", "UNAUTHORIZED");
       }
 
-      return { user };
+      if (realUser) {
+        return { user, session, real_user: realUser };
+      }
+
+      return { user, session };
     } catch (error) {
       console.warn(
-        "AuthRequestMiddleware failed to verify token:",
+        "AuthRequestMiddleware failed to verify credentials:",
         error.message
       );
 
@@ -0,0 +1,75 @@
+// *************** IMPORT MODULE ***************
+const User = require("../../modules/user/user.model");
+const {
+  FindActiveSession,
+} = require("../../modules/session/session.helper");
+const AuthRequestMiddleware = require("./auth_request_middleware");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError, SendErrorResponse } = require("../../core/error.js");
+
+// *************** IMPORT UTILITIES ***************
+const { CheckPermission } = require("../../shared/utils/check_permission");
+const { VerifyDownloadToken } = require("../../shared/utils/download_token");
+
+/**
+ * Resolve the caller of a REST request from a signed download token.
+ *
+ * The token must have been minted for exactly the requested path, and the
+ * session it was minted from must still be active.
+ *
+ * @param {import('express').Request} request - Express request object.
+ * @returns {Promise<Object>} Object with `user` and `session`.
+ * @throws {AppError} UNAUTHORIZED if the token, session or user is not valid.
+ */
+async function AuthenticateDownloadToken(request) {
+  const resource = `${request.baseUrl}${request.path}`;
+  const decoded = VerifyDownloadToken(String(request.query.token), resource);
+
+  const session = await FindActiveSession(decoded.session_id);
+  if (!session || String(session.user_id) !== String(decoded.user_id)) {
+    throw CreateAppError("Session revoked or expired", "UNAUTHORIZED");
+  }
+
+  const user = await User.findById(decoded.user_id).lean();
+  if (!user || user.user_status === "DELETED") {
+    throw CreateAppError("User not found or inactive", "UNAUTHORIZED");
+  }
+
+  return { user, session };
+}
+
+/**
+ * Build an Express middleware authenticating and authorizing REST requests.
+ *
+ * The caller is authenticated either with a bearer access token (same rules
+ * as the GraphQL context) or with a short-lived signed download token passed
+ * as `?token=`. On success `request.context` holds `{ user, session, real_user }`;
+ * failures are answered with 401/403 JSON in the `FormatError` shape.
+ *
+ * @param {string} permission - Permission required to access the route.
+ * @returns {Function} Express middleware `(request, response, next)`.
+ */
+function ExpressAuthMiddleware(permission) {
+  return async function (request, response, next) {
+    try {
+      const {
+        user = null,
+        session = null,
+        real_user = null,
+      } = request.query.token
+        ? await AuthenticateDownloadToken(request)
+        : await AuthRequestMiddleware({ request });
+
+      request.context = { user, session, real_user };
+      CheckPermission(request.context, permission);
+
+      return next();
+    } catch (error) {
+      return SendErrorResponse(response, error);
+    }
+  };
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = ExpressAuthMiddleware;
@@ -0,0 +1,370 @@
+// *************** IMPORT LIBRARY ***************
+const { Types } = require("mongoose");
+
+// *************** IMPORT MODULE ***************
+const AuditLog = require("./audit_log.model");
+const User = require("../user/user.model");
+const Student = require("../student/student.model");
+const School = require("../school/school.model");
+const Block = require("../block/block.model");
+const Subject = require("../subject/subject.model");
+const Test = require("../test/test.model");
+const StudentTestResult = require("../studentTestResult/student_test_result.model");
+const Task = require("../task/task.model");
+const ServiceAccount = require("../serviceAccount/service_account.model");
+const StudentImport = require("../studentImport/student_import.model");
+const ExportJob = require("../exportJob/export_job.model");
+const TranscriptJob = require("../transcriptJob/transcript_job.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+// *************** IMPORT UTILITIES ***************
+const { AUDIT, USER } = require("../../shared/utils/enum");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter");
+
+const IGNORED_FIELDS = ["_id", "__v", "created_at", "updated_at"];
+const REDACTED_FIELDS = ["password", "two_factor", "api_keys"];
+const REDACTED_VALUE = "[REDACTED]";
+
+// *************** Fields of an audit log entry that can be filtered and sorted on
+const AUDIT_LOG_QUERY_SPEC = {
+  fields: {
+    entity_type: { type: "enum", values: AUDIT.VALID_ENTITY_TYPE, sortable: true },
+    entity_id: { type: "id" },
+    operation: { type: "enum", values: AUDIT.VALID_OPERATION, sortable: true },
+    mutation: { type: "string" },
+    audit_status: { type: "enum", values: AUDIT.VALID_STATUS },
+    actor_id: { type: "id" },
+    actor_roles: { type: "enum", values: USER.VALID_ROLE },
+    impersonated_user_id: { type: "id" },
+    ip_address: { type: "string" },
+    created_at: { type: "date", sortable: true },
+  },
+};
+
+const ENTITY_MODELS = {
+  USER: User,
+  STUDENT: Student,
+  SCHOOL: School,
+  BLOCK: Block,
+  SUBJECT: Subject,
+  TEST: Test,
+  STUDENT_TEST_RESULT: StudentTestResult,
+  TASK: Task,
+  SERVICE_ACCOUNT: ServiceAccount,
+  STUDENT_IMPORT: StudentImport,
+  EXPORT_JOB: ExportJob,
+  TRANSCRIPT_JOB: TranscriptJob,
+};
+
+/**
+ * Load the current state of an audited entity.
+ *
+ * @param {string} entityType - Entity type (see AUDIT.VALID_ENTITY_TYPE).
+ * @param {ObjectId|string} entityId - ID of the entity.
+ * @returns {Promise<Object|null>} Plain entity document, or null if not found.
+ */
+async function LoadAuditSnapshot(entityType, entityId) {
+  const Model = ENTITY_MODELS[entityType];
+  if (!Model || !entityId || !Types.ObjectId.isValid(String(entityId))) {
+    return null;
+  }
+
+  const snapshot = await Model.findById(entityId).lean();
+  return snapshot;
+}
+
+/**
+ * Compute field level changes between two snapshots of an entity.
+ *
+ * Only top-level fields are compared; nested values are compared as a whole.
+ * Bookkeeping fields are skipped and secrets are never stored in clear.
+ *
+ * @param {Object|null} before - Snapshot before the mutation.
+ * @param {Object|null} after - Snapshot after the mutation.
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields.
+ */
+function ComputeAuditChanges(before, after) {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const beforeValue = before ? before[field] : undefined;
+    const afterValue = after ? after[field] : undefined;
+    if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) continue;
+
+    const isRedacted = REDACTED_FIELDS.includes(field);
+    changes.push({
+      field,
+      before: isRedacted ? REDACTED_VALUE : beforeValue ?? null,
+      after: isRedacted ? REDACTED_VALUE : afterValue ?? null,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Write the PENDING audit entry of a mutation about to run.
+ *
+ * While impersonating, the real user is recorded as the actor and the
+ * impersonated user alongside.
+ *
+ * @param {Object} payload - Audit entry data.
+ * @param {Object} payload.context - GraphQL context of the mutation.
+ * @param {string} payload.mutation - Name of the GraphQL mutation.
+ * @param {string} payload.entity_type - Entity type.
+ * @param {string} payload.operation - Logical operation.
+ * @param {ObjectId|string|null} payload.entity_id - ID of the affected entity, when already known.
+ * @returns {Promise<Object>} The created audit log.
+ * @throws {AppError} AUDIT_LOG_FAILED if the entry could not be written.
+ */
+async function OpenAuditLog({ context, mutation, entity_type, operation, entity_id }) {
+  try {
+    const user = context?.real_user || context?.user;
+    const auditLogPayload = {
+      actor_id: user?._id || null,
+      impersonated_user_id: context?.real_user ? context.user?._id || null : null,
+      actor_roles: user?.role || [],
+      operation,
+      mutation,
+      entity_type,
+      entity_id:
+        entity_id && Types.ObjectId.isValid(String(entity_id))
+          ? entity_id
+          : null,
+      audit_status: "PENDING",
+      ip_address: context?.client?.ip_address || null,
+      user_agent: context?.client?.user_agent || null,
+    };
+
+    const auditLog = await AuditLog.create(auditLogPayload);
+    return auditLog;
+  } catch (error) {
+    console.error("[AUDIT] Failed to record audit log:", error.message);
+    throw CreateAppError(
+      "The change was not applied because it could not be recorded in the audit log",
+      "AUDIT_LOG_FAILED",
+      { mutation, entity_type, operation, entity_id: entity_id ? String(entity_id) : null }
+    );
+  }
+}
+
+/**
+ * Mark an audit entry APPLIED or FAILED once its mutation has run.
+ *
+ * The change is already made (or already failed) at this point, so an error
+ * is only logged: the entry stays PENDING and still records the attempt.
+ *
+ * @param {Object} auditLog - Entry returned by `OpenAuditLog`.
+ * @param {Object} outcome - Fields to set (`audit_status`, `entity_id`, `changes`, `error_message`).
+ * @returns {Promise<void>}
+ */
+async function CloseAuditLog(auditLog, outcome) {
+  try {
+    const entityId = outcome.entity_id;
+    await AuditLog.updateOne(
+      { _id: auditLog._id },
+      {
+        $set: {
+          ...outcome,
+          entity_id:
+            entityId && Types.ObjectId.isValid(String(entityId))
+              ? entityId
+              : auditLog.entity_id,
+        },
+      }
+    );
+  } catch (error) {
+    console.error(
+      `[AUDIT] Failed to close audit log ${auditLog._id} as ${outcome.audit_status}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * RecordAuditedChange
+ * ------------------------------------------------------------------------------
+ * Run a change with its audit entry written first.
+ *
+ * The entry is created PENDING before `applyChange` runs, so a change is never
+ * made without an entry: when the entry cannot be written the change is not
+ * attempted and AUDIT_LOG_FAILED is raised, which makes a retry safe. Once the
+ * change has run, the entry is marked APPLIED with the before/after diff, or
+ * FAILED with the error, which is then rethrown.
+ *
+ * Snapshots are loaded from the entity unless given: `before` as a value,
+ * `after` as a function of the change's result.
+ *
+ * @param {Object} entry - Audit entry data.
+ * @param {Object} entry.context - GraphQL context of the mutation.
+ * @param {string} entry.mutation - Name of the GraphQL mutation.
+ * @param {string} entry.entity_type - Entity type.
+ * @param {string} entry.operation - Logical operation.
+ * @param {ObjectId|string|null} [entry.entity_id] - ID of the entity, else taken from the result (`_id` or `id`).
+ * @param {Object|null} [entry.before] - Snapshot before the change.
+ * @param {Function} [entry.after] - `(result) => snapshot` after the change.
+ * @param {Function} applyChange - Async function making the change.
+ * @returns {Promise<*>} Whatever `applyChange` returns.
+ * @throws {AppError} AUDIT_LOG_FAILED if the entry could not be written, or the error of `applyChange`.
+ */
+async function RecordAuditedChange(
+  { context, mutation, entity_type, operation, entity_id = null, before, after },
+  applyChange
+) {
+  const beforeSnapshot =
+    before !== undefined ? before : await LoadAuditSnapshot(entity_type, entity_id);
+  const auditLog = await OpenAuditLog({
+    context,
+    mutation,
+    entity_type,
+    operation,
+    entity_id,
+  });
+
+  let result;
+  try {
+    result = await applyChange();
+  } catch (error) {
+    await CloseAuditLog(auditLog, {
+      audit_status: "FAILED",
+      error_message: error.message,
+    });
+    throw error;
+  }
+
+  const entityId = entity_id || result?._id || result?.id || null;
+  let afterSnapshot = null;
+  try {
+    afterSnapshot =
+      typeof after === "function"
+        ? after(result)
+        : await LoadAuditSnapshot(entity_type, entityId);
+  } catch (error) {
+    console.error("[AUDIT] Failed to load audit snapshot:", error.message);
+  }
+
+  await CloseAuditLog(auditLog, {
+    audit_status: "APPLIED",
+    entity_id: entityId,
+    changes: ComputeAuditChanges(beforeSnapshot, afterSnapshot),
+  });
+
+  return result;
+}
+
+/**
+ * Wrap a mutation resolver so every call is recorded in the audit log.
+ *
+ * The affected entity is the one identified by the `id_arg` argument when
+ * present, otherwise the one returned by the mutation (`_id` or `id`).
+ *
+ * @param {Function} resolve - Original resolver.
+ * @param {Object} options - Audit options.
+ * @param {string} options.mutation - Name of the GraphQL mutation.
+ * @param {string} options.entity_type - Entity type.
+ * @param {string} options.operation - Logical operation.
+ * @param {string} [options.id_arg='id'] - Argument holding the ID of the entity.
+ * @returns {Function} Wrapped resolver.
+ */
+function WithAuditLog(resolve, { mutation, entity_type, operation, id_arg = "id" }) {
+  return function (source, args, context, info) {
+    return RecordAuditedChange(
+      {
+        context,
+        mutation,
+        entity_type,
+        operation,
+        entity_id: args?.[id_arg] || null,
+      },
+      () => resolve(source, args, context, info)
+    );
+  };
+}
+
+/**
+ * Wrap a query or mutation resolver so every call made while impersonating
+ * is recorded, even when the field is not audited.
+ *
+ * @param {Function} resolve - Original resolver.
+ * @param {string} fieldName - Name of the GraphQL query or mutation.
+ * @returns {Function} Wrapped resolver.
+ */
+function WithImpersonationLog(resolve, fieldName) {
+  return function (source, args, context, info) {
+    if (!context?.real_user) {
+      return resolve(source, args, context, info);
+    }
+
+    return RecordAuditedChange(
+      {
+        context,
+        mutation: fieldName,
+        entity_type: "USER",
+        operation: "IMPERSONATED_ACTION",
+        entity_id: context.user?._id || null,
+        before: null,
+        after: () => null,
+      },
+      () => resolve(source, args, context, info)
+    );
+  };
+}
+
+/**
+ * Translate the legacy `AuditLogFilterInput` into the where language.
+ *
+ * @param {Object} filter - Filter object
+ * @returns {Object} Equivalent where input
+ */
+function AuditLogFilterToWhere(filter = {}) {
+  const where = {
+    entity_type: filter.entity_type ? { eq: filter.entity_type } : null,
+    operation: filter.operation ? { eq: filter.operation } : null,
+    entity_id: filter.entity_id ? { eq: filter.entity_id } : null,
+    actor_id: filter.actor_id ? { eq: filter.actor_id } : null,
+    impersonated_user_id: filter.impersonated_user_id
+      ? { eq: filter.impersonated_user_id }
+      : null,
+    created_at: filter.created_at,
+  };
+  return where;
+}
+
+/**
+ * Builds aggregation pipeline for GetAuditLogs with filter, where and sort.
+ * Entries are returned newest first unless another sort is requested.
+ *
+ * @param {Object} filter - Legacy filter
+ * @param {Object} where - Where input (see `CompileWhere`)
+ * @param {Object|Object[]} sort - Sort input(s)
+ * @returns {Object} { pipeline, sort }
+ */
+function AuditLogQueryPipeline(filter = {}, where = null, sort = null) {
+  const pipeline = [];
+
+  const matchStages = [
+    CompileWhere(AuditLogFilterToWhere(filter), AUDIT_LOG_QUERY_SPEC),
+    CompileWhere(where, AUDIT_LOG_QUERY_SPEC),
+  ];
+  for (const matchStage of matchStages) {
+    if (matchStage) pipeline.push({ $match: matchStage });
+  }
+
+  return { pipeline, sort: CompileSort(sort, AUDIT_LOG_QUERY_SPEC) };
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  RecordAuditedChange,
+  WithAuditLog,
+  WithImpersonationLog,
+  AuditLogQueryPipeline,
+};
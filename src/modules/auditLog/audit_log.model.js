@@ -0,0 +1,108 @@
+// *************** IMPORT LIBRARY ***************
+const { Schema, model, Types } = require("mongoose");
+
+// ************** IMPORT UTILITIES *************
+const { AUDIT } = require("../../shared/utils/enum");
+
+const auditLogSchema = new Schema(
+  {
+    // User who performed the mutation (null for unauthenticated flows)
+    actor_id: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // User the actor was impersonating (null outside impersonation)
+    impersonated_user_id: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Roles held by the actor at the time of the mutation
+    actor_roles: {
+      type: [String],
+      default: [],
+    },
+
+    // Logical operation performed (CREATE, UPDATE, DELETE, PUBLISH, ...)
+    operation: {
+      type: String,
+      enum: AUDIT.VALID_OPERATION,
+      required: true,
+    },
+
+    // Name of the GraphQL mutation (or query, for impersonated actions) that was executed
+    mutation: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Type of the entity affected by the mutation
+    entity_type: {
+      type: String,
+      enum: AUDIT.VALID_ENTITY_TYPE,
+      required: true,
+    },
+
+    // ID of the entity affected by the mutation
+    entity_id: {
+      type: Types.ObjectId,
+      default: null,
+    },
+
+    // Field level changes between the entity before and after the mutation
+    changes: [
+      {
+        // Changed field name
+        field: { type: String, required: true },
+
+        // Value before the mutation
+        before: { type: Schema.Types.Mixed, default: null },
+
+        // Value after the mutation
+        after: { type: Schema.Types.Mixed, default: null },
+      },
+    ],
+
+    // PENDING while the mutation runs, then APPLIED or FAILED
+    audit_status: {
+      type: String,
+      enum: AUDIT.VALID_STATUS,
+      default: "PENDING",
+    },
+
+    // Error the mutation failed with (FAILED entries only)
+    error_message: {
+      type: String,
+      default: null,
+    },
+
+    // Client IP address the mutation came from
+    ip_address: {
+      type: String,
+      default: null,
+    },
+
+    // Client user agent the mutation came from
+    user_agent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ entity_type: 1, entity_id: 1, created_at: -1 });
+auditLogSchema.index({ actor_id: 1, created_at: -1 });
+auditLogSchema.index(
+  { impersonated_user_id: 1, created_at: -1 },
+  { partialFilterExpression: { impersonated_user_id: { $type: "objectId" } } }
+);
+
+// *************** EXPORT MODULE ***************
+module.exports = model("AuditLog", auditLogSchema);
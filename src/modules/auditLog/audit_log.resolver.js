@@ -0,0 +1,138 @@
+// *************** IMPORT MODULE ***************
+const AuditLog = require("./audit_log.model.js");
+
+// *************** IMPORT UTILITIES ***************
+const {
+  PaginateAggregate,
+  PaginateAggregateConnection,
+} = require("../../shared/utils/pagination.js");
+
+// *************** IMPORT CORE ***************
+const { HandleCaughtError } = require("../../core/error.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const { AuditLogQueryPipeline } = require("./audit_log.helper.js");
+
+// *************** QUERY ***************
+/**
+ * Get audit log entries, newest first by default.
+ *
+ * @param {Object} _ - Unused first resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter by entity, actor, operation and date range.
+ * @param {Object} [args.where] - Optional where input on the audit log fields.
+ * @param {Object[]} [args.sort] - Optional sort keys, newest first by default.
+ * @param {Object} [args.pagination] - Optional page/limit.
+ * @returns {Promise<Object>} Paginated audit log entries.
+ */
+async function GetAuditLogs(_, { filter, where, sort, pagination }) {
+  try {
+    const { pipeline, sort: auditLogSort } = AuditLogQueryPipeline(
+      filter,
+      where,
+      sort
+    );
+    const auditLogResponse = await PaginateAggregate(
+      AuditLog,
+      pipeline,
+      pagination,
+      auditLogSort
+    );
+
+    return auditLogResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch audit logs");
+  }
+}
+
+/**
+ * Get one page of audit log entries as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetAuditLogs`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused first resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter by entity, actor, operation and date range.
+ * @param {Object} [args.where] - Optional where input on the audit log fields.
+ * @param {Object[]} [args.sort] - Optional sort keys, newest first by default.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ */
+async function GetAuditLogsConnection(_, { filter, where, sort, pagination }) {
+  try {
+    const { pipeline, sort: auditLogSort } = AuditLogQueryPipeline(
+      filter,
+      where,
+      sort
+    );
+    const auditLogConnection = await PaginateAggregateConnection(
+      AuditLog,
+      pipeline,
+      pagination,
+      auditLogSort
+    );
+
+    return auditLogConnection;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch audit logs");
+  }
+}
+
+// *************** LOADER ***************
+/**
+ * Resolve the user who performed an audited mutation using DataLoader.
+ *
+ * @param {Object} auditLog - The audit log entry.
+ * @param {Object} _ - Unused resolver parameter.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object|null>} The actor, or null for unauthenticated flows.
+ */
+function actor(auditLog, _, context) {
+  if (!auditLog.actor_id) return null;
+
+  const userLoaderResponse = context.loaders.user.load(
+    String(auditLog.actor_id)
+  );
+  return userLoaderResponse;
+}
+
+/**
+ * Resolve the user the actor was impersonating using DataLoader.
+ *
+ * @param {Object} auditLog - The audit log entry.
+ * @param {Object} _ - Unused resolver parameter.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object|null>} The impersonated user, or null outside impersonation.
+ */
+function impersonated_user(auditLog, _, context) {
+  if (!auditLog.impersonated_user_id) return null;
+
+  const userLoaderResponse = context.loaders.user.load(
+    String(auditLog.impersonated_user_id)
+  );
+  return userLoaderResponse;
+}
+
+/**
+ * Resolve the status of an audit entry. Entries written before statuses
+ * existed were only recorded once their change was applied.
+ *
+ * @param {Object} auditLog - The audit log entry.
+ * @returns {string} PENDING, APPLIED or FAILED.
+ */
+function audit_status(auditLog) {
+  return auditLog.audit_status || "APPLIED";
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  Query: {
+    GetAuditLogs,
+    GetAuditLogsConnection,
+  },
+  AuditLog: {
+    actor,
+    impersonated_user,
+    audit_status,
+  },
+};
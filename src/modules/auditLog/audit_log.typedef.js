@@ -0,0 +1,142 @@
+// *************** IMPORT LIBRARY ***************
+const gql = require("graphql-tag");
+
+// *************** EXPORT MODULE ***************
+module.exports = gql`
+  enum AuditEntityType {
+    USER
+    STUDENT
+    SCHOOL
+    BLOCK
+    SUBJECT
+    TEST
+    STUDENT_TEST_RESULT
+    TASK
+    SERVICE_ACCOUNT
+    STUDENT_IMPORT
+    EXPORT_JOB
+    TRANSCRIPT_JOB
+  }
+
+  enum AuditOperation {
+    CREATE
+    UPDATE
+    DELETE
+    PUBLISH
+    ENTER_MARKS
+    VALIDATE_MARKS
+    ASSIGN_CORRECTOR
+    VERIFY_EMAIL
+    UNLOCK
+    INVITE
+    RESEND_INVITATION
+    ACCEPT_INVITATION
+    IMPERSONATE
+    IMPERSONATED_ACTION
+    CREATE_API_KEY
+    REVOKE_API_KEY
+    ROTATE_API_KEY
+    IMPORT
+    EXPORT
+    GRADUATE
+    DROP_OUT
+    TRANSFER
+    RE_ENROLL
+    RETRY
+    RECALCULATE
+    RESET_PASSWORD
+    ENABLE_TWO_FACTOR
+    CONFIRM_TWO_FACTOR
+    DISABLE_TWO_FACTOR
+    REGENERATE_RECOVERY_CODES
+  }
+
+  enum AuditStatus {
+    PENDING
+    APPLIED
+    FAILED
+  }
+
+  type AuditChange {
+    field: String!
+    before: JSON
+    after: JSON
+  }
+
+  type AuditLog {
+    _id: ID!
+    actor_id: ID
+    actor: User
+    impersonated_user_id: ID
+    impersonated_user: User
+    actor_roles: [String!]!
+    operation: AuditOperation!
+    mutation: String!
+    entity_type: AuditEntityType!
+    entity_id: ID
+    changes: [AuditChange!]!
+    audit_status: AuditStatus!
+    error_message: String
+    ip_address: String
+    user_agent: String
+    created_at: Date!
+  }
+
+  type AuditLogEdge {
+    cursor: String!
+    node: AuditLog!
+  }
+
+  type AuditLogPaginationResult {
+    data: [AuditLog!]!
+    meta: PaginationResult!
+  }
+
+  type AuditLogConnection {
+    edges: [AuditLogEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
+  }
+
+  input AuditLogFilterInput {
+    entity_type: AuditEntityType
+    entity_id: ID
+    actor_id: ID
+    impersonated_user_id: ID
+    operation: AuditOperation
+    created_at: DateFilter
+  }
+
+  input AuditLogWhereInput {
+    and: [AuditLogWhereInput!]
+    or: [AuditLogWhereInput!]
+    not: AuditLogWhereInput
+    entity_type: StringFilter
+    entity_id: IdFilter
+    operation: StringFilter
+    mutation: StringFilter
+    audit_status: StringFilter
+    actor_id: IdFilter
+    actor_roles: StringFilter
+    impersonated_user_id: IdFilter
+    ip_address: StringFilter
+    created_at: DateFilter
+  }
+
+  extend type Query {
+    GetAuditLogs(
+      filter: AuditLogFilterInput
+      where: AuditLogWhereInput
+      sort: [SortInput!]
+      pagination: PaginationInput
+    ): AuditLogPaginationResult!
+      @requiresPermission(permission: "audit:read")
+    GetAuditLogsConnection(
+      filter: AuditLogFilterInput
+      where: AuditLogWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): AuditLogConnection!
+      @requiresPermission(permission: "audit:read")
+  }
+`;
@@ -2,6 +2,7 @@
 const { Schema, model, Types } = require("mongoose");
 
 // ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
 const {
   BLOCK,
   LOGIC_ENUM,
@@ -98,15 +99,17 @@ const blockSchema = new Schema(
     ],
 
     // Audit trail
+    // User who created this record
     created_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
+    // User who last updated this record
     updated_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
 
     // Soft delete fields
@@ -114,10 +117,11 @@ const blockSchema = new Schema(
       type: Date,
       default: null,
     },
+    // User who soft-deleted this record
     deleted_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
   },
   {
@@ -125,5 +129,7 @@ const blockSchema = new Schema(
   }
 );
 
+blockSchema.plugin(ActorStampPlugin);
+
 // *************** EXPORT MODEL ***************
 module.exports = model("Block", blockSchema);
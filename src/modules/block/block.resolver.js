@@ -8,13 +8,67 @@ const {
 } = require("./block.validator.js");
 
 // *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
 const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const {
+  PaginateFindConnection,
+  BuildListSort,
+} = require("../../shared/utils/pagination.js");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter.js");
 const { BLOCK } = require("../../shared/utils/enum");
-const { CheckRoleAccess } = require("../../shared/utils/check_role_access.js");
 
 // *************** IMPORT CORE ***************
 const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
 
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  MarkStaleCalculationResults,
+} = require("../calculationResult/calculation_result.helper.js");
+
+// *************** Fields of a block that can be filtered and sorted on
+const BLOCK_QUERY_SPEC = {
+  fields: {
+    name: { type: "string", sortable: true },
+    block_status: { type: "enum", values: BLOCK.VALID_STATUS, sortable: true },
+    subject_id: { type: "id", path: "subjects" },
+    start_date: { type: "date", sortable: true },
+    end_date: { type: "date", sortable: true },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
+
+/**
+ * Build the find query of a block list from its filter and where inputs.
+ *
+ * @param {Object} [filter] - Optional filter object (`block_status`).
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @returns {Object} Query condition.
+ * @throws {AppError} If the provided block_status is invalid or the where input is invalid.
+ */
+function BuildBlockListQuery(filter, where) {
+  const query = {};
+
+  if (filter && filter.block_status) {
+    if (!BLOCK.VALID_STATUS.includes(filter.block_status)) {
+      const handlingError = CreateAppError(
+        "Invalid block_status filter value",
+        "BAD_REQUEST",
+        { block_status: filter.block_status }
+      );
+      throw handlingError;
+    }
+    query.block_status = filter.block_status;
+  }
+  // *************** Where input, on top of the filter
+  const whereQuery = CompileWhere(where, BLOCK_QUERY_SPEC);
+  if (whereQuery) {
+    query.$and = [...(query.$and || []), whereQuery];
+  }
+
+  return query;
+}
+
 // *************** QUERY ***************
 
 /**
@@ -28,34 +82,21 @@ const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
  * @param {Object} args - Arguments passed to the query.
  * @param {Object} args.filter - Optional filter object.
  * @param {string} args.filter.block_status - Filter by block status (e.g., 'ACTIVE', 'ARCHIVED', 'DELETED').
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
  *
  * @returns {Promise<Object[]>} A promise resolving to an array of Block documents.
  *
  * @throws {AppError} If the provided block_status is invalid or any internal error occurs.
  */
 
-async function GetAllBlocks(_, { filter }, context) {
+async function GetAllBlocks(_, { filter, where, sort }) {
   try {
-    CheckRoleAccess(context, [
-      "ACADEMIC_ADMIN",
-      "ACADEMIC_DIRECTOR",
-      "CORRECTOR",
-      "STUDENT",
-    ]);
-    const query = {};
+    const query = BuildBlockListQuery(filter, where);
 
-    if (filter && filter.block_status) {
-      if (!BLOCK.VALID_STATUS.includes(filter.block_status)) {
-        const handlingError = CreateAppError(
-          "Invalid block_status filter value",
-          "BAD_REQUEST",
-          { block_status: filter.block_status }
-        );
-        throw handlingError;
-      }
-      query.block_status = filter.block_status;
-    }
-    const findBlocks = await Block.find(query);
+    const findBlocks = await Block.find(query).sort(
+      BuildListSort(CompileSort(sort, BLOCK_QUERY_SPEC))
+    );
     return findBlocks;
   } catch (error) {
     const handlingError = HandleCaughtError(error, "Failed to fetch blocks");
@@ -63,6 +104,40 @@ async function GetAllBlocks(_, { filter }, context) {
   }
 }
 
+/**
+ * Get one page of blocks as a connection, read with cursors.
+ *
+ * Takes the same filter, where and sort as `GetAllBlocks`.
+ *
+ * @param {Object} _ - Unused parent resolver argument (per GraphQL convention).
+ * @param {Object} args - Arguments passed to the query.
+ * @param {Object} [args.filter] - Optional filter object (`block_status`).
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ *
+ * @returns {Promise<Object>} A promise resolving to `{ edges, pageInfo, total_count }`.
+ *
+ * @throws {AppError} If the filter, where input or cursor is invalid or any internal error occurs.
+ */
+
+async function GetAllBlocksConnection(_, { filter, where, sort, pagination }) {
+  try {
+    const query = BuildBlockListQuery(filter, where);
+
+    const blockConnection = await PaginateFindConnection(
+      Block,
+      query,
+      pagination,
+      CompileSort(sort, BLOCK_QUERY_SPEC)
+    );
+    return blockConnection;
+  } catch (error) {
+    const handlingError = HandleCaughtError(error, "Failed to fetch blocks");
+    throw handlingError;
+  }
+}
+
 /**
  * Get a single block by ID with an optional status filter.
  *
@@ -81,14 +156,8 @@ async function GetAllBlocks(_, { filter }, context) {
  * @throws {AppError} If the provided block_status is invalid or the block is not found.
  */
 
-async function GetOneBlock(_, { id, filter }, context) {
+async function GetOneBlock(_, { id, filter }) {
   try {
-    CheckRoleAccess(context, [
-      "ACADEMIC_ADMIN",
-      "ACADEMIC_DIRECTOR",
-      "CORRECTOR",
-      "STUDENT",
-    ]);
     const blockId = await ValidateMongoId(id);
     const query = { _id: blockId };
 
@@ -148,9 +217,8 @@ async function GetOneBlock(_, { id, filter }, context) {
  * @throws {AppError} Throws `VALIDATION_ERROR` if input is invalid, or other error if creation fails.
  */
 
-async function CreateBlock(_, { input }, context) {
+async function CreateBlock(_, { input }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const {
       name,
       description,
@@ -190,6 +258,7 @@ async function CreateBlock(_, { input }, context) {
  * It first validates the input fields through `ValidateUpdateBlock`, builds a sanitized
  * update payload, and applies the changes using MongoDB's `updateOne`. If the block is not found,
  * an error is thrown. Fields like `description`, `end_date`, and `subjects` are optional.
+ * Changing the criteria flags the calculation results using this block as stale.
  *
  * @param {Object} _ - Unused parent resolver argument (GraphQL convention).
  * @param {Object} args - Arguments passed to the mutation.
@@ -202,9 +271,8 @@ async function CreateBlock(_, { input }, context) {
  * @throws {AppError} Throws `VALIDATION_ERROR` if input validation fails.
  */
 
-async function UpdateBlock(_, { id, input }, context) {
+async function UpdateBlock(_, { id, input }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const {
       name,
       description,
@@ -216,6 +284,7 @@ async function UpdateBlock(_, { id, input }, context) {
       _id,
     } = await ValidateUpdateBlock(id, input);
     const blockId = await ValidateMongoId(_id);
+    const blockBefore = await Block.findById(blockId).lean();
 
     const blockUpdatePayload = {
       name,
@@ -235,6 +304,10 @@ async function UpdateBlock(_, { id, input }, context) {
     if (!updated) {
       throw CreateAppError("Block not updated", "NOT_FOUND", { blockId });
     }
+
+    const blockAfter = await Block.findById(blockId).lean();
+    await MarkStaleCalculationResults("BLOCK", blockBefore, blockAfter);
+
     const updateBlockResponse = { id: blockId };
     return updateBlockResponse;
   } catch (error) {
@@ -251,22 +324,20 @@ async function UpdateBlock(_, { id, input }, context) {
  * Soft delete a block by marking its status as `DELETED`.
  *
  * This resolver performs a soft delete operation by updating the `block_status` to `DELETED`,
- * along with setting the `deleted_at` timestamp and optionally the `deleted_by` user ID.
+ * along with setting the `deleted_at` timestamp; `deleted_by` is stamped with the caller.
  * It only applies the update if the block is not already marked as `DELETED`.
  *
  * @param {Object} _ - Unused parent resolver argument (GraphQL convention).
  * @param {Object} args - Arguments passed to the mutation.
  * @param {string} args.id - The ID of the block to soft delete.
- * @param {string} [args.deleted_by] - Optional ID of the user performing the deletion.
  *
  * @returns {Promise<Object>} An object containing the ID of the deleted block.
  *
  * @throws {AppError} Throws `NOT_FOUND` if the block does not exist or is already deleted.
  */
 
-async function DeleteBlock(_, { id, deleted_by }, context) {
+async function DeleteBlock(_, { id }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const blockId = await ValidateMongoId(id);
 
     const deleted = await Block.updateOne(
@@ -275,7 +346,6 @@ async function DeleteBlock(_, { id, deleted_by }, context) {
         $set: {
           block_status: "DELETED",
           deleted_at: new Date(),
-          deleted_by: deleted_by ? deleted_by : null,
         },
       }
     );
@@ -321,6 +391,7 @@ function subjects(block, _, context) {
 module.exports = {
   Query: {
     GetAllBlocks,
+    GetAllBlocksConnection,
     GetOneBlock,
   },
   Mutation: {
@@ -329,6 +400,7 @@ module.exports = {
     DeleteBlock,
   },
   Block: {
+    ...ActorFieldResolvers(),
     subjects,
   },
 };
@@ -54,11 +54,25 @@ module.exports = gql`
     end_date: Date
     subjects: [Subject!]
     created_at: Date!
-    created_by: String
+    created_by: ID
+    created_by_user: User
     updated_at: Date
-    updated_by: String
+    updated_by: ID
+    updated_by_user: User
     deleted_at: Date
-    deleted_by: String
+    deleted_by: ID
+    deleted_by_user: User
+  }
+
+  type BlockEdge {
+    cursor: String!
+    node: Block!
+  }
+
+  type BlockConnection {
+    edges: [BlockEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
   }
 
   input CreateBlockInput {
@@ -85,14 +99,46 @@ module.exports = gql`
     block_status: BlockStatus!
   }
 
+  input BlockWhereInput {
+    and: [BlockWhereInput!]
+    or: [BlockWhereInput!]
+    not: BlockWhereInput
+    name: StringFilter
+    block_status: StringFilter
+    subject_id: IdFilter
+    start_date: DateFilter
+    end_date: DateFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
   extend type Query {
-    GetAllBlocks(filter: BlockFilter): [Block!]!
+    GetAllBlocks(
+      filter: BlockFilter
+      where: BlockWhereInput
+      sort: [SortInput!]
+    ): [Block!]!
+      @requiresPermission(permission: "block:read")
+    GetAllBlocksConnection(
+      filter: BlockFilter
+      where: BlockWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): BlockConnection!
+      @requiresPermission(permission: "block:read")
     GetOneBlock(id: ID!, filter: BlockFilter): Block
+      @requiresPermission(permission: "block:read")
   }
 
   extend type Mutation {
     CreateBlock(input: CreateBlockInput!): Block!
+      @requiresPermission(permission: "block:write")
+      @audit(entity: "BLOCK", operation: "CREATE")
     UpdateBlock(id: ID!, input: UpdateBlockInput!): Block!
-    DeleteBlock(id: ID!, deleted_by: String): Block!
+      @requiresPermission(permission: "block:write")
+      @audit(entity: "BLOCK", operation: "UPDATE")
+    DeleteBlock(id: ID!): Block!
+      @requiresPermission(permission: "block:write")
+      @audit(entity: "BLOCK", operation: "DELETE")
   }
 `;
@@ -1,14 +1,25 @@
 // *************** IMPORT MODULE **************
 const CalculationResults = require("./calculation_result.model");
 
+// *************** IMPORT CORE ***************
+const { CreateAppError, SendErrorResponse } = require("../../core/error");
+
 // *************** IMPORT UTILITIES ***************
 const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id");
+const {
+  GetOwnStudentId,
+  CheckStudentAccess,
+} = require("../../shared/utils/tenant_scope");
 const { GeneratePDF } = require("./calculation_result.helper");
 
 /**
  * HandleTranscriptRequest
  *
  * Generates a final transcript PDF for a specific student.
+ * A STUDENT caller always gets their own transcript, whatever student ID is requested.
+ * With `?explain=true` every block, subject and test is followed by the criteria
+ * group that decided its result.
+ * Must be mounted behind `ExpressAuthMiddleware`, which sets `request.context`.
  *
  * @param {Object} request - Express request object
  * @param {Object} response - Express response object
@@ -17,14 +28,22 @@ const { GeneratePDF } = require("./calculation_result.helper");
 
 async function HandleTranscriptRequest(request, response) {
   try {
-    const studentId = await ValidateMongoId(
+    let studentId = await ValidateMongoId(
       request.params.student_id,
       "student_id"
     );
 
+    // *************** Students only ever see their own record
+    const ownStudentId = GetOwnStudentId(request.context);
+    if (ownStudentId) {
+      studentId = String(ownStudentId);
+    }
+    await CheckStudentAccess(request.context, studentId);
+
     const query = {
       student_id: studentId,
       calculation_result_status: "PUBLISHED",
+      is_current: { $ne: false },
     };
 
     const calculationResultData = await CalculationResults.findOne(
@@ -51,13 +70,17 @@ async function HandleTranscriptRequest(request, response) {
       !Array.isArray(calculationResultData.results) ||
       calculationResultData.results.length === 0
     ) {
-      return response.status(404).json({
-        success: false,
-        message: "CalculationResult not found or already deleted",
-      });
+      throw CreateAppError(
+        "CalculationResult not found or already deleted",
+        "NOT_FOUND",
+        { student_id: studentId }
+      );
     }
 
-    const pdfResponse = await GeneratePDF(calculationResultData);
+    const pdfResponse = await GeneratePDF({
+      ...calculationResultData,
+      show_explanation: request.query.explain === "true",
+    });
 
     response.setHeader("Content-Type", "application/pdf");
     response.setHeader(
@@ -68,11 +91,7 @@ async function HandleTranscriptRequest(request, response) {
 
     return response.status(200).end(pdfResponse);
   } catch (error) {
-    return response.status(500).json({
-      success: false,
-      error: error.message,
-      code: error.code || "USER_INPUT_ERROR",
-    });
+    return SendErrorResponse(response, error);
   }
 }
 
@@ -1,5 +1,4 @@
 // *************** IMPORT LIBRARY ***************
-const { parentPort } = require("worker_threads");
 const fs = require("fs");
 const path = require("path");
 const handlebars = require("handlebars");
@@ -16,26 +15,109 @@ const Subject = require("../subject/subject.model");
 const Test = require("../test/test.model");
 
 // *************** IMPORT UTILITIES ***************
-const { TimeNow } = require("../../shared/utils/time");
+const {
+  CALCULATION_RESULT,
+  EXPECTED_OUTCOME_ENUM,
+} = require("../../shared/utils/enum");
 
 const RESULT_PASS = "PASS";
 const RESULT_FAIL = "FAIL";
 const STATUS_DELETED = "DELETED";
 const CALCULATION_STATUS = "PUBLISHED";
+const CALCULATION_RESULT_ARCHIVED = "ARCHIVED";
+
+// *************** Where each kind of calculation input appears in a result, its
+// *************** fields the calculation reads, and how it is named in stale reasons
+const CALCULATION_INPUT_SOURCES = {
+  BLOCK: {
+    path: "results.block_id",
+    fields: ["criteria"],
+    label: "Block",
+  },
+  SUBJECT: {
+    path: "results.subject_results.subject_id",
+    fields: ["criteria", "coefficient", "block_id"],
+    label: "Subject",
+  },
+  TEST: {
+    path: "results.subject_results.test_results.test_id",
+    fields: ["criteria", "weight", "subject_id"],
+    label: "Test",
+  },
+};
+
+// *************** Tests of student test results as the calculation reads them,
+// *************** with their subject and the subject's block
+const CALCULATION_TEST_POPULATE = {
+  path: "test_id",
+  populate: {
+    path: "subject_id",
+    populate: {
+      path: "block_id",
+    },
+  },
+};
+
+// *************** Fields of a calculation result that can be filtered and sorted on
+const CALCULATION_RESULT_QUERY_SPEC = {
+  fields: {
+    student_id: { type: "id" },
+    overall_result: { type: "enum", values: EXPECTED_OUTCOME_ENUM, sortable: true },
+    calculation_result_status: {
+      type: "enum",
+      values: CALCULATION_RESULT.VALID_STATUS,
+      sortable: true,
+    },
+    version: { type: "number", sortable: true },
+    is_stale: { type: "boolean" },
+    stale_since: { type: "date", sortable: true },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
+
 /**
  * Execute transcript process logic.
  *
+ * Each run stores a new version of the student's calculation result. Runs are
+ * queued as transcript jobs and executed by the transcript worker pool.
+ *
  * @param {ObjectId} student_id
- * @param {Object} loaders - Contains test, subject, and block DataLoaders
- * @returns {Promise<Object>} Transcript result
+ * @param {Object} [trigger] - What started the run.
+ * @param {ObjectId|null} [trigger.student_test_result_id] - Student test result whose validation triggered it.
+ * @returns {Promise<Object>} The stored calculation result version
  */
 
-async function RunTranscriptCore(student_id) {
+async function RunTranscriptCore(student_id, trigger = {}) {
   const studentTestResults = await FetchStudentTestResult(student_id);
   if (!studentTestResults) {
     throw CreateAppError("Missing test result", "DATA_MISSING");
   }
 
+  const { results: blockResults } = await CalculateTranscript(studentTestResults);
+
+  const result = await CreateCalculationResult(student_id, blockResults, {
+    student_test_result_id: trigger.student_test_result_id || null,
+    inputs: BuildCalculationInputs(studentTestResults),
+  });
+
+  return result;
+}
+
+/**
+ * Calculate test, subject and block results and the overall result from
+ * validated student test results, without storing anything.
+ *
+ * Tests, subjects and blocks are read from the populated `test_id`, so a
+ * caller can evaluate other weights, coefficients or criteria by passing
+ * modified copies (see transcript simulation).
+ *
+ * @param {Array<Object>} studentTestResults - Student test results populated
+ * down to test, subject and block.
+ * @returns {Promise<Object>} `{ overall_result, results }` where `results` are the block results.
+ * @throws {AppError} When a subject, block or criteria is missing.
+ */
+async function CalculateTranscript(studentTestResults) {
   const testResults = await CalculateTestResults(studentTestResults);
   if (!testResults) {
     throw CreateAppError("Error calculate test result", "DATA_MISSING");
@@ -78,18 +160,24 @@ async function RunTranscriptCore(student_id) {
     throw CreateAppError("Error calculate subject result", "DATA_MISSING");
   }
 
-  const result = await CreateCalculationResult(student_id, blockResults);
-
-  const sucessWorker = parentPort.postMessage({
-    success: true,
-    data: {
-      student_id,
-      result,
-    },
-    message: `Transcript calculated successfully at ${TimeNow()}`,
-  });
+  const calculatedTranscript = {
+    overall_result: GetOverallResult(blockResults),
+    results: blockResults,
+  };
+  return calculatedTranscript;
+}
 
-  return sucessWorker;
+/**
+ * A student passes overall when every block is passed.
+ *
+ * @param {Array<Object>} blockResults - Evaluated block results.
+ * @returns {string} PASS or FAIL.
+ */
+function GetOverallResult(blockResults) {
+  const allBlockPass = blockResults.every(
+    (block) => block.block_result === RESULT_PASS
+  );
+  return allBlockPass ? RESULT_PASS : RESULT_FAIL;
 }
 
 /**
@@ -105,15 +193,7 @@ async function FetchStudentTestResult(student_id) {
     student_test_result_status: { $ne: STATUS_DELETED },
     mark_validated_date: { $ne: null },
   })
-    .populate({
-      path: "test_id",
-      populate: {
-        path: "subject_id",
-        populate: {
-          path: "block_id",
-        },
-      },
-    })
+    .populate(CALCULATION_TEST_POPULATE)
     .lean();
   if (!result || result.length === 0) {
     throw CreateAppError("Student Test Result not found", "NOT_FOUND", {
@@ -163,6 +243,7 @@ async function FetchStudentTestResult(student_id) {
  * - `average_mark` {number} — Student’s raw average mark
  * - `weighted_mark` {number} — Weighted score (average × weight)
  * - `test_result` {boolean} — PASS/FAIL result from criteria evaluation
+ * - `explanation` {Object} — How the criteria were evaluated, see `EvaluateCriteriaGroups`
  *
  * @throws {AppError} If test is not populated or test criteria is missing/invalid.
  *
@@ -191,9 +272,11 @@ function CalculateTestResults(studentTestResults) {
       );
     }
 
-    const test_result = EvaluateCriteriaGroups(criteria, averageMark, {
-      test_id: test._id,
-    });
+    const { outcome: test_result, explanation } = EvaluateCriteriaGroups(
+      criteria,
+      averageMark,
+      { test_id: test._id }
+    );
 
     return {
       test_id: test._id,
@@ -201,6 +284,7 @@ function CalculateTestResults(studentTestResults) {
       average_mark: averageMark,
       weighted_mark: weightedMark,
       test_result,
+      explanation,
     };
   });
 
@@ -244,6 +328,7 @@ function CalculateTestResults(studentTestResults) {
  * - `subject_result` {boolean} PASS/FAIL based on criteria evaluation
  * - `coefficient` {number}
  * - `test_results` {Array<Object>} Test results contributing to the subject
+ * - `explanation` {Object} Rule evaluation trace of the subject criteria
  *
  * @throws {AppError} If criteria are missing, test data is required but not found,
  *                    or rule structure is invalid.
@@ -282,12 +367,16 @@ function CalculateSubjectResults(testResults, subjects) {
       );
     }
 
-    const subject_result = EvaluateCriteriaGroups(criteria, null, {
-      subject_id: subject._id,
-      subject,
-      averageMark,
-      relatedTestResults,
-    });
+    const { outcome: subject_result, explanation } = EvaluateCriteriaGroups(
+      criteria,
+      null,
+      {
+        subject_id: subject._id,
+        subject,
+        averageMark,
+        relatedTestResults,
+      }
+    );
 
     return {
       subject_id: subject._id,
@@ -297,6 +386,7 @@ function CalculateSubjectResults(testResults, subjects) {
       subject_result,
       coefficient: subject.coefficient,
       test_results: relatedTestResults,
+      explanation,
     };
   });
 
@@ -334,6 +424,7 @@ function CalculateSubjectResults(testResults, subjects) {
  * - `total_mark` {number} — Weighted average of all subject marks in the block.
  * - `block_result` {boolean} — PASS/FAIL based on criteria evaluation.
  * - `subject_results` {Array<Object>} — Subject results that contributed to this block.
+ * - `explanation` {Object} — Which block rules were checked against which values.
  *
  * @throws {AppError} If required data (like criteria, subjects, or test results) is missing or invalid.
  *
@@ -369,17 +460,22 @@ async function CalculateBlockResults(subjectResults, blocks) {
       });
     }
 
-    const block_result = EvaluateCriteriaGroups(criteria, null, {
-      block_id: block._id,
-      totalBlockMark,
-      subjectResultsForBlock,
-    });
+    const { outcome: block_result, explanation } = EvaluateCriteriaGroups(
+      criteria,
+      null,
+      {
+        block_id: block._id,
+        totalBlockMark,
+        subjectResultsForBlock,
+      }
+    );
 
     return {
       block_id: block._id,
       total_mark: totalBlockMark,
       block_result,
       subject_results: subjectResultsForBlock,
+      explanation,
     };
   });
 
@@ -549,11 +645,18 @@ function EvaluateRule(mark, operator, value) {
  * Evaluates a list of criteria groups and returns the expected_outcome
  * of the first group that matches the value. Only one group is allowed to pass.
  *
+ * Along with the outcome, a trace of the evaluation is returned so a result
+ * can be explained later: every group checked until the match, and for each
+ * rule the value it was resolved to, the comparison made and the running
+ * AND/OR result after it. Groups after the matching one are not evaluated
+ * and do not appear in the trace.
+ *
  * @param {Array<Object>} criteriaGroups - The criteria array (from test/subject/block)
  * @param {Number} actualValue - The numeric value to evaluate (e.g., average_mark)
  * @param {Object} meta - Additional metadata for error context (e.g., test_id)
  *
- * @returns {String} - expected_outcome of the first matching group (e.g., "PASS", "FAIL")
+ * @returns {Object} - `{ outcome, explanation }`: expected_outcome of the first matching
+ * group (e.g., "PASS", "FAIL") and `{ outcome, matched_group_index, summary, groups }`
  *
  * @throws {CreateAppError} - If structure invalid or no group matches
  */
@@ -567,6 +670,8 @@ function EvaluateCriteriaGroups(criteriaGroups, actualValue, meta) {
   }
 
   let matchedOutcome = null;
+  let matchedGroupIndex = null;
+  const evaluatedGroups = [];
 
   criteriaGroups.forEach((group, groupIndex) => {
     if (matchedOutcome) return;
@@ -620,7 +725,17 @@ function EvaluateCriteriaGroups(criteriaGroups, actualValue, meta) {
         expected_outcome
       );
 
-      return { result, logical_operator, ruleIndex, type: rule.type };
+      return {
+        result,
+        logical_operator,
+        ruleIndex,
+        type: rule.type,
+        subject_id: rule.subject_id,
+        test_id: rule.test_id,
+        actual_value: valueToCheck,
+        operator,
+        threshold: value,
+      };
     });
 
     if (evaluatedRules.length > 1) {
@@ -630,7 +745,10 @@ function EvaluateCriteriaGroups(criteriaGroups, actualValue, meta) {
     }
 
     const groupPass = evaluatedRules.reduce((oldResult, current, index) => {
-      if (index === 0) return current.result;
+      if (index === 0) {
+        current.combined_result = current.result;
+        return current.result;
+      }
 
       const logic = current.logical_operator;
       if (!logic) {
@@ -644,18 +762,42 @@ function EvaluateCriteriaGroups(criteriaGroups, actualValue, meta) {
         );
       }
 
-      if (logic === "AND") return oldResult && current.result;
-      if (logic === "OR") return oldResult || current.result;
+      if (logic !== "AND" && logic !== "OR") {
+        throw CreateAppError("Invalid logical operator", "INVALID_LOGIC", {
+          groupIndex,
+          ruleIndex: current.ruleIndex,
+          logical_operator: logic,
+        });
+      }
 
-      throw CreateAppError("Invalid logical operator", "INVALID_LOGIC", {
-        groupIndex,
-        ruleIndex: current.ruleIndex,
-        logical_operator: logic,
-      });
+      current.combined_result =
+        logic === "AND"
+          ? oldResult && current.result
+          : oldResult || current.result;
+      return current.combined_result;
     }, false);
 
+    evaluatedGroups.push({
+      group_index: groupIndex,
+      expected_outcome,
+      matched: groupPass === true,
+      rules: evaluatedRules.map((evaluatedRule) => ({
+        rule_index: evaluatedRule.ruleIndex,
+        type: evaluatedRule.type || null,
+        subject_id: evaluatedRule.subject_id || null,
+        test_id: evaluatedRule.test_id || null,
+        logical_operator: evaluatedRule.logical_operator || null,
+        actual_value: evaluatedRule.actual_value,
+        operator: evaluatedRule.operator,
+        threshold: evaluatedRule.threshold,
+        result: evaluatedRule.result,
+        combined_result: evaluatedRule.combined_result,
+      })),
+    });
+
     if (groupPass === true) {
       matchedOutcome = expected_outcome;
+      matchedGroupIndex = groupIndex;
     }
   });
   if (!matchedOutcome) {
@@ -666,7 +808,49 @@ function EvaluateCriteriaGroups(criteriaGroups, actualValue, meta) {
     );
   }
 
-  return matchedOutcome;
+  const matchedGroup = evaluatedGroups[evaluatedGroups.length - 1];
+  const criteriaEvaluation = {
+    outcome: matchedOutcome,
+    explanation: {
+      outcome: matchedOutcome,
+      matched_group_index: matchedGroupIndex,
+      summary: SummarizeCriteriaGroup(matchedGroup),
+      groups: evaluatedGroups,
+    },
+  };
+  return criteriaEvaluation;
+}
+
+// *************** How rule operators read in explanation summaries
+const RULE_OPERATOR_SYMBOLS = {
+  GT: ">",
+  GTE: ">=",
+  LT: "<",
+  LTE: "<=",
+  EQ: "=",
+};
+
+/**
+ * Describe the evaluation of a criteria group in one line, e.g.
+ * `FAIL (group 2): AVERAGE 8 < 10 [true] AND TEST_SCORE 12 >= 10 [true]`.
+ * Test rules have no type and read as `MARK`.
+ *
+ * @param {Object} evaluatedGroup - Group of an evaluation trace.
+ * @returns {string} Readable summary, used in the transcript PDF.
+ */
+function SummarizeCriteriaGroup(evaluatedGroup) {
+  const ruleSummaries = evaluatedGroup.rules.map((rule) => {
+    const comparison = `${rule.type || "MARK"} ${rule.actual_value} ${
+      RULE_OPERATOR_SYMBOLS[rule.operator]
+    } ${rule.threshold} [${rule.result}]`;
+    return rule.logical_operator
+      ? `${rule.logical_operator} ${comparison}`
+      : comparison;
+  });
+
+  return `${evaluatedGroup.expected_outcome} (group ${
+    evaluatedGroup.group_index + 1
+  }): ${ruleSummaries.join(" ")}`;
 }
 
 /**
@@ -707,50 +891,302 @@ function CheckForMixedResultsOrTypes(results, context) {
 }
 
 /**
- * Persist the final transcript calculation result for a student.
+ * Snapshot what a calculation run reads, so a version can be explained later
+ * even after marks, weights or criteria have been edited.
  *
- * @param {string} student_id - The ID of the student.
- * @param {Array<Object>} blockResults - The final evaluated block results.
- * @returns {Promise<void>} Resolves when the document is saved.
+ * @param {Array<Object>} studentTestResults - Validated student test results,
+ * populated down to test, subject and block.
+ * @returns {Object} `{ student_test_results, tests, subjects, blocks }`
  */
+function BuildCalculationInputs(studentTestResults) {
+  const tests = new Map();
+  const subjects = new Map();
+  const blocks = new Map();
 
-async function CreateCalculationResult(student_id, blockResults) {
-  const allBlockPass = blockResults.every(
-    (block) => block.block_result === RESULT_PASS
-  );
+  for (const studentTestResult of studentTestResults) {
+    const test = studentTestResult.test_id;
+    const subject = test.subject_id;
+    const block = subject?.block_id;
 
-  const createCalculationResultPayload = {
-    student_id,
-    overall_result: allBlockPass ? RESULT_PASS : RESULT_FAIL,
-    results: blockResults,
-    calculation_result_status: CALCULATION_STATUS,
-    created_at: new Date(),
+    tests.set(String(test._id), {
+      test_id: test._id,
+      subject_id: subject?._id || null,
+      weight: test.weight,
+      criteria: test.criteria,
+    });
+    if (subject?._id) {
+      subjects.set(String(subject._id), {
+        subject_id: subject._id,
+        block_id: block?._id || null,
+        coefficient: subject.coefficient,
+        criteria: subject.criteria,
+      });
+    }
+    if (block?._id) {
+      blocks.set(String(block._id), {
+        block_id: block._id,
+        criteria: block.criteria,
+      });
+    }
+  }
+
+  const calculationInputs = {
+    student_test_results: studentTestResults.map((studentTestResult) => ({
+      student_test_result_id: studentTestResult._id,
+      test_id: studentTestResult.test_id._id,
+      average_mark: studentTestResult.average_mark,
+      marks: studentTestResult.marks,
+      mark_validated_date: studentTestResult.mark_validated_date,
+    })),
+    tests: [...tests.values()],
+    subjects: [...subjects.values()],
+    blocks: [...blocks.values()],
   };
+  return calculationInputs;
+}
+
+/**
+ * Persist the final transcript calculation result for a student as a new version.
+ *
+ * Previous versions are kept untouched apart from being ARCHIVED and no longer
+ * current, so the history of a student's result can be read back and compared.
+ * When two runs race, the highest version wins and stays current.
+ *
+ * @param {string} student_id - The ID of the student.
+ * @param {Array<Object>} blockResults - The final evaluated block results.
+ * @param {Object} run - Calculation run details.
+ * @param {ObjectId|null} run.student_test_result_id - Student test result that triggered the run.
+ * @param {Object} run.inputs - Snapshot of the calculation inputs.
+ * @returns {Promise<Object>} The stored version.
+ */
 
-  const updateCalculationResultStudent = await CalculationResult.updateOne(
+async function CreateCalculationResult(student_id, blockResults, run) {
+  let calculationResult = null;
+  for (let attempt = 0; !calculationResult; attempt += 1) {
+    // *************** Legacy results were stored without a version and count as version 1
+    const latest = await CalculationResult.findOne({ student_id }, { version: 1 })
+      .sort({ version: -1 })
+      .lean();
+    const version = (latest ? latest.version ?? 1 : 0) + 1;
+
+    try {
+      calculationResult = await CalculationResult.create({
+        student_id,
+        overall_result: GetOverallResult(blockResults),
+        results: blockResults,
+        calculation_result_status: CALCULATION_STATUS,
+        version,
+        is_current: true,
+        trigger_student_test_result_id: run.student_test_result_id,
+        inputs: run.inputs,
+      });
+    } catch (error) {
+      // *************** Another run took this version number, read the latest again
+      if (error.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+
+  await CalculationResult.updateMany(
     {
       student_id,
+      _id: { $ne: calculationResult._id },
+      is_current: { $ne: false },
       calculation_result_status: { $ne: STATUS_DELETED },
+      $or: [
+        { version: { $lt: calculationResult.version } },
+        { version: { $exists: false } },
+      ],
     },
     {
-      $set: createCalculationResultPayload,
-    },
-    { upsert: true }
+      $set: {
+        is_current: false,
+        calculation_result_status: CALCULATION_RESULT_ARCHIVED,
+      },
+    }
   );
-  if (updateCalculationResultStudent.modifiedCount === 0) {
-    throw CreateAppError(
-      "Calculation Result not created or updated",
-      "NOT_FOUND",
+
+  const isSuperseded = await CalculationResult.exists({
+    student_id,
+    version: { $gt: calculationResult.version },
+  });
+  if (isSuperseded) {
+    await CalculationResult.updateOne(
+      { _id: calculationResult._id },
       {
-        student_id,
+        $set: {
+          is_current: false,
+          calculation_result_status: CALCULATION_RESULT_ARCHIVED,
+        },
       }
     );
   }
 
+  const createCalculationResultPayload = calculationResult.toObject();
   TranscriptLogFile(student_id, createCalculationResultPayload);
   return createCalculationResultPayload;
 }
 
+/**
+ * Serialize a calculation input for comparison, ignoring the `_id` Mongoose
+ * gives to criteria sub documents every time they are rewritten.
+ *
+ * @param {*} value - Field value.
+ * @returns {string} Comparable representation.
+ */
+function SerializeCalculationInput(value) {
+  return JSON.stringify(value ?? null, (key, nested) =>
+    key === "_id" ? undefined : nested
+  );
+}
+
+/**
+ * Flag the current calculation results calculated with a block, subject or
+ * test whose calculation inputs (criteria, weight, coefficient, parent)
+ * differ between `before` and `after`. Stale results stay in force until
+ * they are recalculated, see `RecalculateTranscripts`.
+ *
+ * @param {string} entity_type - BLOCK, SUBJECT or TEST.
+ * @param {Object} before - Document before the update.
+ * @param {Object} after - Document after the update.
+ * @returns {Promise<number>} Number of results newly flagged as stale.
+ */
+async function MarkStaleCalculationResults(entity_type, before, after) {
+  const { path, fields, label } = CALCULATION_INPUT_SOURCES[entity_type];
+  const changedFields = fields.filter(
+    (field) =>
+      SerializeCalculationInput(before?.[field]) !==
+      SerializeCalculationInput(after?.[field])
+  );
+  if (!before || !after || changedFields.length === 0) return 0;
+
+  const query = {
+    [path]: after._id,
+    is_current: { $ne: false },
+    calculation_result_status: { $ne: STATUS_DELETED },
+  };
+  const staleReasons = changedFields.map(
+    (field) => `${label} ${field.replace(/_id$/, "")} changed`
+  );
+
+  const flagged = await CalculationResult.updateMany(
+    { ...query, is_stale: { $ne: true } },
+    { $set: { is_stale: true, stale_since: new Date() } }
+  );
+  await CalculationResult.updateMany(query, {
+    $addToSet: { stale_reasons: { $each: staleReasons } },
+  });
+
+  return flagged.modifiedCount;
+}
+
+/**
+ * Compare the fields of two result entries and record every value that differs.
+ *
+ * @param {Object[]} changes - Change list to append to.
+ * @param {Object} location - `level` plus the block, subject and test IDs of the entry.
+ * @param {Object|null} before - Entry in the older version, null when added.
+ * @param {Object|null} after - Entry in the newer version, null when removed.
+ * @param {string[]} fields - Fields compared.
+ */
+function PushResultChanges(changes, location, before, after, fields) {
+  for (const field of fields) {
+    const beforeValue = before ? before[field] ?? null : null;
+    const afterValue = after ? after[field] ?? null : null;
+    if (before && after && beforeValue === afterValue) continue;
+
+    changes.push({
+      block_id: null,
+      subject_id: null,
+      test_id: null,
+      ...location,
+      change_type: !before ? "ADDED" : !after ? "REMOVED" : "CHANGED",
+      field,
+      before: beforeValue,
+      after: afterValue,
+    });
+  }
+}
+
+/**
+ * Index result entries by one of their ID fields.
+ *
+ * @param {Object[]} entries - Block, subject or test results.
+ * @param {string} idField - ID field of the entries.
+ * @returns {Map<string, Object>} Entries by ID.
+ */
+function IndexResults(entries, idField) {
+  return new Map((entries || []).map((entry) => [String(entry[idField]), entry]));
+}
+
+/**
+ * List the values that changed between two calculation results of a student,
+ * walking the blocks, their subjects and their tests.
+ *
+ * An entry only present in one version is reported once per compared field,
+ * as ADDED or REMOVED.
+ *
+ * @param {Object|null} before - Older calculation result, null when there is none.
+ * @param {Object} after - Newer calculation result.
+ * @returns {Object[]} Changes `{ level, change_type, block_id, subject_id, test_id, field, before, after }`.
+ */
+function CompareCalculationResults(before, after) {
+  const changes = [];
+
+  PushResultChanges(changes, { level: "OVERALL" }, before, after, [
+    "overall_result",
+  ]);
+
+  const beforeBlocks = IndexResults(before?.results, "block_id");
+  const afterBlocks = IndexResults(after.results, "block_id");
+  for (const blockId of new Set([...beforeBlocks.keys(), ...afterBlocks.keys()])) {
+    const beforeBlock = beforeBlocks.get(blockId) || null;
+    const afterBlock = afterBlocks.get(blockId) || null;
+    PushResultChanges(
+      changes,
+      { level: "BLOCK", block_id: blockId },
+      beforeBlock,
+      afterBlock,
+      ["block_result", "total_mark"]
+    );
+
+    const beforeSubjects = IndexResults(beforeBlock?.subject_results, "subject_id");
+    const afterSubjects = IndexResults(afterBlock?.subject_results, "subject_id");
+    for (const subjectId of new Set([
+      ...beforeSubjects.keys(),
+      ...afterSubjects.keys(),
+    ])) {
+      const beforeSubject = beforeSubjects.get(subjectId) || null;
+      const afterSubject = afterSubjects.get(subjectId) || null;
+      PushResultChanges(
+        changes,
+        { level: "SUBJECT", block_id: blockId, subject_id: subjectId },
+        beforeSubject,
+        afterSubject,
+        ["subject_result", "total_mark"]
+      );
+
+      const beforeTests = IndexResults(beforeSubject?.test_results, "test_id");
+      const afterTests = IndexResults(afterSubject?.test_results, "test_id");
+      for (const testId of new Set([...beforeTests.keys(), ...afterTests.keys()])) {
+        PushResultChanges(
+          changes,
+          {
+            level: "TEST",
+            block_id: blockId,
+            subject_id: subjectId,
+            test_id: testId,
+          },
+          beforeTests.get(testId) || null,
+          afterTests.get(testId) || null,
+          ["test_result", "average_mark", "weighted_mark"]
+        );
+      }
+    }
+  }
+
+  return changes;
+}
+
 /**
  * Writes the transcript result to a JSON log file for debugging or auditing purposes.
  *
@@ -854,7 +1290,13 @@ async function GeneratePDF(calculationResultData) {
 
 // *************** EXPORT MODULE **************
 module.exports = {
+  CALCULATION_RESULT_QUERY_SPEC,
+  CALCULATION_INPUT_SOURCES,
+  CALCULATION_TEST_POPULATE,
   RunTranscriptCore,
+  CalculateTranscript,
+  CompareCalculationResults,
+  MarkStaleCalculationResults,
   WriteWorkerLog,
   GeneratePDF,
 };
@@ -3,6 +3,7 @@ const mongoose = require("mongoose");
 const { Schema } = mongoose;
 
 // *************** IMPORT UTILITIES ***************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
 const {
   EXPECTED_OUTCOME_ENUM,
   CALCULATION_RESULT,
@@ -83,10 +84,31 @@ const CalculationResultSchema = new Schema(
                   type: Number,
                   required: true,
                 },
+
+                // Trace of the test criteria evaluation: groups checked, the
+                // mark compared in each rule and how the rules combined
+                explanation: {
+                  type: Schema.Types.Mixed,
+                  default: null,
+                },
               },
             ],
+
+            // Trace of the subject criteria evaluation, with the subject
+            // average or test score each rule was resolved to
+            explanation: {
+              type: Schema.Types.Mixed,
+              default: null,
+            },
           },
         ],
+
+        // Trace of the block criteria evaluation; null for results
+        // calculated before traces were recorded
+        explanation: {
+          type: Schema.Types.Mixed,
+          default: null,
+        },
       },
     ],
 
@@ -97,23 +119,73 @@ const CalculationResultSchema = new Schema(
       default: CALCULATION_RESULT.DEFAULT_STATUS,
     },
 
+    // Calculation run number of the student, starting at 1; versions are never rewritten
+    version: {
+      type: Number,
+      default: 1,
+    },
+
+    // Whether this version is the student's result in force; older versions are ARCHIVED
+    is_current: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Student test result whose validation triggered this calculation run
+    trigger_student_test_result_id: {
+      type: Schema.Types.ObjectId,
+      ref: "StudentTestResult",
+      default: null,
+    },
+
+    // Snapshot of what the calculation read: validated marks, test weights,
+    // subject coefficients and the criteria of tests, subjects and blocks
+    inputs: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+
+    // Whether a block, subject or test this result was calculated with changed since
+    is_stale: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Timestamp of the first change that made this result stale
+    stale_since: {
+      type: Date,
+      default: null,
+    },
+
+    // What changed since the calculation (e.g. "Test weight changed")
+    stale_reasons: {
+      type: [String],
+      default: [],
+    },
+
+    // User who created this record
     created_by: {
       type: Schema.Types.ObjectId,
       ref: "User",
+      default: null,
     },
 
+    // User who last updated this record
     updated_by: {
       type: Schema.Types.ObjectId,
       ref: "User",
+      default: null,
     },
 
     deleted_at: {
       type: Date,
     },
 
+    // User who soft-deleted this record
     deleted_by: {
       type: Schema.Types.ObjectId,
       ref: "User",
+      default: null,
     },
   },
   {
@@ -124,5 +196,13 @@ const CalculationResultSchema = new Schema(
   }
 );
 
+// *************** One version number per student; legacy results have none
+CalculationResultSchema.index(
+  { student_id: 1, version: 1 },
+  { unique: true, partialFilterExpression: { version: { $exists: true } } }
+);
+
+CalculationResultSchema.plugin(ActorStampPlugin);
+
 // *************** EXPORT MODULE ***************
 module.exports = mongoose.model("CalculationResult", CalculationResultSchema);
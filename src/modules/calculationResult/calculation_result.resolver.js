@@ -6,10 +6,80 @@ const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
 
 // *************** IMPORT CORE ***************
 const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
+const { BASE_URL } = require("../../core/config.js");
 
 // *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
 const { CALCULATION_RESULT } = require("../../shared/utils/enum.js");
-const { CheckRoleAccess } = require("../../shared/utils/check_role_access.js");
+const {
+  PaginateFindConnection,
+  BuildListSort,
+} = require("../../shared/utils/pagination.js");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter.js");
+const {
+  GetOwnStudentId,
+  GetStudentScopeQuery,
+  CheckStudentAccess,
+} = require("../../shared/utils/tenant_scope.js");
+const { SignDownloadToken } = require("../../shared/utils/download_token.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  CALCULATION_RESULT_QUERY_SPEC,
+  CompareCalculationResults,
+} = require("./calculation_result.helper.js");
+
+/**
+ * Build the find query of a calculation result list from its filter and where inputs.
+ *
+ * @param {Object} [filter] - Optional filter object (`student_id`, `calculation_result_status`).
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @param {Object} context - GraphQL context, results are restricted to the caller's students.
+ * @returns {Promise<Object>} Query condition.
+ * @throws {AppError} If `student_id`, `calculation_result_status` or the where input is invalid.
+ */
+async function BuildCalculationResultListQuery(filter = {}, where, context) {
+  const query = { is_current: { $ne: false } };
+
+  if (filter.student_id) {
+    const studentId = await ValidateMongoId(filter.student_id, "filter.student_id");
+    query.student_id = studentId;
+  }
+
+  // *************** Students only ever see their own record
+  const ownStudentId = GetOwnStudentId(context);
+  if (ownStudentId) {
+    query.student_id = ownStudentId;
+  }
+
+  if (filter.calculation_result_status) {
+    const status = filter.calculation_result_status;
+
+    if (!CALCULATION_RESULT.VALID_STATUS.includes(status)) {
+      throw CreateAppError(
+        "Invalid calculation_result_status filter value",
+        "BAD_REQUEST",
+        { calculation_result_status: status }
+      );
+    }
+
+    query.calculation_result_status = status;
+  }
+
+  // *************** Restrict to students of the caller's schools
+  const studentScopeQuery = await GetStudentScopeQuery(context);
+  if (Object.keys(studentScopeQuery).length > 0) {
+    query.$and = [studentScopeQuery];
+  }
+
+  // *************** Where input, on top of the filter
+  const whereQuery = CompileWhere(where, CALCULATION_RESULT_QUERY_SPEC);
+  if (whereQuery) {
+    query.$and = [...(query.$and || []), whereQuery];
+  }
+
+  return query;
+}
 
 // *************** QUERY ***************
 
@@ -21,53 +91,317 @@ const { CheckRoleAccess } = require("../../shared/utils/check_role_access.js");
  * - `calculation_result_status`: Must match one of the allowed enum values in `CALCULATION_RESULT.VALID_STATUS`.
  *
  * If no filter is provided, it returns all existing calculation results that match the query.
+ * Only the current version of each student's result is listed; past versions are
+ * read with `GetCalculationResultHistory`.
+ * Results are always restricted to students of the caller's schools, and a
+ * STUDENT caller only ever gets their own record whatever `student_id` is requested.
  *
  * @param {Object} _ - GraphQL root resolver object (unused).
  * @param {Object} args - Arguments object from GraphQL.
  * @param {Object} args.filter - Optional filter input.
  * @param {string} [args.filter.student_id] - Optional student ID to filter results.
  * @param {string} [args.filter.calculation_result_status] - Optional calculation result status.
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  *
- * @returns {Promise<Array<Object>>} List of calculation result documents that match the query.
+ * @returns {Promise<Object[]>} Calculation result documents that match the query.
  *
  * @throws {AppError} Throws a `BAD_REQUEST` error if `student_id` is invalid or `calculation_result_status` is not among allowed values.
  * @throws {AppError} Throws a generic error if fetching data from the database fails.
  */
 
-async function CalculationResults(_, { filter = {} }, context) {
+async function CalculationResults(
+  _,
+  { filter = {}, where, sort },
+  context
+) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR", "STUDENT"]);
-    const query = {};
+    const query = await BuildCalculationResultListQuery(filter, where, context);
+
+    const results = await CalculationResult.find(query).sort(
+      BuildListSort(CompileSort(sort, CALCULATION_RESULT_QUERY_SPEC))
+    );
+    return results;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to get calculation results");
+  }
+}
 
-    if (filter.student_id) {
-      const studentId = await ValidateMongoId(filter.student_id, "filter.student_id");
-      query.student_id = studentId;
+/**
+ * Get one page of calculation results as a connection, read with cursors.
+ *
+ * Takes the same arguments as `CalculationResults`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter object (`student_id`, `calculation_result_status`).
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function CalculationResultsConnection(
+  _,
+  { filter = {}, where, sort, pagination },
+  context
+) {
+  try {
+    const query = await BuildCalculationResultListQuery(filter, where, context);
+
+    const calculationResultConnection = await PaginateFindConnection(
+      CalculationResult,
+      query,
+      pagination,
+      CompileSort(sort, CALCULATION_RESULT_QUERY_SPEC)
+    );
+    return calculationResultConnection;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to get calculation results");
+  }
+}
+
+/**
+ * Mint a short-lived signed URL to download a student's transcript PDF.
+ *
+ * The URL can be opened without an Authorization header (e.g. in a browser tab)
+ * and stays valid for a few minutes, only for this student's transcript and only
+ * while the caller's session is active. A STUDENT caller always gets the URL of
+ * their own transcript.
+ *
+ * @param {Object} _ - GraphQL root resolver object (unused).
+ * @param {Object} args - Arguments object from GraphQL.
+ * @param {string} args.student_id - Student whose transcript is requested.
+ * @param {boolean} [args.explain] - Whether the PDF explains each result with the rules it was evaluated against.
+ * @param {Object} context - GraphQL context containing the authenticated user and session.
+ *
+ * @returns {Promise<Object>} The download URL and its expiry date.
+ *
+ * @throws {AppError} Throws a `FORBIDDEN` error if the student is outside the caller's scope.
+ */
+async function GetTranscriptDownloadUrl(_, { student_id, explain }, context) {
+  try {
+    let studentId = await ValidateMongoId(student_id, "student_id");
+
+    const ownStudentId = GetOwnStudentId(context);
+    if (ownStudentId) {
+      studentId = String(ownStudentId);
+    }
+    await CheckStudentAccess(context, studentId);
+
+    if (!context.session) {
+      throw CreateAppError("User not authenticated", "UNAUTHORIZED");
     }
 
-    if (filter.calculation_result_status) {
-      const status = filter.calculation_result_status;
+    const resource = `/transcript/${studentId}`;
+    const { token, expiresAt } = SignDownloadToken({
+      user_id: context.user._id,
+      session_id: context.session._id,
+      resource,
+    });
 
-      if (!CALCULATION_RESULT.VALID_STATUS.includes(status)) {
-        throw CreateAppError(
-          "Invalid calculation_result_status filter value",
-          "BAD_REQUEST",
-          { calculation_result_status: status }
-        );
+    const transcriptDownloadUrlResponse = {
+      url: `${BASE_URL}${resource}?token=${encodeURIComponent(token)}${
+        explain ? "&explain=true" : ""
+      }`,
+      expires_at: expiresAt,
+    };
+    return transcriptDownloadUrlResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to create transcript download URL");
+  }
+}
+
+/**
+ * List every version of a student's calculation result, newest first.
+ * A STUDENT caller always gets their own history.
+ *
+ * @param {Object} _ - GraphQL root resolver object (unused).
+ * @param {Object} args - Arguments object from GraphQL.
+ * @param {string} args.student_id - Student whose versions are listed.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ *
+ * @returns {Promise<Object[]>} The calculation result versions.
+ *
+ * @throws {AppError} Throws a `FORBIDDEN` error if the student is outside the caller's scope.
+ */
+async function GetCalculationResultHistory(_, { student_id }, context) {
+  try {
+    let studentId = await ValidateMongoId(student_id, "student_id");
+
+    const ownStudentId = GetOwnStudentId(context);
+    if (ownStudentId) {
+      studentId = String(ownStudentId);
+    }
+    await CheckStudentAccess(context, studentId);
+
+    const calculationResultHistoryResponse = await CalculationResult.find({
+      student_id: studentId,
+      calculation_result_status: { $ne: "DELETED" },
+    })
+      .sort({ version: -1, created_at: -1 })
+      .lean();
+    return calculationResultHistoryResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to get calculation result history");
+  }
+}
+
+/**
+ * Show which test, subject and block values changed between two versions of
+ * the same student's calculation result. The versions can be given in any
+ * order; the older one is always compared against the newer one.
+ *
+ * @param {Object} _ - GraphQL root resolver object (unused).
+ * @param {Object} args - Arguments object from GraphQL.
+ * @param {string} args.a - ID of a calculation result.
+ * @param {string} args.b - ID of another calculation result of the same student.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ *
+ * @returns {Promise<Object>} Both versions and the list of changes.
+ *
+ * @throws {AppError} Throws a `NOT_FOUND` error if a version does not exist or is outside the caller's scope.
+ * @throws {AppError} Throws a `BAD_REQUEST` error if the versions belong to different students.
+ */
+async function DiffCalculationResults(_, { a, b }, context) {
+  try {
+    const firstId = await ValidateMongoId(a, "a");
+    const secondId = await ValidateMongoId(b, "b");
+
+    const calculationResults = await CalculationResult.find({
+      _id: { $in: [firstId, secondId] },
+      calculation_result_status: { $ne: "DELETED" },
+    }).lean();
+    const first = calculationResults.find(
+      (calculationResult) => String(calculationResult._id) === String(firstId)
+    );
+    const second = calculationResults.find(
+      (calculationResult) => String(calculationResult._id) === String(secondId)
+    );
+
+    // *************** A student may only compare their own versions
+    const ownStudentId = GetOwnStudentId(context);
+    for (const [calculationResult, argument, id] of [
+      [first, "a", a],
+      [second, "b", b],
+    ]) {
+      if (
+        !calculationResult ||
+        (ownStudentId &&
+          String(calculationResult.student_id) !== String(ownStudentId))
+      ) {
+        throw CreateAppError("Calculation result not found", "NOT_FOUND", {
+          [argument]: id,
+        });
       }
+    }
 
-      query.calculation_result_status = status;
+    if (String(first.student_id) !== String(second.student_id)) {
+      throw CreateAppError(
+        "Calculation results belong to different students",
+        "BAD_REQUEST",
+        { a, b }
+      );
     }
+    await CheckStudentAccess(context, first.student_id);
 
-    const results = await CalculationResult.find(query);
-    return results;
+    const [before, after] =
+      (first.version ?? 1) <= (second.version ?? 1)
+        ? [first, second]
+        : [second, first];
+
+    const changes = CompareCalculationResults(before, after);
+    const diffCalculationResultsResponse = {
+      student_id: first.student_id,
+      before,
+      after,
+      change_count: changes.length,
+      changes,
+    };
+    return diffCalculationResultsResponse;
   } catch (error) {
-    throw HandleCaughtError(error, "Failed to get calculation results");
+    throw HandleCaughtError(error, "Failed to compare calculation results");
   }
 }
 
+// *************** FIELD RESOLVER ***************
+/**
+ * Version of a calculation result; results stored before versioning are version 1.
+ *
+ * @param {Object} calculationResult - Parent CalculationResult object.
+ * @returns {number} The version number.
+ */
+function version(calculationResult) {
+  return calculationResult.version ?? 1;
+}
+
+/**
+ * Whether a calculation result is the student's current one; results stored
+ * before versioning are current unless archived.
+ *
+ * @param {Object} calculationResult - Parent CalculationResult object.
+ * @returns {boolean} True for the current version.
+ */
+function is_current(calculationResult) {
+  return calculationResult.is_current ?? true;
+}
+
+/**
+ * Whether a block, subject or test used by a calculation result changed since
+ * it was calculated.
+ *
+ * @param {Object} calculationResult - Parent CalculationResult object.
+ * @returns {boolean} True when the result needs a recalculation.
+ */
+function is_stale(calculationResult) {
+  return calculationResult.is_stale ?? false;
+}
+
+/**
+ * What changed since a calculation result was calculated.
+ *
+ * @param {Object} calculationResult - Parent CalculationResult object.
+ * @returns {string[]} Stale reasons, empty for an up to date result.
+ */
+function stale_reasons(calculationResult) {
+  return calculationResult.stale_reasons ?? [];
+}
+
+// *************** LOADER ***************
+/**
+ * Resolve the student test result whose validation triggered a calculation run.
+ *
+ * @param {Object} calculationResult - Parent CalculationResult object.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object>|null} The student test result, or null for legacy results.
+ */
+function trigger_student_test_result(calculationResult, _, context) {
+  if (!calculationResult.trigger_student_test_result_id) return null;
+
+  const studentTestResultLoaderResponse = context.loaders.studentTestResult.load(
+    String(calculationResult.trigger_student_test_result_id)
+  );
+  return studentTestResultLoaderResponse;
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
   Query: {
     CalculationResults,
+    CalculationResultsConnection,
+    GetTranscriptDownloadUrl,
+    GetCalculationResultHistory,
+    DiffCalculationResults,
+  },
+  CalculationResult: {
+    ...ActorFieldResolvers(),
+    version,
+    is_current,
+    is_stale,
+    stale_reasons,
+    trigger_student_test_result,
   },
 };
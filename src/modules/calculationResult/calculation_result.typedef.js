@@ -13,11 +13,39 @@ module.exports = gql`
     DELETED
   }
 
+  type CriteriaRuleEvaluation {
+    rule_index: Int!
+    type: String
+    subject_id: ObjectId
+    test_id: ObjectId
+    logical_operator: LogicalOperator
+    actual_value: Float!
+    operator: RuleOperator!
+    threshold: Float!
+    result: Boolean!
+    combined_result: Boolean!
+  }
+
+  type CriteriaGroupEvaluation {
+    group_index: Int!
+    expected_outcome: ExpectedOutcome!
+    matched: Boolean!
+    rules: [CriteriaRuleEvaluation!]!
+  }
+
+  type CriteriaEvaluation {
+    outcome: ExpectedOutcome!
+    matched_group_index: Int!
+    summary: String!
+    groups: [CriteriaGroupEvaluation!]!
+  }
+
   type TestResult {
     test_id: ObjectId!
     test_result: ExpectedOutcome!
     average_mark: Float!
     weighted_mark: Float!
+    explanation: CriteriaEvaluation
   }
 
   type SubjectResult {
@@ -25,6 +53,7 @@ module.exports = gql`
     subject_result: ExpectedOutcome!
     total_mark: Float!
     test_results: [TestResult!]!
+    explanation: CriteriaEvaluation
   }
 
   type BlockResult {
@@ -32,27 +61,120 @@ module.exports = gql`
     block_result: ExpectedOutcome!
     total_mark: Float!
     subject_results: [SubjectResult!]!
+    explanation: CriteriaEvaluation
+  }
+
+  enum CalculationResultChangeLevel {
+    OVERALL
+    BLOCK
+    SUBJECT
+    TEST
+  }
+
+  enum CalculationResultChangeType {
+    ADDED
+    REMOVED
+    CHANGED
   }
 
   type CalculationResult {
+    _id: ObjectId!
     student_id: ObjectId!
     overall_result: ExpectedOutcome!
     results: [BlockResult!]!
     calculation_result_status: CalculationResultStatus!
+    version: Int!
+    is_current: Boolean!
+    trigger_student_test_result_id: ObjectId
+    trigger_student_test_result: StudentTestResult
+    inputs: JSON
+    is_stale: Boolean!
+    stale_since: Date
+    stale_reasons: [String!]!
     created_at: Date
     created_by: ObjectId
+    created_by_user: User
     updated_by: ObjectId
+    updated_by_user: User
     updated_at: Date
     deleted_by: ObjectId
+    deleted_by_user: User
     deleted_at: Date
   }
 
+  type CalculationResultEdge {
+    cursor: String!
+    node: CalculationResult!
+  }
+
+  type CalculationResultConnection {
+    edges: [CalculationResultEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
+  }
+
+  type CalculationResultChange {
+    level: CalculationResultChangeLevel!
+    change_type: CalculationResultChangeType!
+    block_id: ObjectId
+    subject_id: ObjectId
+    test_id: ObjectId
+    field: String!
+    before: JSON
+    after: JSON
+  }
+
+  type CalculationResultDiff {
+    student_id: ObjectId!
+    before: CalculationResult!
+    after: CalculationResult!
+    change_count: Int!
+    changes: [CalculationResultChange!]!
+  }
+
+  type TranscriptDownloadUrl {
+    url: String!
+    expires_at: Date!
+  }
+
   input FilterCalculationResult {
     student_id: ObjectId
     calculation_result_status: CalculationResultStatus
   }
 
+  input CalculationResultWhereInput {
+    and: [CalculationResultWhereInput!]
+    or: [CalculationResultWhereInput!]
+    not: CalculationResultWhereInput
+    student_id: IdFilter
+    overall_result: StringFilter
+    calculation_result_status: StringFilter
+    version: NumberFilter
+    is_stale: BooleanFilter
+    stale_since: DateFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
   type Query {
-    CalculationResults(filter: FilterCalculationResult): [CalculationResult!]!
+    CalculationResults(
+      filter: FilterCalculationResult
+      where: CalculationResultWhereInput
+      sort: [SortInput!]
+    ): [CalculationResult!]!
+      @requiresPermission(permission: "transcript:read")
+    CalculationResultsConnection(
+      filter: FilterCalculationResult
+      where: CalculationResultWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): CalculationResultConnection!
+      @requiresPermission(permission: "transcript:read")
+    GetTranscriptDownloadUrl(student_id: ID!, explain: Boolean): TranscriptDownloadUrl!
+      @requiresPermission(permission: "transcript:read")
+    GetCalculationResultHistory(student_id: ID!): [CalculationResult!]!
+      @requiresPermission(permission: "transcript:read")
+    DiffCalculationResults(a: ID!, b: ID!): CalculationResultDiff!
+      @requiresPermission(permission: "transcript:read")
   }
 `;
@@ -0,0 +1,70 @@
+// *************** IMPORT LIBRARY **************
+const fs = require("fs");
+
+// *************** IMPORT MODULE **************
+const ExportJob = require("./export_job.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError, SendErrorResponse } = require("../../core/error");
+
+// *************** IMPORT UTILITIES ***************
+const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id");
+const {
+  EXPORT_CONTENT_TYPES,
+  IsExportDownloadable,
+} = require("./export_job.helper");
+
+/**
+ * HandleExportDownload
+ *
+ * Streams the file of a completed export job to the user who requested it.
+ * Must be mounted behind `ExpressAuthMiddleware`, which sets `request.context`.
+ *
+ * @param {Object} request - Express request object
+ * @param {Object} response - Express response object
+ * @returns {Response} The export file as an attachment
+ */
+
+async function HandleExportDownload(request, response) {
+  try {
+    const exportJobId = await ValidateMongoId(
+      request.params.export_job_id,
+      "export_job_id"
+    );
+
+    const exportJob = await ExportJob.findOne({
+      _id: exportJobId,
+      user_id: request.context.user._id,
+    }).lean();
+    if (!exportJob) {
+      throw CreateAppError("Export job not found", "NOT_FOUND", {
+        export_job_id: exportJobId,
+      });
+    }
+
+    if (!IsExportDownloadable(exportJob) || !fs.existsSync(exportJob.file_path)) {
+      throw CreateAppError(
+        "Export file is not available",
+        "NOT_FOUND",
+        { export_job_id: exportJobId, export_status: exportJob.export_status }
+      );
+    }
+
+    response.setHeader("Content-Type", EXPORT_CONTENT_TYPES[exportJob.format]);
+    response.setHeader(
+      "Content-Disposition",
+      `attachment; filename=${exportJob.file_name}`
+    );
+    response.setHeader("Content-Length", exportJob.file_size);
+    response.status(200);
+
+    return fs.createReadStream(exportJob.file_path).pipe(response);
+  } catch (error) {
+    return SendErrorResponse(response, error);
+  }
+}
+
+// *************** EXPORT MODULE **************
+module.exports = {
+  HandleExportDownload,
+};
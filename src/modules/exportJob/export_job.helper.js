@@ -0,0 +1,512 @@
+// *************** IMPORT LIBRARY ***************
+const fs = require("fs");
+const path = require("path");
+const { Readable, PassThrough } = require("stream");
+const { pipeline } = require("stream/promises");
+const { Types } = require("mongoose");
+
+// *************** IMPORT MODULE ***************
+const ExportJob = require("./export_job.model");
+const User = require("../user/user.model");
+const Student = require("../student/student.model");
+const School = require("../school/school.model");
+const StudentTestResult = require("../studentTestResult/student_test_result.model");
+const CalculationResult = require("../calculationResult/calculation_result.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const { StudentQueryPipeline } = require("../student/student.helper");
+const { UserQueryPipeline } = require("../user/user.helper");
+const { SchoolQueryPipeline } = require("../school/school.helper");
+const {
+  STUDENT_TEST_RESULT_QUERY_SPEC,
+} = require("../studentTestResult/student_test_result.helper");
+const {
+  CALCULATION_RESULT_QUERY_SPEC,
+} = require("../calculationResult/calculation_result.helper");
+
+// *************** IMPORT UTILITIES ***************
+const { CheckPermission } = require("../../shared/utils/check_permission");
+const { BuildListSort } = require("../../shared/utils/pagination");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter");
+const { FormatCsvRow, CreateXlsxWriter } = require("../../shared/utils/spreadsheet");
+const {
+  GetSchoolScopeQuery,
+  GetStudentScopeQuery,
+  GetUserScopeQuery,
+} = require("../../shared/utils/tenant_scope");
+
+const EXPORT_DIR = path.resolve(__dirname, "../../exports");
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const EXPORT_CONTENT_TYPES = {
+  CSV: "text/csv; charset=utf-8",
+  XLSX: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  JSON: "application/json; charset=utf-8",
+};
+
+/**
+ * Build a find query for the targets that are listed without an aggregation.
+ *
+ * @param {Object} spec - Query spec of the entity.
+ * @param {Object|null} scopeQuery - Tenant scope condition.
+ * @param {Object} where - Where input.
+ * @param {Object[]} sort - Sort input(s).
+ * @returns {Object} `{ query, sort }`
+ */
+function BuildFindQuery(spec, scopeQuery, where, sort) {
+  const conditions = [scopeQuery, CompileWhere(where, spec)].filter(
+    (condition) => condition && Object.keys(condition).length > 0
+  );
+
+  return {
+    query: conditions.length > 0 ? { $and: conditions } : {},
+    sort: CompileSort(sort, spec),
+  };
+}
+
+// *************** What can be exported, the permission it needs, the columns
+// *************** a client may pick (column name -> document path) and how
+// *************** the list query is built. Columns are a whitelist so secrets
+// *************** such as password hashes never reach a file.
+const EXPORT_TARGETS = {
+  STUDENT: {
+    model: Student,
+    permission: "student:read",
+    columns: {
+      _id: "_id",
+      student_number: "student_number",
+      first_name: "first_name",
+      last_name: "last_name",
+      email: "email",
+      phone: "phone",
+      gender: "gender",
+      date_of_birth: "birth.date",
+      place_of_birth: "birth.place",
+      school_id: "school_id",
+      student_status: "student_status",
+      academic_status: "academic_status",
+      scholarship: "scholarship",
+      enrollment_date: "enrollment_date",
+      graduation_date: "graduation_date",
+      dropped_out_date: "dropped_out_date",
+      transferred_date: "transferred_date",
+      created_at: "created_at",
+      updated_at: "updated_at",
+    },
+    BuildQuery: async (context, where, sort) => {
+      const { pipeline, sort: studentSort } = await StudentQueryPipeline(
+        {},
+        where,
+        sort
+      );
+      const schoolScopeQuery = await GetSchoolScopeQuery(context);
+      if (Object.keys(schoolScopeQuery).length > 0) {
+        pipeline.unshift({ $match: schoolScopeQuery });
+      }
+      return { pipeline, sort: studentSort };
+    },
+  },
+
+  USER: {
+    model: User,
+    permission: "user:read",
+    columns: {
+      _id: "_id",
+      first_name: "first_name",
+      last_name: "last_name",
+      email: "email",
+      role: "role",
+      user_status: "user_status",
+      department: "department",
+      phone: "phone",
+      school_ids: "school_ids",
+      student_id: "student_id",
+      email_verified_at: "email_verified_at",
+      invited_at: "invited_at",
+      created_at: "created_at",
+      updated_at: "updated_at",
+    },
+    BuildQuery: async (context, where, sort) => {
+      const { pipeline, sort: userSort } = UserQueryPipeline({}, where, sort);
+      const userScopeQuery = await GetUserScopeQuery(context, "_id");
+      if (Object.keys(userScopeQuery).length > 0) {
+        pipeline.unshift({ $match: userScopeQuery });
+      }
+      return { pipeline, sort: userSort };
+    },
+  },
+
+  SCHOOL: {
+    model: School,
+    permission: "school:read",
+    columns: {
+      _id: "_id",
+      short_name: "short_name",
+      long_name: "long_name",
+      school_status: "school_status",
+      address_street_name: "address.street_name",
+      address_street_number: "address.street_number",
+      address_city: "address.city",
+      address_state: "address.state",
+      address_postal_code: "address.postal_code",
+      address_country: "address.country",
+      contact_phone: "contact.phone",
+      contact_email: "contact.email",
+      contact_website: "contact.website",
+      created_at: "created_at",
+      updated_at: "updated_at",
+    },
+    BuildQuery: async (context, where, sort) => {
+      const { pipeline, sort: schoolSort } = await SchoolQueryPipeline(
+        {},
+        where,
+        sort
+      );
+      const schoolScopeQuery = await GetSchoolScopeQuery(context, "_id");
+      if (Object.keys(schoolScopeQuery).length > 0) {
+        pipeline.unshift({ $match: schoolScopeQuery });
+      }
+      return { pipeline, sort: schoolSort };
+    },
+  },
+
+  STUDENT_TEST_RESULT: {
+    model: StudentTestResult,
+    permission: "marks:read",
+    columns: {
+      _id: "_id",
+      student_id: "student_id",
+      test_id: "test_id",
+      average_mark: "average_mark",
+      marks: "marks",
+      graded_by: "graded_by",
+      remarks: "remarks",
+      student_test_result_status: "student_test_result_status",
+      mark_entry_date: "mark_entry_date",
+      mark_validated_date: "mark_validated_date",
+      created_at: "created_at",
+      updated_at: "updated_at",
+    },
+    BuildQuery: async (context, where, sort) =>
+      BuildFindQuery(
+        STUDENT_TEST_RESULT_QUERY_SPEC,
+        await GetStudentScopeQuery(context),
+        where,
+        sort
+      ),
+  },
+
+  CALCULATION_RESULT: {
+    model: CalculationResult,
+    permission: "transcript:read",
+    columns: {
+      _id: "_id",
+      student_id: "student_id",
+      overall_result: "overall_result",
+      results: "results",
+      calculation_result_status: "calculation_result_status",
+      version: "version",
+      created_at: "created_at",
+      updated_at: "updated_at",
+    },
+    // *************** Current versions only, as listed by CalculationResults
+    BuildQuery: async (context, where, sort) =>
+      BuildFindQuery(
+        CALCULATION_RESULT_QUERY_SPEC,
+        {
+          $and: [
+            { is_current: { $ne: false } },
+            await GetStudentScopeQuery(context),
+          ],
+        },
+        where,
+        sort
+      ),
+  },
+};
+
+/**
+ * Check the caller may export an entity and build its list query, so an
+ * invalid filter or sort is reported before any job is created.
+ *
+ * @param {Object} context - Context with the user whose scope applies.
+ * @param {string} entity - Exported entity (see EXPORT_JOB.VALID_ENTITY).
+ * @param {Object} [where] - Where input of the entity list query.
+ * @param {Object[]} [sort] - Sort input(s).
+ * @returns {Promise<Object>} `{ pipeline, sort }` or `{ query, sort }`.
+ * @throws {AppError} FORBIDDEN without the entity read permission, or a filter error.
+ */
+async function BuildExportQuery(context, entity, where, sort) {
+  const target = EXPORT_TARGETS[entity];
+  CheckPermission(context, target.permission);
+
+  const exportQuery = await target.BuildQuery(context, where, sort);
+  return exportQuery;
+}
+
+/**
+ * Read a value at a dotted path of a plain document.
+ *
+ * @param {Object} document - Plain document.
+ * @param {string} fieldPath - Dotted path.
+ * @returns {*} The value, or null when missing.
+ */
+function GetPathValue(document, fieldPath) {
+  const value = fieldPath
+    .split(".")
+    .reduce((current, key) => (current == null ? undefined : current[key]), document);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Turn a value into a single spreadsheet cell.
+ *
+ * Dates become ISO strings and IDs their hex form, lists of plain values are
+ * joined with `;` and anything nested is written as JSON text.
+ *
+ * @param {*} value - Document value.
+ * @returns {string|number|boolean|null} Cell value.
+ */
+function ToCellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Types.ObjectId) return String(value);
+  if (Array.isArray(value)) {
+    const isFlat = value.every(
+      (item) =>
+        item === null ||
+        item instanceof Types.ObjectId ||
+        item instanceof Date ||
+        typeof item !== "object"
+    );
+    if (isFlat) return value.map(ToCellValue).join(";");
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Open a cursor over every record of an export, in list order.
+ *
+ * @param {Object} target - Export target.
+ * @param {Object} exportQuery - Query built by `BuildExportQuery`.
+ * @param {string[]} paths - Document paths to read.
+ * @returns {AsyncIterable<Object>} Plain documents.
+ */
+function OpenExportCursor(target, exportQuery, paths) {
+  const projection = Object.fromEntries(paths.map((fieldPath) => [fieldPath, 1]));
+  const sort = BuildListSort(exportQuery.sort);
+
+  if (exportQuery.pipeline) {
+    return target.model
+      .aggregate([...exportQuery.pipeline, { $sort: sort }, { $project: projection }])
+      .cursor();
+  }
+
+  return target.model.find(exportQuery.query, projection).sort(sort).lean().cursor();
+}
+
+/**
+ * Write the records of an export to a file.
+ *
+ * @param {Object} options - Write options.
+ * @param {string} options.format - CSV, XLSX or JSON.
+ * @param {string[]} options.fields - Column names, in order.
+ * @param {string[]} options.paths - Document path of each column.
+ * @param {AsyncIterable<Object>} options.cursor - Records to write.
+ * @param {string} options.filePath - Destination file.
+ * @returns {Promise<number>} Number of records written.
+ */
+async function WriteExportFile({ format, fields, paths, cursor, filePath }) {
+  let rowCount = 0;
+  const output = fs.createWriteStream(filePath);
+
+  if (format === "XLSX") {
+    const passThrough = new PassThrough();
+    const written = pipeline(passThrough, output);
+    // *************** A failed file is reported once, by the await below
+    written.catch(() => null);
+    try {
+      const xlsxWriter = CreateXlsxWriter(passThrough);
+      await xlsxWriter.WriteRow(fields);
+      for await (const document of cursor) {
+        await xlsxWriter.WriteRow(
+          paths.map((fieldPath) => ToCellValue(GetPathValue(document, fieldPath)))
+        );
+        rowCount += 1;
+      }
+      await xlsxWriter.Close();
+    } catch (error) {
+      passThrough.destroy(error);
+    }
+    await written;
+    return rowCount;
+  }
+
+  async function* GenerateChunks() {
+    if (format === "CSV") {
+      // *************** BOM so spreadsheet tools read the file as UTF-8
+      yield `\uFEFF${FormatCsvRow(fields)}`;
+      for await (const document of cursor) {
+        rowCount += 1;
+        yield FormatCsvRow(
+          paths.map((fieldPath) => ToCellValue(GetPathValue(document, fieldPath)))
+        );
+      }
+      return;
+    }
+
+    yield "[";
+    for await (const document of cursor) {
+      const record = Object.fromEntries(
+        fields.map((field, index) => [field, GetPathValue(document, paths[index])])
+      );
+      yield `${rowCount === 0 ? "\n" : ",\n"}${JSON.stringify(record)}`;
+      rowCount += 1;
+    }
+    yield "\n]\n";
+  }
+
+  await pipeline(Readable.from(GenerateChunks()), output);
+  return rowCount;
+}
+
+/**
+ * Remove a file, ignoring files that are already gone.
+ *
+ * @param {string|null} filePath - File to remove.
+ * @returns {Promise<void>}
+ */
+async function RemoveExportFile(filePath) {
+  if (!filePath) return;
+  await fs.promises.rm(filePath, { force: true });
+}
+
+/**
+ * Produce the file of a pending export job.
+ *
+ * The job runs with the scope and permissions its owner has now, not the ones
+ * held when it was requested, so revoked access also stops queued exports.
+ *
+ * @param {ObjectId|string} exportJobId - ID of the export job.
+ * @returns {Promise<Object|null>} The finished job, or null if it was not pending.
+ */
+async function RunExportJob(exportJobId) {
+  const exportJob = await ExportJob.findOneAndUpdate(
+    { _id: exportJobId, export_status: "PENDING" },
+    { $set: { export_status: "RUNNING", started_at: new Date() } },
+    { new: true }
+  ).lean();
+  if (!exportJob) return null;
+
+  const target = EXPORT_TARGETS[exportJob.entity];
+  const extension = exportJob.format.toLowerCase();
+  const filePath = path.join(EXPORT_DIR, `${exportJob._id}.${extension}`);
+
+  try {
+    const user = await User.findById(exportJob.user_id).lean();
+    if (!user || user.user_status === "DELETED") {
+      throw CreateAppError("User not found or inactive", "UNAUTHORIZED");
+    }
+    const context = { user };
+    CheckPermission(context, "data:export");
+
+    const exportQuery = await BuildExportQuery(
+      context,
+      exportJob.entity,
+      exportJob.filter,
+      exportJob.sort
+    );
+    const paths = exportJob.fields.map((field) => target.columns[field]);
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const rowCount = await WriteExportFile({
+      format: exportJob.format,
+      fields: exportJob.fields,
+      paths,
+      cursor: OpenExportCursor(target, exportQuery, paths),
+      filePath,
+    });
+    const { size } = await fs.promises.stat(filePath);
+
+    const completedAt = new Date();
+    const completedExportJob = await ExportJob.findByIdAndUpdate(
+      exportJob._id,
+      {
+        $set: {
+          export_status: "COMPLETED",
+          row_count: rowCount,
+          file_path: filePath,
+          file_size: size,
+          completed_at: completedAt,
+          expires_at: new Date(completedAt.getTime() + EXPORT_TTL_MS),
+        },
+      },
+      { new: true }
+    ).lean();
+    return completedExportJob;
+  } catch (error) {
+    await RemoveExportFile(filePath);
+    const failedExportJob = await ExportJob.findByIdAndUpdate(
+      exportJob._id,
+      {
+        $set: {
+          export_status: "FAILED",
+          error_message: error.message || "Export failed",
+          completed_at: new Date(),
+        },
+      },
+      { new: true }
+    ).lean();
+    return failedExportJob;
+  }
+}
+
+/**
+ * Delete the files of completed exports past their expiry date.
+ *
+ * @returns {Promise<number>} Number of jobs expired.
+ */
+async function PurgeExpiredExports() {
+  const expiredExportJobs = await ExportJob.find(
+    { export_status: "COMPLETED", expires_at: { $lte: new Date() } },
+    { file_path: 1 }
+  ).lean();
+
+  for (const expiredExportJob of expiredExportJobs) {
+    await RemoveExportFile(expiredExportJob.file_path);
+    await ExportJob.updateOne(
+      { _id: expiredExportJob._id, export_status: "COMPLETED" },
+      { $set: { export_status: "EXPIRED", file_path: null } }
+    );
+  }
+
+  return expiredExportJobs.length;
+}
+
+/**
+ * Check whether the file of an export job can still be downloaded.
+ *
+ * @param {Object} exportJob - Export job.
+ * @returns {boolean} True when the file is ready and not expired.
+ */
+function IsExportDownloadable(exportJob) {
+  return (
+    exportJob.export_status === "COMPLETED" &&
+    Boolean(exportJob.file_path) &&
+    (!exportJob.expires_at || new Date(exportJob.expires_at) > new Date())
+  );
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  EXPORT_TARGETS,
+  EXPORT_CONTENT_TYPES,
+  BuildExportQuery,
+  RunExportJob,
+  PurgeExpiredExports,
+  IsExportDownloadable,
+};
@@ -0,0 +1,128 @@
+// *************** IMPORT LIBRARY ***************
+const { Schema, model, Types } = require("mongoose");
+
+// ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
+const { EXPORT_JOB } = require("../../shared/utils/enum");
+
+const exportJobSchema = new Schema(
+  {
+    // Kind of records exported (STUDENT, USER, SCHOOL, STUDENT_TEST_RESULT, CALCULATION_RESULT)
+    entity: {
+      type: String,
+      enum: EXPORT_JOB.VALID_ENTITY,
+      required: true,
+    },
+
+    // File format (CSV, XLSX, JSON)
+    format: {
+      type: String,
+      enum: EXPORT_JOB.VALID_FORMAT,
+      required: true,
+    },
+
+    // Columns written to the file, in order
+    fields: {
+      type: [String],
+      default: [],
+    },
+
+    // Where input of the entity list query, as sent by the client
+    filter: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+
+    // Sort inputs of the entity list query
+    sort: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+
+    // User whose school scope restricts the exported records
+    user_id: {
+      type: Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Progress of the job (PENDING, RUNNING, COMPLETED, FAILED, EXPIRED)
+    export_status: {
+      type: String,
+      enum: EXPORT_JOB.VALID_STATUS,
+      default: EXPORT_JOB.DEFAULT_STATUS,
+    },
+
+    // Number of records written to the file
+    row_count: {
+      type: Number,
+      default: 0,
+    },
+
+    // Name the file is downloaded under
+    file_name: {
+      type: String,
+      default: null,
+    },
+
+    // Location of the file on the server, never exposed to clients
+    file_path: {
+      type: String,
+      default: null,
+    },
+
+    // Size of the file in bytes
+    file_size: {
+      type: Number,
+      default: null,
+    },
+
+    // Reason the job failed
+    error_message: {
+      type: String,
+      default: null,
+    },
+
+    // Timestamp when the worker picked up the job
+    started_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Timestamp when the file was fully written
+    completed_at: {
+      type: Date,
+      default: null,
+    },
+
+    // The file is deleted and can no longer be downloaded after this time
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+
+    // User who created this record
+    created_by: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // User who last updated this record
+    updated_by: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+exportJobSchema.index({ export_status: 1, expires_at: 1 });
+
+exportJobSchema.plugin(ActorStampPlugin);
+
+// *************** EXPORT MODULE ***************
+module.exports = model("ExportJob", exportJobSchema);
@@ -0,0 +1,166 @@
+// *************** IMPORT MODULE ***************
+const ExportJob = require("./export_job.model.js");
+
+// *************** IMPORT VALIDATOR ***************
+const { ValidateExportDataInput } = require("./export_job.validator.js");
+
+// *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
+const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const { SignDownloadToken } = require("../../shared/utils/download_token.js");
+
+// *************** IMPORT CORE ***************
+const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
+const { BASE_URL } = require("../../core/config.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  EXPORT_TARGETS,
+  BuildExportQuery,
+  IsExportDownloadable,
+} = require("./export_job.helper.js");
+const { RunExportWorker } = require("./export_job.worker.js");
+
+const { created_by_user } = ActorFieldResolvers();
+
+// *************** QUERY ***************
+/**
+ * Get the status of one of the caller's export jobs.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.id - Export job ID.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The export job.
+ * @throws {AppError} NOT_FOUND if it does not exist or belongs to someone else.
+ */
+async function GetExportJob(_, { id }, context) {
+  try {
+    const exportJobId = await ValidateMongoId(id);
+
+    const exportJob = await ExportJob.findOne({
+      _id: exportJobId,
+      user_id: context.user._id,
+    }).lean();
+    if (!exportJob) {
+      throw CreateAppError("Export job not found", "NOT_FOUND", { id });
+    }
+
+    return exportJob;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch export job");
+  }
+}
+
+// *************** MUTATION ***************
+/**
+ * Start exporting the filtered list of an entity to a file.
+ *
+ * The filter is the where input of the entity list query (e.g. the
+ * `StudentWhereInput` of `GetAllStudents`) and is checked before the job is
+ * queued. The file is written in the background with the caller's school
+ * scope; poll `GetExportJob` until it is COMPLETED, then use its `download` URL.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.entity - STUDENT, USER, SCHOOL, STUDENT_TEST_RESULT or CALCULATION_RESULT.
+ * @param {Object} [args.filter] - Where input of the entity list query.
+ * @param {string} args.format - CSV, XLSX or JSON.
+ * @param {string[]} [args.fields] - Columns to export; all columns when omitted.
+ * @param {Object[]} [args.sort] - Sort keys of the entity list query.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The pending export job.
+ * @throws {AppError} FORBIDDEN for service accounts or without read access to the entity.
+ */
+async function ExportData(_, { entity, filter, format, fields, sort }, context) {
+  try {
+    // *************** Files are handed out through session-bound download URLs
+    if (context.user.is_service_account) {
+      throw CreateAppError(
+        "Exports are only available to user accounts",
+        "FORBIDDEN"
+      );
+    }
+
+    const target = EXPORT_TARGETS[entity];
+    const exportFields = ValidateExportDataInput(
+      { entity, format, fields },
+      Object.keys(target?.columns || {})
+    );
+    await BuildExportQuery(context, entity, filter, sort);
+
+    const exportDate = new Date().toISOString().slice(0, 10);
+    const exportJob = await ExportJob.create({
+      entity,
+      format,
+      fields: exportFields,
+      filter: filter || null,
+      sort: sort || null,
+      user_id: context.user._id,
+      file_name: `${entity.toLowerCase()}s_${exportDate}.${format.toLowerCase()}`,
+    });
+
+    RunExportWorker(exportJob._id);
+
+    const exportDataResponse = exportJob.toObject();
+    return exportDataResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to start export");
+  }
+}
+
+// *************** FIELD RESOLVER ***************
+/**
+ * Mint a short-lived signed URL to download the file of a completed export.
+ *
+ * @param {Object} exportJob - Parent ExportJob object.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - GraphQL context containing the user and session.
+ * @returns {Object|null} `{ url, expires_at }`, or null while there is no file to download.
+ */
+function download(exportJob, _, context) {
+  if (!IsExportDownloadable(exportJob) || !context.session) return null;
+  if (String(exportJob.user_id) !== String(context.user?._id)) return null;
+
+  const resource = `/exports/${exportJob._id}`;
+  const { token, expiresAt } = SignDownloadToken({
+    user_id: context.user._id,
+    session_id: context.session._id,
+    resource,
+  });
+
+  const exportDownloadUrlResponse = {
+    url: `${BASE_URL}${resource}?token=${encodeURIComponent(token)}`,
+    expires_at: expiresAt,
+  };
+  return exportDownloadUrlResponse;
+}
+
+// *************** LOADER ***************
+/**
+ * Resolve the user whose scope the export was written with.
+ *
+ * @param {Object} exportJob - Parent ExportJob object.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object>} The user.
+ */
+function user(exportJob, _, context) {
+  const userLoaderResponse = context.loaders.user.load(String(exportJob.user_id));
+  return userLoaderResponse;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  Query: {
+    GetExportJob,
+  },
+  Mutation: {
+    ExportData,
+  },
+  ExportJob: {
+    created_by_user,
+    user,
+    download,
+  },
+};
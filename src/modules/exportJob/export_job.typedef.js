@@ -0,0 +1,75 @@
+// *************** IMPORT LIBRARY ***************
+
+const gql = require("graphql-tag");
+
+// *************** EXPORT MODULE ***************
+
+module.exports = gql`
+  enum ExportEntity {
+    STUDENT
+    USER
+    SCHOOL
+    STUDENT_TEST_RESULT
+    CALCULATION_RESULT
+  }
+
+  enum ExportFormat {
+    CSV
+    XLSX
+    JSON
+  }
+
+  enum ExportStatus {
+    PENDING
+    RUNNING
+    COMPLETED
+    FAILED
+    EXPIRED
+  }
+
+  type ExportDownloadUrl {
+    url: String!
+    expires_at: Date!
+  }
+
+  type ExportJob {
+    _id: ID!
+    entity: ExportEntity!
+    format: ExportFormat!
+    fields: [String!]!
+    filter: JSON
+    sort: JSON
+    user_id: ID!
+    user: User
+    export_status: ExportStatus!
+    row_count: Int!
+    file_name: String
+    file_size: Int
+    error_message: String
+    started_at: Date
+    completed_at: Date
+    expires_at: Date
+    download: ExportDownloadUrl
+    created_at: Date
+    created_by: ID
+    created_by_user: User
+    updated_at: Date
+  }
+
+  extend type Query {
+    GetExportJob(id: ID!): ExportJob
+      @requiresPermission(permission: "data:export")
+  }
+
+  extend type Mutation {
+    ExportData(
+      entity: ExportEntity!
+      filter: JSON
+      format: ExportFormat!
+      fields: [String!]
+      sort: [SortInput!]
+    ): ExportJob!
+      @requiresPermission(permission: "data:export")
+      @audit(entity: "EXPORT_JOB", operation: "EXPORT")
+  }
+`;
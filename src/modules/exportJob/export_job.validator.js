@@ -0,0 +1,56 @@
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error.js");
+
+// *************** IMPORT UTILITIES ***************
+const { EXPORT_JOB } = require("../../shared/utils/enum.js");
+
+/**
+ * Validate an export request and resolve the columns to write.
+ *
+ * @param {Object} input - Export input.
+ * @param {string} input.entity - Exported entity.
+ * @param {string} input.format - File format.
+ * @param {string[]} [input.fields] - Requested columns; all columns when omitted.
+ * @param {string[]} allowedFields - Columns the entity can export.
+ * @returns {string[]} The columns to write, in order and without duplicates.
+ * @throws {AppError} If the entity, format or a column is not supported.
+ */
+function ValidateExportDataInput(input, allowedFields) {
+  const { entity, format, fields } = input;
+
+  if (!EXPORT_JOB.VALID_ENTITY.includes(entity)) {
+    throw CreateAppError(
+      `Entity must be one of: ${EXPORT_JOB.VALID_ENTITY.join(", ")}.`,
+      "VALIDATION_ERROR",
+      { field: "entity" }
+    );
+  }
+
+  if (!EXPORT_JOB.VALID_FORMAT.includes(format)) {
+    throw CreateAppError(
+      `Format must be one of: ${EXPORT_JOB.VALID_FORMAT.join(", ")}.`,
+      "VALIDATION_ERROR",
+      { field: "format" }
+    );
+  }
+
+  if (fields === undefined || fields === null || fields.length === 0) {
+    return [...allowedFields];
+  }
+
+  const unknownFields = fields.filter((field) => !allowedFields.includes(field));
+  if (unknownFields.length > 0) {
+    throw CreateAppError(
+      `Unknown export fields: ${unknownFields.join(", ")}. Allowed fields: ${allowedFields.join(", ")}.`,
+      "VALIDATION_ERROR",
+      { field: "fields", unknown_fields: unknownFields }
+    );
+  }
+
+  return [...new Set(fields)];
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  ValidateExportDataInput,
+};
@@ -16,46 +16,44 @@ const { ConnectDB, DisconnectDB } = require("../../core/db");
 const { TimeNow } = require("../../shared/utils/time");
 
 // *************** IMPORT HELPER FUNCTION ***************
-const {
-  RunTranscriptCore,
-  WriteWorkerLog,
-} = require("./calculation_result.helper");
+const { RunExportJob, PurgeExpiredExports } = require("./export_job.helper");
+const { WriteWorkerLog } = require("../calculationResult/calculation_result.helper");
 
 /**
- * RunTranscriptWorker
+ * RunExportWorker
  * ------------------------------------------------------------------------------
- * Spawns a transcript calculation worker for the given student ID.
- * Resolves when the worker is successfully started (not when it finishes).
+ * Spawns a worker writing the file of an export job. The job document records
+ * progress and failures; the worker log only gets crashes of the worker itself.
  *
- * @param {string} student_id - The ID of the student.
- * @returns {Promise<void>} Resolves when worker is spawned.
+ * @param {string} export_job_id - The ID of the export job.
+ * @returns {void}
  */
-function RunTranscriptWorker(student_id) {
+function RunExportWorker(export_job_id) {
   try {
     const worker = new Worker(__filename, {
-      workerData: { student_id },
+      workerData: { export_job_id: String(export_job_id) },
     });
 
     worker.once("online", function () {
-      console.info("Transcript worker successfully spawned at : ", TimeNow());
+      console.info("Export worker successfully spawned at : ", TimeNow());
     });
 
     worker.on("message", function (result) {
-      console.info("Worker run successfully:", result);
+      console.info("Export worker run:", result);
       if (result.success == false) {
         WriteWorkerLog(result.error);
       }
     });
 
     worker.on("error", function (error) {
-      const errorMessage = `Worker run error: ${error}`;
+      const errorMessage = `Export worker run error: ${error}`;
       WriteWorkerLog(errorMessage);
-      console.error("Worker run error:", errorMessage);
+      console.error("Export worker run error:", errorMessage);
     });
 
     worker.on("exit", function (code) {
       if (code !== 0) {
-        const errorMessage = `Worker stopped with exit code ${code}`;
+        const errorMessage = `Export worker stopped with exit code ${code}`;
         WriteWorkerLog(errorMessage);
         console.error(errorMessage);
       }
@@ -70,14 +68,22 @@ if (!isMainThread) {
   (async () => {
     try {
       await ConnectDB();
-      const { student_id } = workerData;
-      const studentId = await ValidateMongoId(String(student_id));
+      const { export_job_id } = workerData;
+      const exportJobId = await ValidateMongoId(export_job_id, "export_job_id");
+
+      // *************** Old files are cleaned up whenever an export runs
+      await PurgeExpiredExports();
+      const exportJob = await RunExportJob(exportJobId);
 
-      await RunTranscriptCore(studentId);
+      parentPort.postMessage({
+        success: exportJob?.export_status === "COMPLETED",
+        export_job_id,
+        error: exportJob?.error_message || null,
+      });
     } catch (error) {
       parentPort.postMessage({
         success: false,
-        error: error.message || "Unknown Error in Transcript Worker",
+        error: error.message || "Unknown Error in Export Worker",
       });
     } finally {
       await DisconnectDB();
@@ -87,5 +93,5 @@ if (!isMainThread) {
 
 // *************** EXPORT MODULE ***************
 module.exports = {
-  RunTranscriptWorker,
+  RunExportWorker,
 };
@@ -0,0 +1,178 @@
+// *************** IMPORT MODULE ***************
+const Block = require("../block/block.model");
+const Subject = require("../subject/subject.model");
+const CalculationResult = require("../calculationResult/calculation_result.model");
+
+// *************** IMPORT UTILITIES ***************
+const { STUDENT } = require("../../shared/utils/enum");
+
+/**
+ * Explain why one student can or cannot graduate.
+ *
+ * A student can graduate when they are ENROLLED and their PUBLISHED calculation
+ * result is up to date (not stale), passes overall and has a PASS result for
+ * every active block. Failed blocks are detailed down to the failed subjects.
+ *
+ * @param {Object} student - Student (`_id`, `academic_status`).
+ * @param {Object|null} calculationResult - PUBLISHED calculation result of the student.
+ * @param {Object[]} activeBlocks - Active blocks (`_id`, `name`).
+ * @param {Map<string, string>} names - Block and subject names by ID.
+ * @returns {Object} Graduation eligibility.
+ */
+function EvaluateGraduationEligibility(student, calculationResult, activeBlocks, names) {
+  const blockers = [];
+  const academicStatus = student.academic_status || STUDENT.DEFAULT_ACADEMIC_STATUS;
+
+  if (academicStatus !== "ENROLLED") {
+    blockers.push({
+      reason: "NOT_ENROLLED",
+      message: `The student is ${academicStatus}, only enrolled students can graduate`,
+    });
+  }
+
+  if (!calculationResult) {
+    blockers.push({
+      reason: "NO_PUBLISHED_RESULT",
+      message: "The student has no published calculation result",
+    });
+  } else {
+    const blockResults = calculationResult.results || [];
+
+    // *************** Criteria changed since the calculation, the result may no longer hold
+    if (calculationResult.is_stale) {
+      const staleReasons = calculationResult.stale_reasons || [];
+      blockers.push({
+        reason: "STALE_RESULT",
+        message: `The calculation result is out of date and must be recalculated${
+          staleReasons.length > 0 ? ` (${staleReasons.join(", ")})` : ""
+        }`,
+      });
+    }
+
+    if (calculationResult.overall_result !== "PASS") {
+      blockers.push({
+        reason: "OVERALL_FAILED",
+        message: "The overall result of the student is FAIL",
+      });
+    }
+
+    for (const activeBlock of activeBlocks) {
+      const isCovered = blockResults.some(
+        (blockResult) => String(blockResult.block_id) === String(activeBlock._id)
+      );
+      if (!isCovered) {
+        blockers.push({
+          reason: "BLOCK_MISSING",
+          message: `Block "${activeBlock.name}" has no result yet`,
+          block_id: activeBlock._id,
+        });
+      }
+    }
+
+    for (const blockResult of blockResults) {
+      if (blockResult.block_result === "PASS") continue;
+
+      const blockName = names.get(String(blockResult.block_id)) || "Unknown block";
+      blockers.push({
+        reason: "BLOCK_FAILED",
+        message: `Block "${blockName}" was failed`,
+        block_id: blockResult.block_id,
+      });
+
+      for (const subjectResult of blockResult.subject_results || []) {
+        if (subjectResult.subject_result === "PASS") continue;
+
+        const subjectName =
+          names.get(String(subjectResult.subject_id)) || "Unknown subject";
+        blockers.push({
+          reason: "SUBJECT_FAILED",
+          message: `Subject "${subjectName}" of block "${blockName}" was failed`,
+          block_id: blockResult.block_id,
+          subject_id: subjectResult.subject_id,
+        });
+      }
+    }
+  }
+
+  const graduationEligibility = {
+    student_id: student._id,
+    academic_status: student.academic_status || null,
+    overall_result: calculationResult?.overall_result || null,
+    calculated_at: calculationResult?.updated_at || calculationResult?.created_at || null,
+    eligible: blockers.length === 0,
+    blockers,
+  };
+  return graduationEligibility;
+}
+
+/**
+ * Check the graduation eligibility of several students at once.
+ *
+ * Active blocks, published results and the names used in the explanations
+ * are each loaded with a single query, whatever the number of students.
+ *
+ * @param {Object[]} students - Students (`_id`, `academic_status`).
+ * @returns {Promise<Object[]>} Graduation eligibility of each student, in the same order.
+ */
+async function GetGraduationEligibilities(students) {
+  const [activeBlocks, calculationResults] = await Promise.all([
+    Block.find({ block_status: "ACTIVE", deleted_at: null }, { name: 1 }).lean(),
+    CalculationResult.find({
+      student_id: { $in: students.map((student) => student._id) },
+      calculation_result_status: "PUBLISHED",
+      is_current: { $ne: false },
+    }).lean(),
+  ]);
+
+  const resultsByStudent = new Map(
+    calculationResults.map((calculationResult) => [
+      String(calculationResult.student_id),
+      calculationResult,
+    ])
+  );
+
+  // *************** Names of the failed blocks and subjects, for the explanations
+  const failedBlockIds = new Set();
+  const failedSubjectIds = new Set();
+  for (const calculationResult of calculationResults) {
+    for (const blockResult of calculationResult.results || []) {
+      if (blockResult.block_result === "PASS") continue;
+      failedBlockIds.add(String(blockResult.block_id));
+      for (const subjectResult of blockResult.subject_results || []) {
+        if (subjectResult.subject_result !== "PASS") {
+          failedSubjectIds.add(String(subjectResult.subject_id));
+        }
+      }
+    }
+  }
+
+  const [failedBlocks, failedSubjects] = await Promise.all([
+    failedBlockIds.size > 0
+      ? Block.find({ _id: { $in: [...failedBlockIds] } }, { name: 1 }).lean()
+      : [],
+    failedSubjectIds.size > 0
+      ? Subject.find({ _id: { $in: [...failedSubjectIds] } }, { name: 1 }).lean()
+      : [],
+  ]);
+  const names = new Map(
+    [...activeBlocks, ...failedBlocks, ...failedSubjects].map((document) => [
+      String(document._id),
+      document.name,
+    ])
+  );
+
+  const graduationEligibilities = students.map((student) =>
+    EvaluateGraduationEligibility(
+      student,
+      resultsByStudent.get(String(student._id)) || null,
+      activeBlocks,
+      names
+    )
+  );
+  return graduationEligibilities;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  GetGraduationEligibilities,
+};
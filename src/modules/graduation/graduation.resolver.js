@@ -0,0 +1,223 @@
+// *************** IMPORT MODULE ***************
+const Student = require("../student/student.model.js");
+const School = require("../school/school.model.js");
+const { RecordAuditedChange } = require("../auditLog/audit_log.helper.js");
+
+// *************** IMPORT VALIDATOR ***************
+const {
+  ValidateAcademicTransitionInput,
+} = require("../student/student.validator.js");
+
+// *************** IMPORT UTILITIES ***************
+const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const {
+  GetOwnStudentId,
+  CheckSchoolAccess,
+  CheckStudentAccess,
+} = require("../../shared/utils/tenant_scope.js");
+
+// *************** IMPORT CORE ***************
+const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const { GetGraduationEligibilities } = require("./graduation.helper.js");
+const {
+  TransitionStudentAcademicStatus,
+} = require("../student/student.helper.js");
+
+const DEFAULT_GRADUATION_REASON = "Met the graduation requirements";
+
+// *************** QUERY ***************
+/**
+ * Check whether a student can graduate, and explain what blocks graduation.
+ * A STUDENT caller always gets their own eligibility.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.student_id - Student to check.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The graduation eligibility with its blockers.
+ * @throws {AppError} NOT_FOUND for unknown students, FORBIDDEN outside the caller's schools.
+ */
+async function GetGraduationEligibility(_, { student_id }, context) {
+  try {
+    let studentId = await ValidateMongoId(student_id, "student_id");
+
+    const ownStudentId = GetOwnStudentId(context);
+    if (ownStudentId) {
+      studentId = String(ownStudentId);
+    }
+    await CheckStudentAccess(context, studentId);
+
+    const student = await Student.findOne(
+      { _id: studentId, student_status: { $ne: "DELETED" } },
+      { academic_status: 1 }
+    ).lean();
+    if (!student) {
+      throw CreateAppError("Student not found", "NOT_FOUND", { student_id });
+    }
+
+    const [graduationEligibilityResponse] = await GetGraduationEligibilities([
+      student,
+    ]);
+    return graduationEligibilityResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to check graduation eligibility");
+  }
+}
+
+// *************** MUTATION ***************
+/**
+ * Graduate every enrolled student of a school who meets the graduation
+ * requirements of `GetGraduationEligibility`.
+ *
+ * Each student is graduated on their own and audited as a GRADUATE operation,
+ * so one failure does not stop the others; failures are reported back.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.school_id - School whose students are graduated.
+ * @param {string} [args.reason] - Reason recorded in the academic status history.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} Graduated students, students not eligible and failures.
+ * @throws {AppError} NOT_FOUND for unknown schools, FORBIDDEN outside the caller's schools.
+ */
+async function GraduateEligibleStudents(_, { school_id, reason }, context) {
+  try {
+    const graduationReason = reason ?? DEFAULT_GRADUATION_REASON;
+    ValidateAcademicTransitionInput({ reason: graduationReason });
+
+    const schoolId = await ValidateMongoId(school_id, "school_id");
+    await CheckSchoolAccess(context, schoolId);
+    const school = await School.exists({
+      _id: schoolId,
+      school_status: { $ne: "DELETED" },
+    });
+    if (!school) {
+      throw CreateAppError("School not found", "NOT_FOUND", { school_id });
+    }
+
+    const students = await Student.find(
+      {
+        school_id: schoolId,
+        student_status: { $ne: "DELETED" },
+        academic_status: { $in: ["ENROLLED", null] },
+      },
+      { academic_status: 1 }
+    ).lean();
+    const graduationEligibilities = await GetGraduationEligibilities(students);
+
+    const graduated = [];
+    const failed = [];
+    for (const graduationEligibility of graduationEligibilities) {
+      if (!graduationEligibility.eligible) continue;
+
+      const studentId = graduationEligibility.student_id;
+      // *************** The entry is written first: a student it fails for is left ENROLLED
+      try {
+        const graduatedStudent = await RecordAuditedChange(
+          {
+            context,
+            mutation: "GraduateEligibleStudents",
+            entity_type: "STUDENT",
+            operation: "GRADUATE",
+            entity_id: studentId,
+          },
+          () =>
+            TransitionStudentAcademicStatus(context, {
+              student_id: studentId,
+              to_status: "GRADUATED",
+              reason: graduationReason,
+            })
+        );
+        graduated.push(graduatedStudent);
+      } catch (error) {
+        failed.push({ student_id: studentId, message: error.message });
+      }
+    }
+
+    const graduateEligibleStudentsResponse = {
+      school_id: schoolId,
+      checked_count: students.length,
+      graduated_count: graduated.length,
+      graduated,
+      not_eligible: graduationEligibilities.filter(
+        (graduationEligibility) => !graduationEligibility.eligible
+      ),
+      failed,
+    };
+    return graduateEligibleStudentsResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to graduate eligible students");
+  }
+}
+
+// *************** LOADER ***************
+/**
+ * Resolve the student of a graduation eligibility or failure.
+ *
+ * @param {Object} parent - Parent object holding `student_id`.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object>} The student.
+ */
+function student(parent, _, context) {
+  const studentLoaderResponse = context.loaders.student.load(
+    String(parent.student_id)
+  );
+  return studentLoaderResponse;
+}
+
+/**
+ * Resolve the block a graduation blocker refers to.
+ *
+ * @param {Object} graduationBlocker - Parent GraduationBlocker object.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object>|null} The block, or null when the blocker is not about a block.
+ */
+function block(graduationBlocker, _, context) {
+  if (!graduationBlocker.block_id) return null;
+
+  const blockLoaderResponse = context.loaders.block.load(
+    String(graduationBlocker.block_id)
+  );
+  return blockLoaderResponse;
+}
+
+/**
+ * Resolve the subject a graduation blocker refers to.
+ *
+ * @param {Object} graduationBlocker - Parent GraduationBlocker object.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object>|null} The subject, or null when the blocker is not about a subject.
+ */
+function subject(graduationBlocker, _, context) {
+  if (!graduationBlocker.subject_id) return null;
+
+  const subjectLoaderResponse = context.loaders.subject.load(
+    String(graduationBlocker.subject_id)
+  );
+  return subjectLoaderResponse;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  Query: {
+    GetGraduationEligibility,
+  },
+  Mutation: {
+    GraduateEligibleStudents,
+  },
+  GraduationEligibility: {
+    student,
+  },
+  GraduationBlocker: {
+    block,
+    subject,
+  },
+  GraduationFailure: {
+    student,
+  },
+};
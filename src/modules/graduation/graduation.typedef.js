@@ -0,0 +1,64 @@
+// *************** IMPORT LIBRARY ***************
+
+const gql = require("graphql-tag");
+
+// *************** EXPORT MODULE ***************
+
+module.exports = gql`
+  enum GraduationBlockerReason {
+    NOT_ENROLLED
+    NO_PUBLISHED_RESULT
+    STALE_RESULT
+    OVERALL_FAILED
+    BLOCK_MISSING
+    BLOCK_FAILED
+    SUBJECT_FAILED
+  }
+
+  type GraduationBlocker {
+    reason: GraduationBlockerReason!
+    message: String!
+    block_id: ID
+    block: Block
+    subject_id: ID
+    subject: Subject
+  }
+
+  type GraduationEligibility {
+    student_id: ID!
+    student: Student
+    academic_status: AcademicStatus
+    overall_result: ExpectedOutcome
+    calculated_at: Date
+    eligible: Boolean!
+    blockers: [GraduationBlocker!]!
+  }
+
+  type GraduationFailure {
+    student_id: ID!
+    student: Student
+    message: String!
+  }
+
+  type GraduateEligibleStudentsResult {
+    school_id: ID!
+    checked_count: Int!
+    graduated_count: Int!
+    graduated: [Student!]!
+    not_eligible: [GraduationEligibility!]!
+    failed: [GraduationFailure!]!
+  }
+
+  extend type Query {
+    GetGraduationEligibility(student_id: ID!): GraduationEligibility!
+      @requiresPermission(permission: "transcript:read")
+  }
+
+  extend type Mutation {
+    GraduateEligibleStudents(
+      school_id: ID!
+      reason: String
+    ): GraduateEligibleStudentsResult!
+      @requiresPermission(permission: "student:write")
+  }
+`;
@@ -0,0 +1,118 @@
+// *************** IMPORT LIBRARY ***************
+const jwt = require("jsonwebtoken");
+
+// *************** IMPORT MODULE ***************
+const User = require("../user/user.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+const { JWT_SECRET } = require("../../core/config");
+
+// *************** IMPORT UTILITIES ***************
+const {
+  GetEffectivePermissions,
+} = require("../../shared/utils/check_permission");
+
+const IMPERSONATION_TOKEN_TTL_SECONDS = 15 * 60;
+const IMPERSONATION_PURPOSE = "IMPERSONATION";
+const IMPERSONATION_PERMISSION = "user:impersonate";
+
+/**
+ * Sign a short-lived access token acting as another user.
+ *
+ * The token carries the effective user (`user_id`) and the real user
+ * (`impersonator_id`) and is bound to the real user's session, so logging
+ * out of that session ends the impersonation as well. It cannot be refreshed.
+ *
+ * @param {Object} realUser - User starting the impersonation.
+ * @param {Object} effectiveUser - User being impersonated.
+ * @param {ObjectId|string} sessionId - Session of the real user.
+ * @returns {{ token: string, token_expires_at: Date }}
+ */
+function SignImpersonationToken(realUser, effectiveUser, sessionId) {
+  const payload = {
+    user_id: String(effectiveUser._id),
+    impersonator_id: String(realUser._id),
+    session_id: String(sessionId),
+    purpose: IMPERSONATION_PURPOSE,
+  };
+
+  const token = jwt.sign(payload, JWT_SECRET, {
+    expiresIn: IMPERSONATION_TOKEN_TTL_SECONDS,
+  });
+  const tokenExpiresAt = new Date(
+    Date.now() + IMPERSONATION_TOKEN_TTL_SECONDS * 1000
+  );
+
+  return { token, token_expires_at: tokenExpiresAt };
+}
+
+/**
+ * Whether a decoded access token is an impersonation token.
+ *
+ * @param {Object} decoded - Decoded JWT payload.
+ * @returns {boolean} True for tokens issued by `ImpersonateUser`.
+ */
+function IsImpersonationToken(decoded) {
+  return decoded?.purpose === IMPERSONATION_PURPOSE;
+}
+
+/**
+ * Load the real user behind an impersonation token.
+ *
+ * The token is refused as soon as its session is no longer the real user's
+ * or the real user lost the right to impersonate.
+ *
+ * @param {Object} decoded - Decoded impersonation token payload.
+ * @param {Object|null} session - Active session the token is bound to.
+ * @returns {Promise<Object>} The real (impersonating) user.
+ * @throws {AppError} UNAUTHORIZED if the token can no longer be used.
+ */
+async function LoadImpersonator(decoded, session) {
+  if (!session || String(session.user_id) !== String(decoded.impersonator_id)) {
+    throw CreateAppError("Session revoked or expired", "UNAUTHORIZED");
+  }
+
+  const realUser = await User.findById(decoded.impersonator_id).lean();
+  if (
+    !realUser ||
+    realUser.user_status === "DELETED" ||
+    !GetEffectivePermissions(realUser).includes(IMPERSONATION_PERMISSION)
+  ) {
+    throw CreateAppError("Impersonation is no longer allowed", "UNAUTHORIZED");
+  }
+
+  return realUser;
+}
+
+/**
+ * Ensure a user may be impersonated by the caller.
+ *
+ * Users who can impersonate themselves (directors) cannot be impersonated,
+ * so impersonation never grants more than the caller already has.
+ *
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @param {Object} targetUser - User to impersonate.
+ * @throws {AppError} FORBIDDEN if the target cannot be impersonated.
+ */
+function CheckImpersonationTarget(context, targetUser) {
+  if (String(targetUser._id) === String(context.user._id)) {
+    throw CreateAppError("You cannot impersonate yourself", "FORBIDDEN");
+  }
+
+  if (GetEffectivePermissions(targetUser).includes(IMPERSONATION_PERMISSION)) {
+    throw CreateAppError(
+      "Access denied: this user cannot be impersonated",
+      "FORBIDDEN",
+      { user_id: String(targetUser._id) }
+    );
+  }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  SignImpersonationToken,
+  IsImpersonationToken,
+  LoadImpersonator,
+  CheckImpersonationTarget,
+};
@@ -0,0 +1,77 @@
+// *************** IMPORT MODULE ***************
+const User = require("../user/user.model.js");
+
+// *************** IMPORT UTILITIES ***************
+const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const { CheckUserAccess } = require("../../shared/utils/tenant_scope.js");
+
+// *************** IMPORT CORE ***************
+const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  SignImpersonationToken,
+  CheckImpersonationTarget,
+} = require("./impersonation.helper.js");
+
+// *************** MUTATION ***************
+/**
+ * Issue a short-lived token to see the platform as another user.
+ *
+ * Requests made with the token run as the impersonated user while the real
+ * user stays available as `context.real_user`; sensitive mutations are refused
+ * and every action is recorded in the audit log under the real user.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.id - ID of the user to impersonate.
+ * @param {Object} context - GraphQL context containing the authenticated user and session.
+ * @returns {Promise<Object>} `{ token, token_expires_at, user, real_user }`.
+ * @throws {AppError} UNAUTHORIZED without a user session, FORBIDDEN if the user cannot be impersonated.
+ */
+async function ImpersonateUser(_, { id }, context) {
+  try {
+    if (!context.session) {
+      throw CreateAppError(
+        "Impersonation requires a user session",
+        "UNAUTHORIZED"
+      );
+    }
+
+    const userId = await ValidateMongoId(id);
+    await CheckUserAccess(context, userId);
+
+    const targetUser = await User.findOne({
+      _id: userId,
+      user_status: { $ne: "DELETED" },
+    })
+      .select("-password")
+      .lean();
+    if (!targetUser) {
+      throw CreateAppError("User not found", "NOT_FOUND", { userId });
+    }
+    CheckImpersonationTarget(context, targetUser);
+
+    const tokens = SignImpersonationToken(
+      context.user,
+      targetUser,
+      context.session._id
+    );
+
+    const impersonateUserResponse = {
+      ...tokens,
+      user: targetUser,
+      real_user: context.user,
+    };
+    return impersonateUserResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to impersonate user");
+  }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  Mutation: {
+    ImpersonateUser,
+  },
+};
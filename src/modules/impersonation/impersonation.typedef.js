@@ -0,0 +1,21 @@
+// *************** IMPORT LIBRARY ***************
+
+const gql = require("graphql-tag");
+
+// *************** EXPORT MODULE ***************
+
+module.exports = gql`
+  type Impersonation {
+    token: String!
+    token_expires_at: Date!
+    user: User!
+    real_user: User!
+  }
+
+  extend type Mutation {
+    ImpersonateUser(id: ID!): Impersonation!
+      @requiresPermission(permission: "user:impersonate")
+      @audit(entity: "USER", operation: "IMPERSONATE")
+      @sensitive
+  }
+`;
@@ -0,0 +1,163 @@
+// *************** IMPORT MODULE ***************
+const LoginAttempt = require("./login_attempt.model");
+const User = require("../user/user.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+const ACCOUNT_MAX_FAILED_ATTEMPTS = 5;
+const IP_MAX_FAILED_ATTEMPTS = 20;
+const LOCKOUT_MINUTES = 15;
+const ATTEMPT_WINDOW_MINUTES = 15;
+const DELAY_BASE_SECONDS = 1;
+const DELAY_MAX_SECONDS = 30;
+const KEY_TYPE_ACCOUNT = "ACCOUNT";
+const KEY_TYPE_IP = "IP";
+const EMAIL_COLLATION = { locale: "en", strength: 2 };
+
+/**
+ * Build the identifiers failed attempts are counted against.
+ *
+ * @param {string} email - Email used to log in.
+ * @param {string|null} ipAddress - Client IP address.
+ * @returns {Array<{key_type: string, key: string}>} Account key and, when known, IP key.
+ */
+function GetLoginAttemptKeys(email, ipAddress) {
+  const keys = [
+    { key_type: KEY_TYPE_ACCOUNT, key: String(email).trim().toLowerCase() },
+  ];
+  if (ipAddress) keys.push({ key_type: KEY_TYPE_IP, key: String(ipAddress) });
+
+  return keys;
+}
+
+/**
+ * Compute how long a key must wait before its next attempt.
+ *
+ * The first failure is free, then the delay doubles with every failure
+ * (1s, 2s, 4s, ...) up to `DELAY_MAX_SECONDS`.
+ *
+ * @param {number} failedCount - Consecutive failed attempts.
+ * @returns {number} Delay in seconds.
+ */
+function GetRetryDelaySeconds(failedCount) {
+  if (failedCount < 2) return 0;
+
+  return Math.min(
+    DELAY_BASE_SECONDS * 2 ** (failedCount - 2),
+    DELAY_MAX_SECONDS
+  );
+}
+
+/**
+ * Refuse a login attempt made too early for the account or the client IP.
+ *
+ * @param {string} email - Email used to log in.
+ * @param {string|null} ipAddress - Client IP address.
+ * @returns {Promise<void>}
+ * @throws {AppError} TOO_MANY_ATTEMPTS with `retry_after_seconds` metadata.
+ */
+async function CheckLoginThrottle(email, ipAddress) {
+  const now = new Date();
+  const attempts = await LoginAttempt.find({
+    $or: GetLoginAttemptKeys(email, ipAddress),
+    expires_at: { $gt: now },
+  }).lean();
+
+  for (const attempt of attempts) {
+    const delayUntil = attempt.last_failed_at
+      ? new Date(
+          attempt.last_failed_at.getTime() +
+            GetRetryDelaySeconds(attempt.failed_count) * 1000
+        )
+      : now;
+    const retryAt = new Date(
+      Math.max(delayUntil.getTime(), attempt.locked_until?.getTime() || 0)
+    );
+
+    if (retryAt > now) {
+      throw CreateAppError(
+        "Too many login attempts, please retry later",
+        "TOO_MANY_ATTEMPTS",
+        { retry_after_seconds: Math.ceil((retryAt - now) / 1000) }
+      );
+    }
+  }
+}
+
+/**
+ * Record a failed login for the account and the client IP.
+ *
+ * Reaching `ACCOUNT_MAX_FAILED_ATTEMPTS` locks the email for `LOCKOUT_MINUTES`
+ * on its counter, whether or not an account uses it, so a locked email answers
+ * the same way for known and unknown addresses. A matching account also gets
+ * `User.account_locked_until`. Reaching `IP_MAX_FAILED_ATTEMPTS` blocks the IP
+ * for the same duration.
+ *
+ * @param {string} email - Email used to log in.
+ * @param {string|null} ipAddress - Client IP address.
+ * @returns {Promise<Date|null>} End of the account lock if this failure locked it.
+ */
+async function RecordFailedLogin(email, ipAddress) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  const keys = GetLoginAttemptKeys(email, ipAddress);
+
+  // *************** Expired counters start over instead of waiting for the TTL monitor
+  await LoginAttempt.deleteMany({ $or: keys, expires_at: { $lte: now } });
+
+  const [accountAttempt, ipAttempt] = await Promise.all(
+    keys.map((key) =>
+      LoginAttempt.findOneAndUpdate(
+        key,
+        {
+          $inc: { failed_count: 1 },
+          $set: { last_failed_at: now, expires_at: expiresAt },
+        },
+        { upsert: true, new: true }
+      ).lean()
+    )
+  );
+
+  if (ipAttempt && ipAttempt.failed_count >= IP_MAX_FAILED_ATTEMPTS) {
+    await LoginAttempt.updateOne(
+      { _id: ipAttempt._id },
+      { $set: { locked_until: lockedUntil, expires_at: lockedUntil } }
+    );
+  }
+
+  if (accountAttempt.failed_count < ACCOUNT_MAX_FAILED_ATTEMPTS) return null;
+
+  // *************** The counter keeps the lock, it is cleared on a successful login or an unlock
+  await LoginAttempt.updateOne(
+    { _id: accountAttempt._id },
+    { $set: { locked_until: lockedUntil, expires_at: lockedUntil } }
+  );
+  await User.updateOne(
+    { email: accountAttempt.key, user_status: { $ne: "DELETED" } },
+    { $set: { account_locked_until: lockedUntil } }
+  ).collation(EMAIL_COLLATION);
+
+  return lockedUntil;
+}
+
+/**
+ * Forget the failed attempts of an account after a successful login or an unlock.
+ *
+ * The IP counter is kept so a client cannot reset it by logging into its own account.
+ *
+ * @param {string} email - Email of the account.
+ * @returns {Promise<void>}
+ */
+async function ClearFailedLogins(email) {
+  const [accountKey] = GetLoginAttemptKeys(email, null);
+  await LoginAttempt.deleteOne(accountKey);
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  CheckLoginThrottle,
+  RecordFailedLogin,
+  ClearFailedLogins,
+};
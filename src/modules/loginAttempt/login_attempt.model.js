@@ -0,0 +1,56 @@
+// *************** IMPORT LIBRARY ***************
+const { Schema, model } = require("mongoose");
+
+// ************** IMPORT UTILITIES *************
+const { LOGIN_ATTEMPT } = require("../../shared/utils/enum");
+
+const loginAttemptSchema = new Schema(
+  {
+    // What the failed attempts are counted against (ACCOUNT, IP)
+    key_type: {
+      type: String,
+      enum: LOGIN_ATTEMPT.VALID_KEY_TYPE,
+      required: true,
+    },
+
+    // Normalized email for ACCOUNT, client IP address for IP
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Number of consecutive failed attempts in the current window
+    failed_count: {
+      type: Number,
+      default: 0,
+    },
+
+    // Time of the last failed attempt, base of the progressive delay
+    last_failed_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Attempts for this key are refused until this time
+    locked_until: {
+      type: Date,
+      default: null,
+    },
+
+    // The record is dropped by MongoDB once this time has passed
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+loginAttemptSchema.index({ key_type: 1, key: 1 }, { unique: true });
+loginAttemptSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// *************** EXPORT MODULE ***************
+module.exports = model("LoginAttempt", loginAttemptSchema);
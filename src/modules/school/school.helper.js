@@ -1,99 +1,60 @@
-// *************** IMPORT CORE ***************
-const { default: mongoose } = require("mongoose");
-const { CreateAppError } = require("../../core/error");
-
 // *************** IMPORT UTILITIES ***************
 const { SCHOOL } = require("../../shared/utils/enum");
-const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id");
-
-const MAX_LIMIT = 10;
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter");
+
+// *************** Fields of a school that can be filtered and sorted on
+const SCHOOL_QUERY_SPEC = {
+  fields: {
+    short_name: { type: "string", sortable: true },
+    long_name: { type: "string", sortable: true },
+    school_status: { type: "enum", values: SCHOOL.VALID_STATUS, sortable: true },
+    status_verified: { type: "boolean", path: "verified.status_verified" },
+    verified_at: { type: "date", path: "verified.verified_at" },
+    admin_user_id: { type: "id", path: "admin_user.id" },
+    city: { type: "string", path: "address.city", sortable: true },
+    country: { type: "string", path: "address.country", sortable: true },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
 
 /**
- * Build a $match stage for school filtering.
+ * Translate the legacy `SchoolFilterInput` into the where language.
  *
  * @param {Object} filter - Filter object
- * @returns {Object} matchStage object
+ * @returns {Object} Equivalent where input
  */
-async function SchoolFilterStage(filter = {}) {
-  const matchStage = {};
-
-  if (filter.school_status) {
-    if (!SCHOOL.VALID_STATUS.includes(filter.school_status)) {
-      throw CreateAppError("Invalid school_status", "BAD_REQUEST", {
-        school_status: filter.school_status,
-      });
-    }
-    matchStage.school_status = filter.school_status;
-  }
-  if (filter.status_verified !== undefined) {
-    if (typeof filter.status_verified !== "boolean") {
-      throw CreateAppError("Invalid status_verified", "BAD_REQUEST", {
-        status_verified: filter.status_verified,
-      });
-    }
-
-    matchStage["verified.status_verified"] = filter.status_verified;
-  }
-
-  if (filter.verified_at) {
-    const verifiedAt = {};
-
-    if (filter.verified_at.eq) {
-      const eqDate = parseDateField(filter.verified_at.eq, "eq");
-      const nextDay = new Date(eqDate);
-      nextDay.setDate(eqDate.getDate() + 1);
-      verifiedAt.$gte = eqDate;
-      verifiedAt.$lt = nextDay;
-    }
-
-    if (filter.verified_at.gte) {
-      verifiedAt.$gte = parseDateField(filter.verified_at.gte, "gte");
-    }
-
-    if (filter.verified_at.gt) {
-      verifiedAt.$gt = parseDateField(filter.verified_at.gt, "gt");
-    }
-
-    if (filter.verified_at.lte) {
-      verifiedAt.$lte = parseDateField(filter.verified_at.lte, "lte");
-    }
-
-    if (filter.verified_at.lt) {
-      verifiedAt.$lt = parseDateField(filter.verified_at.lt, "lt");
-    }
-
-    if (Object.keys(verifiedAt).length > 0) {
-      matchStage["verified.verified_at"] = verifiedAt;
-    }
-  }
-
-  if (filter.admin_user_id) {
-    try {
-      const validSchoolId = await ValidateMongoId(filter.admin_user_id);
-      matchStage["admin_user.id"] = new mongoose.Types.ObjectId(validSchoolId);
-    } catch {
-      throw CreateAppError("Invalid admin_user_id", "BAD_REQUEST");
-    }
-  }
-
-  return matchStage;
+function SchoolFilterToWhere(filter = {}) {
+  const where = {
+    school_status: filter.school_status ? { eq: filter.school_status } : null,
+    status_verified:
+      filter.status_verified !== undefined && filter.status_verified !== null
+        ? { eq: filter.status_verified }
+        : null,
+    verified_at: filter.verified_at,
+    admin_user_id: filter.admin_user_id ? { eq: filter.admin_user_id } : null,
+  };
+  return where;
 }
 
 /**
- * Builds aggregation pipeline for GetAllSchools with filter, sort, pagination.
+ * Builds aggregation pipeline for GetAllSchools with filter, where and sort;
+ * pagination is applied by `PaginateAggregate`.
  *
- * @param {Object} filter
- * @param {Object} sort
- * @param {Object} pagination
- * @returns {Object} { pipeline, page, limit }
+ * @param {Object} filter - Legacy filter
+ * @param {Object} where - Where input (see `CompileWhere`)
+ * @param {Object|Object[]} sort - Sort input(s)
+ * @returns {Object} { pipeline, sort } with the compiled sort keys
  */
-async function SchoolQueryPipeline(filter = {}, sort = {}, pagination = {}) {
+async function SchoolQueryPipeline(filter = {}, where = null, sort = null) {
   const pipeline = [];
 
-  const matchStage = await SchoolFilterStage(filter);
-
-  if (Object.keys(matchStage).length > 0) {
-    pipeline.push({ $match: matchStage });
+  const matchStages = [
+    CompileWhere(SchoolFilterToWhere(filter), SCHOOL_QUERY_SPEC),
+    CompileWhere(where, SCHOOL_QUERY_SPEC),
+  ];
+  for (const matchStage of matchStages) {
+    if (matchStage) pipeline.push({ $match: matchStage });
   }
 
   if (filter.admin_user_email) {
@@ -119,57 +80,8 @@ async function SchoolQueryPipeline(filter = {}, sort = {}, pagination = {}) {
       },
     });
   }
-  const sortField = sort.field || "created_at";
-  const sortOrder = sort.order === "ASC" ? 1 : -1;
-  const allowedSortFields = [
-    "short_name",
-    "long_name",
-    "created_at",
-    "updated_at",
-  ];
-  if (sortField && !allowedSortFields.includes(sortField)) {
-    throw CreateAppError("Invalid sort field", "BAD_REQUEST", {
-      field: sortField,
-    });
-  }
-
-  pipeline.push({ $sort: { [sortField]: sortOrder } });
-
-  const page =
-    Number.isInteger(pagination.page) && pagination.page > 0
-      ? pagination.page
-      : 1;
-  const limit =
-    Number.isInteger(pagination.limit) && pagination.limit > 0
-      ? pagination.limit
-      : MAX_LIMIT;
-
-  const skip = (page - 1) * limit;
-
-  pipeline.push({
-    $facet: {
-      data: [{ $skip: skip }, { $limit: limit }],
-      metadata: [{ $count: "total" }],
-    },
-  });
-
-  return { pipeline, page, limit };
-}
-
-/**
- * Convert a date string into a Date object.
- * Throws error if the format is invalid.
- *
- * @param {string} dateStr - The date string to parse.
- * @param {string} label - Field name for error context.
- * @returns {Date} Parsed Date object.
- */
 
-function parseDateField(dateStr, label) {
-  const date = new Date(dateStr);
-  if (isNaN(date))
-    throw CreateAppError(`Invalid date format in ${label}`, "BAD_REQUEST");
-  return date;
+  return { pipeline, sort: CompileSort(sort, SCHOOL_QUERY_SPEC) };
 }
 
 // *************** EXPORT MODULE ***************
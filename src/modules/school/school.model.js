@@ -2,6 +2,7 @@
 const { Schema, model, Types } = require("mongoose");
 
 // ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
 const { SCHOOL } = require("../../shared/utils/enum");
 
 const schoolSchema = new Schema(
@@ -96,20 +97,25 @@ const schoolSchema = new Schema(
       type: Date,
       default: null,
     },
+    // User who soft-deleted this record
     deleted_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
 
     // Audit trail
+    // User who created this record
     created_by: {
-      type: String,
-      trim: true,
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
     },
+    // User who last updated this record
     updated_by: {
-      type: String,
-      trim: true,
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
     },
   },
   {
@@ -117,5 +123,12 @@ const schoolSchema = new Schema(
   }
 );
 
+schoolSchema.index(
+  { short_name: "text", long_name: "text" },
+  { name: "school_search", weights: { short_name: 5, long_name: 3 } }
+);
+
+schoolSchema.plugin(ActorStampPlugin);
+
 // *************** EXPORT MODULE ***************
 module.exports = model("School", schoolSchema);
@@ -12,16 +12,52 @@ const {
 } = require("./school.validator.js");
 
 // *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
 const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const {
+  PaginateAggregate,
+  PaginateAggregateConnection,
+} = require("../../shared/utils/pagination.js");
 const { SCHOOL } = require("../../shared/utils/enum.js");
+const { CheckPermission } = require("../../shared/utils/check_permission.js");
+const {
+  GetSchoolScopeQuery,
+  CheckSchoolAccess,
+} = require("../../shared/utils/tenant_scope.js");
 
 // *************** IMPORT CORE ***************
 const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
-const { CheckRoleAccess } = require("../../shared/utils/check_role_access.js");
 
 // *************** IMPORT HELPER FUNCTION ***************
 const { SchoolQueryPipeline } = require("./school.helper.js");
 
+/**
+ * Build the aggregation pipeline of a school list from its filter, where and sort inputs.
+ *
+ * @param {Object} [filter] - Optional filter object (`school_status`).
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [sort] - Optional sort keys, applied in order.
+ * @param {Object} context - GraphQL context, schools are restricted to the caller's schools.
+ * @returns {Promise<Object>} `{ pipeline, sort }`, the filtering stages and the normalized sort.
+ * @throws {AppError} If the filter, where or sort input is invalid.
+ */
+async function BuildSchoolListPipeline(filter, where, sort, context) {
+  const { pipeline, sort: schoolSort } = await SchoolQueryPipeline(
+    filter,
+    where,
+    sort
+  );
+
+  // *************** Restrict to the caller's schools
+  const schoolScopeQuery = await GetSchoolScopeQuery(context, "_id");
+  if (Object.keys(schoolScopeQuery).length > 0) {
+    pipeline.unshift({ $match: schoolScopeQuery });
+  }
+
+  const listPipeline = { pipeline, sort: schoolSort };
+  return listPipeline;
+}
+
 // *************** QUERY ***************
 /**
  * Get a list of schools based on an optional status filter.
@@ -34,36 +70,71 @@ const { SchoolQueryPipeline } = require("./school.helper.js");
  * @param {Object} args - Arguments passed to the query.
  * @param {Object} args.filter - Optional filter object.
  * @param {string} args.filter.school_status - Filter by school status (e.g., 'ACTIVE', 'PENDING', 'DELETED').
+ * @param {Object} args.where - Optional where input (field operators, and/or/not).
+ * @param {Object[]} args.sort - Optional sort keys, applied in order.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  *
- * @returns {Promise<Object[]>} A promise resolving to an array of School documents.
+ * @returns {Promise<Object[]>} A promise resolving to an array of School documents the caller may access.
  */
 
-async function GetAllSchools(_, { filter, sort, pagination }, context) {
+async function GetAllSchools(_, { filter, where, sort, pagination }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
-    const { pipeline, page, limit } = await SchoolQueryPipeline(
+    const { pipeline, sort: schoolSort } = await BuildSchoolListPipeline(
       filter,
+      where,
       sort,
-      pagination
+      context
     );
 
-    const result = await School.aggregate(pipeline);
+    const schoolResponse = await PaginateAggregate(
+      School,
+      pipeline,
+      pagination,
+      schoolSort
+    );
 
-    const data = result[0].data;
-    const total = result[0].metadata[0]?.total || 0;
-    const totalPages = Math.ceil(total / limit);
+    return schoolResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch schools");
+  }
+}
 
-    const schoolResponse = {
-      data,
-      meta: {
-        total,
-        total_pages: totalPages,
-        current_page: page,
-        per_page: limit,
-      },
-    };
+/**
+ * Get one page of schools as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetAllSchools`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter object (`school_status`).
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function GetAllSchoolsConnection(
+  _,
+  { filter, where, sort, pagination },
+  context
+) {
+  try {
+    const { pipeline, sort: schoolSort } = await BuildSchoolListPipeline(
+      filter,
+      where,
+      sort,
+      context
+    );
 
-    return schoolResponse;
+    const schoolConnection = await PaginateAggregateConnection(
+      School,
+      pipeline,
+      pagination,
+      schoolSort
+    );
+
+    return schoolConnection;
   } catch (error) {
     throw HandleCaughtError(error, "Failed to fetch schools");
   }
@@ -82,13 +153,16 @@ async function GetAllSchools(_, { filter, sort, pagination }, context) {
  * @param {Object} [args.filter] - Optional filter object.
  * @param {string} [args.filter.school_status] - Filter by school status (e.g., 'ACTIVE', 'PENDING', 'DELETED').
  *
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ *
  * @returns {Promise<Object|null>} A promise resolving to the School document if found, or `null` if not found.
+ * @throws {AppError} FORBIDDEN if the school is outside the caller's schools.
  */
 
 async function GetOneSchool(_, { id, filter }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const schoolId = await ValidateMongoId(id);
+    await CheckSchoolAccess(context, schoolId);
 
     const query = { _id: schoolId };
 
@@ -154,18 +228,18 @@ async function GetOneSchool(_, { id, filter }, context) {
  * @param {Date} args.input.admin_user[].assigned_at - Assignment timestamp.
  * @param {string} args.input.school_status - Status of the school.
  * @param {Date} [args.input.deleted_at] - Deletion timestamp, if soft-deleted.
- * @param {string} [args.input.deleted_by] - User who marked as deleted.
  * @param {Date} [args.input.created_at] - Timestamp of creation (default: now).
- * @param {string} args.input.created_by - User who created the record.
  * @param {Date|null} [args.input.updated_at] - Optional update timestamp.
- * @param {string} [args.input.updated_by] - Optional user who last updated the record.
+ *
+ * @param {Object} context - GraphQL context containing the authenticated user.
  *
  * @returns {Promise<Object>} A promise resolving to the newly created School document.
+ * @throws {AppError} FORBIDDEN if the caller is restricted to specific schools.
  */
 
 async function CreateSchool(_, { input }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
+    CheckPermission(context, "school:all");
     ValidateCreateSchoolInput(input);
     ValidateVerified(input.verified);
     ValidateAddress(input.address);
@@ -211,11 +285,8 @@ async function CreateSchool(_, { input }, context) {
         : [],
       school_status: input.school_status,
       deleted_at: input.deleted_at,
-      deleted_by: input.deleted_by,
       created_at: input.created_at ? input.created_at : new Date(),
-      created_by: input.created_by,
       updated_at: input.updated_at ? input.updated_at : null,
-      updated_by: input.updated_by,
     };
 
     const createSchoolResponse = await School.create(schoolInputPayload);
@@ -268,24 +339,24 @@ async function CreateSchool(_, { input }, context) {
  * @param {Date} args.input.admin_user[].assigned_at - Assignment timestamp.
  * @param {string} [args.input.school_status] - Status of the school.
  * @param {Date} [args.input.deleted_at] - Soft delete timestamp.
- * @param {string} [args.input.deleted_by] - User who deleted the record.
  * @param {Date} [args.input.created_at] - Creation timestamp (optional override).
- * @param {string} [args.input.created_by] - Creator ID (optional override).
  * @param {Date} [args.input.updated_at] - Last updated timestamp (optional).
- * @param {string} args.input.updated_by - ID of the user who performed the update.
+ *
+ * @param {object} context - GraphQL context containing the authenticated user.
  *
  * @returns {Promise<object>} The updated school document.
+ * @throws {AppError} FORBIDDEN if the school is outside the caller's schools.
  */
 
 async function UpdateSchool(_, { id, input }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     ValidateUpdateSchoolInput(input);
     if (input.verified) ValidateVerified(input.verified);
     if (input.address) ValidateAddress(input.address);
     if (input.contact) ValidateContact(input.contact);
     if (input.admin_user) ValidateAdminUser(input.admin_user);
     const schoolId = await ValidateMongoId(id);
+    await CheckSchoolAccess(context, schoolId);
 
     const currentSchool = await School.findById(schoolId);
     if (!currentSchool) {
@@ -332,11 +403,8 @@ async function UpdateSchool(_, { id, input }, context) {
       school_status: input.school_status,
       student_id: input.student_id,
       deleted_at: input.deleted_at,
-      deleted_by: input.deleted_by,
       created_at: input.created_at ? input.created_at : new Date(),
-      created_by: input.created_by,
       updated_at: input.updated_at ? input.updated_at : null,
-      updated_by: input.updated_by,
     };
 
     const updated = await School.updateOne(
@@ -362,27 +430,27 @@ async function UpdateSchool(_, { id, input }, context) {
  * Soft deletes a school by updating its status and deletion metadata.
  *
  * This function marks a school as deleted by setting `school_status` to `"DELETED"`,
- * and records `deleted_at` and `deleted_by` information. It uses a soft delete
- * strategy without removing the actual document from the database.
+ * and records `deleted_at` (`deleted_by` is stamped with the authenticated user).
+ * It uses a soft delete strategy without removing the actual document from the database.
  *
  * @async
  * @function
  * @param {object} _ - GraphQL parent resolver argument (unused).
- * @param {object} args - Arguments object containing `id` and `input`.
+ * @param {object} args - Arguments object containing `id`.
  * @param {string} args.id - The ID of the school to be deleted.
- * @param {object} [args.input] - Optional input object.
- * @param {string} [args.input.deleted_by] - ID of the user who performed the deletion.
+ * @param {object} context - GraphQL context containing the authenticated user.
  *
  * @returns {Promise<object>} The soft-deleted school document.
  *
+ * @throws {AppError} Throws an `AppError` with code `FORBIDDEN` if the school is outside the caller's schools.
  * @throws {AppError} Throws an `AppError` with code `NOT_FOUND` if the school does not exist.
  * @throws {AppError} Throws a generic `AppError` if deletion fails due to a server or validation error.
  */
 
-async function DeleteSchool(_, { id, input }, context) {
+async function DeleteSchool(_, { id }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const schoolId = await ValidateMongoId(id);
+    await CheckSchoolAccess(context, schoolId);
 
     const deleted = await School.updateOne(
       { _id: schoolId, school_status: { $ne: "DELETED" } },
@@ -390,7 +458,6 @@ async function DeleteSchool(_, { id, input }, context) {
         $set: {
           school_status: "DELETED",
           deleted_at: new Date(),
-          deleted_by: input ? input.deleted_by : null,
         },
       }
     );
@@ -440,6 +507,7 @@ function students(school, _, context) {
 module.exports = {
   Query: {
     GetAllSchools,
+    GetAllSchoolsConnection,
     GetOneSchool,
   },
   Mutation: {
@@ -448,6 +516,7 @@ module.exports = {
     DeleteSchool,
   },
   School: {
+    ...ActorFieldResolvers(),
     students,
   },
 };
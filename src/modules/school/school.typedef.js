@@ -50,19 +50,33 @@ module.exports = gql`
     admin_user: [AdminUser]
     school_status: SchoolStatus!
     deleted_at: Date
-    deleted_by: String
+    deleted_by: ID
+    deleted_by_user: User
     created_at: Date!
-    created_by: String!
+    created_by: ID
+    created_by_user: User
     updated_at: Date
-    updated_by: String!
+    updated_by: ID
+    updated_by_user: User
     students: [Student]
   }
 
+  type SchoolEdge {
+    cursor: String!
+    node: School!
+  }
+
   type SchoolPaginationResult {
     data: [School!]!
     meta: PaginationResult!
   }
 
+  type SchoolConnection {
+    edges: [SchoolEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
+  }
+
   input VerifiedInfoInput {
     status_verified: Boolean!
     verified_by: String
@@ -102,11 +116,8 @@ module.exports = gql`
     admin_user: [AdminUserInput]
     school_status: SchoolStatus!
     deleted_at: Date
-    deleted_by: String
     created_at: Date!
-    created_by: String!
     updated_at: Date
-    updated_by: String!
   }
 
   input UpdateSchoolInput {
@@ -119,11 +130,8 @@ module.exports = gql`
     admin_user: [AdminUserInput]
     school_status: SchoolStatus
     deleted_at: Date
-    deleted_by: String
     created_at: Date
-    created_by: String
     updated_at: Date
-    updated_by: String
   }
 
   input SchoolFilterInput {
@@ -134,18 +142,50 @@ module.exports = gql`
     admin_user_email: String
   }
 
+  input SchoolWhereInput {
+    and: [SchoolWhereInput!]
+    or: [SchoolWhereInput!]
+    not: SchoolWhereInput
+    short_name: StringFilter
+    long_name: StringFilter
+    school_status: StringFilter
+    status_verified: BooleanFilter
+    verified_at: DateFilter
+    admin_user_id: IdFilter
+    city: StringFilter
+    country: StringFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
   extend type Query {
     GetAllSchools(
       filter: SchoolFilterInput
-      sort: SortInput
+      where: SchoolWhereInput
+      sort: [SortInput!]
       pagination: PaginationInput
     ): SchoolPaginationResult!
+      @requiresPermission(permission: "school:read")
+    GetAllSchoolsConnection(
+      filter: SchoolFilterInput
+      where: SchoolWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): SchoolConnection!
+      @requiresPermission(permission: "school:read")
     GetOneSchool(id: ID!, filter: SchoolFilterInput): School
+      @requiresPermission(permission: "school:read")
   }
 
   extend type Mutation {
     CreateSchool(input: CreateSchoolInput!): School!
+      @requiresPermission(permission: "school:write")
+      @audit(entity: "SCHOOL", operation: "CREATE")
     UpdateSchool(id: ID!, input: UpdateSchoolInput!): School!
+      @requiresPermission(permission: "school:write")
+      @audit(entity: "SCHOOL", operation: "UPDATE")
     DeleteSchool(id: ID!): School!
+      @requiresPermission(permission: "school:write")
+      @audit(entity: "SCHOOL", operation: "DELETE")
   }
 `;
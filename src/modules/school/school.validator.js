@@ -192,20 +192,11 @@ function ValidateAdminUser(adminUsers) {
  * @param {string} input.long_name - Required long name of the school.
  * @param {string} [input.logo_url] - Optional logo URL of the school.
  * @param {string} input.school_status - Status of the school: PENDING, ACTIVE, or DELETED.
- * @param {string} input.created_by - User ID of the creator.
- * @param {string} input.updated_by - User ID of the updater.
  * @throws {AppError} If any required field is missing or has an invalid format.
  */
 
 function ValidateCreateSchoolInput(input) {
-  const {
-    short_name,
-    long_name,
-    logo_url,
-    school_status,
-    created_by,
-    updated_by,
-  } = input;
+  const { short_name, long_name, logo_url, school_status } = input;
 
   if (!short_name || typeof short_name !== "string") {
     throw CreateAppError(
@@ -236,22 +227,6 @@ function ValidateCreateSchoolInput(input) {
       { field: "school_status" }
     );
   }
-
-  if (!created_by || typeof created_by !== "string") {
-    throw CreateAppError(
-      "Created_by is required and must be a string.",
-      "VALIDATION_ERROR",
-      { field: "created_by" }
-    );
-  }
-
-  if (!updated_by || typeof updated_by !== "string") {
-    throw CreateAppError(
-      "Updated_by is required and must be a string.",
-      "VALIDATION_ERROR",
-      { field: "updated_by" }
-    );
-  }
 }
 
 /**
@@ -262,20 +237,11 @@ function ValidateCreateSchoolInput(input) {
  * @param {string} [input.long_name] - Optional long name of the school.
  * @param {string} [input.logo_url] - Optional logo URL of the school.
  * @param {string} [input.school_status] - Optional status of the school: PENDING, ACTIVE, or DELETED.
- * @param {string} [input.created_by] - Optional ID of the user who originally created the record.
- * @param {string} [input.updated_by] - Optional ID of the user performing the update.
  * @throws {AppError} If any provided field has an invalid format.
  */
 
 function ValidateUpdateSchoolInput(input) {
-  const {
-    short_name,
-    long_name,
-    logo_url,
-    school_status,
-    created_by,
-    updated_by,
-  } = input;
+  const { short_name, long_name, logo_url, school_status } = input;
 
   if (short_name && typeof short_name !== "string") {
     throw CreateAppError("Short name must be a string.", "VALIDATION_ERROR", {
@@ -302,18 +268,6 @@ function ValidateUpdateSchoolInput(input) {
       { field: "school_status" }
     );
   }
-
-  if (created_by && typeof created_by !== "string") {
-    throw CreateAppError("Created_by must be a string.", "VALIDATION_ERROR", {
-      field: "created_by",
-    });
-  }
-
-  if (updated_by && typeof updated_by !== "string") {
-    throw CreateAppError("Updated_by must be a string.", "VALIDATION_ERROR", {
-      field: "updated_by",
-    });
-  }
 }
 
 // *************** EXPORT MODULE ***************
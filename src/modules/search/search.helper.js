@@ -0,0 +1,259 @@
+// *************** IMPORT MODULE ***************
+const Student = require("../student/student.model");
+const User = require("../user/user.model");
+const School = require("../school/school.model");
+const Subject = require("../subject/subject.model");
+
+// *************** IMPORT UTILITIES ***************
+const { EscapeRegex } = require("../../shared/utils/query_filter");
+const {
+  GetSchoolScopeQuery,
+  GetStudentScopeQuery,
+  GetUserScopeQuery,
+} = require("../../shared/utils/tenant_scope");
+
+const TEXT_INDEX_NOT_FOUND_CODE = 27;
+const HIGHLIGHT_OPEN = "<mark>";
+const HIGHLIGHT_CLOSE = "</mark>";
+
+// *************** Searched fields of each entity type, with their weight
+const SEARCH_TARGETS = {
+  STUDENT: {
+    model: Student,
+    typename: "Student",
+    permission: "student:read",
+    fields: { student_number: 10, first_name: 5, last_name: 5, email: 2 },
+    base_query: { student_status: { $ne: "DELETED" } },
+    GetScopeQuery: (context) => GetStudentScopeQuery(context, "_id"),
+  },
+  USER: {
+    model: User,
+    typename: "User",
+    permission: "user:read",
+    fields: { first_name: 5, last_name: 5, email: 2 },
+    base_query: { user_status: { $ne: "DELETED" } },
+    GetScopeQuery: (context) => GetUserScopeQuery(context, "_id"),
+  },
+  SCHOOL: {
+    model: School,
+    typename: "School",
+    permission: "school:read",
+    fields: { short_name: 5, long_name: 3 },
+    base_query: { school_status: { $ne: "DELETED" } },
+    GetScopeQuery: (context) => GetSchoolScopeQuery(context, "_id"),
+  },
+  SUBJECT: {
+    model: Subject,
+    typename: "Subject",
+    permission: "subject:read",
+    fields: { subject_code: 10, name: 5 },
+    base_query: { subject_status: { $ne: "DELETED" } },
+    GetScopeQuery: async () => ({}),
+  },
+};
+
+/**
+ * Split a search term into lower-cased unique words.
+ *
+ * @param {string} term - Search term.
+ * @returns {string[]} Words of the term.
+ */
+function SplitSearchTerm(term) {
+  const words = term.toLowerCase().split(/\s+/).filter(Boolean);
+  return [...new Set(words)];
+}
+
+/**
+ * Escape the characters that have a meaning in HTML.
+ *
+ * @param {string} value - Raw text.
+ * @returns {string} Text safe to render as HTML.
+ */
+function EscapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Wrap every occurrence of the search words in `<mark>` tags; the rest of the
+ * value is HTML-escaped.
+ *
+ * @param {string} value - Field value.
+ * @param {string[]} words - Words of the search term.
+ * @returns {string|null} Highlighted value, or null when no word occurs in it.
+ */
+function HighlightValue(value, words) {
+  // *************** Longest words first so "jo" does not split "john"
+  const pattern = [...words]
+    .sort((a, b) => b.length - a.length)
+    .map(EscapeRegex)
+    .join("|");
+  const matcher = new RegExp(pattern, "gi");
+
+  let highlighted = "";
+  let lastIndex = 0;
+  for (const match of value.matchAll(matcher)) {
+    highlighted += EscapeHtml(value.slice(lastIndex, match.index));
+    highlighted += `${HIGHLIGHT_OPEN}${EscapeHtml(match[0])}${HIGHLIGHT_CLOSE}`;
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex === 0) return null;
+
+  return highlighted + EscapeHtml(value.slice(lastIndex));
+}
+
+/**
+ * Score how well a field value matches the term: exact, prefix, substring,
+ * then the share of words found.
+ *
+ * @param {string} value - Field value.
+ * @param {string} term - Search term.
+ * @param {string[]} words - Words of the search term.
+ * @returns {number} Match quality between 0 and 3.
+ */
+function ScoreFieldMatch(value, term, words) {
+  const lowerValue = value.toLowerCase();
+  const lowerTerm = term.toLowerCase();
+
+  if (lowerValue === lowerTerm) return 3;
+  if (lowerValue.startsWith(lowerTerm)) return 2;
+  if (lowerValue.includes(lowerTerm)) return 1.5;
+
+  const foundWords = words.filter((word) => lowerValue.includes(word));
+  return foundWords.length / words.length;
+}
+
+/**
+ * Turn a matched document into a search hit with highlights and relevance.
+ *
+ * @param {string} entityType - Entity type (see SEARCH.VALID_ENTITY_TYPE).
+ * @param {Object} doc - Plain document, with `text_score` when found by text search.
+ * @param {string} term - Search term.
+ * @param {string} matchedBy - TEXT or PARTIAL.
+ * @returns {Object} `{ entity_type, score, matched_by, highlights, item }`.
+ */
+function BuildSearchHit(entityType, doc, term, matchedBy) {
+  const target = SEARCH_TARGETS[entityType];
+  const words = SplitSearchTerm(term);
+  const { text_score: textScore = 0, ...item } = doc;
+
+  const highlights = [];
+  let score = textScore;
+  for (const [field, weight] of Object.entries(target.fields)) {
+    const value = item[field];
+    if (typeof value !== "string" || !value) continue;
+
+    const highlighted = HighlightValue(value, words);
+    if (!highlighted) continue;
+
+    highlights.push({ field, value, highlighted });
+    score += weight * ScoreFieldMatch(value, term, words);
+  }
+
+  const searchHit = {
+    entity_type: entityType,
+    score: Math.round(score * 100) / 100,
+    matched_by: matchedBy,
+    highlights,
+    item: { ...item, __typename: target.typename },
+  };
+  return searchHit;
+}
+
+/**
+ * Find documents with the text index of the collection.
+ *
+ * @param {Object} target - Search target.
+ * @param {string} term - Search term.
+ * @param {Object} scopeQuery - Tenant restriction.
+ * @param {number} limit - Maximum number of documents.
+ * @returns {Promise<Object[]|null>} Documents with `text_score`, or null when the index is missing.
+ */
+async function FindTextMatches(target, term, scopeQuery, limit) {
+  const query = { ...target.base_query, $text: { $search: term } };
+  if (Object.keys(scopeQuery).length > 0) query.$and = [scopeQuery];
+
+  try {
+    const docs = await target.model
+      .find(query, { text_score: { $meta: "textScore" } })
+      .sort({ text_score: { $meta: "textScore" } })
+      .limit(limit)
+      .lean();
+    return docs;
+  } catch (error) {
+    if (error.code === TEXT_INDEX_NOT_FOUND_CODE) return null;
+    throw error;
+  }
+}
+
+/**
+ * Find documents containing every word of the term in one of the searched
+ * fields. Catches what text search misses: partial words and student numbers.
+ *
+ * @param {Object} target - Search target.
+ * @param {string} term - Search term.
+ * @param {Object} scopeQuery - Tenant restriction.
+ * @param {ObjectId[]} excludedIds - Documents already found.
+ * @param {number} limit - Maximum number of documents.
+ * @returns {Promise<Object[]>} Documents.
+ */
+async function FindPartialMatches(target, term, scopeQuery, excludedIds, limit) {
+  const fields = Object.keys(target.fields);
+  const wordConditions = SplitSearchTerm(term).map((word) => ({
+    $or: fields.map((field) => ({
+      [field]: { $regex: EscapeRegex(word), $options: "i" },
+    })),
+  }));
+
+  const conditions = [...wordConditions, { _id: { $nin: excludedIds } }];
+  if (Object.keys(scopeQuery).length > 0) conditions.push(scopeQuery);
+
+  const docs = await target.model
+    .find({ ...target.base_query, $and: conditions })
+    .limit(limit)
+    .lean();
+  return docs;
+}
+
+/**
+ * Search one entity type, text index first then partial matches.
+ *
+ * @param {string} entityType - Entity type (see SEARCH.VALID_ENTITY_TYPE).
+ * @param {string} term - Search term.
+ * @param {Object} context - GraphQL context.
+ * @param {number} limit - Maximum number of hits.
+ * @returns {Promise<Object[]>} Search hits of this type.
+ */
+async function SearchEntityType(entityType, term, context, limit) {
+  const target = SEARCH_TARGETS[entityType];
+  const scopeQuery = await target.GetScopeQuery(context);
+
+  const textMatches = (await FindTextMatches(target, term, scopeQuery, limit)) || [];
+  const hits = textMatches.map((doc) =>
+    BuildSearchHit(entityType, doc, term, "TEXT")
+  );
+  if (hits.length >= limit) return hits;
+
+  const partialMatches = await FindPartialMatches(
+    target,
+    term,
+    scopeQuery,
+    textMatches.map((doc) => doc._id),
+    limit - hits.length
+  );
+  for (const doc of partialMatches) {
+    hits.push(BuildSearchHit(entityType, doc, term, "PARTIAL"));
+  }
+
+  return hits;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  SEARCH_TARGETS,
+  SearchEntityType,
+};
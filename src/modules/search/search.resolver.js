@@ -0,0 +1,95 @@
+// *************** IMPORT VALIDATOR ***************
+const { ValidateGlobalSearchInput } = require("./search.validator.js");
+
+// *************** IMPORT UTILITIES ***************
+const { SEARCH } = require("../../shared/utils/enum.js");
+const {
+  CheckPermission,
+  HasPermission,
+} = require("../../shared/utils/check_permission.js");
+
+// *************** IMPORT CORE ***************
+const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const { SEARCH_TARGETS, SearchEntityType } = require("./search.helper.js");
+
+const DEFAULT_SEARCH_LIMIT = 10;
+
+// *************** QUERY ***************
+/**
+ * Search students, users, schools and subjects from a single text box.
+ *
+ * Types the caller cannot read are skipped, unless they were asked for
+ * explicitly. Hits of all types are merged and ranked by relevance.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.term - Text to look for (names, email, student number, subject code...).
+ * @param {string[]} [args.types] - Entity types to search, all readable types by default.
+ * @param {number} [args.limit] - Maximum number of hits (default 10, at most 50).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object[]>} Search hits, most relevant first.
+ * @throws {AppError} FORBIDDEN if a requested type, or every type, cannot be read.
+ */
+async function GlobalSearch(_, { term, types, limit }, context) {
+  try {
+    if (!context.user) {
+      throw CreateAppError("User not authenticated", "UNAUTHORIZED");
+    }
+    ValidateGlobalSearchInput(term, types, limit);
+
+    const searchTerm = term.trim();
+    const searchLimit = limit || DEFAULT_SEARCH_LIMIT;
+
+    let searchTypes;
+    if (types && types.length > 0) {
+      searchTypes = [...new Set(types)];
+      for (const type of searchTypes) {
+        CheckPermission(context, SEARCH_TARGETS[type].permission);
+      }
+    } else {
+      searchTypes = SEARCH.VALID_ENTITY_TYPE.filter((type) =>
+        HasPermission(context, SEARCH_TARGETS[type].permission)
+      );
+    }
+    if (searchTypes.length === 0) {
+      throw CreateAppError("Access denied: insufficient permissions", "FORBIDDEN");
+    }
+
+    const hitsByType = await Promise.all(
+      searchTypes.map((type) =>
+        SearchEntityType(type, searchTerm, context, searchLimit)
+      )
+    );
+
+    const searchResponse = hitsByType
+      .flat()
+      .sort((a, b) => b.score - a.score)
+      .slice(0, searchLimit);
+    return searchResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to search");
+  }
+}
+
+// *************** FIELD RESOLVER ***************
+/**
+ * Resolve the GraphQL type of a search hit item.
+ *
+ * @param {Object} item - Item built by the search helper.
+ * @returns {string} Student, User, School or Subject.
+ */
+function __resolveType(item) {
+  return item.__typename;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  Query: {
+    GlobalSearch,
+  },
+  SearchResult: {
+    __resolveType,
+  },
+};
@@ -0,0 +1,43 @@
+// *************** IMPORT LIBRARY ***************
+
+const gql = require("graphql-tag");
+
+// *************** EXPORT MODULE ***************
+
+module.exports = gql`
+  enum SearchEntityType {
+    STUDENT
+    USER
+    SCHOOL
+    SUBJECT
+  }
+
+  enum SearchMatchMode {
+    TEXT
+    PARTIAL
+  }
+
+  union SearchResult = Student | User | School | Subject
+
+  type SearchHighlight {
+    field: String!
+    value: String!
+    highlighted: String!
+  }
+
+  type SearchHit {
+    entity_type: SearchEntityType!
+    score: Float!
+    matched_by: SearchMatchMode!
+    highlights: [SearchHighlight!]!
+    item: SearchResult!
+  }
+
+  extend type Query {
+    GlobalSearch(
+      term: String!
+      types: [SearchEntityType!]
+      limit: Int
+    ): [SearchHit!]!
+  }
+`;
@@ -0,0 +1,58 @@
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error.js");
+
+// *************** IMPORT UTILITIES ***************
+const { SEARCH } = require("../../shared/utils/enum.js");
+
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 100;
+const MAX_SEARCH_LIMIT = 50;
+
+/**
+ * Validate the arguments of `GlobalSearch`.
+ *
+ * @param {string} term - Text typed by the user.
+ * @param {string[]} [types] - Entity types to search.
+ * @param {number} [limit] - Maximum number of hits.
+ * @throws {AppError} If the term is too short or too long, a type is unknown or the limit is out of range.
+ */
+function ValidateGlobalSearchInput(term, types, limit) {
+  const trimmedTerm = typeof term === "string" ? term.trim() : "";
+  if (
+    trimmedTerm.length < MIN_TERM_LENGTH ||
+    trimmedTerm.length > MAX_TERM_LENGTH
+  ) {
+    throw CreateAppError(
+      `Search term must be between ${MIN_TERM_LENGTH} and ${MAX_TERM_LENGTH} characters.`,
+      "VALIDATION_ERROR",
+      { field: "term" }
+    );
+  }
+
+  if (types !== undefined && types !== null) {
+    const invalidTypes = [].concat(types).filter(
+      (type) => !SEARCH.VALID_ENTITY_TYPE.includes(type)
+    );
+    if (invalidTypes.length > 0) {
+      throw CreateAppError("Invalid search type.", "VALIDATION_ERROR", {
+        field: "types",
+        invalidValues: invalidTypes,
+      });
+    }
+  }
+
+  if (limit !== undefined && limit !== null) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      throw CreateAppError(
+        `Limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}.`,
+        "VALIDATION_ERROR",
+        { field: "limit" }
+      );
+    }
+  }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  ValidateGlobalSearchInput,
+};
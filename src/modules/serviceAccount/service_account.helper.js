@@ -0,0 +1,121 @@
+// *************** IMPORT MODULE ***************
+const ServiceAccount = require("./service_account.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+// *************** IMPORT UTILITIES ***************
+const { HashToken, GenerateRandomToken } = require("../../shared/utils/token");
+
+const API_KEY_PREFIX = "zk";
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Generate a new API key.
+ *
+ * Keys look like `zk_<prefix>_<secret>`; the prefix is stored in clear to
+ * identify the key, only the SHA-256 hash of the whole key is persisted.
+ *
+ * @returns {{ key: string, key_prefix: string, key_hash: string }}
+ */
+function GenerateApiKey() {
+  const keyPrefix = GenerateRandomToken(4);
+  const key = `${API_KEY_PREFIX}_${keyPrefix}_${GenerateRandomToken(24)}`;
+
+  return { key, key_prefix: keyPrefix, key_hash: HashToken(key) };
+}
+
+/**
+ * Whether an API key can still authenticate requests.
+ *
+ * @param {Object} apiKey - API key subdocument.
+ * @returns {boolean} True if the key is neither revoked nor expired.
+ */
+function IsApiKeyActive(apiKey) {
+  if (apiKey.revoked_at) return false;
+  if (apiKey.expires_at && apiKey.expires_at <= new Date()) return false;
+
+  return true;
+}
+
+/**
+ * Build the principal placed in `context.user` for a request made with an API key.
+ *
+ * The principal holds no role, so its effective permissions are exactly the
+ * key permissions, and it is scoped to the schools of the service account.
+ *
+ * @param {Object} serviceAccount - Service account document.
+ * @param {Object} apiKey - API key subdocument used by the request.
+ * @returns {Object} User-like principal.
+ */
+function BuildServiceAccountPrincipal(serviceAccount, apiKey) {
+  const principal = {
+    _id: serviceAccount._id,
+    first_name: serviceAccount.name,
+    last_name: "",
+    email: null,
+    role: [],
+    permissions: apiKey.permissions.filter((permission) =>
+      serviceAccount.permissions.includes(permission)
+    ),
+    school_ids: serviceAccount.school_ids || [],
+    user_status: "ACTIVE",
+    is_service_account: true,
+    api_key_id: apiKey._id,
+  };
+  return principal;
+}
+
+/**
+ * Authenticate a request from its `X-Api-Key` header.
+ *
+ * Last-used tracking is written at most once per minute per key so busy
+ * integrations do not turn every request into a write.
+ *
+ * @param {string} key - Plain API key.
+ * @param {string|null} ipAddress - Client IP address.
+ * @returns {Promise<Object>} `{ user, session: null }` with the service account principal.
+ * @throws {AppError} UNAUTHORIZED if the key is unknown, revoked or expired.
+ */
+async function AuthenticateApiKey(key, ipAddress) {
+  const keyHash = HashToken(String(key).trim());
+  const serviceAccount = await ServiceAccount.findOne({
+    service_account_status: "ACTIVE",
+    "api_keys.key_hash": keyHash,
+  }).lean();
+
+  const apiKey = serviceAccount?.api_keys.find(
+    (candidate) => candidate.key_hash === keyHash
+  );
+  if (!apiKey || !IsApiKeyActive(apiKey)) {
+    throw CreateAppError("Invalid, revoked or expired API key", "UNAUTHORIZED");
+  }
+
+  const now = new Date();
+  if (
+    !apiKey.last_used_at ||
+    now - apiKey.last_used_at > LAST_USED_RESOLUTION_MS
+  ) {
+    await ServiceAccount.updateOne(
+      { _id: serviceAccount._id, "api_keys._id": apiKey._id },
+      {
+        $set: {
+          "api_keys.$.last_used_at": now,
+          "api_keys.$.last_used_ip": ipAddress || null,
+        },
+      }
+    );
+  }
+
+  return {
+    user: BuildServiceAccountPrincipal(serviceAccount, apiKey),
+    session: null,
+  };
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  GenerateApiKey,
+  IsApiKeyActive,
+  AuthenticateApiKey,
+};
@@ -0,0 +1,145 @@
+// *************** IMPORT LIBRARY ***************
+const { Schema, model, Types } = require("mongoose");
+
+// ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
+const { PERMISSION, SERVICE_ACCOUNT } = require("../../shared/utils/enum");
+
+const apiKeySchema = new Schema(
+  {
+    // Human readable label of the key (e.g. "SIS nightly sync")
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Public part of the key, used to identify it in listings and logs
+    key_prefix: {
+      type: String,
+      required: true,
+    },
+
+    // SHA-256 hash of the full key (plain key is never stored)
+    key_hash: {
+      type: String,
+      required: true,
+    },
+
+    // Permissions granted to requests made with this key
+    permissions: {
+      type: [String],
+      enum: PERMISSION.VALID_PERMISSION,
+      default: [],
+    },
+
+    // Key is refused after this time (null for no expiry)
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Last time the key authenticated a request
+    last_used_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Client IP address of the last request made with the key
+    last_used_ip: {
+      type: String,
+      default: null,
+    },
+
+    // Timestamp when the key was revoked
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+const serviceAccountSchema = new Schema(
+  {
+    // Name of the integration using the account (e.g. "SIS sync")
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Optional description of what the integration does
+    description: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+
+    // Upper bound of the permissions its API keys can be granted
+    permissions: {
+      type: [String],
+      enum: PERMISSION.VALID_PERMISSION,
+      default: [],
+    },
+
+    // Schools (tenants) the account may access
+    school_ids: {
+      type: [Types.ObjectId],
+      ref: "School",
+      default: [],
+    },
+
+    // API keys issued to the account, revoked keys are kept for traceability
+    api_keys: {
+      type: [apiKeySchema],
+      default: [],
+    },
+
+    // Current status of the account (ACTIVE, DELETED)
+    service_account_status: {
+      type: String,
+      enum: SERVICE_ACCOUNT.VALID_STATUS,
+      default: SERVICE_ACCOUNT.DEFAULT_STATUS,
+    },
+
+    // User who created this record
+    created_by: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // User who last updated this record
+    updated_by: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Timestamp when the account was soft-deleted
+    deleted_at: {
+      type: Date,
+      default: null,
+    },
+
+    // User who soft-deleted this record
+    deleted_by: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+serviceAccountSchema.index({ "api_keys.key_hash": 1 });
+
+serviceAccountSchema.plugin(ActorStampPlugin);
+
+// *************** EXPORT MODULE ***************
+module.exports = model("ServiceAccount", serviceAccountSchema);
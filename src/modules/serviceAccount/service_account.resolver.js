@@ -0,0 +1,414 @@
+// *************** IMPORT MODULE ***************
+const ServiceAccount = require("./service_account.model.js");
+
+// *************** IMPORT VALIDATOR ***************
+const {
+  ValidateCreateServiceAccountInput,
+  ValidateCreateApiKeyInput,
+} = require("./service_account.validator.js");
+
+// *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
+const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const {
+  PaginateFindConnection,
+  BuildListSort,
+} = require("../../shared/utils/pagination.js");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter.js");
+const {
+  CheckGrantablePermissions,
+} = require("../../shared/utils/check_permission.js");
+const {
+  GetTenantSchoolIds,
+  CheckSchoolAccess,
+} = require("../../shared/utils/tenant_scope.js");
+
+// *************** IMPORT CORE ***************
+const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const { GenerateApiKey, IsApiKeyActive } = require("./service_account.helper.js");
+
+// *************** Fields of a service account that can be filtered and sorted on
+const SERVICE_ACCOUNT_QUERY_SPEC = {
+  fields: {
+    name: { type: "string", sortable: true },
+    permissions: { type: "string" },
+    school_id: { type: "id", path: "school_ids" },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
+
+/**
+ * Build a query condition restricting service accounts to those whose schools
+ * all belong to the caller's schools.
+ *
+ * @param {Object} context - GraphQL context.
+ * @returns {Promise<Object>} Query condition, empty when unrestricted.
+ */
+async function GetServiceAccountScopeQuery(context) {
+  const schoolIds = await GetTenantSchoolIds(context);
+  if (!schoolIds) return {};
+
+  return {
+    school_ids: { $ne: [], $not: { $elemMatch: { $nin: schoolIds } } },
+  };
+}
+
+/**
+ * Load an active service account the caller may manage.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {string} id - Service account ID.
+ * @returns {Promise<Object>} The service account document.
+ * @throws {AppError} NOT_FOUND if it does not exist or is outside the caller's schools.
+ */
+async function LoadServiceAccount(context, id) {
+  const serviceAccountId = await ValidateMongoId(id);
+  const scopeQuery = await GetServiceAccountScopeQuery(context);
+
+  const serviceAccount = await ServiceAccount.findOne({
+    _id: serviceAccountId,
+    service_account_status: "ACTIVE",
+    ...scopeQuery,
+  });
+  if (!serviceAccount) {
+    throw CreateAppError("Service account not found", "NOT_FOUND", {
+      service_account_id: id,
+    });
+  }
+
+  return serviceAccount;
+}
+
+/**
+ * Find an API key of a service account.
+ *
+ * @param {Object} serviceAccount - Service account document.
+ * @param {string} keyId - API key ID.
+ * @returns {Object} The API key subdocument.
+ * @throws {AppError} NOT_FOUND if the key does not exist.
+ */
+function FindApiKey(serviceAccount, keyId) {
+  const apiKey = serviceAccount.api_keys.id(keyId);
+  if (!apiKey) {
+    throw CreateAppError("API key not found", "NOT_FOUND", { key_id: keyId });
+  }
+
+  return apiKey;
+}
+
+/**
+ * Add a new API key to a service account and return it with its plain value.
+ *
+ * @param {Object} serviceAccount - Service account document (saved by this function).
+ * @param {Object} keyInput - Key name, permissions and expiry.
+ * @returns {Promise<Object>} `{ api_key, key }`, the plain key is only returned here.
+ */
+async function IssueApiKey(serviceAccount, keyInput) {
+  const { key, key_prefix, key_hash } = GenerateApiKey();
+
+  serviceAccount.api_keys.push({
+    name: keyInput.name,
+    key_prefix,
+    key_hash,
+    permissions: keyInput.permissions,
+    expires_at: keyInput.expires_at || null,
+  });
+  await serviceAccount.save();
+
+  const issueApiKeyResponse = {
+    api_key: serviceAccount.api_keys[serviceAccount.api_keys.length - 1],
+    key,
+  };
+  return issueApiKeyResponse;
+}
+
+/**
+ * Build the find query of the service account list from its where input.
+ *
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @param {Object} context - GraphQL context, accounts are restricted to the ones the caller may manage.
+ * @returns {Promise<Object>} Query condition.
+ * @throws {AppError} If the where input is invalid.
+ */
+async function BuildServiceAccountListQuery(where, context) {
+  const scopeQuery = await GetServiceAccountScopeQuery(context);
+  const query = { service_account_status: "ACTIVE", ...scopeQuery };
+
+  const whereQuery = CompileWhere(where, SERVICE_ACCOUNT_QUERY_SPEC);
+  if (whereQuery) {
+    query.$and = [whereQuery];
+  }
+
+  return query;
+}
+
+// *************** QUERY ***************
+/**
+ * List the active service accounts the caller may manage.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, newest first by default.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object[]>} Service accounts.
+ */
+async function GetAllServiceAccounts(_, { where, sort }, context) {
+  try {
+    const query = await BuildServiceAccountListQuery(where, context);
+
+    const serviceAccounts = await ServiceAccount.find(query)
+      .sort(BuildListSort(CompileSort(sort, SERVICE_ACCOUNT_QUERY_SPEC)))
+      .lean();
+    return serviceAccounts;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch service accounts");
+  }
+}
+
+/**
+ * Get one page of service accounts as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetAllServiceAccounts`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function GetAllServiceAccountsConnection(
+  _,
+  { where, sort, pagination },
+  context
+) {
+  try {
+    const query = await BuildServiceAccountListQuery(where, context);
+
+    const serviceAccountConnection = await PaginateFindConnection(
+      ServiceAccount,
+      query,
+      pagination,
+      CompileSort(sort, SERVICE_ACCOUNT_QUERY_SPEC)
+    );
+    return serviceAccountConnection;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch service accounts");
+  }
+}
+
+/**
+ * List the API keys of a service account, revoked and expired ones included.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.service_account_id - Service account ID.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object[]>} API keys, without their hash.
+ */
+async function ListApiKeys(_, { service_account_id }, context) {
+  try {
+    const serviceAccount = await LoadServiceAccount(context, service_account_id);
+
+    return serviceAccount.api_keys;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch API keys");
+  }
+}
+
+// *************** MUTATION ***************
+/**
+ * Create a service account for a machine-to-machine integration.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} args.input - Service account input.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The created service account.
+ * @throws {AppError} FORBIDDEN if the caller grants permissions or schools it does not hold.
+ */
+async function CreateServiceAccount(_, { input }, context) {
+  try {
+    ValidateCreateServiceAccountInput(input);
+    CheckGrantablePermissions(context, { permissions: input.permissions });
+
+    const schoolIds = input.school_ids || [];
+    const tenantSchoolIds = await GetTenantSchoolIds(context);
+    if (tenantSchoolIds && schoolIds.length === 0) {
+      throw CreateAppError("At least one school is required.", "VALIDATION_ERROR", {
+        field: "school_ids",
+      });
+    }
+    for (const schoolId of schoolIds) {
+      await CheckSchoolAccess(context, schoolId);
+    }
+
+    const createServiceAccountResponse = await ServiceAccount.create({
+      name: input.name,
+      description: input.description,
+      permissions: input.permissions,
+      school_ids: schoolIds,
+    });
+    return createServiceAccountResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to create service account");
+  }
+}
+
+/**
+ * Soft delete a service account and revoke all of its API keys.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.id - Service account ID.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The deleted service account.
+ */
+async function DeleteServiceAccount(_, { id }, context) {
+  try {
+    const serviceAccount = await LoadServiceAccount(context, id);
+    const now = new Date();
+
+    serviceAccount.service_account_status = "DELETED";
+    serviceAccount.deleted_at = now;
+    for (const apiKey of serviceAccount.api_keys) {
+      if (!apiKey.revoked_at) apiKey.revoked_at = now;
+    }
+    await serviceAccount.save();
+
+    return serviceAccount;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to delete service account");
+  }
+}
+
+/**
+ * Issue a new API key for a service account.
+ *
+ * Keys default to the permissions of the account; narrower scopes can be
+ * given per key. The plain key is only returned by this mutation.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.service_account_id - Service account ID.
+ * @param {Object} args.input - API key input (`name`, `permissions`, `expires_at`).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ api_key, key }`.
+ */
+async function CreateApiKey(_, { service_account_id, input }, context) {
+  try {
+    const serviceAccount = await LoadServiceAccount(context, service_account_id);
+    ValidateCreateApiKeyInput(input, serviceAccount.permissions);
+
+    const permissions = input.permissions || serviceAccount.permissions;
+    CheckGrantablePermissions(context, { permissions });
+
+    const createApiKeyResponse = await IssueApiKey(serviceAccount, {
+      name: input.name,
+      permissions,
+      expires_at: input.expires_at,
+    });
+    return createApiKeyResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to create API key");
+  }
+}
+
+/**
+ * Revoke an API key; requests made with it are refused immediately.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.service_account_id - Service account ID.
+ * @param {string} args.key_id - API key ID.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The revoked API key.
+ */
+async function RevokeApiKey(_, { service_account_id, key_id }, context) {
+  try {
+    const serviceAccount = await LoadServiceAccount(context, service_account_id);
+    const apiKey = FindApiKey(serviceAccount, key_id);
+
+    if (!apiKey.revoked_at) {
+      apiKey.revoked_at = new Date();
+      await serviceAccount.save();
+    }
+
+    return apiKey;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to revoke API key");
+  }
+}
+
+/**
+ * Replace an active API key with a new one carrying the same name, scopes and
+ * expiry, and revoke the old key.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.service_account_id - Service account ID.
+ * @param {string} args.key_id - ID of the API key to rotate.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ api_key, key }` of the new key.
+ * @throws {AppError} BAD_REQUEST if the key is already revoked or expired.
+ */
+async function RotateApiKey(_, { service_account_id, key_id }, context) {
+  try {
+    const serviceAccount = await LoadServiceAccount(context, service_account_id);
+    const apiKey = FindApiKey(serviceAccount, key_id);
+    if (!IsApiKeyActive(apiKey)) {
+      throw CreateAppError("Only active API keys can be rotated", "BAD_REQUEST", {
+        key_id,
+      });
+    }
+
+    apiKey.revoked_at = new Date();
+    const rotateApiKeyResponse = await IssueApiKey(serviceAccount, {
+      name: apiKey.name,
+      permissions: apiKey.permissions,
+      expires_at: apiKey.expires_at,
+    });
+    return rotateApiKeyResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to rotate API key");
+  }
+}
+
+// *************** FIELD RESOLVER ***************
+/**
+ * Whether the API key can still authenticate requests.
+ *
+ * @param {Object} apiKey - Parent ApiKey object.
+ * @returns {boolean} True if the key is neither revoked nor expired.
+ */
+function is_active(apiKey) {
+  return IsApiKeyActive(apiKey);
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  Query: {
+    GetAllServiceAccounts,
+    GetAllServiceAccountsConnection,
+    ListApiKeys,
+  },
+  Mutation: {
+    CreateServiceAccount,
+    DeleteServiceAccount,
+    CreateApiKey,
+    RevokeApiKey,
+    RotateApiKey,
+  },
+  ServiceAccount: {
+    ...ActorFieldResolvers(),
+  },
+  ApiKey: {
+    is_active,
+  },
+};
@@ -0,0 +1,122 @@
+// *************** IMPORT LIBRARY ***************
+
+const gql = require("graphql-tag");
+
+// *************** EXPORT MODULE ***************
+
+module.exports = gql`
+  enum ServiceAccountStatus {
+    ACTIVE
+    DELETED
+  }
+
+  type ApiKey {
+    _id: ID!
+    name: String!
+    key_prefix: String!
+    permissions: [String!]!
+    expires_at: Date
+    last_used_at: Date
+    last_used_ip: String
+    revoked_at: Date
+    created_at: Date
+    is_active: Boolean!
+  }
+
+  type ServiceAccount {
+    _id: ID!
+    name: String!
+    description: String
+    permissions: [String!]!
+    school_ids: [ID!]!
+    service_account_status: ServiceAccountStatus!
+    created_at: Date
+    created_by: ID
+    created_by_user: User
+    updated_at: Date
+    updated_by: ID
+    updated_by_user: User
+    deleted_at: Date
+    deleted_by: ID
+    deleted_by_user: User
+  }
+
+  type ServiceAccountEdge {
+    cursor: String!
+    node: ServiceAccount!
+  }
+
+  type ServiceAccountConnection {
+    edges: [ServiceAccountEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
+  }
+
+  type CreatedApiKey {
+    api_key: ApiKey!
+    key: String!
+  }
+
+  input CreateServiceAccountInput {
+    name: String!
+    description: String
+    permissions: [String!]!
+    school_ids: [ID!]
+  }
+
+  input CreateApiKeyInput {
+    name: String!
+    permissions: [String!]
+    expires_at: Date
+  }
+
+  input ServiceAccountWhereInput {
+    and: [ServiceAccountWhereInput!]
+    or: [ServiceAccountWhereInput!]
+    not: ServiceAccountWhereInput
+    name: StringFilter
+    permissions: StringFilter
+    school_id: IdFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
+  extend type Query {
+    GetAllServiceAccounts(
+      where: ServiceAccountWhereInput
+      sort: [SortInput!]
+    ): [ServiceAccount!]!
+      @requiresPermission(permission: "service_account:read")
+    GetAllServiceAccountsConnection(
+      where: ServiceAccountWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): ServiceAccountConnection!
+      @requiresPermission(permission: "service_account:read")
+    ListApiKeys(service_account_id: ID!): [ApiKey!]!
+      @requiresPermission(permission: "service_account:read")
+  }
+
+  extend type Mutation {
+    CreateServiceAccount(input: CreateServiceAccountInput!): ServiceAccount!
+      @requiresPermission(permission: "service_account:write")
+      @audit(entity: "SERVICE_ACCOUNT", operation: "CREATE")
+      @sensitive
+    DeleteServiceAccount(id: ID!): ServiceAccount!
+      @requiresPermission(permission: "service_account:write")
+      @audit(entity: "SERVICE_ACCOUNT", operation: "DELETE")
+      @sensitive
+    CreateApiKey(service_account_id: ID!, input: CreateApiKeyInput!): CreatedApiKey!
+      @requiresPermission(permission: "service_account:write")
+      @audit(entity: "SERVICE_ACCOUNT", operation: "CREATE_API_KEY", id_arg: "service_account_id")
+      @sensitive
+    RevokeApiKey(service_account_id: ID!, key_id: ID!): ApiKey!
+      @requiresPermission(permission: "service_account:write")
+      @audit(entity: "SERVICE_ACCOUNT", operation: "REVOKE_API_KEY", id_arg: "service_account_id")
+      @sensitive
+    RotateApiKey(service_account_id: ID!, key_id: ID!): CreatedApiKey!
+      @requiresPermission(permission: "service_account:write")
+      @audit(entity: "SERVICE_ACCOUNT", operation: "ROTATE_API_KEY", id_arg: "service_account_id")
+      @sensitive
+  }
+`;
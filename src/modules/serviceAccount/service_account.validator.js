@@ -0,0 +1,95 @@
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error.js");
+
+// *************** IMPORT VALIDATOR ***************
+const {
+  ValidatePermissionsInput,
+  ValidateSchoolIdsInput,
+} = require("../user/user.validator.js");
+
+/**
+ * Validate the input of `CreateServiceAccount`.
+ *
+ * @param {Object} input - Service account input.
+ * @param {string} input.name - Name of the integration.
+ * @param {string} [input.description] - Optional description.
+ * @param {string[]} input.permissions - Permissions its keys can be granted.
+ * @param {string[]} [input.school_ids] - Schools the account may access.
+ * @throws {AppError} If any field is missing or invalid.
+ */
+function ValidateCreateServiceAccountInput(input) {
+  const { name, description, permissions, school_ids } = input;
+
+  if (typeof name !== "string" || !name.trim()) {
+    throw CreateAppError("Name is required.", "VALIDATION_ERROR", {
+      field: "name",
+    });
+  }
+
+  if (description !== undefined && description !== null && typeof description !== "string") {
+    throw CreateAppError("Description must be a string.", "VALIDATION_ERROR", {
+      field: "description",
+    });
+  }
+
+  ValidatePermissionsInput(permissions);
+  if (permissions.length === 0) {
+    throw CreateAppError("At least one permission is required.", "VALIDATION_ERROR", {
+      field: "permissions",
+    });
+  }
+
+  if (school_ids !== undefined && school_ids !== null) {
+    ValidateSchoolIdsInput(school_ids);
+  }
+}
+
+/**
+ * Validate the input of `CreateApiKey`.
+ *
+ * @param {Object} input - API key input.
+ * @param {string} input.name - Label of the key.
+ * @param {string[]} [input.permissions] - Permissions of the key, subset of the account ones.
+ * @param {Date} [input.expires_at] - Optional expiry, must be in the future.
+ * @param {string[]} accountPermissions - Permissions of the service account.
+ * @throws {AppError} If any field is invalid or a permission exceeds the account ones.
+ */
+function ValidateCreateApiKeyInput(input, accountPermissions) {
+  const { name, permissions, expires_at } = input;
+
+  if (typeof name !== "string" || !name.trim()) {
+    throw CreateAppError("Name is required.", "VALIDATION_ERROR", {
+      field: "name",
+    });
+  }
+
+  if (permissions !== undefined && permissions !== null) {
+    ValidatePermissionsInput(permissions);
+
+    const exceedingPermissions = permissions.filter(
+      (permission) => !accountPermissions.includes(permission)
+    );
+    if (exceedingPermissions.length > 0) {
+      throw CreateAppError(
+        "API key permissions must be granted to the service account.",
+        "VALIDATION_ERROR",
+        { field: "permissions", invalidValues: exceedingPermissions }
+      );
+    }
+  }
+
+  if (expires_at !== undefined && expires_at !== null) {
+    const expiresAt = new Date(expires_at);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      throw CreateAppError("Expiry must be a future date.", "VALIDATION_ERROR", {
+        field: "expires_at",
+      });
+    }
+  }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  ValidateCreateServiceAccountInput,
+  ValidateCreateApiKeyInput,
+};
@@ -0,0 +1,264 @@
+// *************** IMPORT LIBRARY ***************
+const jwt = require("jsonwebtoken");
+const { isValidObjectId } = require("mongoose");
+
+// *************** IMPORT MODULE ***************
+const Session = require("./session.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+const { JWT_SECRET } = require("../../core/config");
+
+// *************** IMPORT UTILITIES ***************
+const { HashToken, GenerateRandomToken } = require("../../shared/utils/token");
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 7;
+const STATUS_ACTIVE = "ACTIVE";
+const STATUS_REVOKED = "REVOKED";
+
+/**
+ * Build the refresh token handed to the client.
+ *
+ * The session ID is prefixed so the session can be located directly,
+ * the random secret is the part that is hashed and rotated.
+ *
+ * @param {ObjectId|string} sessionId - ID of the owning session.
+ * @returns {{ refreshToken: string, refreshTokenHash: string }}
+ */
+function GenerateRefreshToken(sessionId) {
+  const secret = GenerateRandomToken();
+  const refreshToken = `${String(sessionId)}.${secret}`;
+
+  return { refreshToken, refreshTokenHash: HashToken(secret) };
+}
+
+/**
+ * Split a refresh token into its session ID and secret parts.
+ *
+ * @param {string} refreshToken - Refresh token received from the client.
+ * @returns {{ sessionId: string, secret: string }}
+ * @throws {AppError} If the token is malformed.
+ */
+function ParseRefreshToken(refreshToken) {
+  const [sessionId, secret] =
+    typeof refreshToken === "string" ? refreshToken.split(".") : [];
+
+  if (!sessionId || !secret || !isValidObjectId(sessionId)) {
+    throw CreateAppError("Invalid refresh token", "UNAUTHORIZED");
+  }
+
+  return { sessionId, secret };
+}
+
+/**
+ * Sign a short-lived access token bound to a session.
+ *
+ * @param {Object} user - Authenticated user document.
+ * @param {ObjectId|string} sessionId - ID of the session the token belongs to.
+ * @returns {{ token: string, tokenExpiresAt: Date }}
+ */
+function SignAccessToken(user, sessionId) {
+  const payload = {
+    user_id: String(user._id),
+    role: user.role,
+    session_id: String(sessionId),
+  };
+
+  const token = jwt.sign(payload, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  });
+  const tokenExpiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000);
+
+  return { token, tokenExpiresAt };
+}
+
+/**
+ * Open a new session for a user and issue its first token pair.
+ *
+ * @param {Object} user - Authenticated user document.
+ * @param {Object} [client] - Client information from the request context.
+ * @param {string} [client.ip_address] - Client IP address.
+ * @param {string} [client.user_agent] - Client user agent.
+ * @returns {Promise<Object>} Token pair with expiry dates.
+ */
+async function CreateSession(user, client = {}) {
+  const session = new Session({
+    user_id: user._id,
+    user_agent: client.user_agent || null,
+    ip_address: client.ip_address || null,
+    expires_at: new Date(
+      Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    ),
+  });
+
+  const { refreshToken, refreshTokenHash } = GenerateRefreshToken(session._id);
+  session.refresh_token_hash = refreshTokenHash;
+  await session.save();
+
+  const { token, tokenExpiresAt } = SignAccessToken(user, session._id);
+
+  const createSessionResponse = {
+    token,
+    token_expires_at: tokenExpiresAt,
+    refresh_token: refreshToken,
+    refresh_token_expires_at: session.expires_at,
+  };
+  return createSessionResponse;
+}
+
+/**
+ * Rotate a refresh token and issue a new token pair.
+ *
+ * The presented token must match the current hash of its session. A token that
+ * matches a hash already rotated out means it was replayed, so the whole session
+ * is revoked to cut off whoever holds the leaked token.
+ *
+ * @param {string} refreshToken - Refresh token received from the client.
+ * @param {Function} loadUser - Async callback resolving the active user by ID.
+ * @returns {Promise<Object>} New token pair with expiry dates and the user.
+ * @throws {AppError} If the token is invalid, expired, revoked or reused.
+ */
+async function RotateRefreshToken(refreshToken, loadUser) {
+  const { sessionId, secret } = ParseRefreshToken(refreshToken);
+  const presentedHash = HashToken(secret);
+
+  const session = await Session.findById(sessionId).lean();
+  if (!session) {
+    throw CreateAppError("Invalid refresh token", "UNAUTHORIZED");
+  }
+
+  if (session.session_status !== STATUS_ACTIVE) {
+    throw CreateAppError("Session has been revoked", "UNAUTHORIZED");
+  }
+
+  if (session.expires_at <= new Date()) {
+    await RevokeSession(session._id, "EXPIRED");
+    throw CreateAppError("Session has expired", "UNAUTHORIZED");
+  }
+
+  if (session.rotated_token_hashes.includes(presentedHash)) {
+    await RevokeSession(session._id, "REFRESH_TOKEN_REUSE");
+    throw CreateAppError("Refresh token reuse detected", "UNAUTHORIZED", {
+      session_id: session._id,
+    });
+  }
+
+  if (session.refresh_token_hash !== presentedHash) {
+    throw CreateAppError("Invalid refresh token", "UNAUTHORIZED");
+  }
+
+  const user = await loadUser(session.user_id);
+  if (!user) {
+    await RevokeSession(session._id, "USER_DELETED");
+    throw CreateAppError("User not found or inactive", "UNAUTHORIZED");
+  }
+
+  const { refreshToken: nextRefreshToken, refreshTokenHash } =
+    GenerateRefreshToken(session._id);
+
+  // *************** Only rotate if nobody else rotated the same token concurrently
+  const rotated = await Session.updateOne(
+    {
+      _id: session._id,
+      session_status: STATUS_ACTIVE,
+      refresh_token_hash: presentedHash,
+    },
+    {
+      $set: {
+        refresh_token_hash: refreshTokenHash,
+        last_used_at: new Date(),
+      },
+      $push: { rotated_token_hashes: presentedHash },
+    }
+  );
+
+  if (rotated.modifiedCount === 0) {
+    await RevokeSession(session._id, "REFRESH_TOKEN_REUSE");
+    throw CreateAppError("Refresh token reuse detected", "UNAUTHORIZED", {
+      session_id: session._id,
+    });
+  }
+
+  const { token, tokenExpiresAt } = SignAccessToken(user, session._id);
+
+  const rotateRefreshTokenResponse = {
+    token,
+    token_expires_at: tokenExpiresAt,
+    refresh_token: nextRefreshToken,
+    refresh_token_expires_at: session.expires_at,
+    user,
+  };
+  return rotateRefreshTokenResponse;
+}
+
+/**
+ * Find the active, unexpired session an access token is bound to.
+ *
+ * @param {string} sessionId - Session ID carried by the access token.
+ * @returns {Promise<Object|null>} The session or null when revoked/expired.
+ */
+async function FindActiveSession(sessionId) {
+  if (!sessionId || !isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    session_status: STATUS_ACTIVE,
+    expires_at: { $gt: new Date() },
+  }).lean();
+
+  return session;
+}
+
+/**
+ * Revoke a single session.
+ *
+ * @param {ObjectId|string} sessionId - ID of the session to revoke.
+ * @param {string} reason - Revoke reason (see SESSION.VALID_REVOKE_REASON).
+ * @returns {Promise<boolean>} True if an active session was revoked.
+ */
+async function RevokeSession(sessionId, reason) {
+  const revoked = await Session.updateOne(
+    { _id: sessionId, session_status: STATUS_ACTIVE },
+    {
+      $set: {
+        session_status: STATUS_REVOKED,
+        revoked_at: new Date(),
+        revoked_reason: reason,
+      },
+    }
+  );
+
+  return revoked.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of a user.
+ *
+ * @param {ObjectId|string} userId - ID of the user.
+ * @param {string} reason - Revoke reason (see SESSION.VALID_REVOKE_REASON).
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+async function RevokeAllUserSessions(userId, reason) {
+  const revoked = await Session.updateMany(
+    { user_id: userId, session_status: STATUS_ACTIVE },
+    {
+      $set: {
+        session_status: STATUS_REVOKED,
+        revoked_at: new Date(),
+        revoked_reason: reason,
+      },
+    }
+  );
+
+  return revoked.modifiedCount;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  CreateSession,
+  RotateRefreshToken,
+  FindActiveSession,
+  RevokeSession,
+  RevokeAllUserSessions,
+};
@@ -0,0 +1,83 @@
+// *************** IMPORT LIBRARY ***************
+const { Schema, model, Types } = require("mongoose");
+
+// ************** IMPORT UTILITIES *************
+const { SESSION } = require("../../shared/utils/enum");
+
+const sessionSchema = new Schema(
+  {
+    // Reference to the user who owns this session
+    user_id: {
+      type: Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+
+    // SHA-256 hash of the refresh token currently valid for this session
+    refresh_token_hash: {
+      type: String,
+      required: true,
+    },
+
+    // Hashes of refresh tokens already rotated out, used for reuse detection
+    rotated_token_hashes: {
+      type: [String],
+      default: [],
+    },
+
+    // Client user agent captured at login
+    user_agent: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+
+    // Client IP address captured at login
+    ip_address: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+
+    // Current status of the session (ACTIVE, REVOKED)
+    session_status: {
+      type: String,
+      enum: SESSION.VALID_STATUS,
+      default: SESSION.DEFAULT_STATUS,
+      required: true,
+    },
+
+    // Absolute expiry of the session (refresh token lifetime)
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+
+    // Last time the refresh token of this session was rotated
+    last_used_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Timestamp when the session was revoked
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Reason the session was revoked (LOGOUT, REFRESH_TOKEN_REUSE, ...)
+    revoked_reason: {
+      type: String,
+      enum: [...SESSION.VALID_REVOKE_REASON, null],
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+sessionSchema.index({ user_id: 1, session_status: 1 });
+
+// *************** EXPORT MODULE ***************
+module.exports = model("Session", sessionSchema);
@@ -1,109 +1,80 @@
-// *************** IMPORT LIBRARY ***************
-const { default: mongoose } = require("mongoose");
+// *************** IMPORT MODULE ***************
+const Student = require("./student.model");
+const School = require("../school/school.model");
 
 // *************** IMPORT CORE ***************
 const { CreateAppError } = require("../../core/error");
 
 // *************** IMPORT UTILITIES ***************
 const { STUDENT } = require("../../shared/utils/enum");
-const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter");
+const { GetCurrentActorId } = require("../../shared/utils/actor_stamp");
+const { CheckSchoolAccess } = require("../../shared/utils/tenant_scope");
 
-const MAX_LIMIT = 10;
+// *************** Emails compare without case
+const EMAIL_COLLATION = { locale: "en", strength: 2 };
+
+// *************** Fields of a student that can be filtered and sorted on
+const STUDENT_QUERY_SPEC = {
+  fields: {
+    first_name: { type: "string", sortable: true },
+    last_name: { type: "string", sortable: true },
+    email: { type: "string", sortable: true },
+    student_number: { type: "string", sortable: true },
+    student_status: { type: "enum", values: STUDENT.VALID_STATUS, sortable: true },
+    academic_status: {
+      type: "enum",
+      values: STUDENT.VALID_ACADEMIC_STATUS,
+      sortable: true,
+    },
+    gender: { type: "enum", values: STUDENT.VALID_GENDER },
+    scholarship: { type: "boolean" },
+    school_id: { type: "id" },
+    date_of_birth: { type: "date", path: "birth.date", sortable: true },
+    enrollment_date: { type: "date", sortable: true },
+    graduation_date: { type: "date", sortable: true },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
 
 /**
- * Build a $match stage for student filtering.
+ * Translate the legacy `StudentFilterInput` into the where language.
  *
  * @param {Object} filter - Filter object
- * @returns {Object} matchStage object
+ * @returns {Object} Equivalent where input
  */
-async function StudentFilterStage(filter = {}) {
-  const matchStage = {};
-
-  if (filter.student_status) {
-    if (!STUDENT.VALID_STATUS.includes(filter.student_status)) {
-      throw CreateAppError("Invalid student_status", "BAD_REQUEST", {
-        student_status: filter.student_status,
-      });
-    }
-    matchStage.student_status = filter.student_status;
-  }
-  if (filter.academic_status) {
-    if (!STUDENT.VALID_ACADEMIC_STATUS.includes(filter.academic_status)) {
-      throw CreateAppError("Invalid academic_status", "BAD_REQUEST", {
-        academic_status: filter.academic_status,
-      });
-    }
-    matchStage.academic_status = filter.academic_status;
-  }
-
-  if (filter.gender) {
-    if (!STUDENT.VALID_GENDER.includes(filter.gender)) {
-      throw CreateAppError("Invalid Gender", "BAD_REQUEST", {
-        gender: filter.gender,
-      });
-    }
-    matchStage.gender = filter.gender;
-  }
-
-  if (filter.date_of_birth) {
-    const dateOfBirth = {};
-
-    if (filter.date_of_birth.eq) {
-      const eqDate = parseDateField(filter.date_of_birth.eq, "eq");
-      const nextDay = new Date(eqDate);
-      nextDay.setDate(eqDate.getDate() + 1);
-      dateOfBirth.$gte = eqDate;
-      dateOfBirth.$lt = nextDay;
-    }
-
-    if (filter.date_of_birth.gte) {
-      dateOfBirth.$gte = parseDateField(filter.date_of_birth.gte, "gte");
-    }
-
-    if (filter.date_of_birth.gt) {
-      dateOfBirth.$gt = parseDateField(filter.date_of_birth.gt, "gt");
-    }
-
-    if (filter.date_of_birth.lte) {
-      dateOfBirth.$lte = parseDateField(filter.date_of_birth.lte, "lte");
-    }
-
-    if (filter.date_of_birth.lt) {
-      dateOfBirth.$lt = parseDateField(filter.date_of_birth.lt, "lt");
-    }
-
-    if (Object.keys(dateOfBirth).length > 0) {
-      matchStage["birth.date"] = dateOfBirth;
-    }
-  }
-
-  if (filter.school_id) {
-    try {
-      const validSchoolId = await ValidateMongoId(filter.school_id);
-      matchStage.school_id = new mongoose.Types.ObjectId(validSchoolId);
-    } catch {
-      throw CreateAppError("Invalid school_id", "BAD_REQUEST");
-    }
-  }
-
-  return matchStage;
+function StudentFilterToWhere(filter = {}) {
+  const where = {
+    student_status: filter.student_status ? { eq: filter.student_status } : null,
+    academic_status: filter.academic_status
+      ? { eq: filter.academic_status }
+      : null,
+    gender: filter.gender ? { eq: filter.gender } : null,
+    date_of_birth: filter.date_of_birth,
+    school_id: filter.school_id ? { eq: filter.school_id } : null,
+  };
+  return where;
 }
 
 /**
- * Builds aggregation pipeline for GetAllStudents with filter, sort, pagination.
+ * Builds aggregation pipeline for GetAllStudents with filter, where and sort;
+ * pagination is applied by `PaginateAggregate`.
  *
- * @param {Object} filter
- * @param {Object} sort
- * @param {Object} pagination
- * @returns {Object} { pipeline, page, limit }
+ * @param {Object} filter - Legacy filter
+ * @param {Object} where - Where input (see `CompileWhere`)
+ * @param {Object|Object[]} sort - Sort input(s)
+ * @returns {Object} { pipeline, sort } with the compiled sort keys
  */
-async function StudentQueryPipeline(filter = {}, sort = {}, pagination = {}) {
+async function StudentQueryPipeline(filter = {}, where = null, sort = null) {
   const pipeline = [];
 
-  const matchStage = await StudentFilterStage(filter);
-
-  if (Object.keys(matchStage).length > 0) {
-    pipeline.push({ $match: matchStage });
+  const matchStages = [
+    CompileWhere(StudentFilterToWhere(filter), STUDENT_QUERY_SPEC),
+    CompileWhere(where, STUDENT_QUERY_SPEC),
+  ];
+  for (const matchStage of matchStages) {
+    if (matchStage) pipeline.push({ $match: matchStage });
   }
 
   if (filter.school_name) {
@@ -142,61 +113,156 @@ async function StudentQueryPipeline(filter = {}, sort = {}, pagination = {}) {
       },
     });
   }
-  const sortField = sort.field || "created_at";
-  const sortOrder = sort.order === "ASC" ? 1 : -1;
-  const allowedSortFields = [
-    "first_name",
-    "last_name",
-    "email",
-    "created_at",
-    "date_of_birth",
-  ];
-  if (sortField && !allowedSortFields.includes(sortField)) {
-    throw CreateAppError("Invalid sort field", "BAD_REQUEST", {
-      field: sortField,
-    });
+
+  return { pipeline, sort: CompileSort(sort, STUDENT_QUERY_SPEC) };
+}
+
+/**
+ * Move a student to another academic status.
+ *
+ * Only the transitions of `STUDENT.ACADEMIC_TRANSITIONS` are allowed; a student
+ * whose academic status was never set counts as ENROLLED. The date of the new
+ * status is set to now and the dates of the other exit statuses are cleared, so
+ * the dates always match the status. Every change is appended to
+ * `academic_status_history`. A transfer also moves the student to the target
+ * school; results stay attached to the student and follow them.
+ *
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @param {Object} transition - Transition to apply.
+ * @param {ObjectId} transition.student_id - Student to move.
+ * @param {string} transition.to_status - Academic status to move to.
+ * @param {string} transition.reason - Why the status changes.
+ * @param {ObjectId|string} [transition.to_school_id] - Target school, for transfers.
+ * @returns {Promise<Object>} The updated student.
+ * @throws {AppError} NOT_FOUND for unknown or deleted students and schools,
+ * FORBIDDEN outside the caller's schools, INVALID_TRANSITION for illegal moves.
+ */
+async function TransitionStudentAcademicStatus(context, transition) {
+  const { student_id, to_status, reason, to_school_id } = transition;
+
+  const student = await Student.findOne({
+    _id: student_id,
+    student_status: { $ne: "DELETED" },
+  }).lean();
+  if (!student) {
+    throw CreateAppError("Student not found", "NOT_FOUND", { student_id });
   }
+  await CheckSchoolAccess(context, student.school_id);
 
-  pipeline.push({ $sort: { [sortField]: sortOrder } });
+  const fromStatus = student.academic_status || STUDENT.DEFAULT_ACADEMIC_STATUS;
+  if (!STUDENT.ACADEMIC_TRANSITIONS[fromStatus].includes(to_status)) {
+    throw CreateAppError(
+      `A student cannot go from ${fromStatus} to ${to_status}`,
+      "INVALID_TRANSITION",
+      { from_status: fromStatus, to_status }
+    );
+  }
 
-  const page =
-    Number.isInteger(pagination.page) && pagination.page > 0
-      ? pagination.page
-      : 1;
-  const limit =
-    Number.isInteger(pagination.limit) && pagination.limit > 0
-      ? pagination.limit
-      : MAX_LIMIT;
+  let targetSchoolId = student.school_id;
+  if (to_status === "TRANSFERRED") {
+    if (String(to_school_id) === String(student.school_id)) {
+      throw CreateAppError(
+        "A student cannot be transferred to their current school",
+        "BAD_REQUEST",
+        { field: "to_school_id" }
+      );
+    }
 
-  const skip = (page - 1) * limit;
+    const targetSchool = await School.findOne(
+      { _id: to_school_id, school_status: { $ne: "DELETED" } },
+      { _id: 1 }
+    ).lean();
+    if (!targetSchool) {
+      throw CreateAppError("School not found", "NOT_FOUND", { to_school_id });
+    }
+    await CheckSchoolAccess(context, targetSchool._id);
+    targetSchoolId = targetSchool._id;
+  }
+
+  const changedAt = new Date();
+  const studentStatusPayload = {
+    academic_status: to_status,
+    school_id: targetSchoolId,
+    updated_at: changedAt,
+  };
+  for (const [status, dateField] of Object.entries(STUDENT.ACADEMIC_DATE_FIELDS)) {
+    if (status === to_status) {
+      studentStatusPayload[dateField] = changedAt;
+    } else if (status !== "ENROLLED") {
+      studentStatusPayload[dateField] = null;
+    }
+  }
 
-  pipeline.push({
-    $facet: {
-      data: [{ $skip: skip }, { $limit: limit }],
-      metadata: [{ $count: "total" }],
+  // *************** Matching the status read above rejects concurrent transitions
+  const updatedStudent = await Student.findOneAndUpdate(
+    {
+      _id: student._id,
+      academic_status: student.academic_status,
+      school_id: student.school_id,
     },
-  });
+    {
+      $set: studentStatusPayload,
+      $push: {
+        academic_status_history: {
+          from_status: student.academic_status,
+          to_status,
+          reason: reason.trim(),
+          from_school_id: student.school_id,
+          to_school_id: targetSchoolId,
+          changed_at: changedAt,
+          changed_by: GetCurrentActorId(),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updatedStudent) {
+    throw CreateAppError(
+      "The student was changed by someone else, please retry",
+      "INVALID_TRANSITION",
+      { student_id }
+    );
+  }
 
-  return { pipeline, page, limit };
+  if (String(targetSchoolId) !== String(student.school_id)) {
+    await School.updateOne(
+      { _id: student.school_id },
+      { $pull: { students: student._id } }
+    );
+    await School.updateOne(
+      { _id: targetSchoolId },
+      { $addToSet: { students: student._id } }
+    );
+  }
+
+  return updatedStudent;
 }
 
 /**
- * Convert a date string into a Date object.
- * Throws error if the format is invalid.
+ * Find the students already using any of the given emails.
+ *
+ * Emails compare without case, and DELETED students keep their email like
+ * the unique index on `email` does, so creating, updating and importing
+ * students all reject the same emails.
  *
- * @param {string} dateStr - The date string to parse.
- * @param {string} label - Field name for error context.
- * @returns {Date} Parsed Date object.
+ * @param {string[]} emails - Emails to look for.
+ * @param {Object} [options] - Lookup options.
+ * @param {ObjectId|string} [options.exclude_id] - Student whose own email is ignored.
+ * @returns {Promise<Object[]>} Matching students (`email` only).
  */
+async function FindStudentsByEmail(emails, { exclude_id = null } = {}) {
+  const query = { email: { $in: emails.map((email) => email.toLowerCase()) } };
+  if (exclude_id) query._id = { $ne: exclude_id };
 
-function parseDateField(dateStr, label) {
-  const date = new Date(dateStr);
-  if (isNaN(date))
-    throw CreateAppError(`Invalid date format in ${label}`, "BAD_REQUEST");
-  return date;
+  const students = await Student.find(query, "email")
+    .collation(EMAIL_COLLATION)
+    .lean();
+  return students;
 }
 
 // *************** EXPORT MODULE ***************
 module.exports = {
   StudentQueryPipeline,
+  TransitionStudentAcademicStatus,
+  FindStudentsByEmail,
 };
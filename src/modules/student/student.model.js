@@ -2,6 +2,7 @@
 const { Schema, model, Types } = require("mongoose");
 
 // ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
 const { STUDENT } = require("../../shared/utils/enum");
 
 const studentSchema = new Schema(
@@ -92,7 +93,7 @@ const studentSchema = new Schema(
     // Academic status of the student (optional enum: ENROLLED, GRADUATED, DROPPED_OUT, TRANSFERRED)
     academic_status: {
       type: String,
-      enum: STUDENT.ACADEMIC_STATUS,
+      enum: STUDENT.VALID_ACADEMIC_STATUS,
       default: null,
     },
 
@@ -120,6 +121,59 @@ const studentSchema = new Schema(
       default: null,
     },
 
+    // Academic status changes made through the transition mutations, oldest first
+    academic_status_history: [
+      {
+        // Academic status before the change (null when it was never set)
+        from_status: {
+          type: String,
+          enum: STUDENT.VALID_ACADEMIC_STATUS,
+          default: null,
+        },
+
+        // Academic status after the change
+        to_status: {
+          type: String,
+          enum: STUDENT.VALID_ACADEMIC_STATUS,
+          required: true,
+        },
+
+        // Why the status changed, as given by the user making the change
+        reason: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+
+        // School of the student before the change
+        from_school_id: {
+          type: Types.ObjectId,
+          ref: "School",
+          default: null,
+        },
+
+        // School of the student after the change (differs only for transfers)
+        to_school_id: {
+          type: Types.ObjectId,
+          ref: "School",
+          default: null,
+        },
+
+        // When the change was made
+        changed_at: {
+          type: Date,
+          required: true,
+        },
+
+        // User who made the change
+        changed_by: {
+          type: Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+      },
+    ],
+
     // Last update timestamp by system
     updated_at: {
       type: Date,
@@ -128,9 +182,9 @@ const studentSchema = new Schema(
 
     // User ID of the last updater (optional)
     updated_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
 
     // Creation timestamp by system
@@ -140,7 +194,9 @@ const studentSchema = new Schema(
 
     // User ID of the creator
     created_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
     },
 
     // Marks soft deletion timestamp (null if not deleted)
@@ -151,9 +207,9 @@ const studentSchema = new Schema(
 
     // User ID of the person who deleted the record (optional)
     deleted_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
   },
   {
@@ -161,5 +217,15 @@ const studentSchema = new Schema(
   }
 );
 
+studentSchema.index(
+  { first_name: "text", last_name: "text", email: "text", student_number: "text" },
+  {
+    name: "student_search",
+    weights: { student_number: 10, first_name: 5, last_name: 5, email: 2 },
+  }
+);
+
+studentSchema.plugin(ActorStampPlugin);
+
 // *************** EXPORT MODULE ***************
 module.exports = model("Student", studentSchema);
@@ -6,16 +6,60 @@ const School = require("../school/school.model.js");
 const {
   ValidateCreateStudentInput,
   ValidateUpdateStudentInput,
+  ValidateAcademicTransitionInput,
 } = require("./student.validator.js");
 
 // *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
 const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const {
+  PaginateAggregate,
+  PaginateAggregateConnection,
+} = require("../../shared/utils/pagination.js");
 const { STUDENT } = require("../../shared/utils/enum.js");
-const { CheckRoleAccess } = require("../../shared/utils/check_role_access.js");
+const {
+  GetSchoolScopeQuery,
+  CheckSchoolAccess,
+  CheckStudentAccess,
+} = require("../../shared/utils/tenant_scope.js");
 
 // *************** IMPORT CORE ***************
 const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
-const { StudentQueryPipeline } = require("./student.helper.js");
+const {
+  StudentQueryPipeline,
+  TransitionStudentAcademicStatus,
+  FindStudentsByEmail,
+} = require("./student.helper.js");
+const {
+  GetGraduationEligibilities,
+} = require("../graduation/graduation.helper.js");
+
+/**
+ * Build the aggregation pipeline of a student list from its filter, where and sort inputs.
+ *
+ * @param {Object} [filter] - Optional filter object.
+ * @param {Object} [where] - Optional where input, combined with the filter.
+ * @param {Object[]} [sort] - Optional sort keys, applied in order.
+ * @param {Object} context - GraphQL context, students are restricted to the caller's schools.
+ * @returns {Promise<Object>} `{ pipeline, sort }`, the filtering stages and the normalized sort.
+ * @throws {AppError} If the filter, where or sort input is invalid.
+ */
+async function BuildStudentListPipeline(filter, where, sort, context) {
+  const { pipeline, sort: studentSort } = await StudentQueryPipeline(
+    filter,
+    where,
+    sort
+  );
+
+  // *************** Restrict to the caller's schools
+  const schoolScopeQuery = await GetSchoolScopeQuery(context);
+  if (Object.keys(schoolScopeQuery).length > 0) {
+    pipeline.unshift({ $match: schoolScopeQuery });
+  }
+
+  const listPipeline = { pipeline, sort: studentSort };
+  return listPipeline;
+}
 
 // *************** QUERY ***************
 /**
@@ -27,35 +71,70 @@ const { StudentQueryPipeline } = require("./student.helper.js");
  * @param {object} args - The arguments object.
  * @param {object} args.filter - Optional filter object.
  * @param {string} args.filter.student_status - Status to filter students (ACTIVE, PENDING, DELETED).
- * @returns {Promise<Array<object>>} List of students matching the filter.
+ * @param {object} args.where - Optional where input, combined with the filter.
+ * @param {object[]} args.sort - Optional sort keys, applied in order.
+ * @param {object} context - The Apollo context containing the authenticated user.
+ * @returns {Promise<Array<object>>} List of students of the caller's schools matching the filter.
  */
 
-async function GetAllStudents(_, { filter, sort, pagination }, context) {
+async function GetAllStudents(_, { filter, where, sort, pagination }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
-    const { pipeline, page, limit } = await StudentQueryPipeline(
+    const { pipeline, sort: studentSort } = await BuildStudentListPipeline(
       filter,
+      where,
       sort,
-      pagination
+      context
     );
 
-    const result = await Student.aggregate(pipeline);
+    const studentResponse = await PaginateAggregate(
+      Student,
+      pipeline,
+      pagination,
+      studentSort
+    );
 
-    const data = result[0].data;
-    const total = result[0].metadata[0]?.total || 0;
-    const totalPages = Math.ceil(total / limit);
+    return studentResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch students");
+  }
+}
 
-    const studentResponse = {
-      data,
-      meta: {
-        total,
-        total_pages: totalPages,
-        current_page: page,
-        per_page: limit,
-      },
-    };
+/**
+ * Get one page of students as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetAllStudents`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter object.
+ * @param {Object} [args.where] - Optional where input, combined with the filter.
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function GetAllStudentsConnection(
+  _,
+  { filter, where, sort, pagination },
+  context
+) {
+  try {
+    const { pipeline, sort: studentSort } = await BuildStudentListPipeline(
+      filter,
+      where,
+      sort,
+      context
+    );
 
-    return studentResponse;
+    const studentConnection = await PaginateAggregateConnection(
+      Student,
+      pipeline,
+      pagination,
+      studentSort
+    );
+
+    return studentConnection;
   } catch (error) {
     throw HandleCaughtError(error, "Failed to fetch students");
   }
@@ -71,12 +150,13 @@ async function GetAllStudents(_, { filter, sort, pagination }, context) {
  * @param {string} args.id - The student ID.
  * @param {object} args.filter - Optional filter object.
  * @param {string} args.filter.student_status - Status to filter student (ACTIVE, PENDING, DELETED).
+ * @param {object} context - The Apollo context containing the authenticated user.
  * @returns {Promise<object>} The student object if found.
+ * @throws {AppError} FORBIDDEN if the student belongs to another school.
  */
 
 async function GetOneStudent(_, { id, filter }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const studentId = await ValidateMongoId(id);
 
     const query = { _id: studentId };
@@ -116,6 +196,7 @@ async function GetOneStudent(_, { id, filter }, context) {
     if (!student) {
       throw CreateAppError("Student not found", "NOT_FOUND", { studentId });
     }
+    await CheckSchoolAccess(context, student.school_id);
 
     return student;
   } catch (error) {
@@ -125,22 +206,26 @@ async function GetOneStudent(_, { id, filter }, context) {
 
 // *************** MUTATION ***************
 /**
- * Creates a new student after validating the input.
+ * Creates a new student after validating the input. The student starts
+ * ENROLLED (on the creation date unless `enrollment_date` is given); any
+ * later status is set through the academic status transitions.
  *
  * @async
  * @function CreateStudent
  * @param {object} _ - Unused root resolver parameter.
  * @param {object} args - The arguments object.
  * @param {object} args.input - Input data for creating the student.
+ * @param {object} context - The Apollo context containing the authenticated user.
  * @returns {Promise<object>} The created student object.
+ * @throws {AppError} FORBIDDEN if the target school is outside the caller's schools.
  */
 
 async function CreateStudent(_, { input }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     ValidateCreateStudentInput(input);
+    await CheckSchoolAccess(context, input.school_id);
 
-    const existing = await Student.findOne({ email: input.email });
+    const [existing] = await FindStudentsByEmail([input.email]);
     if (existing) {
       throw CreateAppError("Email is already in use", "DUPLICATE_FIELD", {
         field: "email",
@@ -162,11 +247,8 @@ async function CreateStudent(_, { input }, context) {
       },
       student_status: input.student_status,
       scholarship: input.scholarship,
-      academic_status: input.academic_status,
-      enrollment_date: input.enrollment_date,
-      graduation_date: input.graduation_date,
-      dropped_out_date: input.dropped_out_date,
-      transferred_date: input.transferred_date,
+      academic_status: STUDENT.DEFAULT_ACADEMIC_STATUS,
+      enrollment_date: input.enrollment_date || new Date(),
     };
     const createStudentProcess = await Student.create(studentInputPayload);
     if (createStudentProcess) {
@@ -193,6 +275,8 @@ async function CreateStudent(_, { input }, context) {
 
 /**
  * Updates an existing student by ID after validating the input.
+ * The academic status and the school are changed with the transition
+ * mutations (`GraduateStudent`, `DropOutStudent`, `TransferStudent`, `ReEnrollStudent`).
  *
  * @async
  * @function UpdateStudent
@@ -200,12 +284,13 @@ async function CreateStudent(_, { input }, context) {
  * @param {object} args - The arguments object.
  * @param {string} args.id - The ID of the student to update.
  * @param {object} args.input - Input data for updating the student.
+ * @param {object} context - The Apollo context containing the authenticated user.
  * @returns {Promise<object>} The updated student object.
+ * @throws {AppError} FORBIDDEN if the student belongs to another school.
  */
 
 async function UpdateStudent(_, { id, input }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     ValidateUpdateStudentInput(input);
     const studentId = await ValidateMongoId(id);
 
@@ -214,8 +299,12 @@ async function UpdateStudent(_, { id, input }, context) {
       throw CreateAppError("Student not found", "NOT_FOUND", { studentId });
     }
 
+    await CheckSchoolAccess(context, currentStudent.school_id);
+
     if (input.email && input.email !== currentStudent.email) {
-      const existing = await Student.findOne({ email: input.email });
+      const [existing] = await FindStudentsByEmail([input.email], {
+        exclude_id: currentStudent._id,
+      });
       if (existing) {
         throw CreateAppError("Email is already in use", "DUPLICATE_FIELD", {
           field: "email",
@@ -229,7 +318,6 @@ async function UpdateStudent(_, { id, input }, context) {
       email: input.email,
       phone: input.phone,
       profile_picture_url: input.profile_picture_url,
-      school_id: input.school_id,
       student_number: input.student_number,
       gender: input.gender,
       birth: input.birth
@@ -240,11 +328,7 @@ async function UpdateStudent(_, { id, input }, context) {
         : undefined,
       student_status: input.student_status,
       scholarship: input.scholarship,
-      academic_status: input.academic_status,
       enrollment_date: input.enrollment_date,
-      graduation_date: input.graduation_date,
-      dropped_out_date: input.dropped_out_date,
-      transferred_date: input.transferred_date,
       updated_at: new Date(),
     };
 
@@ -257,30 +341,6 @@ async function UpdateStudent(_, { id, input }, context) {
       throw CreateAppError("Student not found", "NOT_FOUND", { studentId });
     }
 
-    const oldSchoolId = String(updatedStudent.school_id);
-    const newSchoolId = String(input.school_id);
-
-    // *************** transfer student by change school_id
-    if (oldSchoolId !== newSchoolId) {
-      if (oldSchoolId) {
-        await School.updateOne(
-          { _id: oldSchoolId },
-          { $pull: { students: studentId } }
-        );
-      }
-
-      if (newSchoolId) {
-        await School.updateOne(
-          { _id: newSchoolId },
-          { $addToSet: { students: studentId } }
-        );
-      }
-      await Student.updateOne(
-        { _id: studentId },
-        { $set: { transferred_date: new Date() } }
-      );
-    }
-
     const updateStudentResponse = { id: studentId };
     return updateStudentResponse;
   } catch (error) {
@@ -300,21 +360,21 @@ async function UpdateStudent(_, { id, input }, context) {
  * @param {object} _ - Unused root resolver parameter.
  * @param {object} args - The arguments object.
  * @param {string} args.id - The ID of the student to delete.
- * @param {object} args.input - Optional input containing deleted_by field.
+ * @param {object} context - The Apollo context containing the authenticated user.
  * @returns {Promise<object>} The soft-deleted student object.
+ * @throws {AppError} FORBIDDEN if the student belongs to another school.
  */
 
-async function DeleteStudent(_, { id, input }, context) {
+async function DeleteStudent(_, { id }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const studentId = await ValidateMongoId(id);
+    await CheckStudentAccess(context, studentId);
     const deleted = await Student.updateOne(
       { _id: studentId, student_status: { $ne: "DELETED" } },
       {
         $set: {
           student_status: "DELETED",
           deleted_at: new Date(),
-          deleted_by: input ? input.deleted_by : null,
         },
       }
     );
@@ -330,6 +390,150 @@ async function DeleteStudent(_, { id, input }, context) {
   }
 }
 
+/**
+ * Graduates an enrolled student who meets the graduation requirements
+ * (see `GetGraduationEligibility`).
+ *
+ * @async
+ * @function GraduateStudent
+ * @param {object} _ - Unused root resolver parameter.
+ * @param {object} args - The arguments object.
+ * @param {string} args.id - The ID of the student.
+ * @param {string} args.reason - Why the student graduates.
+ * @param {object} context - The Apollo context containing the authenticated user.
+ * @returns {Promise<object>} The student, GRADUATED with today's graduation date.
+ * @throws {AppError} INVALID_TRANSITION if the student is not enrolled or not
+ * eligible, with the blockers in the error metadata.
+ */
+
+async function GraduateStudent(_, { id, reason }, context) {
+  try {
+    ValidateAcademicTransitionInput({ reason });
+    const studentId = await ValidateMongoId(id);
+    await CheckStudentAccess(context, studentId);
+
+    const student = await Student.findById(studentId, {
+      academic_status: 1,
+    }).lean();
+    if (!student) {
+      throw CreateAppError("Student not found", "NOT_FOUND", { studentId });
+    }
+
+    const [graduationEligibility] = await GetGraduationEligibilities([student]);
+    if (!graduationEligibility.eligible) {
+      throw CreateAppError(
+        "The student does not meet the graduation requirements",
+        "INVALID_TRANSITION",
+        { student_id: studentId, blockers: graduationEligibility.blockers }
+      );
+    }
+
+    const graduateStudentResponse = await TransitionStudentAcademicStatus(
+      context,
+      { student_id: studentId, to_status: "GRADUATED", reason }
+    );
+    return graduateStudentResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to graduate student");
+  }
+}
+
+/**
+ * Records that an enrolled student dropped out.
+ *
+ * @async
+ * @function DropOutStudent
+ * @param {object} _ - Unused root resolver parameter.
+ * @param {object} args - The arguments object.
+ * @param {string} args.id - The ID of the student.
+ * @param {string} args.reason - Why the student dropped out.
+ * @param {object} context - The Apollo context containing the authenticated user.
+ * @returns {Promise<object>} The student, DROPPED_OUT with today's dropped out date.
+ * @throws {AppError} INVALID_TRANSITION if the student is not enrolled.
+ */
+
+async function DropOutStudent(_, { id, reason }, context) {
+  try {
+    ValidateAcademicTransitionInput({ reason });
+    const studentId = await ValidateMongoId(id);
+
+    const dropOutStudentResponse = await TransitionStudentAcademicStatus(
+      context,
+      { student_id: studentId, to_status: "DROPPED_OUT", reason }
+    );
+    return dropOutStudentResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to drop out student");
+  }
+}
+
+/**
+ * Transfers an enrolled student to another school. Test results and
+ * transcripts stay linked to the student and move with them.
+ *
+ * @async
+ * @function TransferStudent
+ * @param {object} _ - Unused root resolver parameter.
+ * @param {object} args - The arguments object.
+ * @param {string} args.id - The ID of the student.
+ * @param {string} args.to_school_id - The school the student moves to.
+ * @param {string} args.reason - Why the student is transferred.
+ * @param {object} context - The Apollo context containing the authenticated user.
+ * @returns {Promise<object>} The student, TRANSFERRED and attached to the target school.
+ * @throws {AppError} FORBIDDEN if either school is outside the caller's schools,
+ * INVALID_TRANSITION if the student is not enrolled.
+ */
+
+async function TransferStudent(_, { id, to_school_id, reason }, context) {
+  try {
+    ValidateAcademicTransitionInput({ reason, to_school_id }, true);
+    const studentId = await ValidateMongoId(id);
+    const toSchoolId = await ValidateMongoId(to_school_id, "to_school_id");
+
+    const transferStudentResponse = await TransitionStudentAcademicStatus(
+      context,
+      {
+        student_id: studentId,
+        to_status: "TRANSFERRED",
+        reason,
+        to_school_id: toSchoolId,
+      }
+    );
+    return transferStudentResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to transfer student");
+  }
+}
+
+/**
+ * Enrolls again a student who dropped out or was transferred.
+ *
+ * @async
+ * @function ReEnrollStudent
+ * @param {object} _ - Unused root resolver parameter.
+ * @param {object} args - The arguments object.
+ * @param {string} args.id - The ID of the student.
+ * @param {string} args.reason - Why the student is enrolled again.
+ * @param {object} context - The Apollo context containing the authenticated user.
+ * @returns {Promise<object>} The student, ENROLLED with today's enrollment date.
+ * @throws {AppError} INVALID_TRANSITION if the student is enrolled or graduated.
+ */
+
+async function ReEnrollStudent(_, { id, reason }, context) {
+  try {
+    ValidateAcademicTransitionInput({ reason });
+    const studentId = await ValidateMongoId(id);
+
+    const reEnrollStudentResponse = await TransitionStudentAcademicStatus(
+      context,
+      { student_id: studentId, to_status: "ENROLLED", reason }
+    );
+    return reEnrollStudentResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to re-enroll student");
+  }
+}
+
 // *************** LOADER ***************
 
 /**
@@ -353,18 +557,46 @@ function schools(student, _, context) {
   return schoolLoaderResponse;
 }
 
+/**
+ * Resolves the user who made an academic status change.
+ *
+ * @function changed_by_user
+ * @param {object} academicStatusChange - The history entry.
+ * @param {object} _ - Unused resolver parameter.
+ * @param {object} context - The Apollo context containing loaders.
+ * @returns {Promise<object>|null} The user, or null when unknown.
+ */
+
+function changed_by_user(academicStatusChange, _, context) {
+  if (!academicStatusChange.changed_by) return null;
+
+  const userLoaderResponse = context.loaders.user.load(
+    String(academicStatusChange.changed_by)
+  );
+  return userLoaderResponse;
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
   Query: {
     GetAllStudents,
+    GetAllStudentsConnection,
     GetOneStudent,
   },
   Mutation: {
     CreateStudent,
     UpdateStudent,
     DeleteStudent,
+    GraduateStudent,
+    DropOutStudent,
+    TransferStudent,
+    ReEnrollStudent,
   },
   Student: {
+    ...ActorFieldResolvers(),
     school: schools,
   },
+  AcademicStatusChange: {
+    changed_by_user,
+  },
 };
@@ -28,6 +28,17 @@ module.exports = gql`
     date: Date!
   }
 
+  type AcademicStatusChange {
+    from_status: AcademicStatus
+    to_status: AcademicStatus!
+    reason: String!
+    from_school_id: ID
+    to_school_id: ID
+    changed_at: Date!
+    changed_by: ID
+    changed_by_user: User
+  }
+
   type Student {
     _id: ID!
     first_name: String!
@@ -47,12 +58,21 @@ module.exports = gql`
     graduation_date: Date
     dropped_out_date: Date
     transferred_date: Date
+    academic_status_history: [AcademicStatusChange!]!
     updated_at: Date
-    updated_by: String
+    updated_by: ID
+    updated_by_user: User
     created_at: Date
-    created_by: String
+    created_by: ID
+    created_by_user: User
     deleted_at: Date
-    deleted_by: String
+    deleted_by: ID
+    deleted_by_user: User
+  }
+
+  type StudentEdge {
+    cursor: String!
+    node: Student!
   }
 
   type StudentPaginationResult {
@@ -60,6 +80,12 @@ module.exports = gql`
     meta: PaginationResult!
   }
 
+  type StudentConnection {
+    edges: [StudentEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
+  }
+
   input StudentBirthInput {
     place: String!
     date: Date!
@@ -79,13 +105,8 @@ module.exports = gql`
     scholarship: Boolean!
     academic_status: AcademicStatus
     enrollment_date: Date
-    graduation_date: Date
-    dropped_out_date: Date
-    transferred_date: Date
     created_at: Date
-    created_by: String
     updated_at: Date
-    updated_by: String
   }
 
   input UpdateStudentInput {
@@ -94,19 +115,13 @@ module.exports = gql`
     email: String
     phone: String
     profile_picture_url: String
-    school_id: ID
     student_number: String
     gender: StudentGender
     birth: StudentBirthInput
     student_status: StudentStatus
     scholarship: Boolean
-    academic_status: AcademicStatus
     enrollment_date: Date
-    graduation_date: Date
-    dropped_out_date: Date
-    transferred_date: Date
     updated_at: Date
-    updated_by: String
   }
 
   input StudentFilterInput {
@@ -118,18 +133,66 @@ module.exports = gql`
     school_name: String
   }
 
+  input StudentWhereInput {
+    and: [StudentWhereInput!]
+    or: [StudentWhereInput!]
+    not: StudentWhereInput
+    first_name: StringFilter
+    last_name: StringFilter
+    email: StringFilter
+    student_number: StringFilter
+    student_status: StringFilter
+    academic_status: StringFilter
+    gender: StringFilter
+    scholarship: BooleanFilter
+    school_id: IdFilter
+    date_of_birth: DateFilter
+    enrollment_date: DateFilter
+    graduation_date: DateFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
   extend type Query {
     GetAllStudents(
       filter: StudentFilterInput
-      sort: SortInput
+      where: StudentWhereInput
+      sort: [SortInput!]
       pagination: PaginationInput
     ): StudentPaginationResult!
+      @requiresPermission(permission: "student:read")
+    GetAllStudentsConnection(
+      filter: StudentFilterInput
+      where: StudentWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): StudentConnection!
+      @requiresPermission(permission: "student:read")
     GetOneStudent(id: ID!): Student
+      @requiresPermission(permission: "student:read")
   }
 
   extend type Mutation {
     CreateStudent(input: CreateStudentInput!): Student!
+      @requiresPermission(permission: "student:write")
+      @audit(entity: "STUDENT", operation: "CREATE")
     UpdateStudent(id: ID!, input: UpdateStudentInput!): Student!
+      @requiresPermission(permission: "student:write")
+      @audit(entity: "STUDENT", operation: "UPDATE")
     DeleteStudent(id: ID!): Student!
+      @requiresPermission(permission: "student:write")
+      @audit(entity: "STUDENT", operation: "DELETE")
+    GraduateStudent(id: ID!, reason: String!): Student!
+      @requiresPermission(permission: "student:write")
+      @audit(entity: "STUDENT", operation: "GRADUATE")
+    DropOutStudent(id: ID!, reason: String!): Student!
+      @requiresPermission(permission: "student:write")
+      @audit(entity: "STUDENT", operation: "DROP_OUT")
+    TransferStudent(id: ID!, to_school_id: ID!, reason: String!): Student!
+      @requiresPermission(permission: "student:write")
+      @audit(entity: "STUDENT", operation: "TRANSFER")
+    ReEnrollStudent(id: ID!, reason: String!): Student!
+      @requiresPermission(permission: "student:write")
+      @audit(entity: "STUDENT", operation: "RE_ENROLL")
   }
 `;
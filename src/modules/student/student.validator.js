@@ -13,6 +13,8 @@ const PHONE_REGEX = /^\+?[0-9]{7,15}$/;
 const URL_REGEX =
   /^(https?:\/\/)?([\w\-]+\.)+[\w\-]+(\/[\w\-._~:/?#[\]@!$&'()*+,;=]*)?$/;
 
+const MAX_TRANSITION_REASON_LENGTH = 500;
+
 /**
  * Validates input for creating a new student.
  *
@@ -33,12 +35,10 @@ const URL_REGEX =
  * @param {string|Date} input.birth.date - Required. Must be a valid date.
  * @param {string} input.student_status - Required. Must be one of the allowed statuses.
  * @param {boolean} input.scholarship - Required. Must be a boolean.
- * @param {string} [input.academic_status] - Optional. Must be a valid academic status.
+ * @param {string} [input.academic_status] - Optional. Only ENROLLED is accepted: a student
+ * reaches the other statuses through the academic status transitions.
  * @param {string} input.school_id - Required. Must be a valid MongoDB ObjectId.
- * @param {string} [input.enrollment_date] - Conditionally required based on academic_status.
- * @param {string} [input.graduation_date] - Conditionally required based on academic_status.
- * @param {string} [input.dropped_out_date] - Conditionally required based on academic_status.
- * @param {string} [input.transferred_date] - Conditionally required based on academic_status.
+ * @param {string} [input.enrollment_date] - Optional. Must be a valid date.
  *
  * @throws {AppError} If any validation fails.
  */
@@ -167,33 +167,22 @@ function ValidateCreateStudentInput(input) {
     );
   }
 
-  const academicDateFields = {
-    ENROLLED: "enrollment_date",
-    GRADUATED: "graduation_date",
-    DROPPED_OUT: "dropped_out_date",
-    TRANSFERRED: "transferred_date",
-  };
-
-  if (academic_status) {
-    const requiredField = academicDateFields[academic_status];
-    const dateValue = input[requiredField];
-    if (!dateValue || isNaN(new Date(dateValue).getTime())) {
-      throw CreateAppError(
-        `${requiredField} must be a valid date when academic_status is '${academic_status}'.`,
-        "VALIDATION_ERROR",
-        { field: requiredField }
-      );
-    }
+  // *************** Graduating, dropping out or transferring is recorded in the
+  // *************** status history, so a new student can only start ENROLLED
+  if (academic_status && academic_status !== STUDENT.DEFAULT_ACADEMIC_STATUS) {
+    throw CreateAppError(
+      `A new student is ${STUDENT.DEFAULT_ACADEMIC_STATUS}; use the academic status transitions to change it.`,
+      "VALIDATION_ERROR",
+      { field: "academic_status" }
+    );
+  }
 
-    Object.entries(academicDateFields).forEach(([status, field]) => {
-      if (status !== academic_status && input[field]) {
-        throw CreateAppError(
-          `${field} must not be provided when academic_status is '${academic_status}'.`,
-          "VALIDATION_ERROR",
-          { field }
-        );
-      }
-    });
+  if (input.enrollment_date && isNaN(new Date(input.enrollment_date).getTime())) {
+    throw CreateAppError(
+      "Enrollment date must be a valid date.",
+      "VALIDATION_ERROR",
+      { field: "enrollment_date" }
+    );
   }
 }
 
@@ -202,7 +191,8 @@ function ValidateCreateStudentInput(input) {
  *
  * This function checks each optional field if present and validates them accordingly.
  * Fields include names, email, phone, profile picture, gender, birth, student status,
- * scholarship, and academic status. It also ensures academic date fields are used properly.
+ * scholarship and enrollment date. The academic status, its exit dates and the
+ * school only change through the academic status transition mutations.
  *
  * @param {Object} input - The input data for updating a student.
  * @param {string} [input.first_name] - Optional. Must be a string.
@@ -216,12 +206,7 @@ function ValidateCreateStudentInput(input) {
  * @param {string|Date} [input.birth.date] - Optional. Must be a valid date.
  * @param {string} [input.student_status] - Optional. Must be a valid status.
  * @param {boolean} [input.scholarship] - Optional. Must be a boolean if present.
- * @param {string} [input.academic_status] - Optional. Must be a valid academic status.
- * @param {string} [input.school_id] - Optional. Must be a valid MongoDB ObjectId.
- * @param {string} [input.enrollment_date] - Conditionally required based on academic_status.
- * @param {string} [input.graduation_date] - Conditionally required based on academic_status.
- * @param {string} [input.dropped_out_date] - Conditionally required based on academic_status.
- * @param {string} [input.transferred_date] - Conditionally required based on academic_status.
+ * @param {string|Date} [input.enrollment_date] - Optional. Must be a valid date.
  *
  * @throws {AppError} If any validation fails.
  */
@@ -237,8 +222,7 @@ function ValidateUpdateStudentInput(input) {
     birth,
     student_status,
     scholarship,
-    academic_status,
-    school_id,
+    enrollment_date,
   } = input;
 
   if (first_name && typeof first_name !== "string") {
@@ -263,14 +247,6 @@ function ValidateUpdateStudentInput(input) {
     }
   }
 
-  if (school_id && !isValidObjectId(school_id)) {
-    throw CreateAppError(
-      "School ID must be a valid ObjectId.",
-      "VALIDATION_ERROR",
-      { field: "school_id" }
-    );
-  }
-
   if (gender && !STUDENT.VALID_GENDER.includes(gender)) {
     throw CreateAppError(
       `Gender must be one of: ${STUDENT.VALID_GENDER.join(", ")}`,
@@ -333,51 +309,56 @@ function ValidateUpdateStudentInput(input) {
     );
   }
 
-  if (
-    academic_status &&
-    !STUDENT.VALID_ACADEMIC_STATUS.includes(academic_status)
-  ) {
+  if (enrollment_date && isNaN(new Date(enrollment_date).getTime())) {
     throw CreateAppError(
-      `Academic status must be one of: ${STUDENT.VALID_ACADEMIC_STATUS.join(
-        ", "
-      )}`,
+      "Enrollment date must be a valid date.",
       "VALIDATION_ERROR",
-      { field: "academic_status" }
+      { field: "enrollment_date" }
     );
   }
+}
 
-  const academicDateFields = {
-    ENROLLED: "enrollment_date",
-    GRADUATED: "graduation_date",
-    DROPPED_OUT: "dropped_out_date",
-    TRANSFERRED: "transferred_date",
-  };
-
-  if (academic_status) {
-    const requiredField = academicDateFields[academic_status];
-    const dateValue = input[requiredField];
-    if (!dateValue || isNaN(new Date(dateValue).getTime())) {
-      throw CreateAppError(
-        `${requiredField} must be a valid date when academic_status is '${academic_status}'.`,
-        "VALIDATION_ERROR",
-        { field: requiredField }
-      );
-    }
+/**
+ * Validates the input of an academic status transition
+ * (GraduateStudent, DropOutStudent, TransferStudent, ReEnrollStudent).
+ *
+ * @param {Object} input - The transition input.
+ * @param {string} input.reason - Required. Why the status changes, at most 500 characters.
+ * @param {string} [input.to_school_id] - Required for transfers. Must be a valid MongoDB ObjectId.
+ * @param {boolean} [requireSchool=false] - Whether a target school is required.
+ *
+ * @throws {AppError} If any validation fails.
+ */
+
+function ValidateAcademicTransitionInput(input, requireSchool = false) {
+  const { reason, to_school_id } = input;
 
-    Object.entries(academicDateFields).forEach(([status, field]) => {
-      if (status !== academic_status && input[field]) {
-        throw CreateAppError(
-          `${field} must not be provided when academic_status is '${academic_status}'.`,
-          "VALIDATION_ERROR",
-          { field }
-        );
-      }
+  if (typeof reason !== "string" || reason.trim() === "") {
+    throw CreateAppError("Reason is required.", "VALIDATION_ERROR", {
+      field: "reason",
     });
   }
+
+  if (reason.trim().length > MAX_TRANSITION_REASON_LENGTH) {
+    throw CreateAppError(
+      `Reason must not exceed ${MAX_TRANSITION_REASON_LENGTH} characters.`,
+      "VALIDATION_ERROR",
+      { field: "reason" }
+    );
+  }
+
+  if (requireSchool && (!to_school_id || !isValidObjectId(to_school_id))) {
+    throw CreateAppError(
+      "Target school ID must be a valid ObjectId.",
+      "VALIDATION_ERROR",
+      { field: "to_school_id" }
+    );
+  }
 }
 
 // *************** EXPORT MODULE ***************
 module.exports = {
   ValidateCreateStudentInput,
   ValidateUpdateStudentInput,
+  ValidateAcademicTransitionInput,
 };
@@ -0,0 +1,82 @@
+// *************** IMPORT MODULE **************
+const { RecordAuditedChange } = require("../auditLog/audit_log.helper");
+
+// *************** IMPORT VALIDATOR ***************
+const {
+  ValidateStudentImportInput,
+  MAX_FILE_SIZE,
+} = require("./student_import.validator");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError, SendErrorResponse } = require("../../core/error");
+
+// *************** IMPORT UTILITIES ***************
+const { ParseMultipartForm } = require("../../shared/utils/multipart");
+const { RunWithActor } = require("../../shared/utils/actor_stamp");
+const { ImportStudents } = require("./student_import.helper");
+
+/**
+ * HandleStudentImportUpload
+ *
+ * REST counterpart of the `BulkImportStudents` mutation, for clients that
+ * upload the spreadsheet as `multipart/form-data` instead of base64.
+ * Form fields: `file` (the .csv or .xlsx file), optional `school_id` and
+ * `dry_run` ("true" to only check the file).
+ * Must be mounted behind `ExpressAuthMiddleware` and no body parser: the
+ * form is read from the request stream.
+ *
+ * @param {Object} request - Express request object
+ * @param {Object} response - Express response object
+ * @returns {Response} JSON import job, with its row error report
+ */
+
+async function HandleStudentImportUpload(request, response) {
+  try {
+    const { fields, files } = await ParseMultipartForm(request, {
+      max_file_size: MAX_FILE_SIZE,
+    });
+    if (!files.file) {
+      throw CreateAppError("File is required.", "VALIDATION_ERROR", {
+        field: "file",
+      });
+    }
+
+    const importInput = {
+      file_name: files.file.file_name,
+      file: files.file.data,
+      school_id: fields.school_id || null,
+      dry_run: ["true", "1"].includes(String(fields.dry_run).toLowerCase()),
+    };
+    ValidateStudentImportInput(importInput);
+
+    const context = {
+      ...request.context,
+      client: {
+        ip_address: request.ip || null,
+        user_agent: request.headers["user-agent"] || null,
+      },
+    };
+    const actor = context.real_user || context.user;
+
+    // *************** Same actor stamping and audit trail as the mutation
+    const studentImport = await RecordAuditedChange(
+      {
+        context,
+        mutation: "HandleStudentImportUpload",
+        entity_type: "STUDENT_IMPORT",
+        operation: "IMPORT",
+        before: null,
+      },
+      () => RunWithActor(actor?._id, () => ImportStudents(context, importInput))
+    );
+
+    return response.status(200).json(studentImport.toObject());
+  } catch (error) {
+    return SendErrorResponse(response, error);
+  }
+}
+
+// *************** EXPORT MODULE **************
+module.exports = {
+  HandleStudentImportUpload,
+};
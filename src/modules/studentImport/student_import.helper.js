@@ -0,0 +1,512 @@
+// *************** IMPORT LIBRARY ***************
+const mongoose = require("mongoose");
+
+// *************** IMPORT MODULE ***************
+const StudentImport = require("./student_import.model");
+const Student = require("../student/student.model");
+const School = require("../school/school.model");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const { FindStudentsByEmail } = require("../student/student.helper");
+
+// *************** IMPORT VALIDATOR ***************
+const { ValidateCreateStudentInput } = require("../student/student.validator");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+// *************** IMPORT UTILITIES ***************
+const { ParseSpreadsheet } = require("../../shared/utils/spreadsheet");
+const { STUDENT } = require("../../shared/utils/enum");
+const {
+  GetTenantSchoolIds,
+  CheckSchoolAccess,
+} = require("../../shared/utils/tenant_scope");
+
+const MAX_IMPORT_ROWS = 5000;
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// *************** Accepted column headers and the CreateStudentInput field they fill
+const IMPORT_COLUMNS = {
+  first_name: "first_name",
+  last_name: "last_name",
+  email: "email",
+  phone: "phone",
+  profile_picture_url: "profile_picture_url",
+  school_id: "school_id",
+  student_number: "student_number",
+  gender: "gender",
+  birth_place: "birth.place",
+  place_of_birth: "birth.place",
+  birth_date: "birth.date",
+  date_of_birth: "birth.date",
+  student_status: "student_status",
+  scholarship: "scholarship",
+  academic_status: "academic_status",
+  enrollment_date: "enrollment_date",
+};
+const ENUM_FIELDS = ["gender", "student_status", "academic_status"];
+const DATE_FIELDS = ["birth.date", "enrollment_date"];
+const TRUE_VALUES = ["true", "yes", "y", "1"];
+const FALSE_VALUES = ["false", "no", "n", "0"];
+
+/**
+ * Match the header row of the file with the fields of CreateStudentInput.
+ * Headers are compared case-insensitively, spaces and dashes read as "_".
+ *
+ * @param {string[]} headers - Cells of the header row.
+ * @returns {Array<string|null>} Field path of each column, null for blank headers.
+ * @throws {AppError} BAD_REQUEST on unknown or repeated columns.
+ */
+function ResolveImportColumns(headers) {
+  const columns = headers.map((header) => {
+    const name = String(header).trim().toLowerCase().replace(/[\s-]+/g, "_");
+    if (!name) return null;
+
+    if (!IMPORT_COLUMNS[name]) {
+      throw CreateAppError(`Unknown column ${header}`, "BAD_REQUEST", {
+        column: header,
+        allowed_columns: Object.keys(IMPORT_COLUMNS),
+      });
+    }
+    return IMPORT_COLUMNS[name];
+  });
+
+  const paths = columns.filter(Boolean);
+  const repeatedPath = paths.find((path, index) => paths.indexOf(path) !== index);
+  if (repeatedPath) {
+    throw CreateAppError(`Column ${repeatedPath} appears more than once`, "BAD_REQUEST", {
+      column: repeatedPath,
+    });
+  }
+
+  return columns;
+}
+
+/**
+ * Convert one cell to the type expected by CreateStudentInput. Values that
+ * cannot be converted are kept as they are, so the validator reports them.
+ *
+ * @param {string} path - Field path the cell fills.
+ * @param {string} value - Trimmed cell value.
+ * @param {string} fileType - CSV or XLSX.
+ * @returns {*} Converted value.
+ */
+function ConvertImportCell(path, value, fileType) {
+  if (ENUM_FIELDS.includes(path)) return value.toUpperCase();
+
+  if (path === "scholarship") {
+    const lowerValue = value.toLowerCase();
+    if (TRUE_VALUES.includes(lowerValue)) return true;
+    if (FALSE_VALUES.includes(lowerValue)) return false;
+    return value;
+  }
+
+  // *************** XLSX stores dates as a number of days since 1899-12-30
+  if (DATE_FIELDS.includes(path) && fileType === "XLSX" && /^\d+(\.\d+)?$/.test(value)) {
+    const date = new Date(
+      Math.round((Number(value) - EXCEL_EPOCH_OFFSET_DAYS) * DAY_IN_MS)
+    );
+    return date.toISOString().slice(0, 10);
+  }
+
+  return value;
+}
+
+/**
+ * Build the CreateStudentInput of one row of the file.
+ *
+ * @param {string[]} cells - Cells of the row.
+ * @param {Array<string|null>} columns - Field path of each column.
+ * @param {string} fileType - CSV or XLSX.
+ * @param {string|null} defaultSchoolId - School used when the row has none.
+ * @returns {Object} Student input.
+ */
+function MapImportRow(cells, columns, fileType, defaultSchoolId) {
+  const input = {};
+
+  columns.forEach((path, index) => {
+    const value = String(cells[index] ?? "").trim();
+    if (!path || value === "") return;
+
+    const convertedValue = ConvertImportCell(path, value, fileType);
+    if (path.startsWith("birth.")) {
+      input.birth = { ...input.birth, [path.slice(6)]: convertedValue };
+    } else {
+      input[path] = convertedValue;
+    }
+  });
+
+  if (!input.school_id && defaultSchoolId) {
+    input.school_id = String(defaultSchoolId);
+  }
+
+  return input;
+}
+
+/**
+ * Build a row error entry from an error raised while checking the row.
+ *
+ * @param {number} row - Line of the file.
+ * @param {Error} error - AppError raised for the row.
+ * @returns {Object} `{ row, field, message, code }`.
+ */
+function BuildRowError(row, error) {
+  const rowError = {
+    row,
+    field: error.extensions?.metadata?.field || null,
+    message: error.message,
+    code: error.extensions?.type || null,
+  };
+  return rowError;
+}
+
+/**
+ * Flag the rows referencing a school that does not exist or that the caller
+ * cannot manage.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {Object[]} candidates - Valid rows (`{ row, input }`).
+ * @returns {Promise<Object[]>} Row errors.
+ */
+async function CheckImportSchools(context, candidates) {
+  const schoolIds = [...new Set(candidates.map(({ input }) => input.school_id))];
+  const [existingSchoolIds, tenantSchoolIds] = await Promise.all([
+    School.distinct("_id", {
+      _id: { $in: schoolIds },
+      school_status: { $ne: "DELETED" },
+    }),
+    GetTenantSchoolIds(context),
+  ]);
+
+  const existing = new Set(existingSchoolIds.map(String));
+  const allowed = tenantSchoolIds ? new Set(tenantSchoolIds.map(String)) : null;
+
+  const rowErrors = [];
+  for (const { row, input } of candidates) {
+    if (!existing.has(input.school_id)) {
+      rowErrors.push({
+        row,
+        field: "school_id",
+        message: "School not found",
+        code: "NOT_FOUND",
+      });
+    } else if (allowed && !allowed.has(input.school_id)) {
+      rowErrors.push({
+        row,
+        field: "school_id",
+        message: "Access denied: school outside of your scope",
+        code: "FORBIDDEN",
+      });
+    }
+  }
+
+  return rowErrors;
+}
+
+/**
+ * Flag the rows whose email or student number is repeated in the file or
+ * already used by a student. Emails are unique across schools and checked
+ * like `CreateStudent` does (`FindStudentsByEmail`: any case, DELETED
+ * students included); student numbers are unique among the school's
+ * students that are not DELETED.
+ *
+ * @param {Object[]} candidates - Valid rows (`{ row, input }`).
+ * @returns {Promise<Object[]>} Row errors.
+ */
+async function FindImportDuplicates(candidates) {
+  const rowErrors = [];
+  const emailRows = new Map();
+  const numberRows = new Map();
+
+  for (const { row, input } of candidates) {
+    const emailKey = input.email.toLowerCase();
+    if (emailRows.has(emailKey)) {
+      rowErrors.push({
+        row,
+        field: "email",
+        message: `Email is already used on row ${emailRows.get(emailKey)}`,
+        code: "DUPLICATE_FIELD",
+      });
+    } else {
+      emailRows.set(emailKey, row);
+    }
+
+    if (!input.student_number) continue;
+    const numberKey = `${input.school_id}:${input.student_number}`;
+    if (numberRows.has(numberKey)) {
+      rowErrors.push({
+        row,
+        field: "student_number",
+        message: `Student number is already used on row ${numberRows.get(numberKey)}`,
+        code: "DUPLICATE_FIELD",
+      });
+    } else {
+      numberRows.set(numberKey, row);
+    }
+  }
+
+  const numbersBySchool = new Map();
+  for (const { input } of candidates) {
+    if (!input.student_number) continue;
+    const numbers = numbersBySchool.get(input.school_id) || [];
+    numbers.push(input.student_number);
+    numbersBySchool.set(input.school_id, numbers);
+  }
+
+  const [studentsWithEmail, studentsWithNumber] = await Promise.all([
+    FindStudentsByEmail(candidates.map(({ input }) => input.email)),
+    numbersBySchool.size > 0
+      ? Student.find(
+          {
+            $or: [...numbersBySchool].map(([schoolId, numbers]) => ({
+              school_id: schoolId,
+              student_number: { $in: numbers },
+            })),
+            student_status: { $ne: "DELETED" },
+          },
+          "student_number school_id"
+        ).lean()
+      : [],
+  ]);
+
+  const usedEmails = new Set(
+    studentsWithEmail.map((student) => student.email.toLowerCase())
+  );
+  const usedNumbers = new Set(
+    studentsWithNumber.map((student) => `${student.school_id}:${student.student_number}`)
+  );
+
+  for (const { row, input } of candidates) {
+    if (usedEmails.has(input.email.toLowerCase())) {
+      rowErrors.push({
+        row,
+        field: "email",
+        message: "Email is already in use",
+        code: "DUPLICATE_FIELD",
+      });
+    }
+    if (
+      input.student_number &&
+      usedNumbers.has(`${input.school_id}:${input.student_number}`)
+    ) {
+      rowErrors.push({
+        row,
+        field: "student_number",
+        message: "Student number is already in use in this school",
+        code: "DUPLICATE_FIELD",
+      });
+    }
+  }
+
+  return rowErrors;
+}
+
+/**
+ * Build the student document of a validated row, as CreateStudent does:
+ * imported students start ENROLLED, on the import date unless one is given.
+ *
+ * @param {Object} input - Student input of the row.
+ * @returns {Object} Student payload.
+ */
+function BuildStudentPayload(input) {
+  const studentPayload = {
+    first_name: input.first_name,
+    last_name: input.last_name,
+    email: input.email,
+    phone: input.phone,
+    profile_picture_url: input.profile_picture_url,
+    school_id: input.school_id,
+    student_number: input.student_number,
+    gender: input.gender,
+    birth: {
+      place: input.birth.place,
+      date: input.birth.date,
+    },
+    student_status: input.student_status,
+    scholarship: input.scholarship,
+    academic_status: STUDENT.DEFAULT_ACADEMIC_STATUS,
+    enrollment_date: input.enrollment_date || new Date(),
+  };
+  return studentPayload;
+}
+
+/**
+ * Create the students of a fully valid file and the import job in a single
+ * transaction (requires MongoDB to run as a replica set).
+ *
+ * @param {Object[]} inputs - Student inputs.
+ * @param {Object} jobPayload - Import job fields.
+ * @returns {Promise<Object>} The COMPLETED import job.
+ */
+async function CommitStudentImport(inputs, jobPayload) {
+  const session = await mongoose.startSession();
+  try {
+    let studentImport = null;
+    await session.withTransaction(async () => {
+      const students = await Student.insertMany(inputs.map(BuildStudentPayload), {
+        session,
+      });
+
+      const studentIdsBySchool = new Map();
+      for (const student of students) {
+        const schoolId = String(student.school_id);
+        studentIdsBySchool.set(schoolId, [
+          ...(studentIdsBySchool.get(schoolId) || []),
+          student._id,
+        ]);
+      }
+      for (const [schoolId, studentIds] of studentIdsBySchool) {
+        await School.updateOne(
+          { _id: schoolId },
+          { $addToSet: { students: { $each: studentIds } } },
+          { session }
+        );
+      }
+
+      [studentImport] = await StudentImport.create(
+        [
+          {
+            ...jobPayload,
+            import_status: "COMPLETED",
+            imported_rows: students.length,
+            student_ids: students.map((student) => student._id),
+          },
+        ],
+        { session }
+      );
+    });
+
+    return studentImport;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Import students from a CSV or XLSX file.
+ *
+ * Every row is mapped to a CreateStudentInput and checked like CreateStudent
+ * does (validation, school access, unique email and student number). In dry
+ * run, or when any row is in error, nothing is created and the job only
+ * holds the error report; otherwise all students are created at once. An
+ * import job is recorded in every case.
+ *
+ * @param {Object} context - GraphQL context (or REST `request.context`).
+ * @param {Object} options - Import options.
+ * @param {string} options.file_name - Original name of the file.
+ * @param {Buffer} options.file - Content of the file.
+ * @param {string} [options.school_id] - School applied to rows without a school_id column.
+ * @param {boolean} [options.dry_run] - Only check the file.
+ * @returns {Promise<Object>} The import job (VALIDATED, COMPLETED or FAILED).
+ * @throws {AppError} BAD_REQUEST if the file cannot be read, FORBIDDEN if the default school is outside the caller's schools.
+ */
+async function ImportStudents(context, { file_name, file, school_id, dry_run }) {
+  const { file_type, rows } = await ParseSpreadsheet(file, file_name);
+  if (rows.length < 2) {
+    throw CreateAppError("File has no data rows", "BAD_REQUEST", { field: "file" });
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    throw CreateAppError(
+      `File must not have more than ${MAX_IMPORT_ROWS} rows`,
+      "BAD_REQUEST",
+      { field: "file" }
+    );
+  }
+  if (school_id) {
+    await CheckSchoolAccess(context, school_id);
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  const columns = ResolveImportColumns(headerRow.cells);
+
+  const rowErrors = [];
+  const candidates = [];
+  for (const { row, cells } of dataRows) {
+    const input = MapImportRow(cells, columns, file_type, school_id);
+    try {
+      ValidateCreateStudentInput(input);
+      candidates.push({ row, input });
+    } catch (error) {
+      rowErrors.push(BuildRowError(row, error));
+    }
+  }
+
+  if (candidates.length > 0) {
+    rowErrors.push(...(await CheckImportSchools(context, candidates)));
+    rowErrors.push(...(await FindImportDuplicates(candidates)));
+  }
+
+  const rowsInError = new Set(rowErrors.map(({ row }) => row));
+  const validCandidates = candidates.filter(({ row }) => !rowsInError.has(row));
+
+  const jobPayload = {
+    file_name: file_name.trim(),
+    file_type,
+    school_id: school_id || null,
+    school_ids: [
+      ...new Set(validCandidates.map(({ input }) => input.school_id)),
+    ],
+    dry_run: Boolean(dry_run),
+    total_rows: dataRows.length,
+    valid_rows: validCandidates.length,
+    row_errors: rowErrors.sort((a, b) => a.row - b.row),
+  };
+
+  if (dry_run) {
+    const studentImport = await StudentImport.create({
+      ...jobPayload,
+      import_status: "VALIDATED",
+    });
+    return studentImport;
+  }
+
+  if (rowsInError.size > 0) {
+    const studentImport = await StudentImport.create({
+      ...jobPayload,
+      import_status: "FAILED",
+      error_message: `No student imported: ${rowsInError.size} row(s) in error`,
+    });
+    return studentImport;
+  }
+
+  try {
+    const studentImport = await CommitStudentImport(
+      validCandidates.map(({ input }) => input),
+      jobPayload
+    );
+    return studentImport;
+  } catch (error) {
+    console.error("[IMPORT] Student import rolled back:", error.message);
+    const studentImport = await StudentImport.create({
+      ...jobPayload,
+      import_status: "FAILED",
+      error_message: `No student imported: ${error.message}`,
+    });
+    return studentImport;
+  }
+}
+
+/**
+ * Build a query condition restricting import jobs to those touching the
+ * caller's schools, plus the ones the caller ran.
+ *
+ * @param {Object} context - GraphQL context.
+ * @returns {Promise<Object>} Query condition, empty when unrestricted.
+ */
+async function GetStudentImportScopeQuery(context) {
+  const schoolIds = await GetTenantSchoolIds(context);
+  if (!schoolIds) return {};
+
+  const actor = context.real_user || context.user;
+  return {
+    $or: [{ created_by: actor._id }, { school_ids: { $in: schoolIds } }],
+  };
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  ImportStudents,
+  GetStudentImportScopeQuery,
+};
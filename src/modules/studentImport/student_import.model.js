@@ -0,0 +1,141 @@
+// *************** IMPORT LIBRARY ***************
+const { Schema, model, Types } = require("mongoose");
+
+// ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
+const { STUDENT_IMPORT } = require("../../shared/utils/enum");
+
+const rowErrorSchema = new Schema(
+  {
+    // Line of the file the error is about (header is line 1)
+    row: {
+      type: Number,
+      required: true,
+    },
+
+    // Input field in error (e.g. "email", "birth.date"), null for the whole row
+    field: {
+      type: String,
+      default: null,
+    },
+
+    // Human readable reason the row cannot be imported
+    message: {
+      type: String,
+      required: true,
+    },
+
+    // Error type (VALIDATION_ERROR, DUPLICATE_FIELD, FORBIDDEN)
+    code: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const studentImportSchema = new Schema(
+  {
+    // Name of the uploaded file
+    file_name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Format the file was read as (CSV, XLSX)
+    file_type: {
+      type: String,
+      enum: STUDENT_IMPORT.VALID_FILE_TYPE,
+      required: true,
+    },
+
+    // School applied to rows without a school_id column
+    school_id: {
+      type: Types.ObjectId,
+      ref: "School",
+      default: null,
+    },
+
+    // Every school referenced by the valid rows of the file
+    school_ids: {
+      type: [Types.ObjectId],
+      ref: "School",
+      default: [],
+    },
+
+    // Whether the file was only checked, without creating any student
+    dry_run: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Outcome of the import (VALIDATED, COMPLETED, FAILED)
+    import_status: {
+      type: String,
+      enum: STUDENT_IMPORT.VALID_STATUS,
+      required: true,
+    },
+
+    // Number of data rows in the file
+    total_rows: {
+      type: Number,
+      default: 0,
+    },
+
+    // Number of rows without any error
+    valid_rows: {
+      type: Number,
+      default: 0,
+    },
+
+    // Number of students created by the import
+    imported_rows: {
+      type: Number,
+      default: 0,
+    },
+
+    // Per row error report
+    row_errors: {
+      type: [rowErrorSchema],
+      default: [],
+    },
+
+    // Reason the whole import failed, when it is not about a given row
+    error_message: {
+      type: String,
+      default: null,
+    },
+
+    // Students created by the import
+    student_ids: {
+      type: [Types.ObjectId],
+      ref: "Student",
+      default: [],
+    },
+
+    // User who created this record
+    created_by: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // User who last updated this record
+    updated_by: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+studentImportSchema.index({ school_ids: 1, created_at: -1 });
+
+studentImportSchema.plugin(ActorStampPlugin);
+
+// *************** EXPORT MODULE ***************
+module.exports = model("StudentImport", studentImportSchema);
@@ -0,0 +1,237 @@
+// *************** IMPORT MODULE ***************
+const StudentImport = require("./student_import.model.js");
+
+// *************** IMPORT VALIDATOR ***************
+const {
+  ValidateStudentImportInput,
+  DecodeBase64File,
+} = require("./student_import.validator.js");
+
+// *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
+const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const {
+  PaginateFind,
+  PaginateFindConnection,
+} = require("../../shared/utils/pagination.js");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter.js");
+const { STUDENT_IMPORT } = require("../../shared/utils/enum.js");
+
+// *************** IMPORT CORE ***************
+const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  ImportStudents,
+  GetStudentImportScopeQuery,
+} = require("./student_import.helper.js");
+
+// *************** Fields of an import job that can be filtered and sorted on
+const STUDENT_IMPORT_QUERY_SPEC = {
+  fields: {
+    file_name: { type: "string", sortable: true },
+    file_type: { type: "enum", values: STUDENT_IMPORT.VALID_FILE_TYPE },
+    import_status: {
+      type: "enum",
+      values: STUDENT_IMPORT.VALID_STATUS,
+      sortable: true,
+    },
+    dry_run: { type: "boolean" },
+    school_id: { type: "id", path: "school_ids" },
+    created_by: { type: "id" },
+    created_at: { type: "date", sortable: true },
+  },
+};
+
+const { created_by_user, updated_by_user } = ActorFieldResolvers();
+
+/**
+ * Build the find query of the student import list from its where input.
+ *
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @param {Object} context - GraphQL context, jobs are restricted to the caller's schools.
+ * @returns {Promise<Object>} Query condition.
+ * @throws {AppError} If the where input is invalid.
+ */
+async function BuildStudentImportListQuery(where, context) {
+  const query = await GetStudentImportScopeQuery(context);
+
+  const whereQuery = CompileWhere(where, STUDENT_IMPORT_QUERY_SPEC);
+  if (whereQuery) {
+    query.$and = [whereQuery];
+  }
+
+  return query;
+}
+
+// *************** QUERY ***************
+/**
+ * List the student import jobs of the caller's schools, newest first.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys.
+ * @param {Object} [args.pagination] - Optional page/limit.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} Paginated import jobs.
+ */
+async function GetAllStudentImports(_, { where, sort, pagination }, context) {
+  try {
+    const query = await BuildStudentImportListQuery(where, context);
+
+    const studentImports = await PaginateFind(
+      StudentImport,
+      query,
+      pagination,
+      CompileSort(sort, STUDENT_IMPORT_QUERY_SPEC)
+    );
+    return studentImports;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch student imports");
+  }
+}
+
+/**
+ * Get one page of student import jobs as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetAllStudentImports`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function GetAllStudentImportsConnection(
+  _,
+  { where, sort, pagination },
+  context
+) {
+  try {
+    const query = await BuildStudentImportListQuery(where, context);
+
+    const studentImportConnection = await PaginateFindConnection(
+      StudentImport,
+      query,
+      pagination,
+      CompileSort(sort, STUDENT_IMPORT_QUERY_SPEC)
+    );
+    return studentImportConnection;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch student imports");
+  }
+}
+
+/**
+ * Get one student import job with its row error report.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.id - Import job ID.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The import job.
+ * @throws {AppError} NOT_FOUND if it does not exist or is outside the caller's schools.
+ */
+async function GetOneStudentImport(_, { id }, context) {
+  try {
+    const studentImportId = await ValidateMongoId(id);
+    const scopeQuery = await GetStudentImportScopeQuery(context);
+
+    const studentImport = await StudentImport.findOne({
+      _id: studentImportId,
+      ...scopeQuery,
+    }).lean();
+    if (!studentImport) {
+      throw CreateAppError("Student import not found", "NOT_FOUND", { id });
+    }
+
+    return studentImport;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch student import");
+  }
+}
+
+// *************** MUTATION ***************
+/**
+ * Import students from a base64 encoded CSV or XLSX file.
+ *
+ * With `dry_run` the file is only checked. Otherwise students are created
+ * only when every row is valid, all in one transaction.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} args.input - `{ file_name, file_base64, school_id, dry_run }`.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The import job with its row error report.
+ */
+async function BulkImportStudents(_, { input }, context) {
+  try {
+    const importInput = {
+      file_name: input.file_name,
+      file: DecodeBase64File(input.file_base64),
+      school_id: input.school_id,
+      dry_run: input.dry_run,
+    };
+    ValidateStudentImportInput(importInput);
+
+    const bulkImportStudentsResponse = await ImportStudents(context, importInput);
+    return bulkImportStudentsResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to import students");
+  }
+}
+
+// *************** LOADER ***************
+/**
+ * Resolve the default school of an import job.
+ *
+ * @param {Object} studentImport - Parent StudentImport object.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object>|null} The school, or null when none was given.
+ */
+function school(studentImport, _, context) {
+  if (!studentImport.school_id) return null;
+
+  const schoolLoaderResponse = context.loaders.school.load(
+    String(studentImport.school_id)
+  );
+  return schoolLoaderResponse;
+}
+
+/**
+ * Resolve the students created by an import job.
+ *
+ * @param {Object} studentImport - Parent StudentImport object.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object[]>} The created students.
+ */
+function students(studentImport, _, context) {
+  const studentLoaderResponse = context.loaders.student.loadMany(
+    (studentImport.student_ids || []).map(String)
+  );
+  return studentLoaderResponse;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  Query: {
+    GetAllStudentImports,
+    GetAllStudentImportsConnection,
+    GetOneStudentImport,
+  },
+  Mutation: {
+    BulkImportStudents,
+  },
+  StudentImport: {
+    created_by_user,
+    updated_by_user,
+    school,
+    students,
+  },
+};
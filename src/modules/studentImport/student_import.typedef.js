@@ -0,0 +1,108 @@
+// *************** IMPORT LIBRARY ***************
+
+const gql = require("graphql-tag");
+
+// *************** EXPORT MODULE ***************
+
+module.exports = gql`
+  enum StudentImportStatus {
+    VALIDATED
+    COMPLETED
+    FAILED
+  }
+
+  enum StudentImportFileType {
+    CSV
+    XLSX
+  }
+
+  type StudentImportRowError {
+    row: Int!
+    field: String
+    message: String!
+    code: String
+  }
+
+  type StudentImport {
+    _id: ID!
+    file_name: String!
+    file_type: StudentImportFileType!
+    school_id: ID
+    school: School
+    school_ids: [ID!]!
+    dry_run: Boolean!
+    import_status: StudentImportStatus!
+    total_rows: Int!
+    valid_rows: Int!
+    imported_rows: Int!
+    row_errors: [StudentImportRowError!]!
+    error_message: String
+    student_ids: [ID!]!
+    students: [Student]!
+    created_at: Date
+    created_by: ID
+    created_by_user: User
+    updated_at: Date
+    updated_by: ID
+    updated_by_user: User
+  }
+
+  type StudentImportEdge {
+    cursor: String!
+    node: StudentImport!
+  }
+
+  type StudentImportPaginationResult {
+    data: [StudentImport!]!
+    meta: PaginationResult!
+  }
+
+  type StudentImportConnection {
+    edges: [StudentImportEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
+  }
+
+  input StudentImportWhereInput {
+    and: [StudentImportWhereInput!]
+    or: [StudentImportWhereInput!]
+    not: StudentImportWhereInput
+    file_name: StringFilter
+    file_type: StringFilter
+    import_status: StringFilter
+    dry_run: BooleanFilter
+    school_id: IdFilter
+    created_by: IdFilter
+    created_at: DateFilter
+  }
+
+  input BulkImportStudentsInput {
+    file_name: String!
+    file_base64: String!
+    school_id: ID
+    dry_run: Boolean
+  }
+
+  extend type Query {
+    GetAllStudentImports(
+      where: StudentImportWhereInput
+      sort: [SortInput!]
+      pagination: PaginationInput
+    ): StudentImportPaginationResult!
+      @requiresPermission(permission: "student:write")
+    GetAllStudentImportsConnection(
+      where: StudentImportWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): StudentImportConnection!
+      @requiresPermission(permission: "student:write")
+    GetOneStudentImport(id: ID!): StudentImport
+      @requiresPermission(permission: "student:write")
+  }
+
+  extend type Mutation {
+    BulkImportStudents(input: BulkImportStudentsInput!): StudentImport!
+      @requiresPermission(permission: "student:write")
+      @audit(entity: "STUDENT_IMPORT", operation: "IMPORT")
+  }
+`;
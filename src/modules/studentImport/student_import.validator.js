@@ -0,0 +1,82 @@
+// *************** IMPORT LIBRARY ***************
+const { isValidObjectId } = require("mongoose");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error.js");
+
+const BASE64_REGEX = /^[A-Za-z0-9+/\s]*={0,2}\s*$/;
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Validate the file and options of a bulk student import.
+ *
+ * @param {Object} input - Import input.
+ * @param {string} input.file_name - Original name of the file (.csv or .xlsx).
+ * @param {Buffer} input.file - Content of the file.
+ * @param {string} [input.school_id] - School applied to rows without a school_id column.
+ * @param {boolean} [input.dry_run] - Only check the file.
+ * @throws {AppError} If the file is missing, too large or not a CSV/XLSX file, or the school ID is invalid.
+ */
+function ValidateStudentImportInput(input) {
+  const { file_name, file, school_id, dry_run } = input;
+
+  if (typeof file_name !== "string" || !/\.(csv|xlsx)$/i.test(file_name.trim())) {
+    throw CreateAppError(
+      "File name is required and must end with .csv or .xlsx.",
+      "VALIDATION_ERROR",
+      { field: "file_name" }
+    );
+  }
+
+  if (!Buffer.isBuffer(file) || file.length === 0) {
+    throw CreateAppError("File is required.", "VALIDATION_ERROR", {
+      field: "file",
+    });
+  }
+
+  if (file.length > MAX_FILE_SIZE) {
+    throw CreateAppError(
+      `File must not exceed ${MAX_FILE_SIZE / (1024 * 1024)} MB.`,
+      "VALIDATION_ERROR",
+      { field: "file" }
+    );
+  }
+
+  if (school_id && !isValidObjectId(school_id)) {
+    throw CreateAppError(
+      "School ID must be a valid ObjectId.",
+      "VALIDATION_ERROR",
+      { field: "school_id" }
+    );
+  }
+
+  if (dry_run !== undefined && dry_run !== null && typeof dry_run !== "boolean") {
+    throw CreateAppError("Dry run must be a boolean.", "VALIDATION_ERROR", {
+      field: "dry_run",
+    });
+  }
+}
+
+/**
+ * Decode the base64 content of a file sent through GraphQL.
+ *
+ * @param {string} fileBase64 - Base64 encoded file.
+ * @returns {Buffer} File content.
+ * @throws {AppError} If the value is not base64.
+ */
+function DecodeBase64File(fileBase64) {
+  if (typeof fileBase64 !== "string" || !BASE64_REGEX.test(fileBase64)) {
+    throw CreateAppError("File must be base64 encoded.", "VALIDATION_ERROR", {
+      field: "file_base64",
+    });
+  }
+
+  return Buffer.from(fileBase64, "base64");
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  ValidateStudentImportInput,
+  DecodeBase64File,
+  MAX_FILE_SIZE,
+};
@@ -0,0 +1,31 @@
+const VALID_STUDENT_TEST_RESULT_STATUS = [
+  "GRADED",
+  "PENDING_REVIEW",
+  "NEEDS_CORRECTION",
+  "DELETED",
+];
+
+// *************** Fields of a student test result that can be filtered and sorted on
+const STUDENT_TEST_RESULT_QUERY_SPEC = {
+  fields: {
+    student_id: { type: "id" },
+    test_id: { type: "id" },
+    average_mark: { type: "number", sortable: true },
+    graded_by: { type: "string" },
+    student_test_result_status: {
+      type: "enum",
+      values: VALID_STUDENT_TEST_RESULT_STATUS,
+      sortable: true,
+    },
+    mark_entry_date: { type: "date", sortable: true },
+    mark_validated_date: { type: "date", sortable: true },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  VALID_STUDENT_TEST_RESULT_STATUS,
+  STUDENT_TEST_RESULT_QUERY_SPEC,
+};
@@ -1,6 +1,9 @@
 // *************** IMPORT LIBRARY ***************
 const { Schema, model, Types } = require("mongoose");
 
+// ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
+
 const VALID_STUDENT_TEST_RESULT_STATUS = [
   "GRADED",
   "PENDING_REVIEW",
@@ -84,15 +87,17 @@ const studentTestResultSchema = new Schema(
     },
 
     // Audit trail
+    // User who created this record
     created_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
+    // User who last updated this record
     updated_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
 
     // Soft delete fields
@@ -100,10 +105,11 @@ const studentTestResultSchema = new Schema(
       type: Date,
       default: null,
     },
+    // User who soft-deleted this record
     deleted_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
   },
   {
@@ -111,5 +117,7 @@ const studentTestResultSchema = new Schema(
   }
 );
 
+studentTestResultSchema.plugin(ActorStampPlugin);
+
 // *************** EXPORT MODULE ***************
 module.exports = model("StudentTestResult", studentTestResultSchema);
@@ -10,23 +10,108 @@ const {
 const { ValidateCreateTask } = require("../task/task.validator.js");
 
 // *************** IMPORT UTILITIES ***************
+const {
+  ActorFieldResolvers,
+  GetCurrentActorId,
+} = require("../../shared/utils/actor_stamp");
 const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
-const { CheckRoleAccess } = require("../../shared/utils/check_role_access.js");
+const {
+  PaginateFindConnection,
+  BuildListSort,
+} = require("../../shared/utils/pagination.js");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter.js");
+const {
+  GetOwnStudentId,
+  GetStudentScopeQuery,
+  CheckStudentAccess,
+} = require("../../shared/utils/tenant_scope.js");
 
 // *************** IMPORT CORE ****************
 const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
 
 // *************** IMPORT HELPER **************
 const {
-  RunTranscriptWorker,
-} = require("../calculationResult/calculation_result.worker.js");
+  EnqueueTranscriptJob,
+} = require("../transcriptJob/transcript_job.helper.js");
+const {
+  WakeTranscriptWorkers,
+} = require("../transcriptJob/transcript_job.worker.js");
+const {
+  VALID_STUDENT_TEST_RESULT_STATUS,
+  STUDENT_TEST_RESULT_QUERY_SPEC,
+} = require("./student_test_result.helper.js");
 
-const VALID_STUDENT_TEST_RESULT_STATUS = [
-  "GRADED",
-  "PENDING_REVIEW",
-  "NEEDS_CORRECTION",
-  "DELETED",
-];
+/**
+ * Build the find query of a student test result list from its filter and where inputs.
+ *
+ * @param {Object} [filter] - Optional filter object (`student_test_result_status`, `student_id`, `test_id`).
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @param {Object} context - GraphQL context, results are restricted to the caller's students.
+ * @returns {Promise<Object>} Query condition.
+ * @throws {AppError} If any filter or the where input is invalid.
+ */
+async function BuildStudentTestResultListQuery(filter, where, context) {
+  const query = {};
+
+  // *************** Filter: student_test_result_status
+  if (filter && filter.student_test_result_status) {
+    if (
+      !VALID_STUDENT_TEST_RESULT_STATUS.includes(
+        filter.student_test_result_status
+      )
+    ) {
+      throw CreateAppError(
+        "Invalid student_test_result_status filter value",
+        "BAD_REQUEST",
+        { student_test_result_status: filter.student_test_result_status }
+      );
+    }
+    query.student_test_result_status = filter.student_test_result_status;
+  }
+
+  // *************** Filter: student_id
+  if (filter && filter.student_id) {
+    if (
+      typeof filter.student_id !== "string" ||
+      filter.student_id.trim() === ""
+    ) {
+      throw CreateAppError("Invalid student_id", "BAD_REQUEST", {
+        student_id: filter.student_id,
+      });
+    }
+    query.student_id = filter.student_id;
+  }
+
+  // *************** Students only ever see their own record
+  const ownStudentId = GetOwnStudentId(context);
+  if (ownStudentId) {
+    query.student_id = ownStudentId;
+  }
+
+  // *************** Filter: test_id
+  if (filter && filter.test_id) {
+    if (typeof filter.test_id !== "string" || filter.test_id.trim() === "") {
+      throw CreateAppError("Invalid test_id", "BAD_REQUEST", {
+        test_id: filter.test_id,
+      });
+    }
+    query.test_id = filter.test_id;
+  }
+
+  // *************** Restrict to students of the caller's schools
+  const studentScopeQuery = await GetStudentScopeQuery(context);
+  if (Object.keys(studentScopeQuery).length > 0) {
+    query.$and = [studentScopeQuery];
+  }
+
+  // *************** Where input, on top of the filter
+  const whereQuery = CompileWhere(where, STUDENT_TEST_RESULT_QUERY_SPEC);
+  if (whereQuery) {
+    query.$and = [...(query.$and || []), whereQuery];
+  }
+
+  return query;
+}
 
 // *************** QUERY ***************
 
@@ -36,6 +121,7 @@ const VALID_STUDENT_TEST_RESULT_STATUS = [
  * Supports filtering by `student_test_result_status`, `student_id`, and `test_id`.
  * If no `student_test_result_status` is provided, it defaults to `PENDING_REVIEW`.
  * Each filter is validated and will throw an application error on invalid input.
+ * A STUDENT caller only ever gets their own results whatever `student_id` is requested.
  *
  * @async
  * @function GetAllStudentTestResults
@@ -45,55 +131,59 @@ const VALID_STUDENT_TEST_RESULT_STATUS = [
  * @param {string} [args.filter.student_test_result_status] - Filter by status (must be a valid enum).
  * @param {string} [args.filter.student_id] - Filter by student ID (must be a non-empty string).
  * @param {string} [args.filter.test_id] - Filter by test ID (must be a non-empty string).
- * @returns {Promise<Array<Object>>} Resolves to an array of matched student test result documents.
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object[]>} Student test results of the caller's schools.
  * @throws {AppError} If any filter is invalid or if the database query fails.
  */
-async function GetAllStudentTestResults(_, { filter }, context) {
+async function GetAllStudentTestResults(
+  _,
+  { filter, where, sort },
+  context
+) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR", "CORRECTOR", "STUDENT"]);
-    const query = {};
-
-    // *************** Filter: student_test_result_status
-    if (filter && filter.student_test_result_status) {
-      if (
-        !VALID_STUDENT_TEST_RESULT_STATUS.includes(
-          filter.student_test_result_status
-        )
-      ) {
-        throw CreateAppError(
-          "Invalid student_test_result_status filter value",
-          "BAD_REQUEST",
-          { student_test_result_status: filter.student_test_result_status }
-        );
-      }
-      query.student_test_result_status = filter.student_test_result_status;
-    }
+    const query = await BuildStudentTestResultListQuery(filter, where, context);
 
-    // *************** Filter: student_id
-    if (filter && filter.student_id) {
-      if (
-        typeof filter.student_id !== "string" ||
-        filter.student_id.trim() === ""
-      ) {
-        throw CreateAppError("Invalid student_id", "BAD_REQUEST", {
-          student_id: filter.student_id,
-        });
-      }
-      query.student_id = filter.student_id;
-    }
+    const studentTestResultResponse = await StudentTestResult.find(query).sort(
+      BuildListSort(CompileSort(sort, STUDENT_TEST_RESULT_QUERY_SPEC))
+    );
+    return studentTestResultResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch student_test_results");
+  }
+}
 
-    // *************** Filter: test_id
-    if (filter && filter.test_id) {
-      if (typeof filter.test_id !== "string" || filter.test_id.trim() === "") {
-        throw CreateAppError("Invalid test_id", "BAD_REQUEST", {
-          test_id: filter.test_id,
-        });
-      }
-      query.test_id = filter.test_id;
-    }
+/**
+ * Get one page of student test results as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetAllStudentTestResults`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter object (`student_test_result_status`, `student_id`, `test_id`).
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function GetAllStudentTestResultsConnection(
+  _,
+  { filter, where, sort, pagination },
+  context
+) {
+  try {
+    const query = await BuildStudentTestResultListQuery(filter, where, context);
 
-    const studentTestResultResponse = await StudentTestResult.find(query);
-    return studentTestResultResponse;
+    const studentTestResultConnection = await PaginateFindConnection(
+      StudentTestResult,
+      query,
+      pagination,
+      CompileSort(sort, STUDENT_TEST_RESULT_QUERY_SPEC)
+    );
+    return studentTestResultConnection;
   } catch (error) {
     throw HandleCaughtError(error, "Failed to fetch student_test_results");
   }
@@ -114,13 +204,14 @@ async function GetAllStudentTestResults(_, { filter }, context) {
  * @param {string} [args.filter.student_test_result_status] - Optional status filter (must be a valid enum).
  * @param {string} [args.filter.student_id] - Required student ID (must be a non-empty string).
  * @param {string} [args.filter.test_id] - Required test ID (must be a non-empty string).
+ * @param {Object} context - GraphQL context containing the authenticated user.
  * @returns {Promise<Object>} Resolves to the matched student test result document.
  * @throws {AppError} If any filter is invalid, the result is not found, or if the query fails.
+ * @throws {AppError} FORBIDDEN if the student belongs to another school.
  */
 
 async function GetOneStudentTestResult(_, { id, filter }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR", "CORRECTOR", "STUDENT"]);
     const studentTestResultId = await ValidateMongoId(id);
 
     const query = { _id: studentTestResultId };
@@ -154,6 +245,12 @@ async function GetOneStudentTestResult(_, { id, filter }, context) {
       query.student_id = filter.student_id;
     }
 
+    // *************** Students only ever see their own record
+    const ownStudentId = GetOwnStudentId(context);
+    if (ownStudentId) {
+      query.student_id = ownStudentId;
+    }
+
     // *************** Filter: test_id
     if (filter && filter.test_id) {
       if (typeof filter.test_id !== "string" || filter.test_id.trim() === "") {
@@ -169,6 +266,7 @@ async function GetOneStudentTestResult(_, { id, filter }, context) {
         studentTestResultId,
       });
     }
+    await CheckStudentAccess(context, studentTestResult.student_id);
 
     return studentTestResult;
   } catch (error) {
@@ -188,13 +286,14 @@ async function GetOneStudentTestResult(_, { id, filter }, context) {
  * @param {Object} _ - Unused GraphQL root argument.
  * @param {Object} args - GraphQL arguments.
  * @param {Object} args.input - Input object containing student test result data.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  * @returns {Promise<Object>} The newly created StudentTestResult document.
  * @throws {AppError} If validation fails or creation encounters errors.
+ * @throws {AppError} FORBIDDEN if the student belongs to another school.
  */
 
 async function CreateStudentTestResult(_, { input }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const {
       student_id,
       test_id,
@@ -203,6 +302,8 @@ async function CreateStudentTestResult(_, { input }, context) {
       remarks,
       student_test_result_status,
     } = await ValidateCreateStudentTestResult(input);
+    await CheckStudentAccess(context, student_id);
+
     // *************** Calculate Average Mark
     let average_mark = 0;
     if (Array.isArray(marks) && marks.length > 0) {
@@ -252,7 +353,9 @@ async function CreateStudentTestResult(_, { input }, context) {
  * @param {Object} args - Arguments passed to the mutation.
  * @param {string} args.id - ID of the `StudentTestResult` to update.
  * @param {Object} args.input - Input data to update the student test result.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  *
+ * @throws {AppError} FORBIDDEN if the current or target student belongs to another school.
  * @throws {AppError} If validation fails, test is not found, or document is not found.
  * @throws {AppError} If any internal error occurs during the update process.
  *
@@ -261,7 +364,6 @@ async function CreateStudentTestResult(_, { input }, context) {
 
 async function UpdateStudentTestResult(_, { id, input }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const {
       student_id,
       test_id,
@@ -272,6 +374,19 @@ async function UpdateStudentTestResult(_, { id, input }, context) {
     } = await ValidateUpdateStudentTestResult(input);
     const studentTestResultId = await ValidateMongoId(id);
 
+    const currentStudentTestResult = await StudentTestResult.findById(
+      studentTestResultId
+    ).lean();
+    if (!currentStudentTestResult) {
+      throw CreateAppError("Student Test Result not found", "NOT_FOUND", {
+        studentTestResultId,
+      });
+    }
+    await CheckStudentAccess(context, currentStudentTestResult.student_id);
+    if (student_id) {
+      await CheckStudentAccess(context, student_id);
+    }
+
     // *************** Calculate Average Mark
     let average_mark = 0;
     if (Array.isArray(marks) && marks.length > 0) {
@@ -315,7 +430,7 @@ async function UpdateStudentTestResult(_, { id, input }, context) {
  * Soft deletes a Student Test Result by marking its status as "DELETED".
  *
  * This function updates the `student_test_result_status` to `"DELETED"` and sets
- * the `deleted_at` timestamp and `deleted_by` user info. It only deletes records
+ * the `deleted_at` timestamp; `deleted_by` is stamped with the caller. It only deletes records
  * that are not already deleted.
  *
  * @async
@@ -323,17 +438,28 @@ async function UpdateStudentTestResult(_, { id, input }, context) {
  * @param {Object} _ - GraphQL parent resolver object (unused).
  * @param {Object} args - GraphQL arguments.
  * @param {string} args.id - The ID of the Student Test Result to delete.
- * @param {string} [args.deleted_by] - Optional ID of the user performing the deletion.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  *
  * @returns {Promise<Object>} Returns an object containing the ID of the deleted Student Test Result.
  *
  * @throws {AppError} Throws NOT_FOUND if the record does not exist or is already deleted.
+ * @throws {AppError} Throws FORBIDDEN if the student belongs to another school.
  * @throws {AppError} Throws a general error with custom message if any other error occurs during deletion.
  */
-async function DeleteStudentTestResult(_, { id, deleted_by }, context) {
+async function DeleteStudentTestResult(_, { id }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const studentTestResultId = await ValidateMongoId(id);
+
+    const currentStudentTestResult = await StudentTestResult.findById(
+      studentTestResultId
+    ).lean();
+    if (!currentStudentTestResult) {
+      throw CreateAppError("Student Test Result not found", "NOT_FOUND", {
+        studentTestResultId,
+      });
+    }
+    await CheckStudentAccess(context, currentStudentTestResult.student_id);
+
     const deleted = await StudentTestResult.updateOne(
       {
         _id: studentTestResultId,
@@ -343,7 +469,6 @@ async function DeleteStudentTestResult(_, { id, deleted_by }, context) {
         $set: {
           student_test_result_status: "DELETED",
           deleted_at: new Date(),
-          deleted_by: deleted_by ? deleted_by : null,
         },
       }
     );
@@ -369,12 +494,12 @@ async function DeleteStudentTestResult(_, { id, deleted_by }, context) {
  *
  * @param {Object} _ - Unused root argument.
  * @param {Object} input - GraphQL input for EnterMarks.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  * @returns {Promise<Object>} - Object containing new StudentTestResult ID.
  */
 
 async function EnterMarks(_, { input }, context) {
   try {
-    CheckRoleAccess(context, ["CORRECTOR"]);
     const createStudentTestResultPayload = {
       student_id: input.student_id,
       test_id: input.test_id,
@@ -383,9 +508,11 @@ async function EnterMarks(_, { input }, context) {
       remarks: input.remarks,
       student_test_result_status: "GRADED",
     };
-    const createStudentTestResultProcess = await CreateStudentTestResult(null, {
-      input: createStudentTestResultPayload,
-    });
+    const createStudentTestResultProcess = await CreateStudentTestResult(
+      null,
+      { input: createStudentTestResultPayload },
+      context
+    );
 
     const updatedTask = await Task.updateOne(
       {
@@ -449,7 +576,8 @@ async function EnterMarks(_, { input }, context) {
  * 2. Retrieves and validates the related task and student test result using `ValidateValidateMarks`.
  * 3. Updates the `mark_validated_date` in the `StudentTestResult` document.
  * 4. Marks the corresponding "VALIDATE_MARKS" task as "COMPLETED".
- * 5. Returns the ID of the validated `StudentTestResult`.
+ * 5. Queues a recalculation of the student's transcript (see `EnqueueTranscriptJob`).
+ * 6. Returns the ID of the validated `StudentTestResult`.
  *
  * If an error occurs during the process, it is handled by `HandleCaughtError`.
  *
@@ -458,15 +586,16 @@ async function EnterMarks(_, { input }, context) {
  * @param {object} _ - Unused GraphQL resolver parent argument.
  * @param {object} args - GraphQL arguments object.
  * @param {string} args.id - The task ID to validate and complete.
+ * @param {object} context - GraphQL context containing the authenticated user.
  * @returns {Promise<{id: string}>} Returns the ID of the validated student test result.
  *
  * @throws {AppError} If validation or update processes fail, returns an error wrapped by `HandleCaughtError`.
  */
 async function ValidateMarks(_, { id }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const taskId = await ValidateMongoId(id);
     const { task, studentTestResult } = await ValidateValidateMarks(taskId);
+    await CheckStudentAccess(context, studentTestResult.student_id);
 
     const updateStudent = await StudentTestResult.updateOne(
       {
@@ -506,14 +635,14 @@ async function ValidateMarks(_, { id }, context) {
       String(studentTestResult.student_id)
     );
     if (student_id) {
-      try {
-        await RunTranscriptWorker(student_id);
-      } catch {
-        throw CreateAppError("Transcript worker not started", "NOT_FOUND");
-      }
+      await EnqueueTranscriptJob(student_id, {
+        student_test_result_id: studentTestResult._id,
+        requested_by: GetCurrentActorId(),
+      });
+      WakeTranscriptWorkers();
     } else {
       throw CreateAppError(
-        "[Transcript Worker] student_id is missing — worker not triggered",
+        "[Transcript Job] student_id is missing — recalculation not queued",
         "NOT_FOUND"
       );
     }
@@ -604,6 +733,7 @@ function graded_by(parent, _, context) {
 module.exports = {
   Query: {
     GetAllStudentTestResults,
+    GetAllStudentTestResultsConnection,
     GetOneStudentTestResult,
   },
   Mutation: {
@@ -614,6 +744,7 @@ module.exports = {
     ValidateMarks,
   },
   StudentTestResult: {
+    ...ActorFieldResolvers(),
     student: student_id,
     test: test_id,
     graded: graded_by,
@@ -32,11 +32,25 @@ module.exports = gql`
     remarks: String
     student_test_result_status: StudentTestResultStatus!
     created_at: Date
-    created_by: String
+    created_by: ID
+    created_by_user: User
     updated_at: Date
-    updated_by: String
+    updated_by: ID
+    updated_by_user: User
     deleted_at: Date
-    deleted_by: String
+    deleted_by: ID
+    deleted_by_user: User
+  }
+
+  type StudentTestResultEdge {
+    cursor: String!
+    node: StudentTestResult!
+  }
+
+  type StudentTestResultConnection {
+    edges: [StudentTestResultEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
   }
 
   input MarkInput {
@@ -51,7 +65,6 @@ module.exports = gql`
     graded_by: ID
     remarks: String
     student_test_result_status: StudentTestResultStatus
-    created_by: String
   }
 
   input UpdateStudentTestResultInput {
@@ -61,7 +74,6 @@ module.exports = gql`
     graded_by: ID
     remarks: String
     student_test_result_status: StudentTestResultStatus
-    created_by: String
   }
 
   input StudentTestResultFilter {
@@ -70,26 +82,62 @@ module.exports = gql`
     test_id: ID
   }
 
+  input StudentTestResultWhereInput {
+    and: [StudentTestResultWhereInput!]
+    or: [StudentTestResultWhereInput!]
+    not: StudentTestResultWhereInput
+    student_id: IdFilter
+    test_id: IdFilter
+    average_mark: NumberFilter
+    graded_by: StringFilter
+    student_test_result_status: StringFilter
+    mark_entry_date: DateFilter
+    mark_validated_date: DateFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
   type Query {
     GetAllStudentTestResults(
       filter: StudentTestResultFilter
+      where: StudentTestResultWhereInput
+      sort: [SortInput!]
     ): [StudentTestResult!]!
+      @requiresPermission(permission: "marks:read")
+    GetAllStudentTestResultsConnection(
+      filter: StudentTestResultFilter
+      where: StudentTestResultWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): StudentTestResultConnection!
+      @requiresPermission(permission: "marks:read")
     GetOneStudentTestResult(
       id: ID!
       filter: StudentTestResultFilter
     ): StudentTestResult
+      @requiresPermission(permission: "marks:read")
   }
 
   type Mutation {
     CreateStudentTestResult(
       input: CreateStudentTestResultInput!
     ): StudentTestResult!
+      @requiresPermission(permission: "marks:write")
+      @audit(entity: "STUDENT_TEST_RESULT", operation: "CREATE")
     UpdateStudentTestResult(
       id: ID!
       input: UpdateStudentTestResultInput!
     ): StudentTestResult!
-    DeleteStudentTestResult(id: ID!, deleted_by: String): StudentTestResult!
+      @requiresPermission(permission: "marks:write")
+      @audit(entity: "STUDENT_TEST_RESULT", operation: "UPDATE")
+    DeleteStudentTestResult(id: ID!): StudentTestResult!
+      @requiresPermission(permission: "marks:write")
+      @audit(entity: "STUDENT_TEST_RESULT", operation: "DELETE")
     EnterMarks(input: CreateStudentTestResultInput!): StudentTestResult!
+      @requiresPermission(permission: "marks:enter")
+      @audit(entity: "STUDENT_TEST_RESULT", operation: "ENTER_MARKS")
     ValidateMarks(id: ID!): StudentTestResult!
+      @requiresPermission(permission: "marks:validate")
+      @audit(entity: "TASK", operation: "VALIDATE_MARKS")
   }
 `;
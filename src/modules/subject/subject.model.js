@@ -2,6 +2,7 @@
 const { Schema, model, Types } = require("mongoose");
 
 // ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
 const {
   SUBJECT,
   LOGIC_ENUM,
@@ -125,18 +126,23 @@ const subjectSchema = new Schema(
       type: Date,
       default: null,
     },
+    // User who soft-deleted this record
     deleted_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
+    // User who created this record
     created_by: {
-      type: String,
-      trim: true,
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
     },
+    // User who last updated this record
     updated_by: {
-      type: String,
-      trim: true,
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
     },
   },
   {
@@ -144,5 +150,12 @@ const subjectSchema = new Schema(
   }
 );
 
+subjectSchema.index(
+  { name: "text", subject_code: "text" },
+  { name: "subject_search", weights: { subject_code: 10, name: 5 } }
+);
+
+subjectSchema.plugin(ActorStampPlugin);
+
 // *************** EXPORT MODULE ***************
 module.exports = model("Subject", subjectSchema);
@@ -8,13 +8,103 @@ const {
 } = require("./subject.validator.js");
 
 // *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
 const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const {
+  PaginateFindConnection,
+  BuildListSort,
+} = require("../../shared/utils/pagination.js");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter.js");
 const { SUBJECT } = require("../../shared/utils/enum.js");
-const { CheckRoleAccess } = require("../../shared/utils/check_role_access.js");
 
 // *************** IMPORT CORE ***************
 const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
 
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  MarkStaleCalculationResults,
+} = require("../calculationResult/calculation_result.helper.js");
+
+// *************** Fields of a subject that can be filtered and sorted on
+const SUBJECT_QUERY_SPEC = {
+  fields: {
+    name: { type: "string", sortable: true },
+    subject_code: { type: "string", sortable: true },
+    level: { type: "enum", values: SUBJECT.VALID_LEVEL, sortable: true },
+    category: { type: "enum", values: SUBJECT.VALID_CATEGORY, sortable: true },
+    subject_status: { type: "enum", values: SUBJECT.VALID_STATUS, sortable: true },
+    block_id: { type: "id" },
+    coefficient: { type: "number", sortable: true },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
+
+/**
+ * Build the find query of a subject list from its filter and where inputs.
+ *
+ * @param {Object} [filter] - Optional filter object (`subject_status`, `level`, `category`, `subject_id`).
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @returns {Object} Query condition.
+ * @throws {AppError} If any filter or the where input is invalid.
+ */
+function BuildSubjectListQuery(filter, where) {
+  const query = {};
+
+  // *************** Filter: subject_status
+  if (filter && filter.subject_status) {
+    if (!SUBJECT.VALID_STATUS.includes(filter.subject_status)) {
+      throw CreateAppError(
+        "Invalid subject_status filter value",
+        "BAD_REQUEST",
+        { subject_status: filter.subject_status }
+      );
+    }
+    query.subject_status = filter.subject_status;
+  }
+
+  // *************** Filter: level
+  if (filter && filter.level) {
+    if (!SUBJECT.VALID_LEVEL.includes(filter.level)) {
+      throw CreateAppError("Invalid level filter value", "BAD_REQUEST", {
+        level: filter.level,
+      });
+    }
+    query.level = filter.level;
+  }
+
+  // *************** Filter: category
+  if (filter && filter.category) {
+    if (!SUBJECT.VALID_CATEGORY.includes(filter.category)) {
+      throw CreateAppError("Invalid category filter value", "BAD_REQUEST", {
+        category: filter.category,
+      });
+    }
+    query.category = filter.category;
+  }
+
+  // *************** Filter: subject_id
+  if (filter && filter.subject_id) {
+    if (
+      typeof filter.subject_id !== "string" ||
+      filter.subject_id.trim() === ""
+    ) {
+      throw CreateAppError("Invalid subject_id", "BAD_REQUEST", {
+        subject_id: filter.subject_id,
+      });
+    }
+    query.subject_id = filter.subject_id;
+  }
+
+  // *************** Where input, on top of the filter
+  const whereQuery = CompileWhere(where, SUBJECT_QUERY_SPEC);
+  if (whereQuery) {
+    query.$and = [...(query.$and || []), whereQuery];
+  }
+
+  return query;
+}
+
 // *************** QUERY ***************
 
 /**
@@ -38,69 +128,22 @@ const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
  * @param {string} [args.filter.level] - Filter by education level enum.
  * @param {string} [args.filter.category] - Filter by subject category enum.
  * @param {string} [args.filter.subject_id] - Filter by subject ID (string).
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
  *
- * @returns {Promise<Array<Object>>} List of subject documents matching the filters.
+ * @returns {Promise<Object[]>} List of subject documents matching the filters.
  *
  * @throws {AppError} If any filter is invalid or if the database operation fails.
  */
 
-async function GetAllSubjects(_, { filter }, context) {
+async function GetAllSubjects(_, { filter, where, sort }) {
   try {
-    CheckRoleAccess(context, [
-      "ACADEMIC_ADMIN",
-      "ACADEMIC_DIRECTOR",
-      "CORRECTOR",
-      "STUDENT",
-    ]);
-    const query = {};
-
-    // *************** Filter: subject_status
-    if (filter && filter.subject_status) {
-      if (!SUBJECT.VALID_STATUS.includes(filter.subject_status)) {
-        throw CreateAppError(
-          "Invalid subject_status filter value",
-          "BAD_REQUEST",
-          { subject_status: filter.subject_status }
-        );
-      }
-      query.subject_status = filter.subject_status;
-    }
-
-    // *************** Filter: level
-    if (filter && filter.level) {
-      if (!SUBJECT.VALID_LEVEL.includes(filter.level)) {
-        throw CreateAppError("Invalid level filter value", "BAD_REQUEST", {
-          level: filter.level,
-        });
-      }
-      query.level = filter.level;
-    }
-
-    // *************** Filter: category
-    if (filter && filter.category) {
-      if (!SUBJECT.VALID_CATEGORY.includes(filter.category)) {
-        throw CreateAppError("Invalid category filter value", "BAD_REQUEST", {
-          category: filter.category,
-        });
-      }
-      query.category = filter.category;
-    }
-
-    // *************** Filter: subject_id
-    if (filter && filter.subject_id) {
-      if (
-        typeof filter.subject_id !== "string" ||
-        filter.subject_id.trim() === ""
-      ) {
-        throw CreateAppError("Invalid subject_id", "BAD_REQUEST", {
-          subject_id: filter.subject_id,
-        });
-      }
-      query.subject_id = filter.subject_id;
-    }
+    const query = BuildSubjectListQuery(filter, where);
 
     // *************** Execute query
-    const subjectResponse = await Subject.find(query);
+    const subjectResponse = await Subject.find(query).sort(
+      BuildListSort(CompileSort(sort, SUBJECT_QUERY_SPEC))
+    );
     return subjectResponse;
   } catch (error) {
     const handlingError = HandleCaughtError(error, "Failed to fetch subjects");
@@ -108,6 +151,42 @@ async function GetAllSubjects(_, { filter }, context) {
   }
 }
 
+/**
+ * Get one page of subjects as a connection, read with cursors.
+ *
+ * Takes the same filter, where and sort as `GetAllSubjects`.
+ *
+ * @async
+ * @function GetAllSubjectsConnection
+ * @param {Object} _ - Parent resolver context (unused).
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter object.
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ *
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ *
+ * @throws {AppError} If any filter or cursor is invalid or if the database operation fails.
+ */
+
+async function GetAllSubjectsConnection(_, { filter, where, sort, pagination }) {
+  try {
+    const query = BuildSubjectListQuery(filter, where);
+
+    const subjectConnection = await PaginateFindConnection(
+      Subject,
+      query,
+      pagination,
+      CompileSort(sort, SUBJECT_QUERY_SPEC)
+    );
+    return subjectConnection;
+  } catch (error) {
+    const handlingError = HandleCaughtError(error, "Failed to fetch subjects");
+    throw handlingError;
+  }
+}
+
 /**
  * Fetches a single subject document from the database based on the provided filter criteria.
  *
@@ -135,14 +214,8 @@ async function GetAllSubjects(_, { filter }, context) {
  * @throws {AppError} If the subject is not found or any filter is invalid.
  */
 
-async function GetOneSubject(_, { id, filter }, context) {
+async function GetOneSubject(_, { id, filter }) {
   try {
-    CheckRoleAccess(context, [
-      "ACADEMIC_ADMIN",
-      "ACADEMIC_DIRECTOR",
-      "CORRECTOR",
-      "STUDENT",
-    ]);
     const subjectId = await ValidateMongoId(id);
 
     const query = { _id: subjectId };
@@ -227,9 +300,8 @@ async function GetOneSubject(_, { id, filter }, context) {
  *
  * @throws {AppError} If input validation fails or creation fails.
  */
-async function CreateSubject(_, { input }, context) {
+async function CreateSubject(_, { input }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const {
       name,
       subject_code,
@@ -275,6 +347,8 @@ async function CreateSubject(_, { input }, context) {
  * builds the update payload, and performs an update operation on the Subject collection.
  *
  * If the subject is not found by the given `id`, it throws a NOT_FOUND error.
+ * When the criteria, coefficient or block change, calculation results using the
+ * subject are flagged as stale.
  * On validation or update failure, a meaningful error is raised and caught with `HandleCaughtError`.
  *
  * @async
@@ -299,9 +373,8 @@ async function CreateSubject(_, { input }, context) {
  * @throws {AppError} If input validation fails, subject not found, or database error occurs.
  */
 
-async function UpdateSubject(_, { id, input }, context) {
+async function UpdateSubject(_, { id, input }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const {
       name,
       subject_code,
@@ -316,6 +389,7 @@ async function UpdateSubject(_, { id, input }, context) {
       _id,
     } = await ValidateUpdateSubject(id, input);
     const subjectId = await ValidateMongoId(_id);
+    const subjectBefore = await Subject.findById(subjectId).lean();
 
     const subjectPayload = {
       name,
@@ -338,6 +412,10 @@ async function UpdateSubject(_, { id, input }, context) {
     if (!updated) {
       throw CreateAppError("Subject not found", "NOT_FOUND", { subjectId });
     }
+
+    const subjectAfter = await Subject.findById(subjectId).lean();
+    await MarkStaleCalculationResults("SUBJECT", subjectBefore, subjectAfter);
+
     const updateSubjectResponse = { id: subjectId };
     return updateSubjectResponse;
   } catch (error) {
@@ -354,8 +432,8 @@ async function UpdateSubject(_, { id, input }, context) {
  * Soft-deletes a subject by updating its `subject_status` to "DELETED".
  *
  * This function performs a soft delete operation on a subject by setting
- * `subject_status` to "DELETED", `deleted_at` to the current date, and
- * optionally `deleted_by` if provided.
+ * `subject_status` to "DELETED" and `deleted_at` to the current date;
+ * `deleted_by` is stamped with the caller.
  *
  * If the subject does not exist or is already deleted, an error is thrown.
  *
@@ -365,7 +443,6 @@ async function UpdateSubject(_, { id, input }, context) {
  * @param {Object} _ - Unused parent resolver argument (GraphQL standard).
  * @param {Object} args - Arguments passed to the resolver.
  * @param {string} args.id - The ID of the subject to soft delete.
- * @param {string} [args.deleted_by] - Optional user ID performing the deletion.
  *
  * @returns {Promise<Object>} An object containing the ID of the deleted subject.
  * @returns {string} returns.id - The ID of the soft-deleted subject.
@@ -374,9 +451,8 @@ async function UpdateSubject(_, { id, input }, context) {
  * @throws {AppError} If a database or unexpected error occurs.
  */
 
-async function DeleteSubject(_, { id, deleted_by }, context) {
+async function DeleteSubject(_, { id }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const subjectId = await ValidateMongoId(id);
 
     const deleted = await Subject.updateOne(
@@ -385,7 +461,6 @@ async function DeleteSubject(_, { id, deleted_by }, context) {
         $set: {
           subject_status: "DELETED",
           deleted_at: new Date(),
-          deleted_by: deleted_by ? deleted_by : null,
         },
       }
     );
@@ -436,6 +511,7 @@ function tests(subject, _, context) {
 module.exports = {
   Query: {
     GetAllSubjects,
+    GetAllSubjectsConnection,
     GetOneSubject,
   },
   Mutation: {
@@ -444,6 +520,7 @@ module.exports = {
     DeleteSubject,
   },
   Subject: {
+    ...ActorFieldResolvers(),
     tests,
   },
 };
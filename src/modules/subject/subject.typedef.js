@@ -39,11 +39,14 @@ module.exports = gql`
     criteria: [SubjectPassingCriteriaGroup!]
     subject_status: SubjectStatus!
     created_at: Date!
-    created_by: String
+    created_by: ID
+    created_by_user: User
     updated_at: Date
-    updated_by: String
+    updated_by: ID
+    updated_by_user: User
     deleted_at: Date
-    deleted_by: String
+    deleted_by: ID
+    deleted_by_user: User
   }
 
   type SubjectPassingCriteriaGroup {
@@ -59,6 +62,17 @@ module.exports = gql`
     test_id: ID
   }
 
+  type SubjectEdge {
+    cursor: String!
+    node: Subject!
+  }
+
+  type SubjectConnection {
+    edges: [SubjectEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
+  }
+
   input CreateSubjectInput {
     name: String!
     subject_code: String!
@@ -70,7 +84,6 @@ module.exports = gql`
     coefficient: Float!
     criteria: [SubjectPassingCriteriaGroupInput!]
     subject_status: SubjectStatus!
-    created_by: String
   }
 
   input UpdateSubjectInput {
@@ -84,7 +97,6 @@ module.exports = gql`
     coefficient: Float!
     criteria: [SubjectPassingCriteriaGroupInput!]
     subject_status: SubjectStatus!
-    updated_by: String
   }
 
   input SubjectPassingCriteriaGroupInput {
@@ -107,14 +119,48 @@ module.exports = gql`
     block_id: ID
   }
 
+  input SubjectWhereInput {
+    and: [SubjectWhereInput!]
+    or: [SubjectWhereInput!]
+    not: SubjectWhereInput
+    name: StringFilter
+    subject_code: StringFilter
+    level: StringFilter
+    category: StringFilter
+    subject_status: StringFilter
+    block_id: IdFilter
+    coefficient: NumberFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
   extend type Query {
-    GetAllSubjects(filter: SubjectFilter): [Subject!]!
+    GetAllSubjects(
+      filter: SubjectFilter
+      where: SubjectWhereInput
+      sort: [SortInput!]
+    ): [Subject!]!
+      @requiresPermission(permission: "subject:read")
+    GetAllSubjectsConnection(
+      filter: SubjectFilter
+      where: SubjectWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): SubjectConnection!
+      @requiresPermission(permission: "subject:read")
     GetOneSubject(id: ID!, filter: SubjectFilter): Subject
+      @requiresPermission(permission: "subject:read")
   }
 
   extend type Mutation {
     CreateSubject(input: CreateSubjectInput!): Subject!
+      @requiresPermission(permission: "subject:write")
+      @audit(entity: "SUBJECT", operation: "CREATE")
     UpdateSubject(id: ID!, input: UpdateSubjectInput!): Subject!
-    DeleteSubject(id: ID!, deleted_by: String): Subject!
+      @requiresPermission(permission: "subject:write")
+      @audit(entity: "SUBJECT", operation: "UPDATE")
+    DeleteSubject(id: ID!): Subject!
+      @requiresPermission(permission: "subject:write")
+      @audit(entity: "SUBJECT", operation: "DELETE")
   }
 `;
@@ -1,6 +1,9 @@
 // *************** IMPORT LIBRARY ***************
 const { Schema, model, Types } = require("mongoose");
 
+// ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
+
 const VALID_TASK_TYPES = ["ASSIGN_CORRECTOR", "ENTER_MARKS", "VALIDATE_MARKS"];
 
 const VALID_TASK_STATUSES = ["PENDING", "PROGRESS", "COMPLETED", "DELETED"];
@@ -47,15 +50,17 @@ const taskSchema = new Schema(
     },
 
     // Audit trail
+    // User who created this record
     created_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
+    // User who last updated this record
     updated_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
 
     // Soft delete fields
@@ -63,10 +68,11 @@ const taskSchema = new Schema(
       type: Date,
       default: null,
     },
+    // User who soft-deleted this record
     deleted_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
   },
   {
@@ -74,5 +80,7 @@ const taskSchema = new Schema(
   }
 );
 
+taskSchema.plugin(ActorStampPlugin);
+
 // *************** EXPORT MODULE ***************
 module.exports = model("Task", taskSchema);
@@ -16,8 +16,17 @@ const {
 } = require("./task.validator.js");
 
 // *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
 const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
-const { CheckRoleAccess } = require("../../shared/utils/check_role_access.js");
+const {
+  PaginateFindConnection,
+  BuildListSort,
+} = require("../../shared/utils/pagination.js");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter.js");
+const {
+  GetUserScopeQuery,
+  CheckUserAccess,
+} = require("../../shared/utils/tenant_scope.js");
 
 // *************** IMPORT CORE ***************
 const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
@@ -27,6 +36,87 @@ const VALID_TASK_TYPES = ["ASSIGN_CORRECTOR", "ENTER_MARKS", "VALIDATE_MARKS"];
 
 const VALID_TASK_STATUSES = ["PENDING", "PROGRESS", "COMPLETED", "DELETED"];
 
+// *************** Fields of a task that can be filtered and sorted on
+const TASK_QUERY_SPEC = {
+  fields: {
+    test_id: { type: "id" },
+    user_id: { type: "id" },
+    task_type: { type: "enum", values: VALID_TASK_TYPES, sortable: true },
+    task_status: { type: "enum", values: VALID_TASK_STATUSES, sortable: true },
+    due_date: { type: "date", sortable: true },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
+
+/**
+ * Build the find query of a task list from its filter and where inputs.
+ *
+ * @param {Object} [filter] - Optional filter object (`task_status`, `task_type`, `test_id`, `user_id`).
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @param {Object} context - GraphQL context, tasks are restricted to the caller's schools.
+ * @returns {Promise<Object>} Query condition.
+ * @throws {AppError} If any filter value or the where input is invalid.
+ */
+async function BuildTaskListQuery(filter, where, context) {
+  const query = {};
+
+  // *************** Filter: task_status
+  if (filter && filter.task_status) {
+    if (!VALID_TASK_STATUSES.includes(filter.task_status)) {
+      throw CreateAppError(
+        "Invalid task_status filter value",
+        "BAD_REQUEST",
+        { task_status: filter.task_status }
+      );
+    }
+    query.task_status = filter.task_status;
+  }
+
+  // *************** Filter: task_type
+  if (filter && filter.task_type) {
+    if (!VALID_TASK_TYPES.includes(filter.task_type)) {
+      throw CreateAppError("Invalid task_type filter value", "BAD_REQUEST", {
+        task_type: filter.task_type,
+      });
+    }
+    query.task_type = filter.task_type;
+  }
+
+  // *************** Filter: test_id
+  if (filter && filter.test_id) {
+    if (typeof filter.test_id !== "string" || filter.test_id.trim() === "") {
+      throw CreateAppError("Invalid test_id", "BAD_REQUEST", {
+        test_id: filter.test_id,
+      });
+    }
+    query.test_id = filter.test_id;
+  }
+  // *************** Filter: user_id
+  if (filter && filter.user_id) {
+    if (typeof filter.user_id !== "string" || filter.user_id.trim() === "") {
+      throw CreateAppError("Invalid user_id", "BAD_REQUEST", {
+        user_id: filter.user_id,
+      });
+    }
+    query.user_id = filter.user_id;
+  }
+
+  // *************** Restrict to tasks assigned within the caller's schools
+  const userScopeQuery = await GetUserScopeQuery(context);
+  if (Object.keys(userScopeQuery).length > 0) {
+    query.$and = [userScopeQuery];
+  }
+
+  // *************** Where input, on top of the filter
+  const whereQuery = CompileWhere(where, TASK_QUERY_SPEC);
+  if (whereQuery) {
+    query.$and = [...(query.$and || []), whereQuery];
+  }
+
+  return query;
+}
+
 // *************** QUERY ***************
 /**
  * GetAllTasks Resolver
@@ -42,59 +132,57 @@ const VALID_TASK_STATUSES = ["PENDING", "PROGRESS", "COMPLETED", "DELETED"];
  * @param {string} [args.filter.task_type] - Filter by task type (must be in VALID_TASK_TYPES).
  * @param {string} [args.filter.test_id] - Filter by test ID (must be a non-empty string).
  * @param {string} [args.filter.user_id] - Filter by user ID (must be a non-empty string).
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  *
- * @returns {Promise<Array<Object>>} List of task documents matching the filters.
+ * @returns {Promise<Object[]>} Tasks matching the filters, assigned within the caller's schools.
  *
  * @throws {AppError} If any filter value is invalid or if the database query fails.
  */
-async function GetAllTasks(_, { filter }, context) {
+async function GetAllTasks(_, { filter, where, sort }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
-    const query = {};
-
-    // *************** Filter: task_status
-    if (filter && filter.task_status) {
-      if (!VALID_TASK_STATUSES.includes(filter.task_status)) {
-        throw CreateAppError(
-          "Invalid task_status filter value",
-          "BAD_REQUEST",
-          { task_status: filter.task_status }
-        );
-      }
-      query.task_status = filter.task_status;
-    }
+    const query = await BuildTaskListQuery(filter, where, context);
 
-    // *************** Filter: task_type
-    if (filter && filter.task_type) {
-      if (!VALID_TASK_TYPES.includes(filter.task_type)) {
-        throw CreateAppError("Invalid task_type filter value", "BAD_REQUEST", {
-          task_type: filter.task_type,
-        });
-      }
-      query.task_type = filter.task_type;
-    }
+    const taskResponse = await Task.find(query).sort(
+      BuildListSort(CompileSort(sort, TASK_QUERY_SPEC))
+    );
+    return taskResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch tasks");
+  }
+}
 
-    // *************** Filter: test_id
-    if (filter && filter.test_id) {
-      if (typeof filter.test_id !== "string" || filter.test_id.trim() === "") {
-        throw CreateAppError("Invalid test_id", "BAD_REQUEST", {
-          test_id: filter.test_id,
-        });
-      }
-      query.test_id = filter.test_id;
-    }
-    // *************** Filter: user_id
-    if (filter && filter.user_id) {
-      if (typeof filter.user_id !== "string" || filter.user_id.trim() === "") {
-        throw CreateAppError("Invalid user_id", "BAD_REQUEST", {
-          user_id: filter.user_id,
-        });
-      }
-      query.user_id = filter.user_id;
-    }
+/**
+ * Get one page of tasks as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetAllTasks`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter object (`task_status`, `task_type`, `test_id`, `user_id`).
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function GetAllTasksConnection(
+  _,
+  { filter, where, sort, pagination },
+  context
+) {
+  try {
+    const query = await BuildTaskListQuery(filter, where, context);
 
-    const taskResponse = await Task.find(query);
-    return taskResponse;
+    const taskConnection = await PaginateFindConnection(
+      Task,
+      query,
+      pagination,
+      CompileSort(sort, TASK_QUERY_SPEC)
+    );
+    return taskConnection;
   } catch (error) {
     throw HandleCaughtError(error, "Failed to fetch tasks");
   }
@@ -114,15 +202,16 @@ async function GetAllTasks(_, { filter }, context) {
  * @param {string} [args.filter.task_type] - Optional task type filter (must be in VALID_TASK_TYPES).
  * @param {string} [args.filter.test_id] - Optional test ID filter (non-empty string).
  * @param {string} [args.filter.user_id] - Optional user ID filter (non-empty string).
+ * @param {Object} context - GraphQL context containing the authenticated user.
  *
  * @returns {Promise<Object>} Task document that matches the filter.
  *
  * @throws {AppError} If filter contains invalid values or task is not found.
+ * @throws {AppError} FORBIDDEN if the task is assigned outside the caller's schools.
  */
 
 async function GetOneTask(_, { id, filter }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const taskId = await ValidateMongoId(id);
 
     const query = { _id: taskId };
@@ -172,6 +261,7 @@ async function GetOneTask(_, { id, filter }, context) {
     if (!task) {
       throw CreateAppError("Task not found", "NOT_FOUND", { taskId });
     }
+    await CheckUserAccess(context, task.user_id);
 
     return task;
   } catch (error) {
@@ -197,16 +287,18 @@ async function GetOneTask(_, { id, filter }, context) {
  * @param {string} args.input.task_type - Type of the task (e.g., ASSIGN_CORRECTOR, ENTER_MARKS).
  * @param {string} [args.input.task_status] - Optional task status (default: PENDING).
  * @param {Date|string} [args.input.due_date] - Optional due date.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  *
  * @returns {Promise<Object>} Newly created Task document.
  *
  * @throws {AppError} If validation fails or the database operation fails.
+ * @throws {AppError} FORBIDDEN if the assigned user is outside the caller's schools.
  */
 async function CreateTask(_, { input }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const { test_id, user_id, task_type, task_status, due_date } =
       await ValidateCreateTask(input);
+    await CheckUserAccess(context, user_id);
 
     const taskInputPayload = {
       test_id,
@@ -239,18 +331,28 @@ async function CreateTask(_, { input }, context) {
  * @param {string} [args.input.task_type] - Task type (optional).
  * @param {string} [args.input.task_status] - Task status (optional).
  * @param {Date|string} [args.input.due_date] - Optional due date.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  *
  * @returns {Promise<Object>} An object containing the ID of the updated task: `{ id: string }`.
  *
  * @throws {AppError} If validation fails or the task does not exist.
+ * @throws {AppError} FORBIDDEN if the current or new assignee is outside the caller's schools.
  */
 async function UpdateTask(_, { id, input }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const { test_id, user_id, task_type, task_status, due_date } =
       await ValidateUpdateTask(input);
     const taskId = await ValidateMongoId(id);
 
+    const currentTask = await Task.findById(taskId).lean();
+    if (!currentTask) {
+      throw CreateAppError("Task not found", "NOT_FOUND", { taskId });
+    }
+    await CheckUserAccess(context, currentTask.user_id);
+    if (user_id) {
+      await CheckUserAccess(context, user_id);
+    }
+
     const taskUpdatePayload = {
       test_id,
       user_id,
@@ -284,18 +386,24 @@ async function UpdateTask(_, { id, input }, context) {
  * @param {Object} _ - Unused GraphQL resolver parent argument.
  * @param {Object} args - GraphQL resolver arguments.
  * @param {string} args.id - ID of the Task to be deleted.
- * @param {string} [args.deleted_by] - Optional user ID performing the deletion.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  *
  * @returns {Promise<Object>} An object containing the ID of the deleted task: `{ id: string }`.
  *
  * @throws {AppError} If the task is not found or already deleted.
+ * @throws {AppError} FORBIDDEN if the task is assigned outside the caller's schools.
  */
 
-async function DeleteTask(_, { id, deleted_by }, context) {
+async function DeleteTask(_, { id }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const taskId = await ValidateMongoId(id);
 
+    const currentTask = await Task.findById(taskId).lean();
+    if (!currentTask) {
+      throw CreateAppError("Task not found", "NOT_FOUND", { taskId });
+    }
+    await CheckUserAccess(context, currentTask.user_id);
+
     const deleted = await Task.updateOne(
       {
         _id: taskId,
@@ -305,7 +413,6 @@ async function DeleteTask(_, { id, deleted_by }, context) {
         $set: {
           task_status: "DELETED",
           deleted_at: new Date(),
-          deleted_by: deleted_by ? deleted_by : null,
         },
       }
     );
@@ -326,18 +433,19 @@ async function DeleteTask(_, { id, deleted_by }, context) {
  *
  * @param {Object} _ - Unused GraphQL parent resolver parameter.
  * @param {Object} args - GraphQL arguments: { id, input }
- * @param {Object} context - GraphQL context, including models and user info.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  * @returns {String} - Success message if assignment and email succeed.
  */
 async function AssignCorrector(_, { id, input }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     // *************** Step 1: Validate and fetch task
     const taskId = await ValidateMongoId(id);
     const { user_id, due_date, assignTask } = await ValidateAssignCorrector(
       taskId,
       input
     );
+    await CheckUserAccess(context, assignTask.user_id);
+    await CheckUserAccess(context, user_id);
 
     // *************** Step 2: Mark AssignCorrector task as completed
     await Task.updateOne(
@@ -461,6 +569,7 @@ function user(parent, _, context) {
 module.exports = {
   Query: {
     GetAllTasks,
+    GetAllTasksConnection,
     GetOneTask,
   },
   Mutation: {
@@ -470,6 +579,7 @@ module.exports = {
     AssignCorrector,
   },
   Task: {
+    ...ActorFieldResolvers(),
     test,
     user,
   },
@@ -28,11 +28,25 @@ module.exports = gql`
     task_status: TaskStatus!
     due_date: Date
     created_at: Date
-    created_by: String
+    created_by: ID
+    created_by_user: User
     updated_at: Date
-    updated_by: String
+    updated_by: ID
+    updated_by_user: User
     deleted_at: Date
-    deleted_by: String
+    deleted_by: ID
+    deleted_by_user: User
+  }
+
+  type TaskEdge {
+    cursor: String!
+    node: Task!
+  }
+
+  type TaskConnection {
+    edges: [TaskEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
   }
 
   input CreateTaskInput {
@@ -41,7 +55,6 @@ module.exports = gql`
     task_type: TaskType!
     task_status: TaskStatus!
     due_date: Date
-    created_by: String
   }
 
   input UpdateTaskInput {
@@ -50,7 +63,6 @@ module.exports = gql`
     task_type: TaskType!
     task_status: TaskStatus!
     due_date: Date
-    updated_by: String
   }
 
   input TaskFilter {
@@ -64,15 +76,49 @@ module.exports = gql`
     due_date: Date
   }
 
+  input TaskWhereInput {
+    and: [TaskWhereInput!]
+    or: [TaskWhereInput!]
+    not: TaskWhereInput
+    test_id: IdFilter
+    user_id: IdFilter
+    task_type: StringFilter
+    task_status: StringFilter
+    due_date: DateFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
   type Query {
-    GetAllTasks(filter: TaskFilter): [Task!]!
+    GetAllTasks(
+      filter: TaskFilter
+      where: TaskWhereInput
+      sort: [SortInput!]
+    ): [Task!]!
+      @requiresPermission(permission: "task:read")
+    GetAllTasksConnection(
+      filter: TaskFilter
+      where: TaskWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): TaskConnection!
+      @requiresPermission(permission: "task:read")
     GetOneTask(id: ID!, filter: TaskFilter): Task
+      @requiresPermission(permission: "task:read")
   }
 
   type Mutation {
     CreateTask(input: CreateTaskInput!): Task!
+      @requiresPermission(permission: "task:write")
+      @audit(entity: "TASK", operation: "CREATE")
     UpdateTask(id: ID!, input: UpdateTaskInput!): Task!
-    DeleteTask(id: ID!, deleted_by: String): Task!
+      @requiresPermission(permission: "task:write")
+      @audit(entity: "TASK", operation: "UPDATE")
+    DeleteTask(id: ID!): Task!
+      @requiresPermission(permission: "task:write")
+      @audit(entity: "TASK", operation: "DELETE")
     AssignCorrector(id: ID!, input: AssignCorrectorInput!): Task!
+      @requiresPermission(permission: "task:write")
+      @audit(entity: "TASK", operation: "ASSIGN_CORRECTOR")
   }
 `;
@@ -2,6 +2,7 @@
 const { Schema, model, Types } = require("mongoose");
 
 // ************** IMPORT UTILITIES ***************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
 const {
   TEST,
   LOGIC_ENUM,
@@ -124,15 +125,17 @@ const testSchema = new Schema(
     },
 
     // Audit trail
+    // User who created this record
     created_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
+    // User who last updated this record
     updated_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
 
     // Soft delete fields
@@ -140,10 +143,11 @@ const testSchema = new Schema(
       type: Date,
       default: null,
     },
+    // User who soft-deleted this record
     deleted_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
       default: null,
-      trim: true,
     },
   },
   {
@@ -151,5 +155,7 @@ const testSchema = new Schema(
   }
 );
 
+testSchema.plugin(ActorStampPlugin);
+
 // *************** EXPORT MODEL ***************
 module.exports = model("Test", testSchema);
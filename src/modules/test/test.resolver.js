@@ -10,13 +10,83 @@ const {
 } = require("./test.validator.js");
 
 // *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
 const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const {
+  PaginateFindConnection,
+  BuildListSort,
+} = require("../../shared/utils/pagination.js");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter.js");
 const { TEST } = require("../../shared/utils/enum.js");
-const { CheckRoleAccess } = require("../../shared/utils/check_role_access.js");
 
 // *************** IMPORT CORE ***************
 const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
 
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  MarkStaleCalculationResults,
+} = require("../calculationResult/calculation_result.helper.js");
+
+// *************** Fields of a test that can be filtered and sorted on
+const TEST_QUERY_SPEC = {
+  fields: {
+    name: { type: "string", sortable: true },
+    subject_id: { type: "id" },
+    weight: { type: "number", sortable: true },
+    total_score: { type: "number", sortable: true },
+    grading_method: {
+      type: "enum",
+      values: TEST.VALID_GRADING_METHOD,
+      sortable: true,
+    },
+    test_status: { type: "enum", values: TEST.VALID_STATUS, sortable: true },
+    published_date: { type: "date", sortable: true },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
+
+/**
+ * Build the find query of a test list from its filter and where inputs.
+ *
+ * @param {Object} [filter] - Optional filter object (`test_status`, `grading_method`).
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @returns {Object} Query condition.
+ * @throws {AppError} If filter values or the where input are invalid.
+ */
+function BuildTestListQuery(filter, where) {
+  const query = {};
+
+  if (filter && filter.test_status) {
+    if (!TEST.VALID_STATUS.includes(filter.test_status)) {
+      throw CreateAppError(
+        "Invalid test_status filter value",
+        "BAD_REQUEST",
+        { test_status: filter.test_status }
+      );
+    }
+    query.test_status = filter.test_status;
+  }
+  if (filter && filter.grading_method) {
+    if (!TEST.VALID_GRADING_METHOD.includes(filter.grading_method)) {
+      throw CreateAppError(
+        "Invalid grading_method filter value",
+        "BAD_REQUEST",
+        { grading_method: filter.grading_method }
+      );
+    }
+    query.grading_method = filter.grading_method;
+  }
+
+  // *************** Where input, on top of the filter
+  const whereQuery = CompileWhere(where, TEST_QUERY_SPEC);
+  if (whereQuery) {
+    query.$and = [...(query.$and || []), whereQuery];
+  }
+
+  return query;
+}
+
 // *************** QUERY ***************
 
 /**
@@ -27,45 +97,57 @@ const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
  * @param {Object} args.filter - Optional filter object to narrow down the results.
  * @param {string} [args.filter.test_status] - Optional status to filter tests (e.g., "DRAFT", "PUBLISHED").
  * @param {string} [args.filter.grading_method] - Optional grading method to filter tests (e.g., "MANUAL", "AUTO_GRADED").
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
  *
- * @returns {Promise<Array<Object>>} Returns a promise that resolves to an array of Test documents.
+ * @returns {Promise<Object[]>} Returns a promise that resolves to an array of Test documents.
  *
  * @throws {AppError} Throws a BAD_REQUEST error if filter values are invalid.
  * @throws {AppError} Throws a general error if the query fails.
  */
-async function GetAllTests(_, { filter }, context) {
+async function GetAllTests(_, { filter, where, sort }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
-    const query = {};
+    const query = BuildTestListQuery(filter, where);
 
-    if (filter && filter.test_status) {
-      if (!TEST.VALID_STATUS.includes(filter.test_status)) {
-        throw CreateAppError(
-          "Invalid test_status filter value",
-          "BAD_REQUEST",
-          { test_status: filter.test_status }
-        );
-      }
-      query.test_status = filter.test_status;
-    }
-    if (filter && filter.grading_method) {
-      if (!TEST.VALID_GRADING_METHOD.includes(filter.grading_method)) {
-        throw CreateAppError(
-          "Invalid grading_method filter value",
-          "BAD_REQUEST",
-          { grading_method: filter.grading_method }
-        );
-      }
-      query.grading_method = filter.grading_method;
-    }
-
-    const testResponse = await Test.find(query);
+    const testResponse = await Test.find(query).sort(
+      BuildListSort(CompileSort(sort, TEST_QUERY_SPEC))
+    );
     return testResponse;
   } catch (error) {
     throw HandleCaughtError(error, "Failed to fetch tests");
   }
 }
 
+/**
+ * Get one page of tests as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetAllTests`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter object (`test_status`, `grading_method`).
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function GetAllTestsConnection(_, { filter, where, sort, pagination }) {
+  try {
+    const query = BuildTestListQuery(filter, where);
+
+    const testConnection = await PaginateFindConnection(
+      Test,
+      query,
+      pagination,
+      CompileSort(sort, TEST_QUERY_SPEC)
+    );
+    return testConnection;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch tests");
+  }
+}
+
 /**
  * Retrieves a single test record from the database based on optional filter criteria.
  *
@@ -81,9 +163,8 @@ async function GetAllTests(_, { filter }, context) {
  * @throws {AppError} Throws NOT_FOUND if no matching test is found.
  * @throws {AppError} Throws generic error if query operation fails.
  */
-async function GetOneTest(_, { id, filter }, context) {
+async function GetOneTest(_, { id, filter }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const testId = await ValidateMongoId(id);
 
     const query = { _id: testId };
@@ -130,9 +211,8 @@ async function GetOneTest(_, { id, filter }, context) {
  * @param {Object} args.input - The validated test creation input.
  * @returns {Promise<Object>} The created test document.
  */
-async function CreateTest(_, { input }, context) {
+async function CreateTest(_, { input }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const {
       name,
       subject_id,
@@ -169,7 +249,8 @@ async function CreateTest(_, { input }, context) {
 }
 
 /**
- * Update an existing test document.
+ * Update an existing test document. A new weight, criteria or subject makes
+ * the calculation results that used the test stale.
  *
  * @param {Object} _ - Unused parent resolver argument.
  * @param {Object} args - GraphQL arguments.
@@ -177,9 +258,8 @@ async function CreateTest(_, { input }, context) {
  * @param {Object} args.input - The validated update input.
  * @returns {Promise<Object>} The response containing updated test ID.
  */
-async function UpdateTest(_, { id, input }, context) {
+async function UpdateTest(_, { id, input }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const testId = await ValidateMongoId(id);
 
     const {
@@ -195,6 +275,7 @@ async function UpdateTest(_, { id, input }, context) {
       attachments,
       published_date,
     } = await ValidateUpdateTest(testId, input);
+    const testBefore = await Test.findById(testId).lean();
 
     const testPayload = {
       name,
@@ -219,6 +300,9 @@ async function UpdateTest(_, { id, input }, context) {
       throw CreateAppError("Test not found", "NOT_FOUND", { testId });
     }
 
+    const testAfter = await Test.findById(testId).lean();
+    await MarkStaleCalculationResults("TEST", testBefore, testAfter);
+
     const result = { id: testId };
     return result;
   } catch (error) {
@@ -230,15 +314,14 @@ async function UpdateTest(_, { id, input }, context) {
  * Soft deletes a Test by setting its `test_status` to "DELETED" and recording audit metadata.
  *
  * This mutation performs a soft delete by updating the `test_status` to `"DELETED"`,
- * and setting `deleted_at` to the current timestamp. It also stores the `deleted_by` user ID
- * if provided. If the test is already deleted or not found, it throws a `NOT_FOUND` error.
+ * and setting `deleted_at` to the current timestamp; `deleted_by` is stamped with the caller.
+ * If the test is already deleted or not found, it throws a `NOT_FOUND` error.
  *
  * @async
  * @function DeleteTest
  * @param {Object} _ - Unused parent resolver argument.
  * @param {Object} args - GraphQL resolver arguments.
  * @param {string} args.id - The ID of the test to delete.
- * @param {string} [args.deleted_by] - The user ID performing the deletion (optional).
  *
  * @returns {Promise<Object>} An object containing the `id` of the deleted test.
  *
@@ -246,9 +329,8 @@ async function UpdateTest(_, { id, input }, context) {
  * @throws {AppError} Throws general error if the operation fails due to other reasons.
  */
 
-async function DeleteTest(_, { id, deleted_by }, context) {
+async function DeleteTest(_, { id }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const testId = await ValidateMongoId(id);
 
     const deleted = await Test.updateOne(
@@ -260,7 +342,6 @@ async function DeleteTest(_, { id, deleted_by }, context) {
         $set: {
           test_status: "DELETED",
           deleted_at: new Date(),
-          deleted_by: deleted_by ? deleted_by : null,
         },
       }
     );
@@ -296,9 +377,8 @@ async function DeleteTest(_, { id, deleted_by }, context) {
  * @throws {AppError} - Throws a custom application error if validation or any DB operation fails.
  */
 
-async function PublishTest(_, { id, input }, context) {
+async function PublishTest(_, { id, input }) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const testId = await ValidateMongoId(id);
     const { corrector, due_date } = await ValidateAssignCorrector(
       testId,
@@ -369,6 +449,7 @@ function subjects(test, args, context) {
 module.exports = {
   Query: {
     GetAllTests,
+    GetAllTestsConnection,
     GetOneTest,
   },
   Mutation: {
@@ -378,6 +459,7 @@ module.exports = {
     PublishTest,
   },
   Test: {
+    ...ActorFieldResolvers(),
     subject: subjects,
   },
 };
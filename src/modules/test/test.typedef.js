@@ -46,11 +46,25 @@ module.exports = gql`
     attachments: [String]
     published_date: Date
     created_at: Date
-    created_by: String
+    created_by: ID
+    created_by_user: User
     updated_at: Date
-    updated_by: String
+    updated_by: ID
+    updated_by_user: User
     deleted_at: Date
-    deleted_by: String
+    deleted_by: ID
+    deleted_by_user: User
+  }
+
+  type TestEdge {
+    cursor: String!
+    node: Test!
+  }
+
+  type TestConnection {
+    edges: [TestEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
   }
 
   input NotationInput {
@@ -105,15 +119,51 @@ module.exports = gql`
     test_status: TestStatus
   }
 
+  input TestWhereInput {
+    and: [TestWhereInput!]
+    or: [TestWhereInput!]
+    not: TestWhereInput
+    name: StringFilter
+    subject_id: IdFilter
+    weight: NumberFilter
+    total_score: NumberFilter
+    grading_method: StringFilter
+    test_status: StringFilter
+    published_date: DateFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
   type Query {
-    GetAllTests(filter: TestFilter): [Test!]!
+    GetAllTests(
+      filter: TestFilter
+      where: TestWhereInput
+      sort: [SortInput!]
+    ): [Test!]!
+      @requiresPermission(permission: "test:read")
+    GetAllTestsConnection(
+      filter: TestFilter
+      where: TestWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): TestConnection!
+      @requiresPermission(permission: "test:read")
     GetOneTest(id: ID!, filter: TestFilter): Test
+      @requiresPermission(permission: "test:read")
   }
 
   type Mutation {
     CreateTest(input: CreateTestInput!): Test!
+      @requiresPermission(permission: "test:write")
+      @audit(entity: "TEST", operation: "CREATE")
     UpdateTest(id: ID!, input: UpdateTestInput!): Test!
-    DeleteTest(id: ID!, deleted_by: String): Test!
+      @requiresPermission(permission: "test:write")
+      @audit(entity: "TEST", operation: "UPDATE")
+    DeleteTest(id: ID!): Test!
+      @requiresPermission(permission: "test:write")
+      @audit(entity: "TEST", operation: "DELETE")
     PublishTest(id: ID!, input: PublishTestInput!): Test!
+      @requiresPermission(permission: "test:write")
+      @audit(entity: "TEST", operation: "PUBLISH")
   }
 `;
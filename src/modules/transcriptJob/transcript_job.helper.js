@@ -0,0 +1,515 @@
+// *************** IMPORT MODULE ***************
+const TranscriptJob = require("./transcript_job.model");
+const Student = require("../student/student.model");
+const Subject = require("../subject/subject.model");
+const Test = require("../test/test.model");
+const StudentTestResult = require("../studentTestResult/student_test_result.model");
+const CalculationResult = require("../calculationResult/calculation_result.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+// *************** IMPORT UTILITIES ***************
+const { RunWithActor } = require("../../shared/utils/actor_stamp");
+const { TRANSCRIPT_JOB } = require("../../shared/utils/enum");
+const { GetStudentScopeQuery } = require("../../shared/utils/tenant_scope");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  CALCULATION_INPUT_SOURCES,
+  RunTranscriptCore,
+} = require("../calculationResult/calculation_result.helper");
+
+// *************** A running job renews its lease every heartbeat; a job whose
+// *************** lease runs out belongs to a worker that died
+const TRANSCRIPT_JOB_LEASE_MS = 2 * 60 * 1000;
+const TRANSCRIPT_JOB_HEARTBEAT_MS = 30 * 1000;
+const TRANSCRIPT_JOB_RETRY_BASE_MS = 30 * 1000;
+const TRANSCRIPT_JOB_RETRY_MAX_MS = 30 * 60 * 1000;
+const CLAIM_CANDIDATES = 10;
+const ENQUEUE_BATCH_SIZE = 500;
+const DUPLICATE_KEY = 11000;
+
+// *************** Fields of a transcript job that can be filtered and sorted on
+const TRANSCRIPT_JOB_QUERY_SPEC = {
+  fields: {
+    student_id: { type: "id" },
+    transcript_job_status: {
+      type: "enum",
+      values: TRANSCRIPT_JOB.VALID_STATUS,
+      sortable: true,
+    },
+    attempts: { type: "number", sortable: true },
+    run_after: { type: "date", sortable: true },
+    finished_at: { type: "date", sortable: true },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
+
+/**
+ * Delay before a failed attempt is retried: 30s, 1m, 2m, 4m... capped at 30 minutes.
+ *
+ * @param {number} attempts - Attempts made so far.
+ * @returns {number} Delay in milliseconds.
+ */
+function GetTranscriptRetryDelay(attempts) {
+  const delay = TRANSCRIPT_JOB_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0);
+  return Math.min(delay, TRANSCRIPT_JOB_RETRY_MAX_MS);
+}
+
+/**
+ * Queue a recalculation of a student's calculation result.
+ *
+ * Requests for a student who already has a PENDING job are merged into it and
+ * make it due immediately, so several validations in a row only lead to one
+ * calculation. A job that is already RUNNING may have read the marks before
+ * this validation, so a new PENDING job is queued behind it. A request
+ * without a student test result (bulk recalculation) keeps the trigger of the
+ * request it is merged into.
+ *
+ * @param {ObjectId|string} student_id - Student to recalculate.
+ * @param {Object} [trigger] - What asked for the recalculation.
+ * @param {ObjectId|string|null} [trigger.student_test_result_id] - Student test result that was validated.
+ * @param {ObjectId|string|null} [trigger.requested_by] - User who validated it.
+ * @returns {Promise<Object>} The PENDING job.
+ */
+async function EnqueueTranscriptJob(student_id, trigger = {}) {
+  const now = new Date();
+  const jobUpdate = {
+    requested_by: trigger.requested_by || null,
+    run_after: now,
+  };
+  if (trigger.student_test_result_id) {
+    jobUpdate.trigger_student_test_result_id = trigger.student_test_result_id;
+  }
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const transcriptJob = await TranscriptJob.findOneAndUpdate(
+        {
+          student_id,
+          transcript_job_status: "PENDING",
+          is_open: true,
+        },
+        {
+          $set: jobUpdate,
+          $inc: { request_count: 1 },
+          $setOnInsert: {
+            attempts: 0,
+            max_attempts: TRANSCRIPT_JOB.MAX_ATTEMPTS,
+          },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: false }
+      ).lean();
+      return transcriptJob;
+    } catch (error) {
+      // *************** Two requests inserted at once: the second one merges on retry
+      if (error.code !== DUPLICATE_KEY || attempt >= 2) throw error;
+    }
+  }
+}
+
+/**
+ * Queue a recalculation for many students at once (bulk recalculation),
+ * with the same merge rules as `EnqueueTranscriptJob`.
+ *
+ * Jobs are upserted with one unordered bulk write per batch of students
+ * instead of one round-trip each. A student whose job was inserted by a
+ * concurrent request between the two steps of an upsert is merged on a
+ * single retry.
+ *
+ * @param {Array<ObjectId|string>} studentIds - Students to recalculate.
+ * @param {Object} [trigger] - What asked for the recalculation.
+ * @param {ObjectId|string|null} [trigger.requested_by] - User who asked for it.
+ * @returns {Promise<Object>} `{ queued_count, merged_count }`: new PENDING jobs and
+ * requests merged into a job that was already waiting.
+ */
+async function EnqueueTranscriptJobs(studentIds, trigger = {}) {
+  const requestedBy = trigger.requested_by || null;
+  const enqueued = { queued_count: 0, merged_count: 0 };
+
+  for (let start = 0; start < studentIds.length; start += ENQUEUE_BATCH_SIZE) {
+    const batchStudentIds = studentIds.slice(start, start + ENQUEUE_BATCH_SIZE);
+    const now = new Date();
+
+    let bulkResult = null;
+    let retryStudentIds = [];
+    try {
+      bulkResult = await TranscriptJob.bulkWrite(
+        batchStudentIds.map((student_id) => ({
+          updateOne: {
+            filter: { student_id, transcript_job_status: "PENDING", is_open: true },
+            update: {
+              $set: { requested_by: requestedBy, updated_by: requestedBy, run_after: now },
+              $inc: { request_count: 1 },
+              $setOnInsert: {
+                attempts: 0,
+                max_attempts: TRANSCRIPT_JOB.MAX_ATTEMPTS,
+                created_by: requestedBy,
+              },
+            },
+            upsert: true,
+            setDefaultsOnInsert: false,
+          },
+        })),
+        { ordered: false }
+      );
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (
+        writeErrors.length === 0 ||
+        writeErrors.some((writeError) => writeError.code !== DUPLICATE_KEY)
+      ) {
+        throw error;
+      }
+
+      bulkResult = error.result;
+      retryStudentIds = writeErrors.map((writeError) => batchStudentIds[writeError.index]);
+    }
+
+    enqueued.queued_count += bulkResult?.upsertedCount || 0;
+    enqueued.merged_count += bulkResult?.matchedCount || 0;
+
+    for (const studentId of retryStudentIds) {
+      await EnqueueTranscriptJob(studentId, trigger);
+      enqueued.merged_count += 1;
+    }
+  }
+
+  return enqueued;
+}
+
+/**
+ * Atomically take the next due PENDING job for a worker.
+ *
+ * A job whose student is already being calculated by another worker is
+ * skipped (the unique open-job index refuses a second RUNNING job) and stays
+ * PENDING until that calculation is over.
+ *
+ * @param {string} worker_id - Worker taking the job.
+ * @returns {Promise<Object|null>} The RUNNING job, or null when nothing is due.
+ */
+async function ClaimNextTranscriptJob(worker_id) {
+  const now = new Date();
+  const candidates = await TranscriptJob.find(
+    { transcript_job_status: "PENDING", run_after: { $lte: now } },
+    { _id: 1 }
+  )
+    .sort({ run_after: 1, created_at: 1 })
+    .limit(CLAIM_CANDIDATES)
+    .lean();
+
+  for (const candidate of candidates) {
+    try {
+      const transcriptJob = await TranscriptJob.findOneAndUpdate(
+        {
+          _id: candidate._id,
+          transcript_job_status: "PENDING",
+          run_after: { $lte: now },
+        },
+        {
+          $set: {
+            transcript_job_status: "RUNNING",
+            locked_by: worker_id,
+            lease_expires_at: new Date(now.getTime() + TRANSCRIPT_JOB_LEASE_MS),
+            started_at: now,
+          },
+          $inc: { attempts: 1 },
+        },
+        { new: true }
+      ).lean();
+      if (transcriptJob) return transcriptJob;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Put a RUNNING job back in the queue after a failed attempt, or fail it for
+ * good once it has used all its attempts.
+ *
+ * @param {Object} transcriptJob - The RUNNING job.
+ * @param {string} errorMessage - Why the attempt failed.
+ * @param {Object} [lockQuery] - Extra conditions the job must still match.
+ * @returns {Promise<Object|null>} The updated job, or null when the job was no longer held.
+ */
+async function ReleaseFailedTranscriptJob(transcriptJob, errorMessage, lockQuery = {}) {
+  const now = new Date();
+  const baseQuery = {
+    _id: transcriptJob._id,
+    transcript_job_status: "RUNNING",
+    ...lockQuery,
+  };
+  const release = {
+    locked_by: null,
+    lease_expires_at: null,
+    last_error: errorMessage,
+  };
+
+  if (transcriptJob.attempts >= transcriptJob.max_attempts) {
+    const failedJob = await TranscriptJob.findOneAndUpdate(
+      baseQuery,
+      {
+        $set: {
+          ...release,
+          transcript_job_status: "FAILED",
+          is_open: false,
+          finished_at: now,
+        },
+      },
+      { new: true }
+    ).lean();
+    return failedJob;
+  }
+
+  try {
+    const retriedJob = await TranscriptJob.findOneAndUpdate(
+      baseQuery,
+      {
+        $set: {
+          ...release,
+          transcript_job_status: "PENDING",
+          run_after: new Date(
+            now.getTime() + GetTranscriptRetryDelay(transcriptJob.attempts)
+          ),
+        },
+      },
+      { new: true }
+    ).lean();
+    return retriedJob;
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+  }
+
+  // *************** A newer request is already waiting and will recalculate the student
+  const supersededJob = await TranscriptJob.findOneAndUpdate(
+    baseQuery,
+    {
+      $set: {
+        ...release,
+        transcript_job_status: "FAILED",
+        is_open: false,
+        finished_at: now,
+        last_error: `${errorMessage} (superseded by a newer request)`,
+      },
+    },
+    { new: true }
+  ).lean();
+  return supersededJob;
+}
+
+/**
+ * Run a claimed job: recalculate the student's result as the user who asked
+ * for it, and record the outcome on the job.
+ *
+ * The lease is renewed while the calculation runs. If the job was taken away
+ * meanwhile (lease lost), its outcome is not written.
+ *
+ * @param {Object} transcriptJob - Job returned by `ClaimNextTranscriptJob`.
+ * @returns {Promise<Object|null>} The job after the attempt.
+ */
+async function RunTranscriptJob(transcriptJob) {
+  const lockQuery = { locked_by: transcriptJob.locked_by };
+  const heartbeat = setInterval(() => {
+    TranscriptJob.updateOne(
+      { _id: transcriptJob._id, transcript_job_status: "RUNNING", ...lockQuery },
+      {
+        $set: {
+          lease_expires_at: new Date(Date.now() + TRANSCRIPT_JOB_LEASE_MS),
+        },
+      }
+    ).catch(() => null);
+  }, TRANSCRIPT_JOB_HEARTBEAT_MS);
+
+  try {
+    const calculationResult = await RunWithActor(transcriptJob.requested_by, () =>
+      RunTranscriptCore(transcriptJob.student_id, {
+        student_test_result_id: transcriptJob.trigger_student_test_result_id,
+      })
+    );
+
+    const succeededJob = await TranscriptJob.findOneAndUpdate(
+      { _id: transcriptJob._id, transcript_job_status: "RUNNING", ...lockQuery },
+      {
+        $set: {
+          transcript_job_status: "SUCCEEDED",
+          is_open: false,
+          locked_by: null,
+          lease_expires_at: null,
+          last_error: null,
+          calculation_result_id: calculationResult._id,
+          finished_at: new Date(),
+        },
+      },
+      { new: true }
+    ).lean();
+    return succeededJob;
+  } catch (error) {
+    const failedJob = await ReleaseFailedTranscriptJob(
+      transcriptJob,
+      error.message || "Unknown error in transcript job",
+      lockQuery
+    );
+    return failedJob;
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Requeue RUNNING jobs left behind by a worker that stopped: every job whose
+ * lease ran out, or every job held by one worker when `locked_by` is given.
+ * The interrupted attempt counts, so a job that keeps crashing its worker
+ * ends up FAILED.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.locked_by] - Worker whose jobs are released.
+ * @returns {Promise<number>} Number of jobs recovered.
+ */
+async function RecoverStuckTranscriptJobs({ locked_by } = {}) {
+  const stuckJobs = await TranscriptJob.find(
+    locked_by
+      ? { transcript_job_status: "RUNNING", locked_by }
+      : {
+          transcript_job_status: "RUNNING",
+          lease_expires_at: { $lte: new Date() },
+        }
+  ).lean();
+
+  let recovered = 0;
+  for (const stuckJob of stuckJobs) {
+    const releasedJob = await ReleaseFailedTranscriptJob(
+      stuckJob,
+      "Worker stopped while running the job",
+      { locked_by: stuckJob.locked_by }
+    );
+    if (releasedJob) recovered += 1;
+  }
+
+  return recovered;
+}
+
+/**
+ * Students whose calculation uses a block, subject or test: students with
+ * validated marks on one of its tests, and students whose current result
+ * already includes it.
+ *
+ * @param {string} entity_type - BLOCK, SUBJECT or TEST.
+ * @param {string} entity_id - ID of the block, subject or test.
+ * @param {ObjectId[]} testIds - Tests of the block, subject or test.
+ * @returns {Promise<ObjectId[]>} Student IDs.
+ */
+async function GetStudentsCalculatedWith(entity_type, entity_id, testIds) {
+  const [markedStudentIds, calculatedStudentIds] = await Promise.all([
+    StudentTestResult.distinct("student_id", {
+      test_id: { $in: testIds },
+      student_test_result_status: { $ne: "DELETED" },
+      mark_validated_date: { $ne: null },
+    }),
+    CalculationResult.distinct("student_id", {
+      [CALCULATION_INPUT_SOURCES[entity_type].path]: entity_id,
+      is_current: { $ne: false },
+    }),
+  ]);
+
+  return [...markedStudentIds, ...calculatedStudentIds];
+}
+
+/**
+ * Resolve the students a bulk recalculation applies to, within the caller's
+ * schools. Every criterion of the scope must match, and students without a
+ * validated mark or a current calculation result are left out.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {Object} scope - Validated scope (`school_id`, `block_id`, `subject_id`, `test_id`).
+ * @param {string[]|null} studentIds - Validated `student_ids` of the scope.
+ * @returns {Promise<ObjectId[]>} IDs of the students to recalculate.
+ * @throws {AppError} NOT_FOUND when a given student does not exist or is outside the caller's schools.
+ */
+async function GetRecalculationStudentIds(context, scope, studentIds) {
+  const studentScopeQuery = await GetStudentScopeQuery(context, "_id");
+  const conditions = [
+    { student_status: { $ne: "DELETED" } },
+    studentScopeQuery,
+  ];
+
+  if (studentIds) {
+    const knownStudentIds = await Student.distinct("_id", {
+      $and: [...conditions, { _id: { $in: studentIds } }],
+    });
+    const knownIds = new Set(knownStudentIds.map(String));
+    const missingIds = studentIds.filter((studentId) => !knownIds.has(studentId));
+    if (missingIds.length > 0) {
+      throw CreateAppError("Students not found", "NOT_FOUND", {
+        student_ids: missingIds,
+      });
+    }
+    conditions.push({ _id: { $in: knownStudentIds } });
+  }
+
+  if (scope.school_id) {
+    conditions.push({ school_id: scope.school_id });
+  }
+
+  if (scope.block_id) {
+    const subjectIds = await Subject.distinct("_id", { block_id: scope.block_id });
+    const testIds = await Test.distinct("_id", { subject_id: { $in: subjectIds } });
+    conditions.push({
+      _id: { $in: await GetStudentsCalculatedWith("BLOCK", scope.block_id, testIds) },
+    });
+  }
+
+  if (scope.subject_id) {
+    const testIds = await Test.distinct("_id", { subject_id: scope.subject_id });
+    conditions.push({
+      _id: {
+        $in: await GetStudentsCalculatedWith("SUBJECT", scope.subject_id, testIds),
+      },
+    });
+  }
+
+  if (scope.test_id) {
+    conditions.push({
+      _id: {
+        $in: await GetStudentsCalculatedWith("TEST", scope.test_id, [scope.test_id]),
+      },
+    });
+  }
+
+  const scopedStudentIds = await Student.distinct("_id", { $and: conditions });
+
+  // *************** Students with nothing validated and nothing calculated have no transcript to refresh
+  const [markedStudentIds, calculatedStudentIds] = await Promise.all([
+    StudentTestResult.distinct("student_id", {
+      student_id: { $in: scopedStudentIds },
+      student_test_result_status: { $ne: "DELETED" },
+      mark_validated_date: { $ne: null },
+    }),
+    CalculationResult.distinct("student_id", {
+      student_id: { $in: scopedStudentIds },
+      is_current: { $ne: false },
+    }),
+  ]);
+  const gradedIds = new Set([...markedStudentIds, ...calculatedStudentIds].map(String));
+
+  const recalculationStudentIds = scopedStudentIds.filter((studentId) =>
+    gradedIds.has(String(studentId))
+  );
+  return recalculationStudentIds;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  TRANSCRIPT_JOB_QUERY_SPEC,
+  TRANSCRIPT_JOB_LEASE_MS,
+  EnqueueTranscriptJob,
+  EnqueueTranscriptJobs,
+  ClaimNextTranscriptJob,
+  RunTranscriptJob,
+  RecoverStuckTranscriptJobs,
+  GetRecalculationStudentIds,
+};
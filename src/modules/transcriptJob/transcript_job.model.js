@@ -0,0 +1,137 @@
+// *************** IMPORT LIBRARY ***************
+const { Schema, model, Types } = require("mongoose");
+
+// ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
+const { TRANSCRIPT_JOB } = require("../../shared/utils/enum");
+
+const transcriptJobSchema = new Schema(
+  {
+    // Student whose calculation result is recalculated
+    student_id: {
+      type: Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+
+    // Progress of the job (PENDING, RUNNING, SUCCEEDED, FAILED)
+    transcript_job_status: {
+      type: String,
+      enum: TRANSCRIPT_JOB.VALID_STATUS,
+      default: TRANSCRIPT_JOB.DEFAULT_STATUS,
+    },
+
+    // True while the job is PENDING or RUNNING; backs the one-open-job-per-status index
+    is_open: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Latest student test result whose validation asked for this recalculation
+    trigger_student_test_result_id: {
+      type: Types.ObjectId,
+      ref: "StudentTestResult",
+      default: null,
+    },
+
+    // User who last asked for this recalculation, recorded on the calculation result
+    requested_by: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Number of requests merged into this job while it was waiting
+    request_count: {
+      type: Number,
+      default: 1,
+    },
+
+    // Number of times a worker started the job
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    // Attempts allowed before the job is FAILED for good
+    max_attempts: {
+      type: Number,
+      default: TRANSCRIPT_JOB.MAX_ATTEMPTS,
+    },
+
+    // The job is not picked up before this time (retry backoff)
+    run_after: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Worker running the job, as "<host>:<pid>:<slot>"
+    locked_by: {
+      type: String,
+      default: null,
+    },
+
+    // A RUNNING job whose lease is past is considered stuck and requeued
+    lease_expires_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Reason the last attempt failed
+    last_error: {
+      type: String,
+      default: null,
+    },
+
+    // Calculation result version stored by the job
+    calculation_result_id: {
+      type: Types.ObjectId,
+      ref: "CalculationResult",
+      default: null,
+    },
+
+    // Timestamp when the last attempt started
+    started_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Timestamp when the job SUCCEEDED or FAILED for good
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+
+    // User who created this record
+    created_by: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // User who last updated this record
+    updated_by: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+// *************** At most one PENDING and one RUNNING job per student: new
+// *************** requests coalesce into the PENDING one, and two workers
+// *************** never calculate the same student at the same time
+transcriptJobSchema.index(
+  { student_id: 1, transcript_job_status: 1 },
+  { unique: true, partialFilterExpression: { is_open: true } }
+);
+transcriptJobSchema.index({ transcript_job_status: 1, run_after: 1 });
+transcriptJobSchema.index({ transcript_job_status: 1, lease_expires_at: 1 });
+
+transcriptJobSchema.plugin(ActorStampPlugin);
+
+// *************** EXPORT MODULE ***************
+module.exports = model("TranscriptJob", transcriptJobSchema);
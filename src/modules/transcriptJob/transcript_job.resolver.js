@@ -0,0 +1,334 @@
+// *************** IMPORT MODULE ***************
+const TranscriptJob = require("./transcript_job.model.js");
+
+// *************** IMPORT VALIDATOR ***************
+const {
+  ValidateRecalculateTranscriptsScope,
+} = require("./transcript_job.validator.js");
+
+// *************** IMPORT UTILITIES ***************
+const {
+  ActorFieldResolvers,
+  GetCurrentActorId,
+} = require("../../shared/utils/actor_stamp");
+const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const {
+  PaginateFind,
+  PaginateFindConnection,
+} = require("../../shared/utils/pagination.js");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter.js");
+const {
+  GetStudentScopeQuery,
+  CheckSchoolAccess,
+  CheckStudentAccess,
+} = require("../../shared/utils/tenant_scope.js");
+
+// *************** IMPORT CORE ***************
+const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  TRANSCRIPT_JOB_QUERY_SPEC,
+  EnqueueTranscriptJobs,
+  GetRecalculationStudentIds,
+} = require("./transcript_job.helper.js");
+const { WakeTranscriptWorkers } = require("./transcript_job.worker.js");
+const { RecordAuditedChange } = require("../auditLog/audit_log.helper.js");
+
+const { created_by_user, updated_by_user } = ActorFieldResolvers();
+
+// *************** Largest scope queued by one request; wider scopes are split by the caller
+const MAX_RECALCULATION_STUDENTS = 5000;
+
+/**
+ * Build the find query of the transcript job list from its where input.
+ *
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @param {Object} context - GraphQL context, jobs are restricted to students of the caller's schools.
+ * @returns {Promise<Object>} Query condition.
+ * @throws {AppError} If the where input is invalid.
+ */
+async function BuildTranscriptJobListQuery(where, context) {
+  const query = await GetStudentScopeQuery(context);
+
+  const whereQuery = CompileWhere(where, TRANSCRIPT_JOB_QUERY_SPEC);
+  if (whereQuery) {
+    query.$and = [whereQuery];
+  }
+
+  return query;
+}
+
+// *************** QUERY ***************
+/**
+ * List the transcript recalculation jobs of students of the caller's schools,
+ * newest first unless sorted otherwise.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys.
+ * @param {Object} [args.pagination] - Optional page/limit.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} Paginated transcript jobs.
+ */
+async function GetTranscriptJobs(_, { where, sort, pagination }, context) {
+  try {
+    const query = await BuildTranscriptJobListQuery(where, context);
+
+    const transcriptJobs = await PaginateFind(
+      TranscriptJob,
+      query,
+      pagination,
+      CompileSort(sort, TRANSCRIPT_JOB_QUERY_SPEC)
+    );
+    return transcriptJobs;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch transcript jobs");
+  }
+}
+
+/**
+ * Get one page of transcript jobs as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetTranscriptJobs`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function GetTranscriptJobsConnection(
+  _,
+  { where, sort, pagination },
+  context
+) {
+  try {
+    const query = await BuildTranscriptJobListQuery(where, context);
+
+    const transcriptJobConnection = await PaginateFindConnection(
+      TranscriptJob,
+      query,
+      pagination,
+      CompileSort(sort, TRANSCRIPT_JOB_QUERY_SPEC)
+    );
+    return transcriptJobConnection;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch transcript jobs");
+  }
+}
+
+// *************** MUTATION ***************
+/**
+ * Queue a FAILED transcript job again with a fresh set of attempts.
+ *
+ * The retry is refused when a recalculation of the student is already
+ * waiting, since that job will pick up the same marks.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.id - Transcript job ID.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The PENDING job.
+ * @throws {AppError} NOT_FOUND if the job does not exist, INVALID_TRANSITION if it is not FAILED
+ * or the student already has a waiting job.
+ */
+async function RetryTranscriptJob(_, { id }, context) {
+  try {
+    const transcriptJobId = await ValidateMongoId(id);
+
+    const transcriptJob = await TranscriptJob.findById(transcriptJobId).lean();
+    if (!transcriptJob) {
+      throw CreateAppError("Transcript job not found", "NOT_FOUND", { id });
+    }
+    await CheckStudentAccess(context, transcriptJob.student_id);
+
+    if (transcriptJob.transcript_job_status !== "FAILED") {
+      throw CreateAppError(
+        `Only FAILED transcript jobs can be retried, this one is ${transcriptJob.transcript_job_status}`,
+        "INVALID_TRANSITION",
+        { id, transcript_job_status: transcriptJob.transcript_job_status }
+      );
+    }
+
+    let retriedJob = null;
+    try {
+      retriedJob = await TranscriptJob.findOneAndUpdate(
+        { _id: transcriptJobId, transcript_job_status: "FAILED" },
+        {
+          $set: {
+            transcript_job_status: "PENDING",
+            is_open: true,
+            attempts: 0,
+            run_after: new Date(),
+            requested_by: GetCurrentActorId(),
+            finished_at: null,
+          },
+        },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      throw CreateAppError(
+        "A recalculation of this student is already queued",
+        "INVALID_TRANSITION",
+        { id, student_id: transcriptJob.student_id }
+      );
+    }
+    if (!retriedJob) {
+      throw CreateAppError("Transcript job was retried already", "INVALID_TRANSITION", {
+        id,
+      });
+    }
+
+    WakeTranscriptWorkers();
+
+    return retriedJob;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to retry transcript job");
+  }
+}
+
+/**
+ * Queue a transcript recalculation for every student matching a scope, e.g.
+ * after the criteria of a block, subject or test changed. Students who
+ * already have a waiting job get it merged, not duplicated. The request is
+ * recorded in the audit log with its scope and number of students.
+ *
+ * Only counts are returned; the jobs can be followed with `GetTranscriptJobs`.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} args.scope - `{ school_id, block_id, subject_id, test_id, student_ids }`,
+ * all given criteria must match.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ student_count, queued_count, merged_count }`.
+ * @throws {AppError} FORBIDDEN for a school outside the caller's schools,
+ * NOT_FOUND for unknown students, VALIDATION_ERROR for a scope over 5000 students.
+ */
+async function RecalculateTranscripts(_, { scope }, context) {
+  try {
+    const studentIds = ValidateRecalculateTranscriptsScope(scope);
+    if (scope.school_id) {
+      await CheckSchoolAccess(context, scope.school_id);
+    }
+
+    const recalculationStudentIds = await GetRecalculationStudentIds(
+      context,
+      scope,
+      studentIds
+    );
+
+    if (recalculationStudentIds.length > MAX_RECALCULATION_STUDENTS) {
+      throw CreateAppError(
+        `The scope matches ${recalculationStudentIds.length} students, at most ${MAX_RECALCULATION_STUDENTS} can be recalculated at once.`,
+        "VALIDATION_ERROR",
+        { field: "scope", student_count: recalculationStudentIds.length }
+      );
+    }
+
+    // *************** One entry for the whole request, the scope says which students
+    const { queued_count, merged_count } = await RecordAuditedChange(
+      {
+        context,
+        mutation: "RecalculateTranscripts",
+        entity_type: "TRANSCRIPT_JOB",
+        operation: "RECALCULATE",
+        before: null,
+        after: (enqueued) => ({
+          scope,
+          student_count: recalculationStudentIds.length,
+          ...enqueued,
+        }),
+      },
+      () =>
+        EnqueueTranscriptJobs(recalculationStudentIds, {
+          requested_by: GetCurrentActorId(),
+        })
+    );
+    WakeTranscriptWorkers();
+
+    const recalculateTranscriptsResponse = {
+      student_count: recalculationStudentIds.length,
+      queued_count,
+      merged_count,
+    };
+    return recalculateTranscriptsResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to queue transcript recalculation");
+  }
+}
+
+// *************** LOADER ***************
+/**
+ * Resolve the student a transcript job recalculates.
+ *
+ * @param {Object} transcriptJob - Parent TranscriptJob object.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object>} The student.
+ */
+function student(transcriptJob, _, context) {
+  const studentLoaderResponse = context.loaders.student.load(
+    String(transcriptJob.student_id)
+  );
+  return studentLoaderResponse;
+}
+
+/**
+ * Resolve the student test result whose validation queued the job.
+ *
+ * @param {Object} transcriptJob - Parent TranscriptJob object.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object>|null} The student test result, or null when unknown.
+ */
+function trigger_student_test_result(transcriptJob, _, context) {
+  if (!transcriptJob.trigger_student_test_result_id) return null;
+
+  const studentTestResultLoaderResponse = context.loaders.studentTestResult.load(
+    String(transcriptJob.trigger_student_test_result_id)
+  );
+  return studentTestResultLoaderResponse;
+}
+
+/**
+ * Resolve the user who last asked for the recalculation.
+ *
+ * @param {Object} transcriptJob - Parent TranscriptJob object.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object>|null} The user, or null for system requests.
+ */
+function requested_by_user(transcriptJob, _, context) {
+  if (!transcriptJob.requested_by) return null;
+
+  const userLoaderResponse = context.loaders.user.load(
+    String(transcriptJob.requested_by)
+  );
+  return userLoaderResponse;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  Query: {
+    GetTranscriptJobs,
+    GetTranscriptJobsConnection,
+  },
+  Mutation: {
+    RetryTranscriptJob,
+    RecalculateTranscripts,
+  },
+  TranscriptJob: {
+    created_by_user,
+    updated_by_user,
+    student,
+    trigger_student_test_result,
+    requested_by_user,
+  },
+};
@@ -0,0 +1,109 @@
+// *************** IMPORT LIBRARY ***************
+
+const gql = require("graphql-tag");
+
+// *************** EXPORT MODULE ***************
+
+module.exports = gql`
+  enum TranscriptJobStatus {
+    PENDING
+    RUNNING
+    SUCCEEDED
+    FAILED
+  }
+
+  type TranscriptJob {
+    _id: ID!
+    student_id: ID!
+    student: Student
+    transcript_job_status: TranscriptJobStatus!
+    trigger_student_test_result_id: ID
+    trigger_student_test_result: StudentTestResult
+    requested_by: ID
+    requested_by_user: User
+    request_count: Int!
+    attempts: Int!
+    max_attempts: Int!
+    run_after: Date
+    locked_by: String
+    lease_expires_at: Date
+    last_error: String
+    calculation_result_id: ID
+    started_at: Date
+    finished_at: Date
+    created_at: Date
+    created_by: ID
+    created_by_user: User
+    updated_at: Date
+    updated_by: ID
+    updated_by_user: User
+  }
+
+  type TranscriptJobEdge {
+    cursor: String!
+    node: TranscriptJob!
+  }
+
+  type TranscriptJobPaginationResult {
+    data: [TranscriptJob!]!
+    meta: PaginationResult!
+  }
+
+  type TranscriptJobConnection {
+    edges: [TranscriptJobEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
+  }
+
+  type RecalculateTranscriptsResult {
+    student_count: Int!
+    queued_count: Int!
+    merged_count: Int!
+  }
+
+  input RecalculateTranscriptsScope {
+    school_id: ID
+    block_id: ID
+    subject_id: ID
+    test_id: ID
+    student_ids: [ID!]
+  }
+
+  input TranscriptJobWhereInput {
+    and: [TranscriptJobWhereInput!]
+    or: [TranscriptJobWhereInput!]
+    not: TranscriptJobWhereInput
+    student_id: IdFilter
+    transcript_job_status: StringFilter
+    attempts: NumberFilter
+    run_after: DateFilter
+    finished_at: DateFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
+  extend type Query {
+    GetTranscriptJobs(
+      where: TranscriptJobWhereInput
+      sort: [SortInput!]
+      pagination: PaginationInput
+    ): TranscriptJobPaginationResult!
+      @requiresPermission(permission: "transcript:manage")
+    GetTranscriptJobsConnection(
+      where: TranscriptJobWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): TranscriptJobConnection!
+      @requiresPermission(permission: "transcript:manage")
+  }
+
+  extend type Mutation {
+    RetryTranscriptJob(id: ID!): TranscriptJob!
+      @requiresPermission(permission: "transcript:manage")
+      @audit(entity: "TRANSCRIPT_JOB", operation: "RETRY")
+    RecalculateTranscripts(
+      scope: RecalculateTranscriptsScope!
+    ): RecalculateTranscriptsResult!
+      @requiresPermission(permission: "transcript:manage")
+  }
+`;
@@ -0,0 +1,76 @@
+// *************** IMPORT LIBRARY ***************
+const { isValidObjectId } = require("mongoose");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error.js");
+
+const MAX_SCOPE_STUDENT_IDS = 1000;
+const SCOPE_ID_FIELDS = ["school_id", "block_id", "subject_id", "test_id"];
+
+/**
+ * Validate the scope of a bulk transcript recalculation.
+ *
+ * At least one criterion is required so a recalculation of every student
+ * never happens by accident. Criteria combine: only students matching all
+ * of them are recalculated.
+ *
+ * @param {Object} scope - Recalculation scope.
+ * @param {string} [scope.school_id] - Students of this school.
+ * @param {string} [scope.block_id] - Students with validated marks in this block.
+ * @param {string} [scope.subject_id] - Students with validated marks in this subject.
+ * @param {string} [scope.test_id] - Students with validated marks on this test.
+ * @param {string[]} [scope.student_ids] - These students, at most 1000.
+ * @returns {string[]|null} The student IDs without duplicates, or null when not given.
+ * @throws {AppError} If the scope is empty or holds an invalid ID.
+ */
+function ValidateRecalculateTranscriptsScope(scope) {
+  const { student_ids } = scope || {};
+
+  const hasCriterion =
+    SCOPE_ID_FIELDS.some((field) => scope?.[field]) ||
+    (Array.isArray(student_ids) && student_ids.length > 0);
+  if (!hasCriterion) {
+    throw CreateAppError(
+      `Scope needs at least one of: ${[...SCOPE_ID_FIELDS, "student_ids"].join(", ")}.`,
+      "VALIDATION_ERROR",
+      { field: "scope" }
+    );
+  }
+
+  for (const field of SCOPE_ID_FIELDS) {
+    if (scope[field] && !isValidObjectId(scope[field])) {
+      throw CreateAppError(
+        `Field '${field}' must be a valid ObjectId.`,
+        "VALIDATION_ERROR",
+        { field: `scope.${field}` }
+      );
+    }
+  }
+
+  if (!Array.isArray(student_ids) || student_ids.length === 0) return null;
+
+  const studentIds = [...new Set(student_ids.map(String))];
+  if (studentIds.length > MAX_SCOPE_STUDENT_IDS) {
+    throw CreateAppError(
+      `At most ${MAX_SCOPE_STUDENT_IDS} student IDs can be given.`,
+      "VALIDATION_ERROR",
+      { field: "scope.student_ids" }
+    );
+  }
+
+  const invalidIds = studentIds.filter((studentId) => !isValidObjectId(studentId));
+  if (invalidIds.length > 0) {
+    throw CreateAppError(
+      "Every student ID must be a valid ObjectId.",
+      "VALIDATION_ERROR",
+      { field: "scope.student_ids", invalid_ids: invalidIds }
+    );
+  }
+
+  return studentIds;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  ValidateRecalculateTranscriptsScope,
+};
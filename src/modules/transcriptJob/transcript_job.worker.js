@@ -0,0 +1,165 @@
+// *************** IMPORT LIBRARY ***************
+const os = require("os");
+const {
+  Worker,
+  isMainThread,
+  parentPort,
+  workerData,
+} = require("worker_threads");
+
+// *************** IMPORT CORE ***************
+const { ConnectDB } = require("../../core/db");
+const { TRANSCRIPT_WORKER_POOL_SIZE } = require("../../core/config");
+
+// *************** IMPORT UTILITIES ***************
+const { TimeNow } = require("../../shared/utils/time");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  TRANSCRIPT_JOB_LEASE_MS,
+  ClaimNextTranscriptJob,
+  RunTranscriptJob,
+  RecoverStuckTranscriptJobs,
+} = require("./transcript_job.helper");
+const { WriteWorkerLog } = require("../calculationResult/calculation_result.helper");
+
+const DEFAULT_POOL_SIZE = 2;
+const IDLE_POLL_MS = 15 * 1000;
+const RESPAWN_DELAY_MS = 5 * 1000;
+const WAKE_MESSAGE = "WAKE";
+
+// *************** Live worker threads of this process, by pool slot
+const transcriptWorkers = new Map();
+
+/**
+ * Spawn the worker thread of one pool slot. A thread that stops is replaced
+ * after a short delay, and the jobs it was running are requeued.
+ *
+ * @param {number} slot - Pool slot of the worker.
+ */
+function SpawnTranscriptWorker(slot) {
+  const worker_id = `${os.hostname()}:${process.pid}:${slot}`;
+
+  try {
+    const worker = new Worker(__filename, { workerData: { worker_id } });
+    transcriptWorkers.set(slot, worker);
+
+    worker.once("online", function () {
+      console.info(`Transcript worker ${worker_id} spawned at : `, TimeNow());
+    });
+
+    worker.on("message", function (result) {
+      if (result.success == false) {
+        WriteWorkerLog(
+          `Transcript job ${result.transcript_job_id} failed: ${result.error}`
+        );
+      }
+    });
+
+    worker.on("error", function (error) {
+      const errorMessage = `Transcript worker ${worker_id} error: ${error}`;
+      WriteWorkerLog(errorMessage);
+      console.error(errorMessage);
+    });
+
+    worker.on("exit", function (code) {
+      transcriptWorkers.delete(slot);
+      WriteWorkerLog(`Transcript worker ${worker_id} stopped with exit code ${code}`);
+
+      RecoverStuckTranscriptJobs({ locked_by: worker_id }).catch((error) =>
+        WriteWorkerLog(`Transcript job recovery error: ${error.message}`)
+      );
+      setTimeout(() => SpawnTranscriptWorker(slot), RESPAWN_DELAY_MS).unref();
+    });
+  } catch (error) {
+    WriteWorkerLog(error);
+    console.error(error);
+  }
+}
+
+/**
+ * StartTranscriptWorkerPool
+ * ------------------------------------------------------------------------------
+ * Requeue the jobs a previous run of the server left RUNNING, then start a
+ * fixed pool of `TRANSCRIPT_WORKER_POOL_SIZE` worker threads (2 by default).
+ * Each thread keeps one database connection and runs one job at a time.
+ *
+ * Stuck jobs are looked for again every lease period, so jobs of a server
+ * that crashed are picked up by the others.
+ *
+ * @returns {Promise<void>} Resolves once the workers are spawned.
+ */
+async function StartTranscriptWorkerPool() {
+  const recovered = await RecoverStuckTranscriptJobs();
+  if (recovered > 0) {
+    console.info(`Requeued ${recovered} stuck transcript job(s)`);
+  }
+
+  const poolSize = Number.parseInt(TRANSCRIPT_WORKER_POOL_SIZE, 10) || DEFAULT_POOL_SIZE;
+  for (let slot = 0; slot < poolSize; slot += 1) {
+    SpawnTranscriptWorker(slot);
+  }
+
+  setInterval(() => {
+    RecoverStuckTranscriptJobs().catch((error) =>
+      WriteWorkerLog(`Transcript job recovery error: ${error.message}`)
+    );
+  }, TRANSCRIPT_JOB_LEASE_MS).unref();
+}
+
+/**
+ * Tell idle workers that a job was queued, so it starts without waiting for
+ * their next poll. Does nothing in a process without a worker pool.
+ */
+function WakeTranscriptWorkers() {
+  for (const worker of transcriptWorkers.values()) {
+    worker.postMessage(WAKE_MESSAGE);
+  }
+}
+
+if (!isMainThread) {
+  const { worker_id } = workerData;
+  let wakeUp = null;
+
+  parentPort.on("message", function (message) {
+    if (message === WAKE_MESSAGE && wakeUp) wakeUp();
+  });
+
+  (async () => {
+    await ConnectDB();
+
+    for (;;) {
+      const transcriptJob = await ClaimNextTranscriptJob(worker_id);
+
+      if (!transcriptJob) {
+        // *************** Sleep until woken up or the next poll
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, IDLE_POLL_MS);
+          wakeUp = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        wakeUp = null;
+        continue;
+      }
+
+      const finishedJob = await RunTranscriptJob(transcriptJob);
+      parentPort.postMessage({
+        success: finishedJob?.transcript_job_status === "SUCCEEDED",
+        transcript_job_id: String(transcriptJob._id),
+        error: finishedJob?.last_error || null,
+      });
+    }
+  })().catch((error) => {
+    // *************** Let the thread stop; the pool requeues its job and replaces it
+    WriteWorkerLog(`Transcript worker ${worker_id} crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  StartTranscriptWorkerPool,
+  WakeTranscriptWorkers,
+};
@@ -0,0 +1,317 @@
+// *************** IMPORT MODULE ***************
+const StudentTestResult = require("../studentTestResult/student_test_result.model");
+const CalculationResult = require("../calculationResult/calculation_result.model");
+const Test = require("../test/test.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  CALCULATION_TEST_POPULATE,
+  CalculateTranscript,
+  CompareCalculationResults,
+} = require("../calculationResult/calculation_result.helper");
+
+/**
+ * Index the override lists by the ID of the entity they change.
+ *
+ * @param {Object} overrides - Validated simulation overrides.
+ * @returns {Object} One `Map` per override list.
+ */
+function IndexSimulationOverrides(overrides) {
+  const byId = (entries, idField, valueField) =>
+    new Map(entries.map((entry) => [String(entry[idField]), entry[valueField]]));
+
+  return {
+    marks: byId(overrides.marks, "test_id", "average_mark"),
+    testWeights: byId(overrides.test_weights, "test_id", "weight"),
+    subjectCoefficients: byId(overrides.subject_coefficients, "subject_id", "coefficient"),
+    blockCriteria: byId(overrides.block_criteria, "block_id", "criteria"),
+    subjectCriteria: byId(overrides.subject_criteria, "subject_id", "criteria"),
+    testCriteria: byId(overrides.test_criteria, "test_id", "criteria"),
+  };
+}
+
+/**
+ * Build the function that swaps the tests of student test results for copies
+ * carrying the overridden weights, coefficients and criteria.
+ *
+ * Copies are made once per test, subject and block and shared by every
+ * result pointing to them, so a subject keeps a single identity inside one
+ * calculation. The loaded documents are never modified.
+ *
+ * @param {Object} overrideIndex - Result of `IndexSimulationOverrides`.
+ * @returns {Function} `(test) => test copy`, test populated down to its block.
+ */
+function CreateSimulatedTestResolver(overrideIndex) {
+  const blocks = new Map();
+  const subjects = new Map();
+  const tests = new Map();
+
+  function SimulateBlock(block) {
+    if (!block?._id) return block;
+    const blockId = String(block._id);
+    if (!blocks.has(blockId)) {
+      blocks.set(blockId, {
+        ...block,
+        criteria: overrideIndex.blockCriteria.get(blockId) ?? block.criteria,
+      });
+    }
+    return blocks.get(blockId);
+  }
+
+  function SimulateSubject(subject) {
+    if (!subject?._id) return subject;
+    const subjectId = String(subject._id);
+    if (!subjects.has(subjectId)) {
+      subjects.set(subjectId, {
+        ...subject,
+        block_id: SimulateBlock(subject.block_id),
+        coefficient: overrideIndex.subjectCoefficients.get(subjectId) ?? subject.coefficient,
+        criteria: overrideIndex.subjectCriteria.get(subjectId) ?? subject.criteria,
+      });
+    }
+    return subjects.get(subjectId);
+  }
+
+  return function SimulateTest(test) {
+    if (!test?._id) return test;
+    const testId = String(test._id);
+    if (!tests.has(testId)) {
+      tests.set(testId, {
+        ...test,
+        subject_id: SimulateSubject(test.subject_id),
+        weight: overrideIndex.testWeights.get(testId) ?? test.weight,
+        criteria: overrideIndex.testCriteria.get(testId) ?? test.criteria,
+      });
+    }
+    return tests.get(testId);
+  };
+}
+
+/**
+ * Load the validated student test results of several students with one
+ * query, populated the way the transcript calculation reads them.
+ *
+ * @param {Array<string>} studentIds - Student IDs.
+ * @returns {Promise<Map<string, Object[]>>} Student test results by student ID.
+ */
+async function FetchSimulationStudentTestResults(studentIds) {
+  const studentTestResults = await StudentTestResult.find({
+    student_id: { $in: studentIds },
+    student_test_result_status: { $ne: "DELETED" },
+    mark_validated_date: { $ne: null },
+  })
+    .populate(CALCULATION_TEST_POPULATE)
+    .lean();
+
+  const resultsByStudent = new Map();
+  for (const studentTestResult of studentTestResults) {
+    const studentId = String(studentTestResult.student_id);
+    if (!resultsByStudent.has(studentId)) resultsByStudent.set(studentId, []);
+    resultsByStudent.get(studentId).push(studentTestResult);
+  }
+  return resultsByStudent;
+}
+
+/**
+ * Load the current PUBLISHED calculation result of several students.
+ *
+ * @param {Array<string>} studentIds - Student IDs.
+ * @returns {Promise<Map<string, Object>>} Calculation results by student ID.
+ */
+async function FetchCurrentCalculationResults(studentIds) {
+  const calculationResults = await CalculationResult.find({
+    student_id: { $in: studentIds },
+    calculation_result_status: "PUBLISHED",
+    is_current: { $ne: false },
+  })
+    .sort({ version: -1 })
+    .lean();
+
+  const currentByStudent = new Map();
+  for (const calculationResult of calculationResults) {
+    const studentId = String(calculationResult.student_id);
+    if (!currentByStudent.has(studentId)) {
+      currentByStudent.set(studentId, calculationResult);
+    }
+  }
+  return currentByStudent;
+}
+
+/**
+ * SimulateStudentTranscript
+ * ------------------------------------------------------------------------------
+ * Calculate what a student's transcript would be with other marks, weights,
+ * coefficients or criteria, and compare it with their current result.
+ *
+ * A mark override on a test the student has no validated mark for adds that
+ * test to the calculation. Nothing is written: no calculation result, no
+ * transcript job and no transcript log.
+ *
+ * @param {string} student_id - Student ID.
+ * @param {Object} overrides - Validated simulation overrides.
+ * @returns {Promise<Object>} `{ student_id, simulated, current, overall_result_changed, change_count, changes }`
+ * @throws {AppError} NOT_FOUND when a mark targets an unknown test or the student
+ * has no mark to calculate with; calculation errors for incomplete criteria.
+ */
+async function SimulateStudentTranscript(student_id, overrides) {
+  const overrideIndex = IndexSimulationOverrides(overrides);
+  const SimulateTest = CreateSimulatedTestResolver(overrideIndex);
+
+  const [resultsByStudent, currentByStudent] = await Promise.all([
+    FetchSimulationStudentTestResults([student_id]),
+    FetchCurrentCalculationResults([student_id]),
+  ]);
+  const studentTestResults = resultsByStudent.get(String(student_id)) || [];
+
+  const simulatedTestResults = studentTestResults.map((studentTestResult) => {
+    const testId = String(studentTestResult.test_id?._id);
+    return {
+      ...studentTestResult,
+      test_id: SimulateTest(studentTestResult.test_id),
+      average_mark: overrideIndex.marks.get(testId) ?? studentTestResult.average_mark,
+    };
+  });
+
+  // *************** Marks on tests the student was not graded on yet
+  const gradedTestIds = new Set(
+    studentTestResults.map((studentTestResult) => String(studentTestResult.test_id?._id))
+  );
+  const ungradedTestIds = [...overrideIndex.marks.keys()].filter(
+    (testId) => !gradedTestIds.has(testId)
+  );
+  if (ungradedTestIds.length > 0) {
+    const ungradedTests = await Test.find({
+      _id: { $in: ungradedTestIds },
+      test_status: { $ne: "DELETED" },
+    })
+      .populate(CALCULATION_TEST_POPULATE.populate)
+      .lean();
+
+    if (ungradedTests.length !== ungradedTestIds.length) {
+      const foundIds = new Set(ungradedTests.map((test) => String(test._id)));
+      throw CreateAppError("Test not found", "NOT_FOUND", {
+        test_ids: ungradedTestIds.filter((testId) => !foundIds.has(testId)),
+      });
+    }
+
+    for (const test of ungradedTests) {
+      simulatedTestResults.push({
+        student_id,
+        test_id: SimulateTest(test),
+        average_mark: overrideIndex.marks.get(String(test._id)),
+      });
+    }
+  }
+
+  if (simulatedTestResults.length === 0) {
+    throw CreateAppError("The student has no validated marks to simulate with", "NOT_FOUND", {
+      student_id,
+    });
+  }
+
+  const simulated = await CalculateTranscript(simulatedTestResults);
+  const current = currentByStudent.get(String(student_id)) || null;
+  const changes = CompareCalculationResults(current, simulated);
+
+  const transcriptSimulation = {
+    student_id,
+    simulated: { student_id, ...simulated },
+    current,
+    overall_result_changed: current?.overall_result !== simulated.overall_result,
+    change_count: changes.length,
+    changes,
+  };
+  return transcriptSimulation;
+}
+
+/**
+ * SimulateCohortTranscriptResults
+ * ------------------------------------------------------------------------------
+ * Run the same weight, coefficient or criteria overrides over several
+ * students and count whose overall result would flip between PASS and FAIL.
+ *
+ * Marks and current results are loaded with one query each. A student whose
+ * calculation fails (e.g. no validated marks) is reported in `failures`
+ * instead of stopping the whole simulation. Nothing is written.
+ *
+ * @param {Array<string>} studentIds - Students of the cohort.
+ * @param {Object} overrides - Validated simulation overrides, without marks.
+ * @returns {Promise<Object>} Flip counts, the flipped students and the failures.
+ */
+async function SimulateCohortTranscriptResults(studentIds, overrides) {
+  const SimulateTest = CreateSimulatedTestResolver(IndexSimulationOverrides(overrides));
+
+  const [resultsByStudent, currentByStudent] = await Promise.all([
+    FetchSimulationStudentTestResults(studentIds),
+    FetchCurrentCalculationResults(studentIds),
+  ]);
+
+  const cohortSimulation = {
+    student_count: studentIds.length,
+    simulated_count: 0,
+    pass_to_fail_count: 0,
+    fail_to_pass_count: 0,
+    unchanged_count: 0,
+    without_current_result_count: 0,
+    flips: [],
+    failures: [],
+  };
+
+  for (const studentId of studentIds) {
+    const studentTestResults = resultsByStudent.get(String(studentId)) || [];
+    if (studentTestResults.length === 0) {
+      cohortSimulation.failures.push({
+        student_id: studentId,
+        message: "The student has no validated marks",
+      });
+      continue;
+    }
+
+    let simulated = null;
+    try {
+      simulated = await CalculateTranscript(
+        studentTestResults.map((studentTestResult) => ({
+          ...studentTestResult,
+          test_id: SimulateTest(studentTestResult.test_id),
+        }))
+      );
+    } catch (error) {
+      cohortSimulation.failures.push({ student_id: studentId, message: error.message });
+      continue;
+    }
+    cohortSimulation.simulated_count += 1;
+
+    const current = currentByStudent.get(String(studentId));
+    if (!current) {
+      cohortSimulation.without_current_result_count += 1;
+      continue;
+    }
+
+    if (current.overall_result === simulated.overall_result) {
+      cohortSimulation.unchanged_count += 1;
+      continue;
+    }
+
+    if (simulated.overall_result === "FAIL") {
+      cohortSimulation.pass_to_fail_count += 1;
+    } else {
+      cohortSimulation.fail_to_pass_count += 1;
+    }
+    cohortSimulation.flips.push({
+      student_id: studentId,
+      current_result: current.overall_result,
+      simulated_result: simulated.overall_result,
+    });
+  }
+
+  return cohortSimulation;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  SimulateStudentTranscript,
+  SimulateCohortTranscriptResults,
+};
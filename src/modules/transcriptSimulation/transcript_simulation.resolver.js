@@ -0,0 +1,134 @@
+// *************** IMPORT VALIDATOR ***************
+const {
+  ValidateTranscriptSimulationOverrides,
+} = require("./transcript_simulation.validator.js");
+const {
+  ValidateRecalculateTranscriptsScope,
+} = require("../transcriptJob/transcript_job.validator.js");
+
+// *************** IMPORT UTILITIES ***************
+const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
+const {
+  CheckSchoolAccess,
+  CheckStudentAccess,
+} = require("../../shared/utils/tenant_scope.js");
+
+// *************** IMPORT CORE ***************
+const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  SimulateStudentTranscript,
+  SimulateCohortTranscriptResults,
+} = require("./transcript_simulation.helper.js");
+const {
+  GetRecalculationStudentIds,
+} = require("../transcriptJob/transcript_job.helper.js");
+
+// *************** Simulations run in the request, keep cohorts small enough for it
+const MAX_COHORT_SIMULATION_STUDENTS = 1000;
+
+// *************** QUERY ***************
+/**
+ * Preview a student's transcript with overridden marks, test weights, subject
+ * coefficients or criteria, next to their current calculation result.
+ * Nothing is stored.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.student_id - Student ID.
+ * @param {Object} [args.overrides] - Values replacing the stored ones during the calculation.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The simulated result, the current one and their differences.
+ * @throws {AppError} VALIDATION_ERROR for invalid overrides, NOT_FOUND for an unknown
+ * student or test.
+ */
+async function SimulateTranscript(_, { student_id, overrides }, context) {
+  try {
+    const studentId = await ValidateMongoId(student_id, "student_id");
+    const validatedOverrides = ValidateTranscriptSimulationOverrides(overrides);
+    await CheckStudentAccess(context, studentId);
+
+    const transcriptSimulationResponse = await SimulateStudentTranscript(
+      studentId,
+      validatedOverrides
+    );
+    return transcriptSimulationResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to simulate transcript");
+  }
+}
+
+/**
+ * Preview how many students of a scope would flip between PASS and FAIL if
+ * test weights, subject coefficients or criteria were changed, before
+ * changing them and queueing a recalculation.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} args.scope - Same scope as `RecalculateTranscripts`.
+ * @param {Object} [args.overrides] - Overrides without marks.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} Flip counts, flipped students and students that could not be simulated.
+ * @throws {AppError} VALIDATION_ERROR for invalid overrides or a scope over 1000 students,
+ * FORBIDDEN for a school outside the caller's schools.
+ */
+async function SimulateCohortTranscripts(_, { scope, overrides }, context) {
+  try {
+    const studentIds = ValidateRecalculateTranscriptsScope(scope);
+    const validatedOverrides = ValidateTranscriptSimulationOverrides(overrides, {
+      allowMarks: false,
+    });
+    if (scope.school_id) {
+      await CheckSchoolAccess(context, scope.school_id);
+    }
+
+    const cohortStudentIds = await GetRecalculationStudentIds(context, scope, studentIds);
+    if (cohortStudentIds.length > MAX_COHORT_SIMULATION_STUDENTS) {
+      throw CreateAppError(
+        `The scope matches ${cohortStudentIds.length} students, at most ${MAX_COHORT_SIMULATION_STUDENTS} can be simulated at once.`,
+        "VALIDATION_ERROR",
+        { field: "scope", student_count: cohortStudentIds.length }
+      );
+    }
+
+    const cohortTranscriptSimulationResponse = await SimulateCohortTranscriptResults(
+      cohortStudentIds,
+      validatedOverrides
+    );
+    return cohortTranscriptSimulationResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to simulate cohort transcripts");
+  }
+}
+
+// *************** LOADER ***************
+/**
+ * Resolve the student a simulation entry is about.
+ *
+ * @param {Object} parent - Simulation, flip or failure with a `student_id`.
+ * @param {Object} _ - Unused resolver argument.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object>} The student.
+ */
+function student(parent, _, context) {
+  const studentLoaderResponse = context.loaders.student.load(String(parent.student_id));
+  return studentLoaderResponse;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  Query: {
+    SimulateTranscript,
+    SimulateCohortTranscripts,
+  },
+  TranscriptSimulation: {
+    student,
+  },
+  CohortTranscriptFlip: {
+    student,
+  },
+  CohortTranscriptFailure: {
+    student,
+  },
+};
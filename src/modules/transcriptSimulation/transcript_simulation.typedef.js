@@ -0,0 +1,99 @@
+// *************** IMPORT LIBRARY ***************
+
+const gql = require("graphql-tag");
+
+// *************** EXPORT MODULE ***************
+
+module.exports = gql`
+  input SimulatedMarkInput {
+    test_id: ID!
+    average_mark: Float!
+  }
+
+  input SimulatedTestWeightInput {
+    test_id: ID!
+    weight: Float!
+  }
+
+  input SimulatedSubjectCoefficientInput {
+    subject_id: ID!
+    coefficient: Float!
+  }
+
+  input SimulatedBlockCriteriaInput {
+    block_id: ID!
+    criteria: [BlockCriteriaGroupInput!]!
+  }
+
+  input SimulatedSubjectCriteriaInput {
+    subject_id: ID!
+    criteria: [SubjectPassingCriteriaGroupInput!]!
+  }
+
+  input SimulatedTestCriteriaInput {
+    test_id: ID!
+    criteria: [TestCriteriaInput!]!
+  }
+
+  input TranscriptSimulationOverrides {
+    marks: [SimulatedMarkInput!]
+    test_weights: [SimulatedTestWeightInput!]
+    subject_coefficients: [SimulatedSubjectCoefficientInput!]
+    block_criteria: [SimulatedBlockCriteriaInput!]
+    subject_criteria: [SimulatedSubjectCriteriaInput!]
+    test_criteria: [SimulatedTestCriteriaInput!]
+  }
+
+  type SimulatedCalculationResult {
+    student_id: ID!
+    overall_result: ExpectedOutcome!
+    results: [BlockResult!]!
+  }
+
+  type TranscriptSimulation {
+    student_id: ID!
+    student: Student
+    simulated: SimulatedCalculationResult!
+    current: CalculationResult
+    overall_result_changed: Boolean!
+    change_count: Int!
+    changes: [CalculationResultChange!]!
+  }
+
+  type CohortTranscriptFlip {
+    student_id: ID!
+    student: Student
+    current_result: ExpectedOutcome!
+    simulated_result: ExpectedOutcome!
+  }
+
+  type CohortTranscriptFailure {
+    student_id: ID!
+    student: Student
+    message: String!
+  }
+
+  type CohortTranscriptSimulation {
+    student_count: Int!
+    simulated_count: Int!
+    pass_to_fail_count: Int!
+    fail_to_pass_count: Int!
+    unchanged_count: Int!
+    without_current_result_count: Int!
+    flips: [CohortTranscriptFlip!]!
+    failures: [CohortTranscriptFailure!]!
+  }
+
+  extend type Query {
+    SimulateTranscript(
+      student_id: ID!
+      overrides: TranscriptSimulationOverrides
+    ): TranscriptSimulation!
+      @requiresPermission(permission: "transcript:manage")
+    SimulateCohortTranscripts(
+      scope: RecalculateTranscriptsScope!
+      overrides: TranscriptSimulationOverrides
+    ): CohortTranscriptSimulation!
+      @requiresPermission(permission: "transcript:manage")
+  }
+`;
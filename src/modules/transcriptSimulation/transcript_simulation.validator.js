@@ -0,0 +1,89 @@
+// *************** IMPORT LIBRARY ***************
+const { isValidObjectId } = require("mongoose");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error.js");
+
+// *************** Override lists, the ID field of their entries and the
+// *************** numeric value each one carries (criteria carry none)
+const OVERRIDE_LISTS = {
+  marks: { idField: "test_id", valueField: "average_mark" },
+  test_weights: { idField: "test_id", valueField: "weight" },
+  subject_coefficients: { idField: "subject_id", valueField: "coefficient" },
+  block_criteria: { idField: "block_id" },
+  subject_criteria: { idField: "subject_id" },
+  test_criteria: { idField: "test_id" },
+};
+
+/**
+ * Validate the overrides of a transcript simulation.
+ *
+ * Each list may name an entity only once. Marks, weights and coefficients
+ * must be non-negative numbers; the shape of criteria groups is enforced by
+ * the schema and their rules are checked when they are evaluated.
+ *
+ * @param {Object} [overrides] - Simulation overrides.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowMarks=true] - Whether mark overrides are accepted;
+ * marks belong to one student and make no sense for a cohort.
+ * @returns {Object} The overrides with every list present (empty when not given).
+ * @throws {AppError} If an ID is invalid or repeated, or a value is out of range.
+ */
+function ValidateTranscriptSimulationOverrides(overrides, { allowMarks = true } = {}) {
+  const validatedOverrides = {};
+
+  for (const [list, { idField, valueField }] of Object.entries(OVERRIDE_LISTS)) {
+    const entries = overrides?.[list] || [];
+
+    if (list === "marks" && !allowMarks && entries.length > 0) {
+      throw CreateAppError(
+        "Mark overrides are only available when simulating one student.",
+        "VALIDATION_ERROR",
+        { field: "overrides.marks" }
+      );
+    }
+
+    const seenIds = new Set();
+    entries.forEach((entry, index) => {
+      const entityId = entry[idField];
+      if (!isValidObjectId(entityId)) {
+        throw CreateAppError(
+          `overrides.${list}[${index}].${idField} must be a valid ObjectId.`,
+          "VALIDATION_ERROR",
+          { field: `overrides.${list}[${index}].${idField}` }
+        );
+      }
+
+      if (seenIds.has(String(entityId))) {
+        throw CreateAppError(
+          `overrides.${list} names ${idField} '${entityId}' more than once.`,
+          "VALIDATION_ERROR",
+          { field: `overrides.${list}` }
+        );
+      }
+      seenIds.add(String(entityId));
+
+      if (
+        valueField &&
+        (typeof entry[valueField] !== "number" ||
+          !Number.isFinite(entry[valueField]) ||
+          entry[valueField] < 0)
+      ) {
+        throw CreateAppError(
+          `overrides.${list}[${index}].${valueField} must be a non-negative number.`,
+          "VALIDATION_ERROR",
+          { field: `overrides.${list}[${index}].${valueField}` }
+        );
+      }
+    });
+
+    validatedOverrides[list] = entries;
+  }
+
+  return validatedOverrides;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  ValidateTranscriptSimulationOverrides,
+};
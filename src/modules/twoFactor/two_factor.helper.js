@@ -0,0 +1,181 @@
+// *************** IMPORT LIBRARY ***************
+const jwt = require("jsonwebtoken");
+
+// *************** IMPORT MODULE ***************
+const User = require("../user/user.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+const {
+  JWT_SECRET,
+  TWO_FACTOR_REQUIRED_ROLES,
+} = require("../../core/config");
+
+// *************** IMPORT UTILITIES ***************
+const { USER } = require("../../shared/utils/enum");
+const {
+  HashToken,
+  GenerateRandomToken,
+} = require("../../shared/utils/token");
+const {
+  VerifyTotp,
+  DecryptTotpSecret,
+} = require("../../shared/utils/totp");
+
+const CHALLENGE_TOKEN_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE_LOGIN = "TWO_FACTOR_LOGIN";
+const CHALLENGE_PURPOSE_SETUP = "TWO_FACTOR_SETUP";
+
+/**
+ * Roles that must use a second factor, from `TWO_FACTOR_REQUIRED_ROLES`
+ * (comma separated, e.g. "ACADEMIC_DIRECTOR,ACADEMIC_ADMIN").
+ *
+ * @returns {string[]} Valid role names.
+ */
+function GetTwoFactorRequiredRoles() {
+  return String(TWO_FACTOR_REQUIRED_ROLES || "")
+    .split(",")
+    .map((role) => role.trim())
+    .filter((role) => USER.VALID_ROLE.includes(role));
+}
+
+/**
+ * Whether the roles of a user require a second factor.
+ *
+ * @param {Object} user - User document.
+ * @returns {boolean} True if any role of the user requires 2FA.
+ */
+function IsTwoFactorRequired(user) {
+  const roles = Array.isArray(user?.role) ? user.role : [user?.role];
+  const requiredRoles = GetTwoFactorRequiredRoles();
+
+  return roles.some((role) => requiredRoles.includes(role));
+}
+
+/**
+ * Build the `AuthLogin` payload asking the client for the second step of a login.
+ *
+ * Users with a confirmed authenticator get a LOGIN challenge to exchange with
+ * `VerifyTwoFactorLogin`; users whose role requires 2FA but who have not
+ * enrolled yet get a SETUP challenge for `EnableTwoFactor`/`ConfirmTwoFactor`.
+ *
+ * @param {Object} user - User who passed the password step.
+ * @returns {Object|null} Challenge payload, or null when no second step is needed.
+ */
+function BuildTwoFactorChallenge(user) {
+  const isEnabled = Boolean(user.two_factor?.enabled);
+  if (!isEnabled && !IsTwoFactorRequired(user)) return null;
+
+  const purpose = isEnabled ? CHALLENGE_PURPOSE_LOGIN : CHALLENGE_PURPOSE_SETUP;
+  const challengeToken = jwt.sign(
+    { user_id: String(user._id), purpose },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL_SECONDS }
+  );
+
+  const challengeResponse = {
+    two_factor_required: isEnabled,
+    two_factor_setup_required: !isEnabled,
+    challenge_token: challengeToken,
+    challenge_expires_at: new Date(
+      Date.now() + CHALLENGE_TOKEN_TTL_SECONDS * 1000
+    ),
+  };
+  return challengeResponse;
+}
+
+/**
+ * Resolve the user a challenge token was issued to.
+ *
+ * @param {string} challengeToken - Token returned by `AuthLogin`.
+ * @param {boolean} isSetup - True to accept SETUP challenges, false for LOGIN challenges.
+ * @returns {Promise<Object>} The active user, password excluded.
+ * @throws {AppError} UNAUTHORIZED if the token is invalid, expired or of the wrong kind.
+ */
+async function VerifyTwoFactorChallenge(challengeToken, isSetup) {
+  const expectedPurpose = isSetup
+    ? CHALLENGE_PURPOSE_SETUP
+    : CHALLENGE_PURPOSE_LOGIN;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(String(challengeToken), JWT_SECRET);
+  } catch {
+    throw CreateAppError("Invalid or expired challenge token", "UNAUTHORIZED");
+  }
+  if (decoded?.purpose !== expectedPurpose) {
+    throw CreateAppError("Invalid or expired challenge token", "UNAUTHORIZED");
+  }
+
+  const user = await User.findOne({
+    _id: decoded.user_id,
+    user_status: { $ne: "DELETED" },
+  })
+    .select("-password")
+    .lean();
+  if (!user) {
+    throw CreateAppError("User not found or inactive", "UNAUTHORIZED");
+  }
+
+  return user;
+}
+
+/**
+ * Generate a fresh set of single-use recovery codes.
+ *
+ * @returns {{ codes: string[], hashes: string[] }} Plain codes for the user, hashes to persist.
+ */
+function GenerateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = GenerateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map((code) => HashToken(code)) };
+}
+
+/**
+ * Check a second factor code for a user with 2FA enabled and consume it.
+ *
+ * A TOTP code is accepted once: its time step must be newer than the last
+ * accepted one. A recovery code is removed from the user once used.
+ *
+ * @param {Object} user - User document (must include `two_factor`).
+ * @param {string} code - TOTP code or recovery code.
+ * @returns {Promise<boolean>} True if the code was valid and has been consumed.
+ */
+async function ConsumeTwoFactorCode(user, code) {
+  if (!user.two_factor?.enabled || !user.two_factor.secret) return false;
+
+  const step = VerifyTotp(DecryptTotpSecret(user.two_factor.secret), code);
+  if (step !== null) {
+    const consumed = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "two_factor.last_used_step": null },
+          { "two_factor.last_used_step": { $lt: step } },
+        ],
+      },
+      { $set: { "two_factor.last_used_step": step } }
+    );
+    return consumed.modifiedCount > 0;
+  }
+
+  const recoveryCodeHash = HashToken(String(code || "").trim().toLowerCase());
+  const consumed = await User.updateOne(
+    { _id: user._id, "two_factor.recovery_code_hashes": recoveryCodeHash },
+    { $pull: { "two_factor.recovery_code_hashes": recoveryCodeHash } }
+  );
+  return consumed.modifiedCount > 0;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  IsTwoFactorRequired,
+  BuildTwoFactorChallenge,
+  VerifyTwoFactorChallenge,
+  GenerateRecoveryCodes,
+  ConsumeTwoFactorCode,
+};
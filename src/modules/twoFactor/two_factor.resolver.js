@@ -0,0 +1,367 @@
+// *************** IMPORT MODULE ***************
+const User = require("../user/user.model.js");
+
+// *************** IMPORT CORE ***************
+const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
+const { TWO_FACTOR_ISSUER } = require("../../core/config.js");
+
+// *************** IMPORT UTILITIES ***************
+const {
+  GenerateTotpSecret,
+  BuildOtpAuthUri,
+  VerifyTotp,
+  EncryptTotpSecret,
+  DecryptTotpSecret,
+} = require("../../shared/utils/totp.js");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  IsTwoFactorRequired,
+  VerifyTwoFactorChallenge,
+  GenerateRecoveryCodes,
+  ConsumeTwoFactorCode,
+} = require("./two_factor.helper.js");
+const { CreateSession } = require("../session/session.helper.js");
+const { RecordAuditedChange } = require("../auditLog/audit_log.helper.js");
+const {
+  CheckLoginThrottle,
+  RecordFailedLogin,
+  ClearFailedLogins,
+} = require("../loginAttempt/login_attempt.helper.js");
+
+const DEFAULT_TWO_FACTOR_ISSUER = "Zettacamp";
+
+/**
+ * Resolve the user enrolling a second factor: the authenticated user, or the
+ * user of a SETUP challenge returned by `AuthLogin` when 2FA is mandatory.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {string} [challengeToken] - SETUP challenge token.
+ * @returns {Promise<Object>} The enrolling user.
+ * @throws {AppError} UNAUTHORIZED if neither is available.
+ */
+async function GetEnrollingUser(context, challengeToken) {
+  if (challengeToken) {
+    const user = await VerifyTwoFactorChallenge(challengeToken, true);
+    return user;
+  }
+
+  if (!context?.user) {
+    throw CreateAppError("User not authenticated", "UNAUTHORIZED");
+  }
+
+  return context.user;
+}
+
+/**
+ * Reject a wrong second factor code, counting it towards the account lockout.
+ *
+ * @param {Object} user - User the code was typed for.
+ * @param {Object} context - GraphQL context, `client.ip_address` is recorded.
+ * @returns {Promise<never>}
+ * @throws {AppError} ACCOUNT_LOCKED if this failure locked the account, INVALID_CREDENTIALS otherwise.
+ */
+async function RejectTwoFactorCode(user, context) {
+  const lockedUntil = await RecordFailedLogin(
+    user.email,
+    context?.client?.ip_address || null
+  );
+  if (lockedUntil) {
+    throw CreateAppError("Account is temporarily locked", "ACCOUNT_LOCKED", {
+      locked_until: lockedUntil,
+    });
+  }
+
+  throw CreateAppError("Invalid two-factor code", "INVALID_CREDENTIALS");
+}
+
+/**
+ * Build the audit entry of a change to a user's second factor. The secret
+ * and recovery codes are redacted from the recorded changes.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {Object} user - User whose second factor changes.
+ * @param {string} mutation - Name of the GraphQL mutation.
+ * @param {string} operation - Audit operation.
+ * @returns {Object} Entry for `RecordAuditedChange`.
+ */
+function TwoFactorAuditEntry(context, user, mutation, operation) {
+  return { context, mutation, entity_type: "USER", operation, entity_id: user._id };
+}
+
+// *************** MUTATION ***************
+/**
+ * Start enrolling an authenticator: generate a secret and return its otpauth URI.
+ *
+ * The secret stays pending until `ConfirmTwoFactor` proves the authenticator
+ * produces valid codes.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} [args.challenge_token] - SETUP challenge token, when not authenticated.
+ * @param {Object} context - GraphQL context.
+ * @returns {Promise<Object>} `{ secret, otpauth_uri }`.
+ * @throws {AppError} BAD_REQUEST if 2FA is already enabled.
+ */
+async function EnableTwoFactor(_, { challenge_token }, context) {
+  try {
+    const user = await GetEnrollingUser(context, challenge_token);
+    if (user.two_factor?.enabled) {
+      throw CreateAppError("Two-factor authentication is already enabled", "BAD_REQUEST");
+    }
+
+    const secret = GenerateTotpSecret();
+    await RecordAuditedChange(
+      TwoFactorAuditEntry(context, user, "EnableTwoFactor", "ENABLE_TWO_FACTOR"),
+      () =>
+        User.updateOne(
+          { _id: user._id },
+          { $set: { "two_factor.pending_secret": EncryptTotpSecret(secret) } }
+        )
+    );
+
+    const enableTwoFactorResponse = {
+      secret,
+      otpauth_uri: BuildOtpAuthUri({
+        secret,
+        account: user.email,
+        issuer: TWO_FACTOR_ISSUER || DEFAULT_TWO_FACTOR_ISSUER,
+      }),
+    };
+    return enableTwoFactorResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to enable two-factor authentication");
+  }
+}
+
+/**
+ * Confirm the pending authenticator with a code it produced and enable 2FA.
+ *
+ * Recovery codes are returned once and never shown again. When enrolling with
+ * a SETUP challenge the login is completed and the session tokens are returned.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.code - Code currently shown by the authenticator.
+ * @param {string} [args.challenge_token] - SETUP challenge token, when not authenticated.
+ * @param {Object} context - GraphQL context.
+ * @returns {Promise<Object>} `{ recovery_codes, login }`, `login` is null when already authenticated.
+ * @throws {AppError} BAD_REQUEST if no enrollment is pending.
+ * @throws {AppError} INVALID_CREDENTIALS, ACCOUNT_LOCKED or TOO_MANY_ATTEMPTS like `AuthLogin`.
+ */
+async function ConfirmTwoFactor(_, { code, challenge_token }, context) {
+  try {
+    const enrollingUser = await GetEnrollingUser(context, challenge_token);
+    const user = await User.findById(enrollingUser._id).select("-password").lean();
+    if (!user?.two_factor?.pending_secret) {
+      throw CreateAppError("No two-factor enrollment in progress", "BAD_REQUEST");
+    }
+    await CheckLoginThrottle(user.email, context?.client?.ip_address || null);
+
+    const step = VerifyTotp(DecryptTotpSecret(user.two_factor.pending_secret), code);
+    if (step === null) await RejectTwoFactorCode(user, context);
+
+    const { codes, hashes } = GenerateRecoveryCodes();
+    await RecordAuditedChange(
+      TwoFactorAuditEntry(context, user, "ConfirmTwoFactor", "CONFIRM_TWO_FACTOR"),
+      () =>
+        User.updateOne(
+          { _id: user._id },
+          {
+            $set: {
+              "two_factor.enabled": true,
+              "two_factor.secret": user.two_factor.pending_secret,
+              "two_factor.pending_secret": null,
+              "two_factor.last_used_step": step,
+              "two_factor.recovery_code_hashes": hashes,
+              "two_factor.confirmed_at": new Date(),
+            },
+          }
+        )
+    );
+
+    let login = null;
+    if (challenge_token) {
+      const tokens = await CreateSession(user, context?.client);
+      login = { ...tokens, user };
+    }
+
+    const confirmTwoFactorResponse = { recovery_codes: codes, login };
+    return confirmTwoFactorResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to confirm two-factor authentication");
+  }
+}
+
+/**
+ * Complete a two-step login with a TOTP or recovery code.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.challenge_token - LOGIN challenge token returned by `AuthLogin`.
+ * @param {string} args.code - TOTP code or unused recovery code.
+ * @param {Object} context - GraphQL context, `client` is stored on the session.
+ * @returns {Promise<Object>} Token pair with expiry dates and the user.
+ * @throws {AppError} INVALID_CREDENTIALS, ACCOUNT_LOCKED or TOO_MANY_ATTEMPTS like `AuthLogin`.
+ */
+async function VerifyTwoFactorLogin(_, { challenge_token, code }, context) {
+  try {
+    const user = await VerifyTwoFactorChallenge(challenge_token, false);
+    await CheckLoginThrottle(user.email, context?.client?.ip_address || null);
+
+    if (user.account_locked_until && user.account_locked_until > new Date()) {
+      throw CreateAppError("Account is temporarily locked", "ACCOUNT_LOCKED", {
+        locked_until: user.account_locked_until,
+      });
+    }
+
+    const isValid = await ConsumeTwoFactorCode(user, code);
+    if (!isValid) await RejectTwoFactorCode(user, context);
+
+    await ClearFailedLogins(user.email);
+    const tokens = await CreateSession(user, context?.client);
+
+    const verifyTwoFactorLoginResponse = { ...tokens, user };
+    return verifyTwoFactorLoginResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to verify two-factor code", "UNAUTHORIZED");
+  }
+}
+
+/**
+ * Turn off 2FA for the authenticated user, after checking a current code.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.code - TOTP code or unused recovery code.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<boolean>} True once 2FA is disabled.
+ * @throws {AppError} FORBIDDEN if the user's role requires 2FA.
+ */
+async function DisableTwoFactor(_, { code }, context) {
+  try {
+    const user = await GetEnrollingUser(context);
+    if (IsTwoFactorRequired(user)) {
+      throw CreateAppError(
+        "Two-factor authentication is required for your role",
+        "FORBIDDEN"
+      );
+    }
+
+    const isValid = await ConsumeTwoFactorCode(user, code);
+    if (!isValid) await RejectTwoFactorCode(user, context);
+
+    await RecordAuditedChange(
+      TwoFactorAuditEntry(context, user, "DisableTwoFactor", "DISABLE_TWO_FACTOR"),
+      () =>
+        User.updateOne(
+          { _id: user._id },
+          {
+            $set: {
+              "two_factor.enabled": false,
+              "two_factor.secret": null,
+              "two_factor.pending_secret": null,
+              "two_factor.last_used_step": null,
+              "two_factor.recovery_code_hashes": [],
+              "two_factor.confirmed_at": null,
+            },
+          }
+        )
+    );
+
+    return true;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to disable two-factor authentication");
+  }
+}
+
+/**
+ * Replace the recovery codes of the authenticated user, after checking a current code.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.code - TOTP code or unused recovery code.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<string[]>} The new recovery codes.
+ * @throws {AppError} BAD_REQUEST if 2FA is not enabled.
+ */
+async function RegenerateRecoveryCodes(_, { code }, context) {
+  try {
+    const user = await GetEnrollingUser(context);
+    if (!user.two_factor?.enabled) {
+      throw CreateAppError("Two-factor authentication is not enabled", "BAD_REQUEST");
+    }
+
+    const isValid = await ConsumeTwoFactorCode(user, code);
+    if (!isValid) await RejectTwoFactorCode(user, context);
+
+    const { codes, hashes } = GenerateRecoveryCodes();
+    await RecordAuditedChange(
+      TwoFactorAuditEntry(
+        context,
+        user,
+        "RegenerateRecoveryCodes",
+        "REGENERATE_RECOVERY_CODES"
+      ),
+      () =>
+        User.updateOne(
+          { _id: user._id },
+          { $set: { "two_factor.recovery_code_hashes": hashes } }
+        )
+    );
+
+    return codes;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to regenerate recovery codes");
+  }
+}
+
+// *************** FIELD RESOLVER ***************
+/**
+ * Whether the user has a confirmed second factor.
+ *
+ * @param {Object} user - Parent User object.
+ * @returns {boolean} True if 2FA is enabled.
+ */
+function two_factor_enabled(user) {
+  return Boolean(user.two_factor?.enabled);
+}
+
+/**
+ * Whether a TOTP code is required to complete the login. Payloads that did
+ * not set the flag (e.g. `RefreshToken`) default to false.
+ *
+ * @param {Object} login - Parent AuthLogin object.
+ * @returns {boolean} True if a TOTP code is required to complete the login.
+ */
+function two_factor_required(login) {
+  return Boolean(login.two_factor_required);
+}
+
+/**
+ * Whether the user must enroll a second factor to complete the login.
+ *
+ * @param {Object} login - Parent AuthLogin object.
+ * @returns {boolean} True if the user must enroll 2FA to complete the login.
+ */
+function two_factor_setup_required(login) {
+  return Boolean(login.two_factor_setup_required);
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  Mutation: {
+    EnableTwoFactor,
+    ConfirmTwoFactor,
+    VerifyTwoFactorLogin,
+    DisableTwoFactor,
+    RegenerateRecoveryCodes,
+  },
+  User: {
+    two_factor_enabled,
+  },
+  AuthLogin: {
+    two_factor_required,
+    two_factor_setup_required,
+  },
+};
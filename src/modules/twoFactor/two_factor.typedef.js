@@ -0,0 +1,33 @@
+// *************** IMPORT LIBRARY ***************
+
+const gql = require("graphql-tag");
+
+// *************** EXPORT MODULE ***************
+
+module.exports = gql`
+  type TwoFactorEnrollment {
+    secret: String!
+    otpauth_uri: String!
+  }
+
+  type TwoFactorConfirmation {
+    recovery_codes: [String!]!
+    login: AuthLogin
+  }
+
+  extend type User {
+    two_factor_enabled: Boolean!
+  }
+
+  extend type Mutation {
+    EnableTwoFactor(challenge_token: String): TwoFactorEnrollment!
+      @sensitive
+    ConfirmTwoFactor(code: String!, challenge_token: String): TwoFactorConfirmation!
+      @sensitive
+    VerifyTwoFactorLogin(challenge_token: String!, code: String!): AuthLogin!
+    DisableTwoFactor(code: String!): Boolean!
+      @sensitive
+    RegenerateRecoveryCodes(code: String!): [String!]!
+      @sensitive
+  }
+`;
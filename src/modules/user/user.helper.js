@@ -1,140 +1,274 @@
 // *************** IMPORT CORE ***************
-const { CreateAppError } = require("../../core/error");
+const { CLIENT_URL } = require("../../core/config");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const { SendEmailViaSendGrid } = require("../task/task.helper");
 
 // *************** IMPORT UTILITIES ***************
-const { USER } = require("../../shared/utils/enum");
+const { USER, INVITATION } = require("../../shared/utils/enum");
+const { CompileWhere, CompileSort } = require("../../shared/utils/query_filter");
+
+// *************** Fields of a user that can be filtered and sorted on
+const USER_QUERY_SPEC = {
+  fields: {
+    first_name: { type: "string", sortable: true },
+    last_name: { type: "string", sortable: true },
+    email: { type: "string", sortable: true },
+    department: { type: "string", sortable: true },
+    role: { type: "enum", values: USER.VALID_ROLE },
+    user_status: { type: "enum", values: USER.VALID_STATUS, sortable: true },
+    school_id: { type: "id", path: "school_ids" },
+    student_id: { type: "id" },
+    email_verified_at: { type: "date", sortable: true },
+    created_at: { type: "date", sortable: true },
+    updated_at: { type: "date", sortable: true },
+  },
+};
 
-const MAX_LIMIT = 10;
+// *************** Fields of an invitation that can be filtered and sorted on
+const INVITATION_QUERY_SPEC = {
+  fields: {
+    email: { type: "string", sortable: true },
+    status: { type: "enum", values: INVITATION.VALID_STATUS, sortable: true },
+    user_id: { type: "id" },
+    invited_by: { type: "id" },
+    sent_count: { type: "number", sortable: true },
+    last_sent_at: { type: "date", sortable: true },
+    expires_at: { type: "date", sortable: true },
+    accepted_at: { type: "date", sortable: true },
+  },
+};
 
 /**
- * Build a $match stage for user filtering.
+ * Translate the legacy `UserFilterInput` into the where language.
  *
  * @param {Object} filter - Filter object
- * @param {ObjectId} [fixedId] - Optional _id to match (for GetOneUser)
- * @returns {Object} matchStage object
+ * @returns {Object} Equivalent where input
  */
-function UserFilterStage(filter = {}, fixedId = null) {
-  const matchStage = {};
+function UserFilterToWhere(filter = {}) {
+  const where = {
+    user_status: filter.user_status ? { eq: filter.user_status } : null,
+    role: filter.role && filter.role.length > 0 ? { in: filter.role } : null,
+    created_at: filter.created_at,
+  };
+  return where;
+}
 
-  if (fixedId) {
-    matchStage._id = fixedId;
-  }
+/**
+ * Builds aggregation pipeline for GetAllUsers with filter, where and sort;
+ * pagination is applied by `PaginateAggregate`.
+ *
+ * @param {Object} filter - Legacy filter
+ * @param {Object} where - Where input (see `CompileWhere`)
+ * @param {Object|Object[]} sort - Sort input(s)
+ * @returns {Object} { pipeline, sort } with the compiled sort keys
+ */
+function UserQueryPipeline(filter = {}, where = null, sort = null) {
+  const pipeline = [];
 
-  if (filter.user_status) {
-    if (!USER.VALID_STATUS.includes(filter.user_status)) {
-      throw CreateAppError("Invalid user_status", "BAD_REQUEST", {
-        user_status: filter.user_status,
-      });
-    }
-    matchStage.user_status = filter.user_status;
+  const matchStages = [
+    CompileWhere(UserFilterToWhere(filter), USER_QUERY_SPEC),
+    CompileWhere(where, USER_QUERY_SPEC),
+  ];
+  for (const matchStage of matchStages) {
+    if (matchStage) pipeline.push({ $match: matchStage });
   }
 
-  if (filter.role && Array.isArray(filter.role) && filter.role.length > 0) {
-    const invalidRoles = filter.role.filter(
-      (role) => !USER.VALID_ROLE.includes(role)
-    );
-    if (invalidRoles.length > 0) {
-      throw CreateAppError("Invalid role filter value", "BAD_REQUEST", {
-        invalid_roles: invalidRoles,
-      });
-    }
-    matchStage.role = { $in: filter.role };
-  }
+  return { pipeline, sort: CompileSort(sort, USER_QUERY_SPEC) };
+}
 
-  if (filter.created_at) {
-    const createdAt = {};
-
-    if (filter.created_at.eq) {
-      if (filter.created_at.eq && isNaN(Date.parse(filter.created_at.eq))) {
-        throw CreateAppError("Invalid date format in eq", "BAD_REQUEST");
-      }
-      const eqDate = new Date(filter.created_at.eq);
-      const nextDay = new Date(eqDate);
-      nextDay.setDate(eqDate.getDate() + 1);
-      createdAt.$gte = eqDate;
-      createdAt.$lt = nextDay;
-    }
-    if (filter.created_at.gte) {
-      if (filter.created_at.gte && isNaN(Date.parse(filter.created_at.gte))) {
-        throw CreateAppError("Invalid date format in gte", "BAD_REQUEST");
-      }
-      createdAt.$gte = new Date(filter.created_at.gte);
-    }
-    if (filter.created_at.gt) {
-      if (filter.created_at.gt && isNaN(Date.parse(filter.created_at.gt))) {
-        throw CreateAppError("Invalid date format in gt", "BAD_REQUEST");
-      }
-      createdAt.$gt = new Date(filter.created_at.gt);
-    }
-    if (filter.created_at.lte) {
-      if (filter.created_at.lte && isNaN(Date.parse(filter.created_at.lte))) {
-        throw CreateAppError("Invalid date format in lte", "BAD_REQUEST");
-      }
-      createdAt.$lte = new Date(filter.created_at.lte);
-    }
-    if (filter.created_at.lt) {
-      if (filter.created_at.lt && isNaN(Date.parse(filter.created_at.lt))) {
-        throw CreateAppError("Invalid date format in lt", "BAD_REQUEST");
-      }
-      createdAt.$lt = new Date(filter.created_at.lt);
-    }
+/**
+ * Email a password reset link to a user.
+ *
+ * @param {Object} user - User document (needs `email` and `first_name`).
+ * @param {string} token - Plain password reset token.
+ * @returns {Promise<Object>} SendGrid response.
+ */
+async function SendPasswordResetEmail(user, token) {
+  const resetUrl = `${CLIENT_URL}/reset-password?token=${encodeURIComponent(
+    token
+  )}`;
 
-    if (Object.keys(createdAt).length > 0) {
-      matchStage.created_at = createdAt;
-    }
-  }
+  const emailPayload = {
+    to: user.email,
+    subject: "Reset your password",
+    html: `
+    <h2>Reset your password</h2>
+    <p>Hello ${user.first_name},</p>
+    <p>We received a request to reset your password. This link is valid for one hour and can only be used once.</p>
+    <p><a href="${resetUrl}">Reset password</a></p>
+    <p>If you did not request this, you can ignore this email.</p>
+  `,
+  };
 
-  return matchStage;
+  const sendEmailResponse = await SendEmailViaSendGrid(emailPayload);
+  return sendEmailResponse;
 }
 
 /**
- * Builds aggregation pipeline for GetAllUsers with filter, sort, pagination.
+ * Email an address verification link to a user.
  *
- * @param {Object} filter
- * @param {Object} sort
- * @param {Object} pagination
- * @returns {Object} { pipeline, page, limit }
+ * @param {Object} user - User document (needs `email` and `first_name`).
+ * @param {string} token - Plain email verification token.
+ * @returns {Promise<Object>} SendGrid response.
  */
-function UserQueryPipeline(filter = {}, sort = {}, pagination = {}) {
-  const pipeline = [];
+async function SendEmailVerificationEmail(user, token) {
+  const verifyUrl = `${CLIENT_URL}/verify-email?token=${encodeURIComponent(
+    token
+  )}`;
 
-  const matchStage = UserFilterStage(filter);
-  if (Object.keys(matchStage).length > 0) {
-    pipeline.push({ $match: matchStage });
-  }
+  const emailPayload = {
+    to: user.email,
+    subject: "Verify your email address",
+    html: `
+    <h2>Verify your email address</h2>
+    <p>Hello ${user.first_name},</p>
+    <p>Please confirm your email address to activate your account. This link is valid for 24 hours.</p>
+    <p><a href="${verifyUrl}">Verify email</a></p>
+  `,
+  };
+
+  const sendEmailResponse = await SendEmailViaSendGrid(emailPayload);
+  return sendEmailResponse;
+}
+
+/**
+ * Email an invitation link to a user created by `InviteUser`.
+ *
+ * @param {Object} user - Invited user (needs `email` and `first_name`).
+ * @param {string} token - Plain invitation token.
+ * @param {Object} [inviter] - User who sent the invitation.
+ * @returns {Promise<Object>} SendGrid response.
+ */
+async function SendInvitationEmail(user, token, inviter) {
+  const acceptUrl = `${CLIENT_URL}/accept-invitation?token=${encodeURIComponent(
+    token
+  )}`;
+  const inviterName = inviter?.first_name
+    ? `${inviter.first_name} ${inviter.last_name || ""}`.trim()
+    : "An administrator";
+
+  const emailPayload = {
+    to: user.email,
+    subject: "You have been invited to Zettacamp",
+    html: `
+    <h2>You have been invited</h2>
+    <p>Hello ${user.first_name},</p>
+    <p>${inviterName} created an account for you. Choose your password to activate it. This link is valid for 7 days and can only be used once.</p>
+    <p><a href="${acceptUrl}">Accept invitation</a></p>
+  `,
+  };
 
-  const sortField = sort.field || "created_at";
-  const sortOrder = sort.order === "ASC" ? 1 : -1;
-  const allowedSortFields = ["first_name", "last_name", "email", "created_at"];
-  if (sortField && !allowedSortFields.includes(sortField)) {
-    throw CreateAppError("Invalid sort field", "BAD_REQUEST", {
-      field: sortField,
-    });
+  const sendEmailResponse = await SendEmailViaSendGrid(emailPayload);
+  return sendEmailResponse;
+}
+
+/**
+ * Builds aggregation pipeline for GetAllInvitations.
+ *
+ * Runs on the invitation tokens: only the latest token of each invited user
+ * is kept, and its state is derived from the token and the user.
+ *
+ * @param {Object} filter - Legacy filter object (`status`).
+ * @param {Object} where - Where input on the invitation fields.
+ * @param {Object|Object[]} sort - Sort input(s), latest invitations first by default.
+ * @param {Object} userScopeQuery - Condition on the invited user ID (`_id`).
+ * @returns {Object} { pipeline, sort }
+ */
+function InvitationQueryPipeline(
+  filter = {},
+  where = null,
+  sort = null,
+  userScopeQuery = {}
+) {
+  const pipeline = [
+    { $match: { token_type: "INVITATION" } },
+    { $sort: { created_at: -1 } },
+    {
+      $group: {
+        _id: "$user_id",
+        token_id: { $first: "$_id" },
+        expires_at: { $first: "$expires_at" },
+        used_at: { $first: "$used_at" },
+        revoked_at: { $first: "$revoked_at" },
+        last_sent_at: { $first: "$created_at" },
+        sent_count: { $sum: 1 },
+      },
+    },
+  ];
+
+  if (Object.keys(userScopeQuery).length > 0) {
+    pipeline.push({ $match: userScopeQuery });
   }
 
-  pipeline.push({ $sort: { [sortField]: sortOrder } });
-
-  const page =
-    Number.isInteger(pagination.page) && pagination.page > 0
-      ? pagination.page
-      : 1;
-  const limit =
-    Number.isInteger(pagination.limit) && pagination.limit > 0
-      ? pagination.limit
-      : MAX_LIMIT;
-  const skip = (page - 1) * limit;
-
-  pipeline.push({
-    $facet: {
-      data: [{ $skip: skip }, { $limit: limit }],
-      metadata: [{ $count: "total" }],
+  pipeline.push(
+    {
+      $lookup: {
+        from: "users",
+        localField: "_id",
+        foreignField: "_id",
+        as: "user",
+      },
     },
-  });
+    { $unwind: "$user" },
+    {
+      $project: {
+        _id: "$token_id",
+        user_id: "$_id",
+        email: "$user.email",
+        invited_by: "$user.created_by",
+        sent_count: 1,
+        last_sent_at: 1,
+        expires_at: 1,
+        accepted_at: "$used_at",
+        status: {
+          $switch: {
+            branches: [
+              {
+                case: { $ne: [{ $ifNull: ["$used_at", null] }, null] },
+                then: "ACCEPTED",
+              },
+              {
+                case: {
+                  $or: [
+                    { $ne: [{ $ifNull: ["$revoked_at", null] }, null] },
+                    { $eq: ["$user.user_status", "DELETED"] },
+                  ],
+                },
+                then: "REVOKED",
+              },
+              { case: { $lte: ["$expires_at", new Date()] }, then: "EXPIRED" },
+            ],
+            default: "PENDING",
+          },
+        },
+      },
+    }
+  );
+
+  const matchStages = [
+    CompileWhere(
+      { status: filter?.status ? { eq: filter.status } : null },
+      INVITATION_QUERY_SPEC
+    ),
+    CompileWhere(where, INVITATION_QUERY_SPEC),
+  ];
+  for (const matchStage of matchStages) {
+    if (matchStage) pipeline.push({ $match: matchStage });
+  }
 
-  return { pipeline, page, limit };
+  const invitationSort = CompileSort(sort, INVITATION_QUERY_SPEC) || {
+    field: "last_sent_at",
+    order: -1,
+  };
+  return { pipeline, sort: invitationSort };
 }
 
 // *************** EXPORT MODULE ***************
 module.exports = {
   UserQueryPipeline,
+  InvitationQueryPipeline,
+  SendPasswordResetEmail,
+  SendEmailVerificationEmail,
+  SendInvitationEmail,
 };
@@ -1,7 +1,8 @@
 // *************** IMPORT LIBRARY ***************
-const { Schema, model } = require("mongoose");
+const { Schema, model, Types } = require("mongoose");
 
 // ************** IMPORT UTILITIES *************
+const { ActorStampPlugin } = require("../../shared/utils/actor_stamp");
 const { USER } = require("../../shared/utils/enum");
 
 const userSchema = new Schema(
@@ -28,10 +29,65 @@ const userSchema = new Schema(
       trim: true,
     },
 
-    // Hashed password for authentication
+    // Timestamp when the user confirmed ownership of the email address
+    email_verified_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Login is refused until this time after too many failed attempts
+    account_locked_until: {
+      type: Date,
+      default: null,
+    },
+
+    // Time-based one-time password (TOTP) second factor
+    two_factor: {
+      // Whether a confirmed authenticator is required at login
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Encrypted secret of the confirmed authenticator
+      secret: {
+        type: String,
+        default: null,
+      },
+      // Encrypted secret waiting for ConfirmTwoFactor
+      pending_secret: {
+        type: String,
+        default: null,
+      },
+      // Last accepted TOTP time step, a code can never be used twice
+      last_used_step: {
+        type: Number,
+        default: null,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recovery_code_hashes: {
+        type: [String],
+        default: [],
+      },
+      // Timestamp when the second factor was confirmed
+      confirmed_at: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    // Hashed password for authentication (null until an invitation is accepted)
     password: {
       type: String,
-      required: true,
+      default: null,
+      required: function () {
+        return !(this.user_status === "PENDING" && this.invited_at);
+      },
+    },
+
+    // Timestamp when the user was invited to set their own password
+    invited_at: {
+      type: Date,
+      default: null,
     },
 
     // Role(s) assigned to the user
@@ -69,6 +125,20 @@ const userSchema = new Schema(
       type: [String],
     },
 
+    // Schools (tenants) the user is attached to
+    school_ids: {
+      type: [Types.ObjectId],
+      ref: "School",
+      default: [],
+    },
+
+    // Student record owned by this account (STUDENT role only)
+    student_id: {
+      type: Types.ObjectId,
+      ref: "Student",
+      default: null,
+    },
+
     // User preferences (language, timezone)
     preferences: {
       language: {
@@ -83,12 +153,16 @@ const userSchema = new Schema(
 
     // ID of the user who created this record
     created_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
     },
 
     // ID of the user who last updated this record
     updated_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
     },
 
     // Timestamp when user was soft-deleted
@@ -99,7 +173,9 @@ const userSchema = new Schema(
 
     // ID of the user who deleted this record
     deleted_by: {
-      type: String,
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
     },
   },
   {
@@ -107,5 +183,17 @@ const userSchema = new Schema(
   }
 );
 
+userSchema.index(
+  { student_id: 1 },
+  { unique: true, partialFilterExpression: { student_id: { $type: "objectId" } } }
+);
+
+userSchema.index(
+  { first_name: "text", last_name: "text", email: "text" },
+  { name: "user_search", weights: { first_name: 5, last_name: 5, email: 2 } }
+);
+
+userSchema.plugin(ActorStampPlugin);
+
 // *************** EXPORT MODULE ***************
 module.exports = model("User", userSchema);
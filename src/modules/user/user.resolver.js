@@ -1,27 +1,142 @@
 // *************** IMPORT LIBRARY ***************
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 
 // *************** IMPORT MODULE ***************
 const User = require("./user.model.js");
+const UserToken = require("../userToken/user_token.model.js");
 
 // *************** IMPORT VALIDATOR ***************
 const {
   ValidateCreateUserInput,
   ValidateUpdateUserInput,
   ValidateLoginInput,
+  ValidateEmailInput,
+  ValidateResetPasswordInput,
+  ValidateAcceptInvitationInput,
 } = require("./user.validator.js");
 
 // *************** IMPORT UTILITIES ***************
+const { ActorFieldResolvers } = require("../../shared/utils/actor_stamp");
 const { ValidateMongoId } = require("../../shared/utils/validate_mongo_id.js");
-const { CheckRoleAccess } = require("../../shared/utils/check_role_access.js");
+const {
+  PaginateAggregate,
+  PaginateAggregateConnection,
+} = require("../../shared/utils/pagination.js");
+const {
+  GetEffectivePermissions,
+  CheckGrantablePermissions,
+} = require("../../shared/utils/check_permission.js");
+const {
+  GetTenantSchoolIds,
+  GetUserScopeQuery,
+  CheckSchoolAccess,
+  CheckStudentAccess,
+  CheckUserAccess,
+} = require("../../shared/utils/tenant_scope.js");
 
 // *************** IMPORT CORE ***************
 const { HandleCaughtError, CreateAppError } = require("../../core/error.js");
-const { JWT_SECRET } = require("../../core/config.js");
 
 // *************** IMPORT HELPER FUNCTION ***************
-const { UserQueryPipeline } = require("./user.helper.js");
+const {
+  UserQueryPipeline,
+  InvitationQueryPipeline,
+  SendPasswordResetEmail,
+  SendEmailVerificationEmail,
+  SendInvitationEmail,
+} = require("./user.helper.js");
+const {
+  CreateSession,
+  RotateRefreshToken,
+  RevokeSession,
+  RevokeAllUserSessions,
+} = require("../session/session.helper.js");
+const {
+  IssueUserToken,
+  ConsumeUserToken,
+} = require("../userToken/user_token.helper.js");
+const { RecordAuditedChange } = require("../auditLog/audit_log.helper.js");
+const {
+  CheckLoginThrottle,
+  RecordFailedLogin,
+  ClearFailedLogins,
+} = require("../loginAttempt/login_attempt.helper.js");
+const {
+  BuildTwoFactorChallenge,
+} = require("../twoFactor/two_factor.helper.js");
+
+/**
+ * Ensure every school a user is attached to is within the caller's schools.
+ *
+ * Callers restricted to specific schools must attach the user to at least one
+ * of their schools, otherwise the new user would be out of their reach.
+ *
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @param {string[]} [schoolIds] - Schools the user is attached to.
+ * @throws {AppError} FORBIDDEN if a school is outside the caller's schools.
+ */
+async function CheckUserSchoolsAccess(context, schoolIds = []) {
+  const tenantSchoolIds = await GetTenantSchoolIds(context);
+  if (!tenantSchoolIds) return;
+
+  if (!schoolIds || schoolIds.length === 0) {
+    throw CreateAppError(
+      "Access denied: user must be attached to one of your schools",
+      "FORBIDDEN",
+      { field: "school_ids" }
+    );
+  }
+
+  for (const schoolId of schoolIds) {
+    await CheckSchoolAccess(context, schoolId);
+  }
+}
+
+/**
+ * Build the aggregation pipeline of a user list from its filter, where and sort inputs.
+ *
+ * @param {Object} [filter] - Optional filter object (`user_status`).
+ * @param {Object} [where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [sort] - Optional sort keys, applied in order.
+ * @param {Object} context - GraphQL context, users are restricted to the caller's schools.
+ * @returns {Promise<Object>} `{ pipeline, sort }`, the filtering stages and the normalized sort.
+ * @throws {AppError} If the filter, where or sort input is invalid.
+ */
+async function BuildUserListPipeline(filter, where, sort, context) {
+  const { pipeline, sort: userSort } = UserQueryPipeline(filter, where, sort);
+
+  // *************** Restrict to users attached to the caller's schools
+  const userScopeQuery = await GetUserScopeQuery(context, "_id");
+  if (Object.keys(userScopeQuery).length > 0) {
+    pipeline.unshift({ $match: userScopeQuery });
+  }
+
+  const listPipeline = { pipeline, sort: userSort };
+  return listPipeline;
+}
+
+/**
+ * Build the aggregation pipeline of an invitation list from its filter, where and sort inputs.
+ *
+ * @param {Object} [filter] - Optional filter object (`status`).
+ * @param {Object} [where] - Optional where input on the invitation fields.
+ * @param {Object[]} [sort] - Optional sort keys, latest sent first by default.
+ * @param {Object} context - GraphQL context, invitations are restricted to users of the caller's schools.
+ * @returns {Promise<Object>} `{ pipeline, sort }`, the filtering stages and the normalized sort.
+ * @throws {AppError} If the filter, where or sort input is invalid.
+ */
+async function BuildInvitationListPipeline(filter, where, sort, context) {
+  const userScopeQuery = await GetUserScopeQuery(context, "_id");
+  const { pipeline, sort: invitationSort } = InvitationQueryPipeline(
+    filter,
+    where,
+    sort,
+    userScopeQuery
+  );
+
+  const listPipeline = { pipeline, sort: invitationSort };
+  return listPipeline;
+}
 
 // *************** QUERY ***************
 
@@ -32,33 +147,27 @@ const { UserQueryPipeline } = require("./user.helper.js");
  * @param {Object} args - Resolver arguments.
  * @param {Object} [args.filter] - Optional filter object.
  * @param {string} [args.filter.user_status] - Filter by user status.
- * @returns {Promise<Array>} List of users matching the criteria.
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Array>} List of users of the caller's schools matching the criteria.
  */
 
-async function GetAllUsers(_, { filter, sort, pagination }, context) {
+async function GetAllUsers(_, { filter, where, sort, pagination }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
-
-    const { pipeline, page, limit } = UserQueryPipeline(
+    const { pipeline, sort: userSort } = await BuildUserListPipeline(
       filter,
+      where,
       sort,
-      pagination
+      context
+    );
+
+    const userResponse = await PaginateAggregate(
+      User,
+      pipeline,
+      pagination,
+      userSort
     );
-    const result = await User.aggregate(pipeline);
-
-    const data = result[0].data;
-    const total = result[0].metadata[0]?.total || 0;
-    const totalPages = Math.ceil(total / limit);
-
-    const userResponse = {
-      data,
-      meta: {
-        total,
-        total_pages: totalPages,
-        current_page: page,
-        per_page: limit,
-      },
-    };
 
     return userResponse;
   } catch (error) {
@@ -66,6 +175,47 @@ async function GetAllUsers(_, { filter, sort, pagination }, context) {
   }
 }
 
+/**
+ * Get one page of users as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetAllUsers`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter object (`user_status`).
+ * @param {Object} [args.where] - Optional where input (field operators, and/or/not).
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function GetAllUsersConnection(
+  _,
+  { filter, where, sort, pagination },
+  context
+) {
+  try {
+    const { pipeline, sort: userSort } = await BuildUserListPipeline(
+      filter,
+      where,
+      sort,
+      context
+    );
+
+    const userConnection = await PaginateAggregateConnection(
+      User,
+      pipeline,
+      pagination,
+      userSort
+    );
+
+    return userConnection;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch users");
+  }
+}
+
 /**
  * Get a single user by ID and optional status filter.
  *
@@ -74,13 +224,15 @@ async function GetAllUsers(_, { filter, sort, pagination }, context) {
  * @param {string} args.id - User ID.
  * @param {Object} [args.filter] - Optional filter object.
  * @param {string} [args.filter.user_status] - Filter by user status.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  * @returns {Promise<Object>} The user document.
+ * @throws {AppError} FORBIDDEN if the user is outside the caller's schools.
  */
 
 async function GetOneUser(_, { id }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const userId = await ValidateMongoId(id);
+    await CheckUserAccess(context, userId);
 
     const user = User.findById(userId).lean();
 
@@ -94,6 +246,88 @@ async function GetOneUser(_, { id }, context) {
   }
 }
 
+/**
+ * List invitations with their state (PENDING, ACCEPTED, EXPIRED, REVOKED).
+ *
+ * Each invited user appears once, with the state of the latest link sent.
+ *
+ * @param {Object} _ - Unused first resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter object (`status`).
+ * @param {Object} [args.where] - Optional where input on the invitation fields.
+ * @param {Object[]} [args.sort] - Optional sort keys, latest sent first by default.
+ * @param {Object} [args.pagination] - Optional pagination object.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} Paginated invitations of users attached to the caller's schools.
+ */
+
+async function GetAllInvitations(
+  _,
+  { filter, where, sort, pagination },
+  context
+) {
+  try {
+    const { pipeline, sort: invitationSort } = await BuildInvitationListPipeline(
+      filter,
+      where,
+      sort,
+      context
+    );
+
+    const invitationResponse = await PaginateAggregate(
+      UserToken,
+      pipeline,
+      pagination,
+      invitationSort
+    );
+
+    return invitationResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch invitations");
+  }
+}
+
+/**
+ * Get one page of invitations as a connection, read with cursors.
+ *
+ * Takes the same arguments as `GetAllInvitations`, with a cursor instead of a page.
+ *
+ * @param {Object} _ - Unused parent resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} [args.filter] - Optional filter object (`status`).
+ * @param {Object} [args.where] - Optional where input on the invitation fields.
+ * @param {Object[]} [args.sort] - Optional sort keys, applied in order.
+ * @param {Object} [args.pagination] - Optional cursor (first/after, last/before).
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ * @throws {AppError} If a filter or the cursor is invalid or if the database query fails.
+ */
+async function GetAllInvitationsConnection(
+  _,
+  { filter, where, sort, pagination },
+  context
+) {
+  try {
+    const { pipeline, sort: invitationSort } = await BuildInvitationListPipeline(
+      filter,
+      where,
+      sort,
+      context
+    );
+
+    const invitationConnection = await PaginateAggregateConnection(
+      UserToken,
+      pipeline,
+      pagination,
+      invitationSort
+    );
+
+    return invitationConnection;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to fetch invitations");
+  }
+}
+
 // *************** MUTATION ***************
 /**
  * Create a new user.
@@ -101,12 +335,23 @@ async function GetOneUser(_, { id }, context) {
  * @param {Object} _ - Unused first resolver argument.
  * @param {Object} args - Resolver arguments.
  * @param {Object} args.input - User input data.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  * @returns {Promise<Object>} The created user document.
+ * @throws {AppError} FORBIDDEN if the user is attached to schools outside the caller's schools,
+ * or given a role or permission the caller does not hold.
  */
 
-async function CreateUser(_, { input }) {
+async function CreateUser(_, { input }, context) {
   try {
     ValidateCreateUserInput(input);
+    CheckGrantablePermissions(context, {
+      role: input.role,
+      permissions: input.permissions,
+    });
+    await CheckUserSchoolsAccess(context, input.school_ids);
+    if (input.student_id) {
+      await CheckStudentAccess(context, input.student_id);
+    }
 
     const existing = await User.findOne({ email: input.email });
     if (existing) {
@@ -130,6 +375,8 @@ async function CreateUser(_, { input }) {
       profile_picture_url: input.profile_picture_url,
       department: input.department,
       permissions: input.permissions,
+      school_ids: input.school_ids,
+      student_id: input.student_id,
       preferences: input.preferences,
     };
 
@@ -147,19 +394,45 @@ async function CreateUser(_, { input }) {
  * @param {Object} args - Resolver arguments.
  * @param {string} args.id - User ID.
  * @param {Object} args.input - Updated user data.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  * @returns {Promise<Object>} The updated user document.
+ * @throws {AppError} FORBIDDEN if the user or the new schools are outside the caller's schools,
+ * or the user gains a role or permission the caller does not hold.
  */
 async function UpdateUser(_, { id, input }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     ValidateUpdateUserInput(input);
     const userId = await ValidateMongoId(id);
+    await CheckUserAccess(context, userId);
+    if (input.school_ids) {
+      await CheckUserSchoolsAccess(context, input.school_ids);
+    }
+    if (input.student_id) {
+      await CheckStudentAccess(context, input.student_id);
+    }
 
     const currentUser = await User.findById(userId);
     if (!currentUser) {
       throw CreateAppError("User not found", "NOT_FOUND", { userId });
     }
 
+    const nextRole = input.role || currentUser.role;
+    CheckGrantablePermissions(
+      context,
+      {
+        role: nextRole,
+        permissions: input.permissions || currentUser.permissions,
+      },
+      currentUser
+    );
+    if (input.student_id && !nextRole.includes("STUDENT")) {
+      throw CreateAppError(
+        "Only STUDENT accounts can be linked to a student record.",
+        "VALIDATION_ERROR",
+        { field: "student_id" }
+      );
+    }
+
     if (input.email && input.email !== currentUser.email) {
       const existing = await User.findOne({ email: input.email });
       if (existing) {
@@ -184,8 +457,9 @@ async function UpdateUser(_, { id, input }, context) {
       profile_picture_url: input.profile_picture_url,
       department: input.department,
       permissions: input.permissions,
+      school_ids: input.school_ids,
+      student_id: input.student_id,
       preferences: input.preferences,
-      updated_by: input.updated_by,
     };
 
     const updated = await User.updateOne(
@@ -197,6 +471,13 @@ async function UpdateUser(_, { id, input }, context) {
       throw CreateAppError("User not found", "NOT_FOUND", { userId });
     }
 
+    // *************** Existing sessions must not outlive a password change or deletion
+    if (input.password) {
+      await RevokeAllUserSessions(userId, "PASSWORD_CHANGED");
+    } else if (input.user_status === "DELETED") {
+      await RevokeAllUserSessions(userId, "USER_DELETED");
+    }
+
     const updateUserResponse = { id: userId };
     return updateUserResponse;
   } catch (error) {
@@ -210,13 +491,15 @@ async function UpdateUser(_, { id, input }, context) {
  * @param {Object} _ - Unused first resolver argument.
  * @param {Object} args - Resolver arguments.
  * @param {string} args.id - User ID.
+ * @param {Object} context - GraphQL context containing the authenticated user.
  * @returns {Promise<Object>} The deleted (soft) user document.
+ * @throws {AppError} FORBIDDEN if the user is outside the caller's schools.
  */
 
 async function DeleteUser(_, { id }, context) {
   try {
-    CheckRoleAccess(context, ["ACADEMIC_ADMIN", "ACADEMIC_DIRECTOR"]);
     const userId = await ValidateMongoId(id);
+    await CheckUserAccess(context, userId);
 
     const deleted = await User.updateOne(
       { _id: userId, user_status: { $ne: "DELETED" } },
@@ -232,6 +515,8 @@ async function DeleteUser(_, { id }, context) {
       throw CreateAppError("User not found", "NOT_FOUND", { userId });
     }
 
+    await RevokeAllUserSessions(userId, "USER_DELETED");
+
     const deleteUserResponse = { id: userId };
     return deleteUserResponse;
   } catch (error) {
@@ -240,14 +525,207 @@ async function DeleteUser(_, { id }, context) {
 }
 
 /**
- * Authenticate a user and return a JWT token along with user data.
+ * Lift the temporary lock of an account and reset its failed login attempts.
+ *
+ * @param {Object} _ - Unused first resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.id - User ID.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The unlocked user.
+ * @throws {AppError} NOT_FOUND if the user does not exist, FORBIDDEN if outside the caller's schools.
+ */
+
+async function UnlockUser(_, { id }, context) {
+  try {
+    const userId = await ValidateMongoId(id);
+    await CheckUserAccess(context, userId);
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, user_status: { $ne: "DELETED" } },
+      { $set: { account_locked_until: null } },
+      { new: true }
+    )
+      .select("-password")
+      .lean();
+    if (!user) {
+      throw CreateAppError("User not found", "NOT_FOUND", { userId });
+    }
+
+    await ClearFailedLogins(user.email);
+
+    return user;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to unlock user");
+  }
+}
+
+/**
+ * Invite a new user: the account is created as `PENDING` without a password
+ * and an invitation link is emailed so the user can choose their password.
+ *
+ * @param {Object} _ - Unused first resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} args.input - Invited user data.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The invited user.
+ * @throws {AppError} DUPLICATE_FIELD if the email is already in use.
+ * @throws {AppError} FORBIDDEN if the user is attached to schools outside the caller's schools,
+ * or invited with a role or permission the inviter does not hold.
+ */
+
+async function InviteUser(_, { input }, context) {
+  try {
+    ValidateCreateUserInput(input, { requirePassword: false });
+    CheckGrantablePermissions(context, {
+      role: input.role,
+      permissions: input.permissions,
+    });
+    await CheckUserSchoolsAccess(context, input.school_ids);
+    if (input.student_id) {
+      await CheckStudentAccess(context, input.student_id);
+    }
+
+    const existing = await User.findOne({ email: input.email });
+    if (existing) {
+      throw CreateAppError("Email is already in use", "DUPLICATE_FIELD", {
+        field: "email",
+      });
+    }
+
+    const user = await User.create({
+      first_name: input.first_name,
+      last_name: input.last_name,
+      email: input.email,
+      role: input.role,
+      user_status: "PENDING",
+      invited_at: new Date(),
+      phone: input.phone,
+      profile_picture_url: input.profile_picture_url,
+      department: input.department,
+      permissions: input.permissions,
+      school_ids: input.school_ids,
+      student_id: input.student_id,
+      preferences: input.preferences,
+    });
+
+    const { token } = await IssueUserToken(user._id, "INVITATION");
+    await SendInvitationEmail(user, token, context.user);
+
+    const inviteUserResponse = user.toObject();
+    delete inviteUserResponse.password;
+    return inviteUserResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to invite user", "VALIDATION_ERROR");
+  }
+}
+
+/**
+ * Send a new invitation link to a user who has not accepted yet.
+ *
+ * The previous link stops working and the expiry starts over.
+ *
+ * @param {Object} _ - Unused first resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.id - Invited user ID.
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @returns {Promise<Object>} The invited user.
+ * @throws {AppError} NOT_FOUND if there is no pending invitation for the user.
+ */
+
+async function ResendInvitation(_, { id }, context) {
+  try {
+    const userId = await ValidateMongoId(id);
+    await CheckUserAccess(context, userId);
+
+    const user = await User.findOne({
+      _id: userId,
+      user_status: "PENDING",
+      invited_at: { $ne: null },
+      password: null,
+    })
+      .select("-password")
+      .lean();
+    if (!user) {
+      throw CreateAppError("No pending invitation for this user", "NOT_FOUND", {
+        userId,
+      });
+    }
+
+    const { token } = await IssueUserToken(user._id, "INVITATION");
+    await SendInvitationEmail(user, token, context.user);
+
+    return user;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to resend invitation");
+  }
+}
+
+/**
+ * Accept an invitation: set the password and activate the account.
+ *
+ * Following the emailed link proves ownership of the address, so the email
+ * is marked as verified as well.
+ *
+ * @param {Object} _ - Unused first resolver argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.token - Invitation token from the email link.
+ * @param {string} args.password - Password chosen by the user.
+ * @returns {Promise<Object>} The activated user.
+ * @throws {AppError} If the token is invalid, expired or already used, or the password is too weak.
+ */
+
+async function AcceptInvitation(_, { token, password }) {
+  try {
+    ValidateAcceptInvitationInput(token, password);
+
+    const { user_id } = await ConsumeUserToken(token, "INVITATION");
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const now = new Date();
+
+    const user = await User.findOneAndUpdate(
+      { _id: user_id, user_status: "PENDING", password: null },
+      {
+        $set: {
+          password: hashedPassword,
+          user_status: "ACTIVE",
+          email_verified_at: now,
+        },
+      },
+      { new: true }
+    )
+      .select("-password")
+      .lean();
+    if (!user) {
+      throw CreateAppError("Invitation is no longer valid", "VALIDATION_ERROR", {
+        field: "token",
+      });
+    }
+
+    return user;
+  } catch (error) {
+    throw HandleCaughtError(
+      error,
+      "Failed to accept invitation",
+      "VALIDATION_ERROR"
+    );
+  }
+}
+
+/**
+ * Authenticate a user and return an access token, a refresh token and user data.
  *
  * This mutation performs the login process by:
+ * - Refusing attempts made too early for the account or the client IP.
  * - Validating the input email and password via `ValidateLoginInput`.
- * - Verifying credentials and rejecting unauthorized attempts.
- * - Generating a JWT token with payload: `{ user_id, role }`.
- * - Setting a token expiration of 7 days.
- * - Returning the token and the user data (excluding the password).
+ * - Verifying credentials and rejecting unauthorized attempts, each failure
+ *   being counted towards the account and IP lockout.
+ * - Returning a challenge token instead of the session when a second factor
+ *   is enabled (`VerifyTwoFactorLogin`) or required for the user's role
+ *   (`EnableTwoFactor` then `ConfirmTwoFactor`).
+ * - Opening a server-side session for the user.
+ * - Generating a short-lived JWT access token with payload: `{ user_id, role, session_id }`.
+ * - Generating a refresh token that can be rotated through `RefreshToken`.
+ * - Returning the tokens and the user data (excluding the password).
  *
  * @async
  * @function AuthLogin
@@ -256,29 +734,52 @@ async function DeleteUser(_, { id }, context) {
  * @param {Object} args.input - The login input containing email and password.
  * @param {string} args.input.email - User email used for authentication.
  * @param {string} args.input.password - User password to be verified.
+ * @param {Object} context - GraphQL context, `client` is stored on the session.
  * @returns {Promise<Object>} An object containing:
- *   - {string} token: Signed JWT token for the authenticated user.
+ *   - {string} token: Signed JWT access token for the authenticated user.
+ *   - {Date} token_expires_at: Expiry of the access token.
+ *   - {string} refresh_token: Opaque refresh token bound to the session.
+ *   - {Date} refresh_token_expires_at: Expiry of the session.
  *   - {Object} user: The authenticated user's data (password already stripped).
- * @throws {AppError} If validation fails or credentials are invalid.
+ *   or, for the two-step login, `two_factor_required`/`two_factor_setup_required`
+ *   with `challenge_token` and `challenge_expires_at`.
+ * @throws {AppError} INVALID_CREDENTIALS if the email or password is wrong.
+ * @throws {AppError} ACCOUNT_LOCKED if the account is locked, with `locked_until` metadata.
+ * @throws {AppError} TOO_MANY_ATTEMPTS if retried too early, with `retry_after_seconds` metadata.
  */
 
-async function AuthLogin(_, { input }) {
+async function AuthLogin(_, { input }, context) {
   try {
     const { email, password } = input;
+    const ipAddress = context?.client?.ip_address || null;
 
-    const user = await ValidateLoginInput(email, password);
+    await CheckLoginThrottle(email, ipAddress);
 
-    const payload = {
-      user_id: String(user._id),
-      role: user.role,
-    };
+    let user;
+    try {
+      user = await ValidateLoginInput(email, password);
+    } catch (error) {
+      if (error.extensions?.type !== "INVALID_CREDENTIALS") throw error;
 
-    const token = jwt.sign(payload, JWT_SECRET, {
-      expiresIn: "7d",
-    });
+      const lockedUntil = await RecordFailedLogin(email, ipAddress);
+      if (lockedUntil) {
+        throw CreateAppError("Account is temporarily locked", "ACCOUNT_LOCKED", {
+          locked_until: lockedUntil,
+        });
+      }
+      throw error;
+    }
+
+    await ClearFailedLogins(email);
+
+    // *************** Second step: a TOTP code, or enrollment when 2FA is mandatory
+    const twoFactorChallenge = BuildTwoFactorChallenge(user);
+    if (twoFactorChallenge) return twoFactorChallenge;
+
+    const tokens = await CreateSession(user, context?.client);
 
     const loginResult = {
-      token,
+      ...tokens,
       user: user,
     };
     return loginResult;
@@ -287,16 +788,380 @@ async function AuthLogin(_, { input }) {
   }
 }
 
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ *
+ * The presented refresh token is rotated: it becomes unusable and a new one
+ * is returned. Presenting an already rotated token revokes the whole session.
+ *
+ * @async
+ * @function RefreshToken
+ * @param {Object} _ - Unused resolver parent argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.refresh_token - Refresh token issued by `AuthLogin` or a previous refresh.
+ * @returns {Promise<Object>} New token pair and the user data.
+ * @throws {AppError} If the refresh token is invalid, expired, revoked or reused.
+ */
+
+async function RefreshToken(_, { refresh_token }) {
+  try {
+    const refreshResult = await RotateRefreshToken(
+      refresh_token,
+      async (userId) => {
+        const user = await User.findOne({
+          _id: userId,
+          user_status: { $ne: "DELETED" },
+        })
+          .select("-password")
+          .lean();
+        return user;
+      }
+    );
+
+    return refreshResult;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to refresh token", "UNAUTHORIZED");
+  }
+}
+
+/**
+ * Revoke the session the current access token belongs to.
+ *
+ * @async
+ * @function Logout
+ * @param {Object} _ - Unused resolver parent argument.
+ * @param {Object} __ - Unused resolver arguments.
+ * @param {Object} context - GraphQL context containing `user` and `session`.
+ * @returns {Promise<boolean>} True when the session has been revoked.
+ * @throws {AppError} If the request is not authenticated.
+ */
+
+async function Logout(_, __, context) {
+  try {
+    if (!context?.user || !context?.session) {
+      throw CreateAppError("User not authenticated", "UNAUTHORIZED");
+    }
+
+    const logoutResponse = await RevokeSession(context.session._id, "LOGOUT");
+    return logoutResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to logout", "UNAUTHORIZED");
+  }
+}
+
+/**
+ * Revoke every active session of the current user, including this one.
+ *
+ * @async
+ * @function LogoutAllSessions
+ * @param {Object} _ - Unused resolver parent argument.
+ * @param {Object} __ - Unused resolver arguments.
+ * @param {Object} context - GraphQL context containing `user`.
+ * @returns {Promise<Object>} `{ revoked_sessions }` number of revoked sessions.
+ * @throws {AppError} If the request is not authenticated.
+ */
+
+async function LogoutAllSessions(_, __, context) {
+  try {
+    if (!context?.user) {
+      throw CreateAppError("User not authenticated", "UNAUTHORIZED");
+    }
+
+    const revokedSessions = await RevokeAllUserSessions(
+      context.user._id,
+      "LOGOUT_ALL"
+    );
+
+    const logoutAllSessionsResponse = { revoked_sessions: revokedSessions };
+    return logoutAllSessionsResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to logout sessions", "UNAUTHORIZED");
+  }
+}
+
+/**
+ * Send a password reset link to the given email address.
+ *
+ * Always resolves to `true` whether or not the email belongs to an account,
+ * so the mutation cannot be used to discover registered addresses. For the
+ * same reason, a reset email that cannot be sent is logged, not reported.
+ *
+ * @async
+ * @function RequestPasswordReset
+ * @param {Object} _ - Unused resolver parent argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.email - Email address of the account.
+ * @returns {Promise<boolean>} Always `true` once the request is processed.
+ * @throws {AppError} If the email format is invalid.
+ */
+
+async function RequestPasswordReset(_, { email }) {
+  try {
+    const validEmail = ValidateEmailInput(email);
+
+    const user = await User.findOne({
+      email: validEmail,
+      user_status: { $ne: "DELETED" },
+    }).lean();
+
+    if (user) {
+      // *************** A failed send must not tell existing addresses apart, it is only logged
+      try {
+        const { token } = await IssueUserToken(user._id, "PASSWORD_RESET");
+        await SendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error("[PASSWORD_RESET] Failed to send password reset email:", error.message);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    throw HandleCaughtError(
+      error,
+      "Failed to request password reset",
+      "VALIDATION_ERROR"
+    );
+  }
+}
+
+/**
+ * Set a new password using a password reset token.
+ *
+ * The token is single-use and expires after one hour. Every existing session
+ * of the user is revoked once the password has been changed.
+ *
+ * @async
+ * @function ResetPassword
+ * @param {Object} _ - Unused resolver parent argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {Object} args.input - Reset password input (`token`, `password`).
+ * @param {Object} context - GraphQL context, the change is recorded in the audit log.
+ * @returns {Promise<boolean>} `true` when the password has been changed.
+ * @throws {AppError} If the token is invalid/expired or the password is too weak.
+ */
+
+async function ResetPassword(_, { input }, context) {
+  try {
+    ValidateResetPasswordInput(input);
+
+    const { user_id } = await ConsumeUserToken(input.token, "PASSWORD_RESET");
+    const hashedPassword = await bcrypt.hash(input.password, 10);
+
+    await RecordAuditedChange(
+      {
+        context,
+        mutation: "ResetPassword",
+        entity_type: "USER",
+        operation: "RESET_PASSWORD",
+        entity_id: user_id,
+      },
+      async () => {
+        const updated = await User.updateOne(
+          { _id: user_id, user_status: { $ne: "DELETED" } },
+          { $set: { password: hashedPassword } }
+        );
+
+        if (updated.matchedCount === 0) {
+          throw CreateAppError("User not found", "NOT_FOUND", { user_id });
+        }
+
+        await RevokeAllUserSessions(user_id, "PASSWORD_CHANGED");
+      }
+    );
+
+    return true;
+  } catch (error) {
+    throw HandleCaughtError(
+      error,
+      "Failed to reset password",
+      "VALIDATION_ERROR"
+    );
+  }
+}
+
+/**
+ * Send an email verification link to the given email address.
+ *
+ * Only accounts whose email is not verified yet receive a link. Like
+ * `RequestPasswordReset`, it always resolves to `true` and a link that
+ * cannot be sent is logged, not reported.
+ *
+ * @async
+ * @function SendEmailVerification
+ * @param {Object} _ - Unused resolver parent argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.email - Email address to verify.
+ * @returns {Promise<boolean>} Always `true` once the request is processed.
+ * @throws {AppError} If the email format is invalid.
+ */
+
+async function SendEmailVerification(_, { email }) {
+  try {
+    const validEmail = ValidateEmailInput(email);
+
+    const user = await User.findOne({
+      email: validEmail,
+      user_status: { $ne: "DELETED" },
+      email_verified_at: null,
+    }).lean();
+
+    if (user) {
+      // *************** Same as RequestPasswordReset: a failed send is only logged
+      try {
+        const { token } = await IssueUserToken(user._id, "EMAIL_VERIFICATION");
+        await SendEmailVerificationEmail(user, token);
+      } catch (error) {
+        console.error("[EMAIL_VERIFICATION] Failed to send email verification:", error.message);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    throw HandleCaughtError(
+      error,
+      "Failed to send email verification",
+      "VALIDATION_ERROR"
+    );
+  }
+}
+
+/**
+ * Verify a user's email address using an email verification token.
+ *
+ * Marks the email as verified and activates `PENDING` accounts that already
+ * have a password. Invited users without one keep their status, so they can
+ * still accept their invitation.
+ *
+ * @async
+ * @function VerifyEmail
+ * @param {Object} _ - Unused resolver parent argument.
+ * @param {Object} args - Resolver arguments.
+ * @param {string} args.token - Email verification token from the email link.
+ * @returns {Promise<Object>} The verified user document.
+ * @throws {AppError} If the token is invalid or expired.
+ */
+
+async function VerifyEmail(_, { token }) {
+  try {
+    const { user_id } = await ConsumeUserToken(token, "EMAIL_VERIFICATION");
+
+    const user = await User.findOne({
+      _id: user_id,
+      user_status: { $ne: "DELETED" },
+    });
+    if (!user) {
+      throw CreateAppError("User not found", "NOT_FOUND", { user_id });
+    }
+
+    user.email_verified_at = new Date();
+    // *************** An open invitation stays PENDING until it is accepted with a password
+    if (user.user_status === "PENDING" && user.password) {
+      user.user_status = "ACTIVE";
+    }
+    await user.save();
+
+    const verifyEmailResponse = user.toObject();
+    delete verifyEmailResponse.password;
+    return verifyEmailResponse;
+  } catch (error) {
+    throw HandleCaughtError(error, "Failed to verify email", "VALIDATION_ERROR");
+  }
+}
+
+// *************** FIELD RESOLVER ***************
+
+/**
+ * Resolve the permissions a user effectively holds.
+ *
+ * @param {Object} user - The user object.
+ * @returns {string[]} Role default permissions merged with granted permissions.
+ */
+function effective_permissions(user) {
+  return GetEffectivePermissions(user);
+}
+
+/**
+ * Resolve the student record linked to a user using DataLoader.
+ *
+ * @param {Object} user - The user object.
+ * @param {Object} _ - Unused resolver parameter.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object|null>} The linked student, or null if none.
+ */
+function student(user, _, context) {
+  if (!user.student_id) return null;
+
+  const studentLoaderResponse = context.loaders.student.load(
+    String(user.student_id)
+  );
+  return studentLoaderResponse;
+}
+
+/**
+ * Resolve the invited user using DataLoader.
+ *
+ * @param {Object} invitation - The invitation object.
+ * @param {Object} _ - Unused resolver parameter.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object|null>} The invited user.
+ */
+function user(invitation, _, context) {
+  const userLoaderResponse = context.loaders.user.load(
+    String(invitation.user_id)
+  );
+  return userLoaderResponse;
+}
+
+/**
+ * Resolve the user who sent the invitation using DataLoader.
+ *
+ * @param {Object} invitation - The invitation object.
+ * @param {Object} _ - Unused resolver parameter.
+ * @param {Object} context - The Apollo context containing loaders.
+ * @returns {Promise<Object|null>} The inviting user, or null if unknown.
+ */
+function invited_by_user(invitation, _, context) {
+  if (!invitation.invited_by) return null;
+
+  const userLoaderResponse = context.loaders.user.load(
+    String(invitation.invited_by)
+  );
+  return userLoaderResponse;
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
   Query: {
     GetAllUsers,
+    GetAllUsersConnection,
     GetOneUser,
+    GetAllInvitations,
+    GetAllInvitationsConnection,
   },
   Mutation: {
     CreateUser,
     UpdateUser,
     DeleteUser,
+    UnlockUser,
+    InviteUser,
+    ResendInvitation,
+    AcceptInvitation,
     AuthLogin,
+    RefreshToken,
+    Logout,
+    LogoutAllSessions,
+    RequestPasswordReset,
+    ResetPassword,
+    SendEmailVerification,
+    VerifyEmail,
+  },
+  User: {
+    ...ActorFieldResolvers(),
+    effective_permissions,
+    student,
+  },
+  Invitation: {
+    user,
+    invited_by_user,
   },
 };
@@ -11,6 +11,13 @@ module.exports = gql`
     DELETED
   }
 
+  enum InvitationStatus {
+    PENDING
+    ACCEPTED
+    EXPIRED
+    REVOKED
+  }
+
   enum UserRoles {
     ACADEMIC_DIRECTOR
     ACADEMIC_ADMIN
@@ -28,24 +35,50 @@ module.exports = gql`
     first_name: String!
     last_name: String!
     email: String!
+    email_verified_at: Date
+    invited_at: Date
+    account_locked_until: Date
     role: [UserRoles!]!
     user_status: UserStatus!
     phone: String
     profile_picture_url: String
     department: String
     permissions: [String!]
+    effective_permissions: [String!]!
+    school_ids: [ID!]
+    student_id: ID
+    student: Student
     preferences: UserPreferences
     created_at: Date
-    created_by: String
+    created_by: ID
+    created_by_user: User
     updated_at: Date
-    updated_by: String
+    updated_by: ID
+    updated_by_user: User
     deleted_at: Date
-    deleted_by: String
+    deleted_by: ID
+    deleted_by_user: User
   }
 
   type AuthLogin {
-    token: String!
-    user: User!
+    token: String
+    token_expires_at: Date
+    refresh_token: String
+    refresh_token_expires_at: Date
+    user: User
+    two_factor_required: Boolean!
+    two_factor_setup_required: Boolean!
+    challenge_token: String
+    challenge_expires_at: Date
+  }
+
+  type LogoutAllSessions {
+    revoked_sessions: Int!
+  }
+
+  type UserEdge {
+    cursor: String!
+    node: User!
   }
 
   type UserPaginationResult {
@@ -53,6 +86,42 @@ module.exports = gql`
     meta: PaginationResult!
   }
 
+  type UserConnection {
+    edges: [UserEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
+  }
+
+  type Invitation {
+    _id: ID!
+    user_id: ID!
+    user: User
+    email: String!
+    status: InvitationStatus!
+    sent_count: Int!
+    last_sent_at: Date!
+    expires_at: Date!
+    accepted_at: Date
+    invited_by: ID
+    invited_by_user: User
+  }
+
+  type InvitationEdge {
+    cursor: String!
+    node: Invitation!
+  }
+
+  type InvitationPaginationResult {
+    data: [Invitation!]!
+    meta: PaginationResult!
+  }
+
+  type InvitationConnection {
+    edges: [InvitationEdge!]!
+    pageInfo: PageInfo!
+    total_count: Int!
+  }
+
   input UserPreferencesInput {
     language: String
     timezone: String
@@ -69,8 +138,23 @@ module.exports = gql`
     profile_picture_url: String
     department: String
     permissions: [String!]
+    school_ids: [ID!]
+    student_id: ID
+    preferences: UserPreferencesInput
+  }
+
+  input InviteUserInput {
+    first_name: String!
+    last_name: String!
+    email: String!
+    role: [UserRoles!]!
+    phone: String
+    profile_picture_url: String
+    department: String
+    permissions: [String!]
+    school_ids: [ID!]
+    student_id: ID
     preferences: UserPreferencesInput
-    created_by: String
   }
 
   input UpdateUserInput {
@@ -84,8 +168,9 @@ module.exports = gql`
     profile_picture_url: String
     department: String
     permissions: [String!]
+    school_ids: [ID!]
+    student_id: ID
     preferences: UserPreferencesInput
-    updated_by: String
   }
 
   input UserFilterInput {
@@ -94,6 +179,46 @@ module.exports = gql`
     created_at: DateFilter
   }
 
+  input UserWhereInput {
+    and: [UserWhereInput!]
+    or: [UserWhereInput!]
+    not: UserWhereInput
+    first_name: StringFilter
+    last_name: StringFilter
+    email: StringFilter
+    department: StringFilter
+    role: StringFilter
+    user_status: StringFilter
+    school_id: IdFilter
+    student_id: IdFilter
+    email_verified_at: DateFilter
+    created_at: DateFilter
+    updated_at: DateFilter
+  }
+
+  input InvitationFilterInput {
+    status: InvitationStatus
+  }
+
+  input InvitationWhereInput {
+    and: [InvitationWhereInput!]
+    or: [InvitationWhereInput!]
+    not: InvitationWhereInput
+    email: StringFilter
+    status: StringFilter
+    user_id: IdFilter
+    invited_by: IdFilter
+    sent_count: NumberFilter
+    last_sent_at: DateFilter
+    expires_at: DateFilter
+    accepted_at: DateFilter
+  }
+
+  input ResetPasswordInput {
+    token: String!
+    password: String!
+  }
+
   input LoginInput {
     email: String!
     password: String!
@@ -102,16 +227,73 @@ module.exports = gql`
   type Query {
     GetAllUsers(
       filter: UserFilterInput
-      sort: SortInput
+      where: UserWhereInput
+      sort: [SortInput!]
       pagination: PaginationInput
     ): UserPaginationResult!
+      @requiresPermission(permission: "user:read")
+    GetAllUsersConnection(
+      filter: UserFilterInput
+      where: UserWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): UserConnection!
+      @requiresPermission(permission: "user:read")
     GetOneUser(id: ID!): User
+      @requiresPermission(permission: "user:read")
+    GetAllInvitations(
+      filter: InvitationFilterInput
+      where: InvitationWhereInput
+      sort: [SortInput!]
+      pagination: PaginationInput
+    ): InvitationPaginationResult!
+      @requiresPermission(permission: "user:read")
+    GetAllInvitationsConnection(
+      filter: InvitationFilterInput
+      where: InvitationWhereInput
+      sort: [SortInput!]
+      pagination: ConnectionInput
+    ): InvitationConnection!
+      @requiresPermission(permission: "user:read")
   }
 
   type Mutation {
     CreateUser(input: CreateUserInput!): User!
+      @requiresPermission(permission: "user:write")
+      @audit(entity: "USER", operation: "CREATE")
+      @sensitive
     UpdateUser(id: ID!, input: UpdateUserInput!): User!
+      @requiresPermission(permission: "user:write")
+      @audit(entity: "USER", operation: "UPDATE")
+      @sensitive
     DeleteUser(id: ID!): User!
+      @requiresPermission(permission: "user:write")
+      @audit(entity: "USER", operation: "DELETE")
+      @sensitive
+    UnlockUser(id: ID!): User!
+      @requiresPermission(permission: "user:write")
+      @audit(entity: "USER", operation: "UNLOCK")
+      @sensitive
+    InviteUser(input: InviteUserInput!): User!
+      @requiresPermission(permission: "user:write")
+      @audit(entity: "USER", operation: "INVITE")
+      @sensitive
+    ResendInvitation(id: ID!): User!
+      @requiresPermission(permission: "user:write")
+      @audit(entity: "USER", operation: "RESEND_INVITATION")
+      @sensitive
+    AcceptInvitation(token: String!, password: String!): User!
+      @audit(entity: "USER", operation: "ACCEPT_INVITATION")
     AuthLogin(input: LoginInput!): AuthLogin!
+    RefreshToken(refresh_token: String!): AuthLogin!
+    Logout: Boolean!
+      @sensitive
+    LogoutAllSessions: LogoutAllSessions!
+      @sensitive
+    RequestPasswordReset(email: String!): Boolean!
+    ResetPassword(input: ResetPasswordInput!): Boolean!
+    SendEmailVerification(email: String!): Boolean!
+    VerifyEmail(token: String!): User!
+      @audit(entity: "USER", operation: "VERIFY_EMAIL")
   }
 `;
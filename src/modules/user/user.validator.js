@@ -1,5 +1,6 @@
 // *************** IMPORT LIBRARY ***************
 const bcrypt = require("bcrypt");
+const { isValidObjectId } = require("mongoose");
 
 // *************** IMPORT CORE ***************
 const { CreateAppError } = require("../../core/error.js");
@@ -8,18 +9,93 @@ const { CreateAppError } = require("../../core/error.js");
 const User = require("./user.model.js");
 
 // *************** IMPORT UTILITIES ***************
-const { USER } = require("../../shared/utils/enum.js");
+const { USER, PERMISSION } = require("../../shared/utils/enum.js");
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const URL_REGEX = /^https?:\/\/.+\..+/;
 
+/**
+ * Validate a list of granted permissions against the permission catalogue.
+ *
+ * @param {string[]} permissions - Permissions to grant.
+ * @throws {AppError} If the value is not an array or contains unknown permissions.
+ */
+function ValidatePermissionsInput(permissions) {
+  if (!Array.isArray(permissions)) {
+    throw CreateAppError("Permissions must be an array.", "VALIDATION_ERROR", {
+      field: "permissions",
+    });
+  }
+
+  const invalidPermissions = permissions.filter(
+    (permission) => !PERMISSION.VALID_PERMISSION.includes(permission)
+  );
+  if (invalidPermissions.length > 0) {
+    throw CreateAppError("Invalid permission value.", "VALIDATION_ERROR", {
+      field: "permissions",
+      invalidValues: invalidPermissions,
+    });
+  }
+}
+
+/**
+ * Validate the list of schools a user is attached to.
+ *
+ * @param {string[]} schoolIds - School IDs to attach.
+ * @throws {AppError} If the value is not an array or contains invalid IDs.
+ */
+function ValidateSchoolIdsInput(schoolIds) {
+  if (!Array.isArray(schoolIds)) {
+    throw CreateAppError("School IDs must be an array.", "VALIDATION_ERROR", {
+      field: "school_ids",
+    });
+  }
+
+  const invalidSchoolIds = schoolIds.filter(
+    (schoolId) => !isValidObjectId(schoolId)
+  );
+  if (invalidSchoolIds.length > 0) {
+    throw CreateAppError("Invalid school_ids value.", "VALIDATION_ERROR", {
+      field: "school_ids",
+      invalidValues: invalidSchoolIds,
+    });
+  }
+}
+
+/**
+ * Validate the link between a user account and a student record.
+ *
+ * @param {string[]} [role] - Roles assigned to the user, when known.
+ * @param {string} [studentId] - Student record to link.
+ * @throws {AppError} If the student ID is invalid or linked to a non-student account.
+ */
+function ValidateStudentLinkInput(role, studentId) {
+  if (studentId === undefined || studentId === null) return;
+
+  if (!isValidObjectId(studentId)) {
+    throw CreateAppError("Invalid student_id value.", "VALIDATION_ERROR", {
+      field: "student_id",
+    });
+  }
+
+  if (Array.isArray(role) && !role.includes("STUDENT")) {
+    throw CreateAppError(
+      "Only STUDENT accounts can be linked to a student record.",
+      "VALIDATION_ERROR",
+      { field: "student_id" }
+    );
+  }
+}
+
 /**
  * Validate input payload for creating a user.
  *
  * @param {Object} input - User input object.
+ * @param {Object} [options] - Validation options.
+ * @param {boolean} [options.requirePassword=true] - False for invited users, who set their own password.
  * @throws {AppError} If any validation fails.
  */
-function ValidateCreateUserInput(input) {
+function ValidateCreateUserInput(input, { requirePassword = true } = {}) {
   const {
     first_name,
     last_name,
@@ -51,7 +127,7 @@ function ValidateCreateUserInput(input) {
     });
   }
 
-  if (typeof password !== "string" || password.length < 8) {
+  if (requirePassword && (typeof password !== "string" || password.length < 8)) {
     throw CreateAppError(
       "Password must be at least 8 characters long.",
       "VALIDATION_ERROR",
@@ -68,6 +144,16 @@ function ValidateCreateUserInput(input) {
     });
   }
 
+  if (input.permissions !== undefined && input.permissions !== null) {
+    ValidatePermissionsInput(input.permissions);
+  }
+
+  if (input.school_ids !== undefined && input.school_ids !== null) {
+    ValidateSchoolIdsInput(input.school_ids);
+  }
+
+  ValidateStudentLinkInput(input.role, input.student_id);
+
   // *************** Optional / enum validation
   if (user_status && !USER.VALID_STATUS.includes(user_status)) {
     throw CreateAppError("Invalid user_status value.", "VALIDATION_ERROR", {
@@ -132,6 +218,9 @@ function ValidateUpdateUserInput(input) {
     phone,
     profile_picture_url,
     department,
+    permissions,
+    school_ids,
+    student_id,
     preferences,
   } = input;
 
@@ -199,6 +288,18 @@ function ValidateUpdateUserInput(input) {
     }
   }
 
+  if (permissions !== undefined && permissions !== null) {
+    ValidatePermissionsInput(permissions);
+  }
+
+  if (school_ids !== undefined && school_ids !== null) {
+    ValidateSchoolIdsInput(school_ids);
+  }
+
+  if (student_id !== undefined && student_id !== null) {
+    ValidateStudentLinkInput(role, student_id);
+  }
+
   if (user_status !== undefined && !USER.VALID_STATUS.includes(user_status)) {
     throw CreateAppError("Invalid user_status value.", "VALIDATION_ERROR", {
       field: "user_status",
@@ -254,7 +355,9 @@ function ValidateUpdateUserInput(input) {
  * This function performs a full login validation flow:
  * - Validates email format using regex.
  * - Ensures password is not empty or blank.
- * - Finds user by email (excluding those with status "DELETED").
+ * - Finds user by email (excluding those with status "DELETED" and invited
+ *   users who have not set a password yet).
+ * - Refuses accounts temporarily locked after too many failed attempts.
  * - Verifies the password using bcrypt.
  *
  * If validation succeeds, the user document is returned.
@@ -266,8 +369,9 @@ function ValidateUpdateUserInput(input) {
  * @param {string} password - The plain-text password provided by the user.
  * @throws {AppError} If email format is invalid.
  * @throws {AppError} If password is empty or blank.
- * @throws {AppError} If user is not found or is marked as deleted.
- * @throws {AppError} If the password does not match the stored hash.
+ * @throws {AppError} INVALID_CREDENTIALS if user is not found or is marked as deleted.
+ * @throws {AppError} ACCOUNT_LOCKED if the account is locked, with `locked_until` metadata.
+ * @throws {AppError} INVALID_CREDENTIALS if the password does not match the stored hash.
  * @returns {Promise<Object>} The authenticated user document from the database.
  */
 
@@ -291,13 +395,19 @@ async function ValidateLoginInput(email, password) {
       $ne: "DELETED",
     },
   }).lean();
-  if (!user) {
-    throw CreateAppError("Invalid credentials", "UNAUTHORIZED");
+  if (!user || !user.password) {
+    throw CreateAppError("Invalid credentials", "INVALID_CREDENTIALS");
+  }
+
+  if (user.account_locked_until && user.account_locked_until > new Date()) {
+    throw CreateAppError("Account is temporarily locked", "ACCOUNT_LOCKED", {
+      locked_until: user.account_locked_until,
+    });
   }
 
   const isMatch = await bcrypt.compare(password, user.password);
   if (!isMatch) {
-    throw CreateAppError("Invalid credentials", "UNAUTHORIZED");
+    throw CreateAppError("Invalid credentials", "INVALID_CREDENTIALS");
   }
 
   delete user.password;
@@ -305,9 +415,80 @@ async function ValidateLoginInput(email, password) {
   return user;
 }
 
+/**
+ * Validate an email address used to request a password reset or verification link.
+ *
+ * @param {string} email - Email address provided by the client.
+ * @returns {string} The trimmed email address.
+ * @throws {AppError} If the email is missing or malformed.
+ */
+function ValidateEmailInput(email) {
+  if (typeof email !== "string" || !EMAIL_REGEX.test(email.trim())) {
+    throw CreateAppError("Email is invalid.", "VALIDATION_ERROR", {
+      field: "email",
+    });
+  }
+
+  return email.trim();
+}
+
+/**
+ * Validate input payload for resetting a password.
+ *
+ * @param {Object} input - Reset password input.
+ * @param {string} input.token - Password reset token from the email link.
+ * @param {string} input.password - New plain-text password.
+ * @throws {AppError} If any validation fails.
+ */
+function ValidateResetPasswordInput(input) {
+  const { token, password } = input;
+
+  if (typeof token !== "string" || !token.trim()) {
+    throw CreateAppError("Token is required.", "VALIDATION_ERROR", {
+      field: "token",
+    });
+  }
+
+  if (typeof password !== "string" || password.length < 8) {
+    throw CreateAppError(
+      "Password must be at least 8 characters long.",
+      "VALIDATION_ERROR",
+      { field: "password" }
+    );
+  }
+}
+
+/**
+ * Validate the arguments of `AcceptInvitation`.
+ *
+ * @param {string} token - Invitation token from the email link.
+ * @param {string} password - Password chosen by the invited user.
+ * @throws {AppError} If any validation fails.
+ */
+function ValidateAcceptInvitationInput(token, password) {
+  if (typeof token !== "string" || !token.trim()) {
+    throw CreateAppError("Token is required.", "VALIDATION_ERROR", {
+      field: "token",
+    });
+  }
+
+  if (typeof password !== "string" || password.length < 8) {
+    throw CreateAppError(
+      "Password must be at least 8 characters long.",
+      "VALIDATION_ERROR",
+      { field: "password" }
+    );
+  }
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
   ValidateCreateUserInput,
   ValidateUpdateUserInput,
   ValidateLoginInput,
+  ValidateEmailInput,
+  ValidateResetPasswordInput,
+  ValidateAcceptInvitationInput,
+  ValidatePermissionsInput,
+  ValidateSchoolIdsInput,
 };
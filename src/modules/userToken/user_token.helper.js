@@ -0,0 +1,92 @@
+// *************** IMPORT MODULE ***************
+const UserToken = require("./user_token.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+// *************** IMPORT UTILITIES ***************
+const { USER_TOKEN } = require("../../shared/utils/enum");
+const { HashToken, GenerateRandomToken } = require("../../shared/utils/token");
+
+/**
+ * Issue a new single-use token for a user.
+ *
+ * Any unused token of the same type is revoked first, so only the most
+ * recently emailed link works.
+ *
+ * @param {ObjectId|string} userId - ID of the user the token belongs to.
+ * @param {string} tokenType - One of USER_TOKEN.VALID_TYPE.
+ * @returns {Promise<{ token: string, expires_at: Date }>} Plain token to be emailed.
+ */
+async function IssueUserToken(userId, tokenType) {
+  if (!USER_TOKEN.VALID_TYPE.includes(tokenType)) {
+    throw CreateAppError("Invalid token type", "VALIDATION_ERROR", {
+      token_type: tokenType,
+    });
+  }
+
+  await UserToken.updateMany(
+    { user_id: userId, token_type: tokenType, used_at: null, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+
+  const token = GenerateRandomToken(32);
+  const expiresAt = new Date(
+    Date.now() + USER_TOKEN.TTL_MINUTES[tokenType] * 60 * 1000
+  );
+
+  await UserToken.create({
+    user_id: userId,
+    token_hash: HashToken(token),
+    token_type: tokenType,
+    expires_at: expiresAt,
+  });
+
+  const issueUserTokenResponse = { token, expires_at: expiresAt };
+  return issueUserTokenResponse;
+}
+
+/**
+ * Consume a single-use token.
+ *
+ * The token is marked as used atomically, so the same link cannot be
+ * used twice even by concurrent requests.
+ *
+ * @param {string} token - Plain token received from the client.
+ * @param {string} tokenType - Expected token type.
+ * @returns {Promise<Object>} The consumed token document (with `user_id`).
+ * @throws {AppError} If the token is unknown, already used, revoked or expired.
+ */
+async function ConsumeUserToken(token, tokenType) {
+  if (typeof token !== "string" || !token.trim()) {
+    throw CreateAppError("Token is required", "VALIDATION_ERROR", {
+      field: "token",
+    });
+  }
+
+  const consumedToken = await UserToken.findOneAndUpdate(
+    {
+      token_hash: HashToken(token.trim()),
+      token_type: tokenType,
+      used_at: null,
+      revoked_at: null,
+      expires_at: { $gt: new Date() },
+    },
+    { $set: { used_at: new Date() } },
+    { new: true }
+  ).lean();
+
+  if (!consumedToken) {
+    throw CreateAppError("Invalid or expired token", "VALIDATION_ERROR", {
+      field: "token",
+    });
+  }
+
+  return consumedToken;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  IssueUserToken,
+  ConsumeUserToken,
+};
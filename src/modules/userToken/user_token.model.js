@@ -0,0 +1,56 @@
+// *************** IMPORT LIBRARY ***************
+const { Schema, model, Types } = require("mongoose");
+
+// ************** IMPORT UTILITIES *************
+const { USER_TOKEN } = require("../../shared/utils/enum");
+
+const userTokenSchema = new Schema(
+  {
+    // Reference to the user the token was issued for
+    user_id: {
+      type: Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+
+    // SHA-256 hash of the token sent by email (plain token is never stored)
+    token_hash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Purpose of the token (PASSWORD_RESET, EMAIL_VERIFICATION)
+    token_type: {
+      type: String,
+      enum: USER_TOKEN.VALID_TYPE,
+      required: true,
+    },
+
+    // Expiry of the token
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+
+    // Timestamp when the token was consumed (single use)
+    used_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Timestamp when the token was superseded by a newer one
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+userTokenSchema.index({ user_id: 1, token_type: 1 });
+
+// *************** EXPORT MODULE ***************
+module.exports = model("UserToken", userTokenSchema);
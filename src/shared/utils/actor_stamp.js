@@ -0,0 +1,156 @@
+// *************** IMPORT LIBRARY ***************
+const { AsyncLocalStorage } = require("node:async_hooks");
+const { Types, isValidObjectId } = require("mongoose");
+const { defaultFieldResolver } = require("graphql");
+const { mapSchema, MapperKind } = require("@graphql-tools/utils");
+
+const actorStorage = new AsyncLocalStorage();
+const ACTOR_FIELDS = ["created_by", "updated_by", "deleted_by"];
+
+/**
+ * Check that a stored actor value is an ObjectId, and not a legacy free-text name.
+ *
+ * @param {*} value - Stored `created_by`, `updated_by` or `deleted_by` value.
+ * @returns {boolean} True for an ObjectId or its 24 hex characters form.
+ */
+function IsActorId(value) {
+  return value instanceof Types.ObjectId || /^[0-9a-f]{24}$/i.test(String(value));
+}
+
+/**
+ * Run a function with the given user recorded as the current actor.
+ *
+ * Every document saved or updated while the function runs (including its
+ * async continuations) is stamped by `ActorStampPlugin` with this actor.
+ *
+ * @param {ObjectId|string|null} actorId - ID of the authenticated user.
+ * @param {Function} callback - Function to run.
+ * @returns {*} Whatever the callback returns.
+ */
+function RunWithActor(actorId, callback) {
+  const actor =
+    actorId && isValidObjectId(actorId)
+      ? new Types.ObjectId(String(actorId))
+      : null;
+
+  return actorStorage.run({ actor_id: actor }, callback);
+}
+
+/**
+ * Get the actor of the mutation currently running.
+ *
+ * @returns {ObjectId|null} ID of the current actor, or null outside a mutation.
+ */
+function GetCurrentActorId() {
+  return actorStorage.getStore()?.actor_id || null;
+}
+
+/**
+ * Run every root Mutation resolver with the authenticated user as current actor.
+ * While impersonating, the real user is the actor.
+ *
+ * @param {import('graphql').GraphQLSchema} schema - Executable schema.
+ * @returns {import('graphql').GraphQLSchema} Schema with actor context applied.
+ */
+function ActorContextTransformer(schema) {
+  return mapSchema(schema, {
+    [MapperKind.MUTATION_ROOT_FIELD]: (fieldConfig) => {
+      const { resolve = defaultFieldResolver } = fieldConfig;
+      fieldConfig.resolve = function (source, args, context, info) {
+        const actor = context?.real_user || context?.user;
+        return RunWithActor(actor?._id, () =>
+          resolve(source, args, context, info)
+        );
+      };
+
+      return fieldConfig;
+    },
+  });
+}
+
+/**
+ * Mongoose plugin stamping `created_by`, `updated_by` and `deleted_by` with
+ * the current actor.
+ *
+ * - `created_by` is set when a document is inserted.
+ * - `updated_by` is set on every save or update.
+ * - `deleted_by` is set when `deleted_at` is set (soft delete).
+ *
+ * Writes happening outside of a mutation (no current actor) are left untouched.
+ *
+ * Records written before these fields were ObjectIds may hold free-text
+ * names. Those values are read as null instead of failing to cast, so the
+ * document can still be loaded and saved.
+ *
+ * @param {import('mongoose').Schema} schema - Schema to extend.
+ */
+function ActorStampPlugin(schema) {
+  schema.pre("init", function (rawDocument) {
+    for (const field of ACTOR_FIELDS) {
+      const actorId = rawDocument?.[field];
+      if (actorId != null && !IsActorId(actorId)) rawDocument[field] = null;
+    }
+  });
+
+  schema.pre("save", function () {
+    const actorId = GetCurrentActorId();
+    if (!actorId) return;
+
+    if (this.isNew) this.created_by = actorId;
+    this.updated_by = actorId;
+    if (this.isModified("deleted_at") && this.deleted_at) {
+      this.deleted_by = actorId;
+    }
+  });
+
+  schema.pre("insertMany", function (next, documents) {
+    const actorId = GetCurrentActorId();
+    if (actorId) {
+      for (const document of [].concat(documents)) {
+        document.created_by = actorId;
+        document.updated_by = actorId;
+      }
+    }
+    next();
+  });
+
+  schema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function () {
+    const actorId = GetCurrentActorId();
+    const update = this.getUpdate();
+    if (!actorId || !update || Array.isArray(update)) return;
+
+    const deletedAt = update.$set?.deleted_at ?? update.deleted_at;
+    this.set("updated_by", actorId);
+    if (deletedAt) this.set("deleted_by", actorId);
+  });
+}
+
+/**
+ * Build the `*_user` field resolvers resolving actor IDs to users.
+ *
+ * @returns {Object} Resolvers for `created_by_user`, `updated_by_user` and `deleted_by_user`.
+ */
+function ActorFieldResolvers() {
+  const ResolveActor = (field) =>
+    function (parent, _, context) {
+      const actorId = parent[field];
+      if (!actorId || !IsActorId(actorId)) return null;
+
+      return context.loaders.user.load(String(actorId));
+    };
+
+  return {
+    created_by_user: ResolveActor("created_by"),
+    updated_by_user: ResolveActor("updated_by"),
+    deleted_by_user: ResolveActor("deleted_by"),
+  };
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  RunWithActor,
+  GetCurrentActorId,
+  ActorContextTransformer,
+  ActorStampPlugin,
+  ActorFieldResolvers,
+};
@@ -0,0 +1,108 @@
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+// *************** IMPORT UTILITIES ***************
+const { PERMISSION } = require("./enum");
+
+/**
+ * Resolve the effective permissions of a user.
+ *
+ * Effective permissions are the defaults of every role the user holds,
+ * plus any extra permission granted through `user.permissions`.
+ *
+ * @param {Object} user - Authenticated user with `role` and `permissions`.
+ * @returns {string[]} Unique list of permissions.
+ */
+function GetEffectivePermissions(user) {
+  if (!user) return [];
+
+  const roles = Array.isArray(user.role) ? user.role : [user.role];
+  const rolePermissions = roles.flatMap(
+    (role) => PERMISSION.ROLE_DEFAULTS[role] || []
+  );
+  const grantedPermissions = Array.isArray(user.permissions)
+    ? user.permissions
+    : [];
+
+  return [...new Set([...rolePermissions, ...grantedPermissions])];
+}
+
+/**
+ * Check if the authenticated user holds a permission.
+ *
+ * @param {Object} context - GraphQL context, must include `user` object.
+ * @param {string} permission - Permission from the catalogue (e.g. "student:write").
+ * @returns {boolean} True if access is allowed.
+ *
+ * @throws {AppError} If user not authenticated or the permission is missing.
+ */
+function CheckPermission(context, permission) {
+  const user = context?.user;
+  if (!user) {
+    throw CreateAppError("User not authenticated", "UNAUTHORIZED");
+  }
+
+  if (!GetEffectivePermissions(user).includes(permission)) {
+    throw CreateAppError(
+      "Access denied: insufficient permissions",
+      "FORBIDDEN",
+      { permission }
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Check if the authenticated user holds a permission without throwing.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {string} permission - Permission from the catalogue.
+ * @returns {boolean} True if the user holds the permission.
+ */
+function HasPermission(context, permission) {
+  return GetEffectivePermissions(context?.user).includes(permission);
+}
+
+/**
+ * Ensure the caller holds every permission it tries to grant, so creating or
+ * editing an account (user or service account) can never be used to escalate
+ * privileges. A role grants its default permissions, so assigning a role
+ * requires holding all of them.
+ *
+ * When an existing account is edited, only what the edit adds is checked:
+ * permissions it already had can be kept by a caller who does not hold them.
+ *
+ * @param {Object} context - GraphQL context containing the authenticated user.
+ * @param {Object} grant - Roles and permissions the account will have.
+ * @param {string|string[]} [grant.role] - Assigned role(s).
+ * @param {string[]} [grant.permissions] - Granted permissions.
+ * @param {Object|null} [current] - Roles and permissions the account has today.
+ * @throws {AppError} FORBIDDEN if a permission is not held by the caller.
+ */
+function CheckGrantablePermissions(context, grant, current = null) {
+  const callerPermissions = GetEffectivePermissions(context?.user);
+  const currentPermissions = current ? GetEffectivePermissions(current) : [];
+
+  const missingPermissions = GetEffectivePermissions(grant).filter(
+    (permission) =>
+      !currentPermissions.includes(permission) &&
+      !callerPermissions.includes(permission)
+  );
+
+  if (missingPermissions.length > 0) {
+    throw CreateAppError(
+      "Access denied: cannot grant permissions you do not hold",
+      "FORBIDDEN",
+      { permissions: missingPermissions }
+    );
+  }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  CheckPermission,
+  HasPermission,
+  GetEffectivePermissions,
+  CheckGrantablePermissions,
+};
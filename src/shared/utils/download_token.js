@@ -0,0 +1,68 @@
+// *************** IMPORT LIBRARY ***************
+const jwt = require("jsonwebtoken");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+const { JWT_SECRET } = require("../../core/config");
+
+const DOWNLOAD_TOKEN_TTL_SECONDS = 5 * 60;
+const DOWNLOAD_TOKEN_PURPOSE = "DOWNLOAD";
+// *************** Audience of download tokens, so they are never accepted where an access token is expected
+const DOWNLOAD_TOKEN_AUDIENCE = "download";
+
+/**
+ * Sign a short-lived token granting download access to a single resource.
+ *
+ * The token is bound to the session of the user who requested it, so logging
+ * out or revoking the session also invalidates any download URL minted from it.
+ *
+ * @param {Object} payload - Token payload.
+ * @param {ObjectId|string} payload.user_id - User the download is issued to.
+ * @param {ObjectId|string} payload.session_id - Session the download is bound to.
+ * @param {string} payload.resource - Path of the resource (e.g. "/transcript/<id>").
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+function SignDownloadToken({ user_id, session_id, resource }) {
+  const token = jwt.sign(
+    {
+      user_id: String(user_id),
+      session_id: String(session_id),
+      resource,
+      purpose: DOWNLOAD_TOKEN_PURPOSE,
+    },
+    JWT_SECRET,
+    { expiresIn: DOWNLOAD_TOKEN_TTL_SECONDS, audience: DOWNLOAD_TOKEN_AUDIENCE }
+  );
+  const expiresAt = new Date(Date.now() + DOWNLOAD_TOKEN_TTL_SECONDS * 1000);
+
+  return { token, expiresAt };
+}
+
+/**
+ * Verify a download token against the resource being requested.
+ *
+ * @param {string} token - Download token from the query string.
+ * @param {string} resource - Path of the resource being requested.
+ * @returns {{ user_id: string, session_id: string }} Decoded token payload.
+ * @throws {AppError} UNAUTHORIZED if the token is invalid, expired or for another resource.
+ */
+function VerifyDownloadToken(token, resource) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET, { audience: DOWNLOAD_TOKEN_AUDIENCE });
+  } catch {
+    throw CreateAppError("Invalid or expired download token", "UNAUTHORIZED");
+  }
+
+  if (
+    decoded?.purpose !== DOWNLOAD_TOKEN_PURPOSE ||
+    decoded?.resource !== resource
+  ) {
+    throw CreateAppError("Invalid or expired download token", "UNAUTHORIZED");
+  }
+
+  return decoded;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = { SignDownloadToken, VerifyDownloadToken };
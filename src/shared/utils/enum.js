@@ -13,14 +13,187 @@ const USER = {
   VALID_DEPARTEMENT: VALID_DEPARTEMENT,
 };
 
+// ************** Permission Enum
+const PERMISSION_CATALOGUE = [
+  "user:read",
+  "user:write",
+  "school:read",
+  "school:write",
+  "student:read",
+  "student:write",
+  "block:read",
+  "block:write",
+  "subject:read",
+  "subject:write",
+  "test:read",
+  "test:write",
+  "task:read",
+  "task:write",
+  "marks:read",
+  "marks:write",
+  "marks:enter",
+  "marks:validate",
+  "transcript:read",
+  "transcript:manage",
+  "school:all",
+  "audit:read",
+  "service_account:read",
+  "service_account:write",
+  "user:impersonate",
+  "data:export",
+];
+const DIRECTOR_ONLY_PERMISSIONS = [
+  "school:all",
+  "audit:read",
+  "service_account:read",
+  "service_account:write",
+  "user:impersonate",
+];
+const STAFF_PERMISSIONS = PERMISSION_CATALOGUE.filter(
+  (permission) =>
+    permission !== "marks:enter" &&
+    !DIRECTOR_ONLY_PERMISSIONS.includes(permission)
+);
+const ROLE_DEFAULT_PERMISSIONS = {
+  ACADEMIC_DIRECTOR: [...STAFF_PERMISSIONS, ...DIRECTOR_ONLY_PERMISSIONS],
+  ACADEMIC_ADMIN: STAFF_PERMISSIONS,
+  CORRECTOR: ["block:read", "subject:read", "marks:read", "marks:enter"],
+  STUDENT: ["block:read", "subject:read", "marks:read", "transcript:read"],
+};
+const PERMISSION = {
+  VALID_PERMISSION: PERMISSION_CATALOGUE,
+  ROLE_DEFAULTS: ROLE_DEFAULT_PERMISSIONS,
+};
+
+// ************** Session Enum
+const VALID_SESSION_STATUS = ["ACTIVE", "REVOKED"];
+const DEFAULT_SESSION_STATUS = "ACTIVE";
+const VALID_SESSION_REVOKE_REASON = [
+  "LOGOUT",
+  "LOGOUT_ALL",
+  "EXPIRED",
+  "REFRESH_TOKEN_REUSE",
+  "PASSWORD_CHANGED",
+  "USER_DELETED",
+];
+const SESSION = {
+  VALID_STATUS: VALID_SESSION_STATUS,
+  DEFAULT_STATUS: DEFAULT_SESSION_STATUS,
+  VALID_REVOKE_REASON: VALID_SESSION_REVOKE_REASON,
+};
+
+// ************** User Token Enum
+const VALID_USER_TOKEN_TYPE = ["PASSWORD_RESET", "EMAIL_VERIFICATION", "INVITATION"];
+const USER_TOKEN_TTL_MINUTES = {
+  PASSWORD_RESET: 60,
+  EMAIL_VERIFICATION: 24 * 60,
+  INVITATION: 7 * 24 * 60,
+};
+const USER_TOKEN = {
+  VALID_TYPE: VALID_USER_TOKEN_TYPE,
+  TTL_MINUTES: USER_TOKEN_TTL_MINUTES,
+};
+
+// ************** Invitation Enum
+const VALID_INVITATION_STATUS = ["PENDING", "ACCEPTED", "EXPIRED", "REVOKED"];
+const INVITATION = {
+  VALID_STATUS: VALID_INVITATION_STATUS,
+};
+
+// ************** Login Attempt Enum
+const VALID_LOGIN_ATTEMPT_KEY_TYPE = ["ACCOUNT", "IP"];
+const LOGIN_ATTEMPT = {
+  VALID_KEY_TYPE: VALID_LOGIN_ATTEMPT_KEY_TYPE,
+};
+
+// ************** Service Account Enum
+const VALID_SERVICE_ACCOUNT_STATUS = ["ACTIVE", "DELETED"];
+const DEFAULT_SERVICE_ACCOUNT_STATUS = "ACTIVE";
+const SERVICE_ACCOUNT = {
+  VALID_STATUS: VALID_SERVICE_ACCOUNT_STATUS,
+  DEFAULT_STATUS: DEFAULT_SERVICE_ACCOUNT_STATUS,
+};
+
+// ************** Audit Log Enum
+const VALID_AUDIT_ENTITY_TYPE = [
+  "USER",
+  "STUDENT",
+  "SCHOOL",
+  "BLOCK",
+  "SUBJECT",
+  "TEST",
+  "STUDENT_TEST_RESULT",
+  "TASK",
+  "SERVICE_ACCOUNT",
+  "STUDENT_IMPORT",
+  "EXPORT_JOB",
+  "TRANSCRIPT_JOB",
+];
+const VALID_AUDIT_OPERATION = [
+  "CREATE",
+  "UPDATE",
+  "DELETE",
+  "PUBLISH",
+  "ENTER_MARKS",
+  "VALIDATE_MARKS",
+  "ASSIGN_CORRECTOR",
+  "VERIFY_EMAIL",
+  "UNLOCK",
+  "INVITE",
+  "RESEND_INVITATION",
+  "ACCEPT_INVITATION",
+  "IMPERSONATE",
+  "IMPERSONATED_ACTION",
+  "CREATE_API_KEY",
+  "REVOKE_API_KEY",
+  "ROTATE_API_KEY",
+  "IMPORT",
+  "EXPORT",
+  "GRADUATE",
+  "DROP_OUT",
+  "TRANSFER",
+  "RE_ENROLL",
+  "RETRY",
+  "RECALCULATE",
+  "RESET_PASSWORD",
+  "ENABLE_TWO_FACTOR",
+  "CONFIRM_TWO_FACTOR",
+  "DISABLE_TWO_FACTOR",
+  "REGENERATE_RECOVERY_CODES",
+];
+// Entries are written PENDING before the change, then marked APPLIED or FAILED
+const VALID_AUDIT_STATUS = ["PENDING", "APPLIED", "FAILED"];
+const AUDIT = {
+  VALID_ENTITY_TYPE: VALID_AUDIT_ENTITY_TYPE,
+  VALID_OPERATION: VALID_AUDIT_OPERATION,
+  VALID_STATUS: VALID_AUDIT_STATUS,
+};
+
 // ************** Student Enum
 const ACADEMIC_STATUS = ["ENROLLED", "GRADUATED", "DROPPED_OUT", "TRANSFERRED"];
 const STATUS_STUDENT_ENUM = ["ACTIVE", "PENDING", "DELETED"];
 const VALID_STUDENT_GENDER = ["MALE", "FEMALE"];
+// Academic statuses a student may move to from each academic status; GRADUATED is final
+const ACADEMIC_STATUS_TRANSITIONS = {
+  ENROLLED: ["GRADUATED", "DROPPED_OUT", "TRANSFERRED"],
+  GRADUATED: [],
+  DROPPED_OUT: ["ENROLLED"],
+  TRANSFERRED: ["ENROLLED"],
+};
+// Date field set when a student enters each academic status
+const ACADEMIC_STATUS_DATE_FIELDS = {
+  ENROLLED: "enrollment_date",
+  GRADUATED: "graduation_date",
+  DROPPED_OUT: "dropped_out_date",
+  TRANSFERRED: "transferred_date",
+};
 const STUDENT = {
   VALID_ACADEMIC_STATUS: ACADEMIC_STATUS,
   VALID_STATUS: STATUS_STUDENT_ENUM,
   VALID_GENDER: VALID_STUDENT_GENDER,
+  ACADEMIC_TRANSITIONS: ACADEMIC_STATUS_TRANSITIONS,
+  ACADEMIC_DATE_FIELDS: ACADEMIC_STATUS_DATE_FIELDS,
+  DEFAULT_ACADEMIC_STATUS: "ENROLLED",
 };
 
 // ************** School Enum
@@ -79,10 +252,63 @@ const CALCULATION_RESULT = {
   DEFAULT_STATUS: DEFAULT_CALCULATION_RESULT_STATUS,
 };
 
+// ************** Search Enum
+const VALID_SEARCH_ENTITY_TYPE = ["STUDENT", "USER", "SCHOOL", "SUBJECT"];
+const SEARCH = {
+  VALID_ENTITY_TYPE: VALID_SEARCH_ENTITY_TYPE,
+};
+
+// ************** Student Import Enum
+const VALID_STUDENT_IMPORT_STATUS = ["VALIDATED", "COMPLETED", "FAILED"];
+const VALID_STUDENT_IMPORT_FILE_TYPE = ["CSV", "XLSX"];
+const STUDENT_IMPORT = {
+  VALID_STATUS: VALID_STUDENT_IMPORT_STATUS,
+  VALID_FILE_TYPE: VALID_STUDENT_IMPORT_FILE_TYPE,
+};
+
+// ************** Export Job Enum
+const VALID_EXPORT_ENTITY = [
+  "STUDENT",
+  "USER",
+  "SCHOOL",
+  "STUDENT_TEST_RESULT",
+  "CALCULATION_RESULT",
+];
+const VALID_EXPORT_FORMAT = ["CSV", "XLSX", "JSON"];
+const VALID_EXPORT_STATUS = ["PENDING", "RUNNING", "COMPLETED", "FAILED", "EXPIRED"];
+const DEFAULT_EXPORT_STATUS = "PENDING";
+const EXPORT_JOB = {
+  VALID_ENTITY: VALID_EXPORT_ENTITY,
+  VALID_FORMAT: VALID_EXPORT_FORMAT,
+  VALID_STATUS: VALID_EXPORT_STATUS,
+  DEFAULT_STATUS: DEFAULT_EXPORT_STATUS,
+};
+
+// ************** Transcript Job Enum
+const VALID_TRANSCRIPT_JOB_STATUS = ["PENDING", "RUNNING", "SUCCEEDED", "FAILED"];
+const DEFAULT_TRANSCRIPT_JOB_STATUS = "PENDING";
+const TRANSCRIPT_JOB_MAX_ATTEMPTS = 5;
+const TRANSCRIPT_JOB = {
+  VALID_STATUS: VALID_TRANSCRIPT_JOB_STATUS,
+  DEFAULT_STATUS: DEFAULT_TRANSCRIPT_JOB_STATUS,
+  MAX_ATTEMPTS: TRANSCRIPT_JOB_MAX_ATTEMPTS,
+};
+
 // *************** EXPORT MODULE ***************
 
 module.exports = {
   USER,
+  PERMISSION,
+  SESSION,
+  USER_TOKEN,
+  INVITATION,
+  LOGIN_ATTEMPT,
+  SERVICE_ACCOUNT,
+  AUDIT,
+  SEARCH,
+  STUDENT_IMPORT,
+  EXPORT_JOB,
+  TRANSCRIPT_JOB,
   STUDENT,
   SCHOOL,
   BLOCK,
@@ -0,0 +1,91 @@
+// *************** IMPORT LIBRARY ***************
+const busboy = require("busboy");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+const MAX_FORM_FILES = 1;
+const MAX_FORM_FIELDS = 20;
+const MAX_FORM_FIELD_SIZE = 64 * 1024;
+
+/**
+ * Parse a `multipart/form-data` request, buffering its uploaded file.
+ *
+ * The body is read from the request stream, so the route must not be mounted
+ * behind another body parser. At most one file of `max_file_size` bytes and a
+ * few small text fields are accepted, which bounds the memory a request uses.
+ *
+ * @param {import('http').IncomingMessage} request - Incoming request.
+ * @param {Object} options - Parser options.
+ * @param {number} options.max_file_size - Largest accepted file, in bytes.
+ * @returns {Promise<{ fields: Object<string, string>, files: Object<string, { file_name: string, content_type: string|null, data: Buffer }> }>}
+ * Text fields and uploaded files, keyed by form field name.
+ * @throws {AppError} BAD_REQUEST if the body is not a valid multipart form or a file is too large.
+ */
+function ParseMultipartForm(request, { max_file_size }) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: request.headers,
+        limits: {
+          files: MAX_FORM_FILES,
+          fields: MAX_FORM_FIELDS,
+          fieldSize: MAX_FORM_FIELD_SIZE,
+          fileSize: max_file_size,
+        },
+      });
+    } catch {
+      reject(CreateAppError("Expected a multipart/form-data body", "BAD_REQUEST"));
+      return;
+    }
+
+    const fields = {};
+    const files = {};
+    const truncatedFields = [];
+
+    parser.on("field", (name, value) => {
+      fields[name] = value;
+    });
+    parser.on("file", (name, fileStream, { filename, mimeType }) => {
+      const chunks = [];
+      fileStream.on("data", (chunk) => chunks.push(chunk));
+      fileStream.on("end", () => {
+        if (fileStream.truncated) {
+          truncatedFields.push(name);
+          return;
+        }
+        files[name] = {
+          file_name: filename || "",
+          content_type: mimeType || null,
+          data: Buffer.concat(chunks),
+        };
+      });
+    });
+    parser.on("error", () => {
+      reject(CreateAppError("Malformed multipart body", "BAD_REQUEST"));
+    });
+    parser.on("close", () => {
+      if (truncatedFields.length > 0) {
+        reject(
+          CreateAppError(
+            `File must not exceed ${max_file_size / (1024 * 1024)} MB.`,
+            "BAD_REQUEST",
+            { field: truncatedFields[0] }
+          )
+        );
+        return;
+      }
+
+      const multipartResponse = { fields, files };
+      resolve(multipartResponse);
+    });
+
+    request.pipe(parser);
+  });
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  ParseMultipartForm,
+};
@@ -0,0 +1,455 @@
+// *************** IMPORT LIBRARY ***************
+const { Types } = require("mongoose");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+// *************** Plain values a cursor may carry; dates and ObjectIds are tagged strings
+const SCALAR_CURSOR_TYPES = ["string", "number", "boolean"];
+
+/**
+ * Read a possibly nested field of a document or plain object.
+ *
+ * @param {Object} doc - Mongoose document or plain object.
+ * @param {string} field - Field path (e.g. "verified.verified_at").
+ * @returns {*} The value, or null when missing.
+ */
+function GetFieldValue(doc, field) {
+  if (typeof doc?.get === "function") return doc.get(field) ?? null;
+
+  return field.split(".").reduce((value, key) => value?.[key], doc) ?? null;
+}
+
+/**
+ * Serialize a sort value so that dates and ObjectIds survive the JSON round trip.
+ *
+ * @param {*} value - Sort value read from a document.
+ * @returns {Array} `[value, type]` pair.
+ */
+function SerializeCursorValue(value) {
+  if (value instanceof Date) return [value.toISOString(), "date"];
+  if (value instanceof Types.ObjectId) return [String(value), "objectId"];
+
+  return [value, null];
+}
+
+/**
+ * Encode the position of a document in a sorted list as an opaque cursor.
+ *
+ * @param {Object} doc - Document the cursor points to.
+ * @param {Object} state - Pagination state from `ResolvePagination`.
+ * @returns {string} Base64url cursor.
+ */
+function EncodeCursor(doc, state) {
+  const payload = {
+    s: state.keys.map((key) => [key.field, key.order]),
+    v: state.keys.map((key) =>
+      SerializeCursorValue(key.field === "_id" ? doc._id : GetFieldValue(doc, key.field))
+    ),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by `EncodeCursor`.
+ *
+ * @param {string} cursor - Cursor received from the client.
+ * @param {string} argName - Name of the argument, for error reporting.
+ * @param {Object} state - Pagination state, the cursor must match its sort.
+ * @returns {Array} Sort values of the cursor document, one per sort key.
+ * @throws {AppError} BAD_REQUEST if the cursor is malformed or made for another sort.
+ */
+function DecodeCursor(cursor, argName, state) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch {
+    payload = null;
+  }
+
+  if (
+    !Array.isArray(payload?.s) ||
+    !Array.isArray(payload?.v) ||
+    payload.v.length !== payload.s.length ||
+    !payload.v.every(Array.isArray)
+  ) {
+    throw CreateAppError("Invalid cursor", "BAD_REQUEST", { field: argName });
+  }
+  const expectedSort = state.keys.map((key) => [key.field, key.order]);
+  if (JSON.stringify(payload.s) !== JSON.stringify(expectedSort)) {
+    throw CreateAppError(
+      "Cursor does not match the current sort",
+      "BAD_REQUEST",
+      { field: argName }
+    );
+  }
+
+  return payload.v.map(([value, type]) => {
+    // *************** Cursor values end up in the query, never let an object
+    // *************** (e.g. { $ne: null }) through as an operator
+    if (value !== null && value !== undefined && !SCALAR_CURSOR_TYPES.includes(typeof value)) {
+      throw CreateAppError("Invalid cursor", "BAD_REQUEST", { field: argName });
+    }
+
+    if (type === "date") {
+      const date = new Date(value);
+      if (typeof value !== "string" || isNaN(date.getTime())) {
+        throw CreateAppError("Invalid cursor", "BAD_REQUEST", { field: argName });
+      }
+      return date;
+    }
+    if (type === "objectId") {
+      if (typeof value !== "string" || !Types.ObjectId.isValid(value)) {
+        throw CreateAppError("Invalid cursor", "BAD_REQUEST", { field: argName });
+      }
+      return new Types.ObjectId(value);
+    }
+    if (type !== null && type !== undefined) {
+      throw CreateAppError("Invalid cursor", "BAD_REQUEST", { field: argName });
+    }
+    return value ?? null;
+  });
+}
+
+/**
+ * Normalize sort keys: newest first by default, always ending with `_id` so
+ * the order is total and cursors are stable.
+ *
+ * @param {Object|Object[]} [sort] - Sort key(s) (`field`, `order` as 1 or -1).
+ * @returns {Object[]} Sort keys.
+ */
+function NormalizeSortKeys(sort) {
+  const keys = []
+    .concat(sort || [])
+    .filter((key) => key && key.field)
+    .map((key) => ({ field: key.field, order: key.order === 1 ? 1 : -1 }));
+  if (keys.length === 0) keys.push({ field: "created_at", order: -1 });
+  if (!keys.some((key) => key.field === "_id")) {
+    keys.push({ field: "_id", order: keys[keys.length - 1].order });
+  }
+
+  return keys;
+}
+
+/**
+ * Resolve the pagination arguments of a list query.
+ *
+ * `OFFSET` reads the `page`/`limit` of a PaginationInput; `CURSOR` reads the
+ * `first`/`after`/`last`/`before` of a ConnectionInput, where `last` and
+ * `before` read the list backwards from the end or from a cursor.
+ *
+ * @param {Object} [pagination] - PaginationInput or ConnectionInput.
+ * @param {Object|Object[]} [sort] - Normalized sort key(s) (`field`, `order` as 1 or -1).
+ * @param {string} mode - OFFSET or CURSOR.
+ * @returns {Object} Pagination state.
+ * @throws {AppError} BAD_REQUEST if the arguments are inconsistent or a cursor is invalid.
+ */
+function ResolvePagination(pagination, sort, mode) {
+  const keys = NormalizeSortKeys(sort);
+
+  if (mode === "OFFSET") {
+    const { page, limit } = pagination || {};
+    const state = {
+      mode,
+      limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT,
+      page: Number.isInteger(page) && page > 0 ? page : 1,
+      keys,
+      backward: false,
+    };
+    return state;
+  }
+
+  const { first, after, last, before } = pagination || {};
+  const hasFirst = first !== undefined && first !== null;
+  const hasLast = last !== undefined && last !== null;
+
+  if (hasFirst && hasLast) {
+    throw CreateAppError("Use either first or last, not both", "BAD_REQUEST", {
+      field: "pagination",
+    });
+  }
+  if (after && before) {
+    throw CreateAppError("Use either after or before, not both", "BAD_REQUEST", {
+      field: "pagination",
+    });
+  }
+
+  const requestedLimit = hasLast ? last : first;
+  const state = {
+    mode,
+    limit:
+      Number.isInteger(requestedLimit) && requestedLimit > 0
+        ? Math.min(requestedLimit, MAX_LIMIT)
+        : DEFAULT_LIMIT,
+    keys,
+    backward: hasLast || Boolean(before),
+    after: null,
+    before: null,
+  };
+  if (after) state.after = DecodeCursor(after, "after", state);
+  if (before) state.before = DecodeCursor(before, "before", state);
+
+  return state;
+}
+
+/**
+ * Build the sort specification, reversed when reading backwards.
+ *
+ * @param {Object} state - Pagination state.
+ * @returns {Object} Sort specification.
+ */
+function BuildSortSpec(state) {
+  const sortSpec = {};
+  for (const key of state.keys) {
+    sortSpec[key.field] = state.backward ? -key.order : key.order;
+  }
+
+  return sortSpec;
+}
+
+/**
+ * Build the condition matching values strictly after `value` on one sort key.
+ *
+ * @param {string} field - Sorted field.
+ * @param {*} value - Value of the cursor document.
+ * @param {boolean} ascending - Reading direction on this key.
+ * @returns {Object|null} Query condition, or null when nothing can follow.
+ */
+function BuildAfterValueCondition(field, value, ascending) {
+  if (field === "_id") return { _id: { [ascending ? "$gt" : "$lt"]: value } };
+
+  // *************** Null values sort before any other value
+  if (value === null) return ascending ? { [field]: { $ne: null } } : null;
+  if (ascending) return { [field]: { $gt: value } };
+
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+}
+
+/**
+ * Build the condition selecting the documents located after the cursor in the
+ * reading direction (towards the end, or towards the start when backwards).
+ *
+ * Keys are compared lexicographically: equal on the first keys, after the
+ * cursor on the next one.
+ *
+ * @param {Object} state - Pagination state.
+ * @returns {Object|null} Query condition, or null without cursor.
+ */
+function BuildCursorCondition(state) {
+  const values = state.after || state.before;
+  if (!values) return null;
+
+  const branches = [];
+  state.keys.forEach((key, index) => {
+    const ascending = state.backward ? key.order === -1 : key.order === 1;
+    const afterCondition = BuildAfterValueCondition(key.field, values[index], ascending);
+    if (!afterCondition) return;
+
+    const equalities = state.keys
+      .slice(0, index)
+      .map((previousKey, previousIndex) => ({
+        [previousKey.field]: values[previousIndex],
+      }));
+    branches.push(
+      equalities.length > 0
+        ? { $and: [...equalities, afterCondition] }
+        : afterCondition
+    );
+  });
+
+  return { $or: branches };
+}
+
+/**
+ * Shape a page of documents as a list response: `{ data, meta }` for offset
+ * pagination, Relay-style `{ edges, pageInfo, total_count }` for cursors.
+ *
+ * @param {Object[]} docs - Documents fetched for the page (one extra in cursor mode).
+ * @param {number} total - Number of documents matching the query.
+ * @param {Object} state - Pagination state.
+ * @returns {Object} The page.
+ */
+function BuildPaginatedResponse(docs, total, state) {
+  if (state.mode === "OFFSET") {
+    const pageResponse = {
+      data: docs,
+      meta: {
+        total,
+        total_pages: Math.ceil(total / state.limit),
+        current_page: state.page,
+        per_page: state.limit,
+      },
+    };
+    return pageResponse;
+  }
+
+  const hasMore = docs.length > state.limit;
+  const nodes = docs.slice(0, state.limit);
+  if (state.backward) nodes.reverse();
+
+  const edges = nodes.map((node) => ({
+    cursor: EncodeCursor(node, state),
+    node,
+  }));
+
+  const connectionResponse = {
+    edges,
+    pageInfo: {
+      hasNextPage: state.backward ? Boolean(state.before) : hasMore,
+      hasPreviousPage: state.backward ? hasMore : Boolean(state.after),
+      startCursor: edges[0]?.cursor || null,
+      endCursor: edges[edges.length - 1]?.cursor || null,
+    },
+    total_count: total,
+  };
+  return connectionResponse;
+}
+
+/**
+ * Run an aggregation pipeline and return one page of its result.
+ *
+ * @param {import('mongoose').Model} Model - Model to aggregate.
+ * @param {Object[]} pipeline - Filtering stages.
+ * @param {Object} pagination - PaginationInput or ConnectionInput.
+ * @param {Object|Object[]} sort - Normalized sort key(s).
+ * @param {string} mode - OFFSET or CURSOR.
+ * @returns {Promise<Object>} The page, see `BuildPaginatedResponse`.
+ */
+async function RunPaginatedAggregate(Model, pipeline, pagination, sort, mode) {
+  const state = ResolvePagination(pagination, sort, mode);
+
+  const dataStages = [];
+  const cursorCondition = BuildCursorCondition(state);
+  if (cursorCondition) dataStages.push({ $match: cursorCondition });
+  dataStages.push({ $sort: BuildSortSpec(state) });
+  if (state.mode === "OFFSET") {
+    dataStages.push({ $skip: (state.page - 1) * state.limit });
+    dataStages.push({ $limit: state.limit });
+  } else {
+    dataStages.push({ $limit: state.limit + 1 });
+  }
+
+  const result = await Model.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        data: dataStages,
+        metadata: [{ $count: "total" }],
+      },
+    },
+  ]);
+
+  const total = result[0]?.metadata[0]?.total || 0;
+  return BuildPaginatedResponse(result[0]?.data || [], total, state);
+}
+
+/**
+ * Run a find query and return one page of its result.
+ *
+ * @param {import('mongoose').Model} Model - Model to query.
+ * @param {Object} query - Query condition.
+ * @param {Object} pagination - PaginationInput or ConnectionInput.
+ * @param {Object|Object[]} sort - Normalized sort key(s).
+ * @param {string} mode - OFFSET or CURSOR.
+ * @returns {Promise<Object>} The page, see `BuildPaginatedResponse`.
+ */
+async function RunPaginatedFind(Model, query, pagination, sort, mode) {
+  const state = ResolvePagination(pagination, sort, mode);
+
+  const cursorCondition = BuildCursorCondition(state);
+  const pageQuery = cursorCondition ? { $and: [query, cursorCondition] } : query;
+
+  let findQuery = Model.find(pageQuery).sort(BuildSortSpec(state));
+  if (state.mode === "OFFSET") {
+    findQuery = findQuery.skip((state.page - 1) * state.limit).limit(state.limit);
+  } else {
+    findQuery = findQuery.limit(state.limit + 1);
+  }
+
+  const [docs, total] = await Promise.all([
+    findQuery,
+    Model.countDocuments(query),
+  ]);
+  return BuildPaginatedResponse(docs, total, state);
+}
+
+/**
+ * Run an aggregation pipeline and return one page of its result, selected
+ * by `page`/`limit`.
+ *
+ * The pipeline must only filter (and shape) documents; sorting, skipping and
+ * limiting are appended here.
+ *
+ * @param {import('mongoose').Model} Model - Model to aggregate.
+ * @param {Object[]} pipeline - Filtering stages.
+ * @param {Object} [pagination] - PaginationInput.
+ * @param {Object|Object[]} [sort] - Normalized sort key(s) (`field`, `order` as 1 or -1).
+ * @returns {Promise<Object>} `{ data, meta }`.
+ */
+function PaginateAggregate(Model, pipeline, pagination, sort) {
+  return RunPaginatedAggregate(Model, pipeline, pagination, sort, "OFFSET");
+}
+
+/**
+ * Run an aggregation pipeline and return one page of its result as a
+ * connection, selected by cursor.
+ *
+ * @param {import('mongoose').Model} Model - Model to aggregate.
+ * @param {Object[]} pipeline - Filtering stages.
+ * @param {Object} [pagination] - ConnectionInput.
+ * @param {Object|Object[]} [sort] - Normalized sort key(s) (`field`, `order` as 1 or -1).
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ */
+function PaginateAggregateConnection(Model, pipeline, pagination, sort) {
+  return RunPaginatedAggregate(Model, pipeline, pagination, sort, "CURSOR");
+}
+
+/**
+ * Run a find query and return one page of its result, selected by `page`/`limit`.
+ *
+ * @param {import('mongoose').Model} Model - Model to query.
+ * @param {Object} query - Query condition.
+ * @param {Object} [pagination] - PaginationInput.
+ * @param {Object|Object[]} [sort] - Normalized sort key(s) (`field`, `order` as 1 or -1).
+ * @returns {Promise<Object>} `{ data, meta }`.
+ */
+function PaginateFind(Model, query, pagination, sort) {
+  return RunPaginatedFind(Model, query, pagination, sort, "OFFSET");
+}
+
+/**
+ * Run a find query and return one page of its result as a connection,
+ * selected by cursor.
+ *
+ * @param {import('mongoose').Model} Model - Model to query.
+ * @param {Object} query - Query condition.
+ * @param {Object} [pagination] - ConnectionInput.
+ * @param {Object|Object[]} [sort] - Normalized sort key(s) (`field`, `order` as 1 or -1).
+ * @returns {Promise<Object>} `{ edges, pageInfo, total_count }`.
+ */
+function PaginateFindConnection(Model, query, pagination, sort) {
+  return RunPaginatedFind(Model, query, pagination, sort, "CURSOR");
+}
+
+/**
+ * Build the Mongo sort specification a list query uses for the given sort
+ * keys, for callers reading the whole list without paginating it.
+ *
+ * @param {Object|Object[]} [sort] - Normalized sort key(s) (`field`, `order` as 1 or -1).
+ * @returns {Object} Sort specification.
+ */
+function BuildListSort(sort) {
+  const listSort = BuildSortSpec({ keys: NormalizeSortKeys(sort), backward: false });
+  return listSort;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  PaginateAggregate,
+  PaginateAggregateConnection,
+  PaginateFind,
+  PaginateFindConnection,
+  BuildListSort,
+};
@@ -0,0 +1,245 @@
+// *************** IMPORT LIBRARY ***************
+const { Types } = require("mongoose");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+const MAX_WHERE_DEPTH = 5;
+const MAX_WHERE_CONDITIONS = 50;
+const MAX_LIST_VALUES = 100;
+const MAX_SORT_KEYS = 3;
+
+// *************** Operators accepted by each field type
+const TYPE_OPERATORS = {
+  string: ["eq", "ne", "in", "nin", "contains", "startsWith"],
+  enum: ["eq", "ne", "in", "nin"],
+  id: ["eq", "ne", "in", "nin"],
+  number: ["eq", "ne", "in", "nin", "gt", "gte", "lt", "lte"],
+  date: ["eq", "gt", "gte", "lt", "lte"],
+  boolean: ["eq"],
+};
+
+/**
+ * Escape a user supplied string so it is matched literally inside a regex.
+ *
+ * @param {string} value - Raw string.
+ * @returns {string} Escaped string.
+ */
+function EscapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Check and convert one operand according to the type of the field.
+ *
+ * @param {string} name - Field name, for error reporting.
+ * @param {Object} fieldSpec - Field declaration (`type`, `values`).
+ * @param {*} value - Operand received from the client.
+ * @returns {*} Value usable in a Mongo query.
+ * @throws {AppError} BAD_REQUEST if the operand does not fit the field.
+ */
+function ParseOperand(name, fieldSpec, value) {
+  const invalid = () =>
+    CreateAppError(`Invalid value for ${name}`, "BAD_REQUEST", {
+      field: name,
+      value,
+    });
+
+  switch (fieldSpec.type) {
+    case "string":
+      if (typeof value !== "string") throw invalid();
+      return value;
+    case "enum":
+      if (!fieldSpec.values.includes(value)) throw invalid();
+      return value;
+    case "id":
+      if (!Types.ObjectId.isValid(String(value))) throw invalid();
+      return new Types.ObjectId(String(value));
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) throw invalid();
+      return value;
+    case "date": {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) throw invalid();
+      return date;
+    }
+    case "boolean":
+      if (typeof value !== "boolean") throw invalid();
+      return value;
+    default:
+      throw invalid();
+  }
+}
+
+/**
+ * Compile the operators given for one field into Mongo conditions.
+ *
+ * @param {string} name - Field name as exposed in the schema.
+ * @param {Object} fieldSpec - Field declaration (`type`, `path`, `values`).
+ * @param {Object} operators - Operator input (e.g. `{ in: [...], ne: "x" }`).
+ * @param {Object} state - Compilation state, counts the conditions.
+ * @returns {Object[]} One condition per operator.
+ * @throws {AppError} BAD_REQUEST on unsupported operators or invalid operands.
+ */
+function CompileFieldOperators(name, fieldSpec, operators, state) {
+  const path = fieldSpec.path || name;
+  const allowedOperators = TYPE_OPERATORS[fieldSpec.type] || [];
+  const conditions = [];
+
+  for (const [operator, operand] of Object.entries(operators || {})) {
+    if (operand === undefined || operand === null) continue;
+    if (!allowedOperators.includes(operator)) {
+      throw CreateAppError(
+        `Operator ${operator} is not supported on ${name}`,
+        "BAD_REQUEST",
+        { field: name, operator }
+      );
+    }
+
+    state.conditions += 1;
+    if (state.conditions > MAX_WHERE_CONDITIONS) {
+      throw CreateAppError("Filter has too many conditions", "BAD_REQUEST", {
+        max_conditions: MAX_WHERE_CONDITIONS,
+      });
+    }
+
+    if (operator === "in" || operator === "nin") {
+      if (!Array.isArray(operand) || operand.length > MAX_LIST_VALUES) {
+        throw CreateAppError(
+          `${operator} on ${name} expects at most ${MAX_LIST_VALUES} values`,
+          "BAD_REQUEST",
+          { field: name, operator }
+        );
+      }
+      const values = operand.map((value) => ParseOperand(name, fieldSpec, value));
+      conditions.push({ [path]: { [`$${operator}`]: values } });
+      continue;
+    }
+
+    const value = ParseOperand(name, fieldSpec, operand);
+    if (operator === "contains" || operator === "startsWith") {
+      const pattern = EscapeRegex(value);
+      conditions.push({
+        [path]: {
+          $regex: operator === "startsWith" ? `^${pattern}` : pattern,
+          $options: "i",
+        },
+      });
+    } else if (operator === "eq" && fieldSpec.type === "date") {
+      // *************** A date equality matches the whole day
+      const nextDay = new Date(value);
+      nextDay.setDate(value.getDate() + 1);
+      conditions.push({ [path]: { $gte: value, $lt: nextDay } });
+    } else {
+      conditions.push({ [path]: { [`$${operator}`]: value } });
+    }
+  }
+
+  return conditions;
+}
+
+/**
+ * Compile one level of a `where` input (fields and and/or/not combinators).
+ *
+ * @param {Object} where - Where input.
+ * @param {Object} spec - Query spec of the entity.
+ * @param {Object} state - Compilation state.
+ * @param {number} depth - Nesting depth of this level.
+ * @returns {Object} Mongo condition, `{}` when it does not restrict anything.
+ * @throws {AppError} BAD_REQUEST on unknown fields or a filter nested too deeply.
+ */
+function CompileWhereNode(where, spec, state, depth) {
+  if (depth > MAX_WHERE_DEPTH) {
+    throw CreateAppError("Filter is nested too deeply", "BAD_REQUEST", {
+      max_depth: MAX_WHERE_DEPTH,
+    });
+  }
+
+  const conditions = [];
+  for (const [key, value] of Object.entries(where || {})) {
+    if (value === undefined || value === null) continue;
+
+    if (key === "and" || key === "or") {
+      const children = [].concat(value).map((child) =>
+        CompileWhereNode(child, spec, state, depth + 1)
+      );
+      if (children.length === 0) continue;
+      conditions.push(key === "and" ? { $and: children } : { $or: children });
+    } else if (key === "not") {
+      conditions.push({
+        $nor: [CompileWhereNode(value, spec, state, depth + 1)],
+      });
+    } else {
+      const fieldSpec = spec.fields[key];
+      if (!fieldSpec) {
+        throw CreateAppError(`Unknown filter field ${key}`, "BAD_REQUEST", {
+          field: key,
+        });
+      }
+      conditions.push(...CompileFieldOperators(key, fieldSpec, value, state));
+    }
+  }
+
+  if (conditions.length === 0) return {};
+  if (conditions.length === 1) return conditions[0];
+  return { $and: conditions };
+}
+
+/**
+ * Compile a `where` input into a Mongo query condition.
+ *
+ * Only the fields declared in the entity spec can be filtered, with the
+ * operators allowed for their type, so client input never reaches the query
+ * as raw Mongo syntax.
+ *
+ * @param {Object} [where] - Where input of a list query.
+ * @param {Object} spec - Query spec of the entity (`{ fields: { name: { type, path, values, sortable } } }`).
+ * @returns {Object|null} Mongo condition, or null when nothing is filtered.
+ * @throws {AppError} BAD_REQUEST if the filter is invalid.
+ */
+function CompileWhere(where, spec) {
+  if (!where) return null;
+
+  const condition = CompileWhereNode(where, spec, { conditions: 0 }, 1);
+  return Object.keys(condition).length > 0 ? condition : null;
+}
+
+/**
+ * Compile the sort input of a list query into sort keys for the paginator.
+ *
+ * @param {Object|Object[]} [sort] - SortInput or list of SortInput, first key wins.
+ * @param {Object} spec - Query spec of the entity.
+ * @returns {Object[]|undefined} Sort keys (`field` path, `order` 1 or -1), undefined when not given.
+ * @throws {AppError} BAD_REQUEST if a field is not sortable.
+ */
+function CompileSort(sort, spec) {
+  const sortInputs = [].concat(sort || []).filter(Boolean);
+  if (sortInputs.length === 0) return undefined;
+  if (sortInputs.length > MAX_SORT_KEYS) {
+    throw CreateAppError("Too many sort fields", "BAD_REQUEST", {
+      max_sort_fields: MAX_SORT_KEYS,
+    });
+  }
+
+  const sortKeys = [];
+  for (const sortInput of sortInputs) {
+    const field = sortInput.field || "created_at";
+    const fieldSpec = spec.fields[field];
+    if (!fieldSpec || !fieldSpec.sortable) {
+      throw CreateAppError("Invalid sort field", "BAD_REQUEST", { field });
+    }
+
+    const path = fieldSpec.path || field;
+    if (sortKeys.some((sortKey) => sortKey.field === path)) continue;
+    sortKeys.push({ field: path, order: sortInput.order === "ASC" ? 1 : -1 });
+  }
+
+  return sortKeys;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  CompileWhere,
+  CompileSort,
+  EscapeRegex,
+};
@@ -0,0 +1,284 @@
+// *************** IMPORT LIBRARY ***************
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+// *************** Bounds what a small upload may expand to once decompressed
+const MAX_UNCOMPRESSED_XLSX_SIZE = 20 * 1024 * 1024;
+const EXPORT_SHEET_NAME = "Export";
+
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Build the error thrown for a file that cannot be read.
+ *
+ * @param {string} message - What is wrong with the file.
+ * @returns {AppError} BAD_REQUEST error.
+ */
+function InvalidFileError(message) {
+  return CreateAppError(message, "BAD_REQUEST", { field: "file" });
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside
+ * quotes). The delimiter is a comma, or a semicolon when the header line has
+ * more semicolons than commas, as exported by spreadsheet tools in many locales.
+ *
+ * @param {string} text - CSV content.
+ * @returns {Array<{row: number, cells: string[]}>} Records with their number, blank lines skipped.
+ * @throws {AppError} BAD_REQUEST if a quoted field is never closed.
+ */
+function ParseCsv(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  const headerLine = content.split(/\r?\n/, 1)[0];
+  const delimiter =
+    (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let index = 0; index < content.length; index += 1) {
+    const char = content[index];
+
+    if (inQuotes) {
+      if (char === '"' && content[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[index + 1] === "\n") index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw InvalidFileError("CSV file has an unterminated quoted field");
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map((cells, index) => ({ row: index + 1, cells }))
+    .filter(({ cells }) => cells.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Decompress every entry of an XLSX archive once, without keeping it, to
+ * reject archives that are not ZIP files or that expand beyond
+ * `MAX_UNCOMPRESSED_XLSX_SIZE` before the workbook is loaded in memory.
+ *
+ * @param {Buffer} buffer - XLSX content.
+ * @returns {Promise<void>}
+ * @throws {AppError} BAD_REQUEST if the archive is invalid or too large once decompressed.
+ */
+async function CheckXlsxArchive(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw InvalidFileError("XLSX file is not a valid ZIP archive");
+  }
+
+  let uncompressedSize = 0;
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+
+    await new Promise((resolve, reject) => {
+      const entryStream = entry.internalStream("uint8array");
+      entryStream
+        .on("data", (chunk) => {
+          uncompressedSize += chunk.length;
+          if (uncompressedSize > MAX_UNCOMPRESSED_XLSX_SIZE) {
+            entryStream.pause();
+            reject(InvalidFileError("XLSX file is too large once decompressed"));
+          }
+        })
+        .on("error", () => reject(InvalidFileError("XLSX file could not be decompressed")))
+        .on("end", resolve)
+        .resume();
+    });
+  }
+}
+
+/**
+ * Convert an ExcelJS cell value to the text of the cell.
+ *
+ * Numbers stay raw (dates without a date format are Excel serial numbers),
+ * date cells become `YYYY-MM-DD`, formulas give their cached result and
+ * error cells are blank.
+ *
+ * @param {*} value - ExcelJS cell value.
+ * @returns {string} Cell text.
+ */
+function CellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? "" : value.toISOString().slice(0, 10);
+  }
+  if (typeof value !== "object") return String(value);
+
+  if (Array.isArray(value.richText)) {
+    return value.richText.map((run) => run.text || "").join("");
+  }
+  if ("result" in value || "formula" in value || "sharedFormula" in value) {
+    return CellText(value.result);
+  }
+  if ("error" in value) return "";
+  if ("text" in value) return CellText(value.text);
+  return "";
+}
+
+/**
+ * Read the cell values of the first worksheet of an XLSX workbook.
+ *
+ * @param {Buffer} buffer - XLSX content.
+ * @returns {Promise<Array<{row: number, cells: string[]}>>} Rows with their sheet row number, blank rows skipped.
+ * @throws {AppError} BAD_REQUEST if the workbook cannot be read.
+ */
+async function ParseXlsx(buffer) {
+  await CheckXlsxArchive(buffer);
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw InvalidFileError("XLSX file could not be read");
+  }
+
+  const [worksheet] = workbook.worksheets;
+  if (!worksheet) {
+    throw InvalidFileError("XLSX file has no worksheet");
+  }
+
+  const rows = [];
+  worksheet.eachRow((sheetRow, rowNumber) => {
+    const cells = Array.from(sheetRow.values.slice(1), CellText);
+    if (cells.some((value) => value.trim() !== "")) {
+      rows.push({ row: rowNumber, cells });
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Read an uploaded spreadsheet, CSV or XLSX, into rows of cell values.
+ *
+ * The format is picked from the file extension, falling back to the content
+ * (XLSX files are ZIP archives starting with "PK").
+ *
+ * @param {Buffer} buffer - File content.
+ * @param {string} [fileName] - Original file name.
+ * @returns {Promise<{ file_type: string, rows: Array<{row: number, cells: string[]}> }>}
+ * CSV or XLSX, and the non blank rows of the first sheet with their line number.
+ * @throws {AppError} BAD_REQUEST if the file is empty or cannot be read.
+ */
+async function ParseSpreadsheet(buffer, fileName) {
+  if (!buffer || buffer.length === 0) {
+    throw InvalidFileError("File is empty");
+  }
+
+  const extension = (String(fileName || "").match(/\.([a-z0-9]+)$/i) || [])[1];
+  const isXlsx = extension
+    ? extension.toLowerCase() === "xlsx"
+    : buffer.subarray(0, 2).toString("latin1") === "PK";
+
+  if (extension && !["csv", "xlsx"].includes(extension.toLowerCase())) {
+    throw InvalidFileError("Only .csv and .xlsx files are supported");
+  }
+
+  const spreadsheetResponse = isXlsx
+    ? { file_type: "XLSX", rows: await ParseXlsx(buffer) }
+    : { file_type: "CSV", rows: ParseCsv(buffer.toString("utf8")) };
+  return spreadsheetResponse;
+}
+
+/**
+ * Format one row of a CSV file.
+ *
+ * Text starting like a formula (=, +, -, @) is prefixed with a quote so
+ * spreadsheet tools never evaluate exported values.
+ *
+ * @param {Array<string|number|boolean|null>} values - Cell values.
+ * @returns {string} CSV line, CRLF terminated.
+ */
+function FormatCsvRow(values) {
+  const cells = values.map((value) => {
+    if (value === null || value === undefined) return "";
+
+    let text = String(value);
+    if (typeof value === "string" && CSV_FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+  return `${cells.join(",")}\r\n`;
+}
+
+/**
+ * Stream a single sheet XLSX workbook into a writable stream.
+ *
+ * Rows are compressed as they are written, so the whole sheet is never held
+ * in memory. Large files get ZIP64 records. The output stream is ended by
+ * `Close()`.
+ *
+ * @param {import('stream').Writable} output - Destination stream.
+ * @returns {{ WriteRow: Function, Close: Function }} `WriteRow(values)` appends a row,
+ * `Close()` completes the workbook. Both return promises.
+ */
+function CreateXlsxWriter(output) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet(EXPORT_SHEET_NAME);
+
+  // *************** Text is always written as text, so exported values are never formulas
+  const WriteRow = async (values) => {
+    worksheet
+      .addRow(
+        values.map((value) =>
+          value === null || value === undefined || value === "" ? null : value
+        )
+      )
+      .commit();
+  };
+
+  const Close = async () => {
+    worksheet.commit();
+    await workbook.commit();
+  };
+
+  return { WriteRow, Close };
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  ParseSpreadsheet,
+  FormatCsvRow,
+  CreateXlsxWriter,
+};
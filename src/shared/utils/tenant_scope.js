@@ -0,0 +1,222 @@
+// *************** IMPORT LIBRARY ***************
+const { Types } = require("mongoose");
+
+// *************** IMPORT MODULE ***************
+const School = require("../../modules/school/school.model");
+const Student = require("../../modules/student/student.model");
+const User = require("../../modules/user/user.model");
+
+// *************** IMPORT CORE ***************
+const { CreateAppError } = require("../../core/error");
+
+// *************** IMPORT UTILITIES ***************
+const { HasPermission } = require("./check_permission");
+
+/**
+ * Resolve the schools (tenants) the authenticated user may access.
+ *
+ * A user belongs to the schools listed in `user.school_ids` and to every school
+ * that lists the user in `admin_user`. Users holding the `school:all`
+ * permission are not restricted, which is signalled by returning null.
+ * The result is cached on the context for the rest of the request.
+ *
+ * @param {Object} context - GraphQL context, must include `user` object.
+ * @returns {Promise<ObjectId[]|null>} School IDs, or null when unrestricted.
+ */
+async function GetTenantSchoolIds(context) {
+  if (HasPermission(context, "school:all")) return null;
+  if (context.tenant_school_ids) return context.tenant_school_ids;
+
+  const user = context?.user;
+  if (!user) {
+    throw CreateAppError("User not authenticated", "UNAUTHORIZED");
+  }
+
+  const adminSchoolIds = await School.distinct("_id", {
+    "admin_user.id": String(user._id),
+  });
+
+  const schoolIds = [...(user.school_ids || []), ...adminSchoolIds].map(
+    (schoolId) => String(schoolId)
+  );
+
+  context.tenant_school_ids = [...new Set(schoolIds)].map(
+    (schoolId) => new Types.ObjectId(schoolId)
+  );
+  return context.tenant_school_ids;
+}
+
+/**
+ * Resolve the student record owned by the caller when the caller is a student.
+ *
+ * @param {Object} context - GraphQL context, must include `user` object.
+ * @returns {ObjectId|null} The caller's own student ID, or null for non-student callers.
+ * @throws {AppError} FORBIDDEN if a student account is not linked to a student record.
+ */
+function GetOwnStudentId(context) {
+  const user = context?.user;
+  const roles = Array.isArray(user?.role) ? user.role : [user?.role];
+  if (!roles.includes("STUDENT")) return null;
+
+  if (!user.student_id) {
+    throw CreateAppError(
+      "Access denied: account is not linked to a student record",
+      "FORBIDDEN"
+    );
+  }
+
+  return new Types.ObjectId(String(user.student_id));
+}
+
+/**
+ * Build a query condition restricting a school reference to the caller's schools.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {string} [field='school_id'] - Field holding the school reference.
+ * @returns {Promise<Object>} Query condition, empty when unrestricted.
+ */
+async function GetSchoolScopeQuery(context, field = "school_id") {
+  const schoolIds = await GetTenantSchoolIds(context);
+  if (!schoolIds) return {};
+
+  return { [field]: { $in: schoolIds } };
+}
+
+/**
+ * Build a query condition restricting a student reference to students of the
+ * caller's schools, or to the caller's own record when the caller is a student.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {string} [field='student_id'] - Field holding the student reference.
+ * @returns {Promise<Object>} Query condition, empty when unrestricted.
+ */
+async function GetStudentScopeQuery(context, field = "student_id") {
+  const ownStudentId = GetOwnStudentId(context);
+  if (ownStudentId) return { [field]: ownStudentId };
+
+  const schoolIds = await GetTenantSchoolIds(context);
+  if (!schoolIds) return {};
+
+  const studentIds = await Student.distinct("_id", {
+    school_id: { $in: schoolIds },
+  });
+  return { [field]: { $in: studentIds } };
+}
+
+/**
+ * Build a query condition restricting a user reference to users attached to
+ * the caller's schools.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {string} [field='user_id'] - Field holding the user reference.
+ * @returns {Promise<Object>} Query condition, empty when unrestricted.
+ */
+async function GetUserScopeQuery(context, field = "user_id") {
+  const schoolIds = await GetTenantSchoolIds(context);
+  if (!schoolIds) return {};
+
+  const [memberIds, schools] = await Promise.all([
+    User.distinct("_id", { school_ids: { $in: schoolIds } }),
+    School.find({ _id: { $in: schoolIds } }, { admin_user: 1 }).lean(),
+  ]);
+
+  const adminIds = schools
+    .flatMap((school) => school.admin_user || [])
+    .filter((admin) => admin.id && Types.ObjectId.isValid(admin.id))
+    .map((admin) => new Types.ObjectId(admin.id));
+
+  return { [field]: { $in: [...memberIds, ...adminIds] } };
+}
+
+/**
+ * Ensure the caller may access a given school.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {ObjectId|string} schoolId - School to access.
+ * @returns {Promise<boolean>} True if access is allowed.
+ * @throws {AppError} FORBIDDEN if the school is outside the caller's tenants.
+ */
+async function CheckSchoolAccess(context, schoolId) {
+  const schoolIds = await GetTenantSchoolIds(context);
+  if (!schoolIds) return true;
+
+  const hasAccess = schoolIds.some(
+    (tenantSchoolId) => String(tenantSchoolId) === String(schoolId)
+  );
+  if (!hasAccess) {
+    throw CreateAppError("Access denied: school outside of your scope", "FORBIDDEN", {
+      school_id: schoolId ? String(schoolId) : null,
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Ensure the caller may access a student: students may only access their own
+ * record, other callers the students of their schools.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {ObjectId|string} studentId - Student to access.
+ * @returns {Promise<boolean>} True if access is allowed.
+ * @throws {AppError} NOT_FOUND if the student does not exist, FORBIDDEN if out of scope.
+ */
+async function CheckStudentAccess(context, studentId) {
+  const ownStudentId = GetOwnStudentId(context);
+  if (ownStudentId) {
+    if (String(ownStudentId) !== String(studentId)) {
+      throw CreateAppError("Access denied: student outside of your scope", "FORBIDDEN", {
+        student_id: studentId ? String(studentId) : null,
+      });
+    }
+    return true;
+  }
+
+  const schoolIds = await GetTenantSchoolIds(context);
+  if (!schoolIds) return true;
+
+  const student = await Student.findById(studentId, { school_id: 1 }).lean();
+  if (!student) {
+    throw CreateAppError("Student not found", "NOT_FOUND", {
+      student_id: String(studentId),
+    });
+  }
+
+  return CheckSchoolAccess(context, student.school_id);
+}
+
+/**
+ * Ensure the caller may access a user attached to one of the caller's schools.
+ *
+ * @param {Object} context - GraphQL context.
+ * @param {ObjectId|string} userId - User to access.
+ * @returns {Promise<boolean>} True if access is allowed.
+ * @throws {AppError} FORBIDDEN if the user is outside the caller's tenants.
+ */
+async function CheckUserAccess(context, userId) {
+  const scopeQuery = await GetUserScopeQuery(context, "_id");
+  if (!scopeQuery._id) return true;
+
+  const hasAccess = scopeQuery._id.$in.some(
+    (scopedUserId) => String(scopedUserId) === String(userId)
+  );
+  if (!hasAccess) {
+    throw CreateAppError("Access denied: user outside of your scope", "FORBIDDEN", {
+      user_id: userId ? String(userId) : null,
+    });
+  }
+
+  return true;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  GetTenantSchoolIds,
+  GetOwnStudentId,
+  GetSchoolScopeQuery,
+  GetStudentScopeQuery,
+  GetUserScopeQuery,
+  CheckSchoolAccess,
+  CheckStudentAccess,
+  CheckUserAccess,
+};
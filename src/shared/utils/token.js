@@ -0,0 +1,28 @@
+// *************** IMPORT LIBRARY ***************
+const crypto = require("crypto");
+
+/**
+ * Hash an opaque token with SHA-256 so only the digest is persisted.
+ *
+ * @param {string} token - Plain token value.
+ * @returns {string} Hex encoded SHA-256 digest.
+ */
+function HashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Generate a cryptographically random token.
+ *
+ * @param {number} [size=48] - Number of random bytes.
+ * @returns {string} Hex encoded random token.
+ */
+function GenerateRandomToken(size = 48) {
+  return crypto.randomBytes(size).toString("hex");
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  HashToken,
+  GenerateRandomToken,
+};
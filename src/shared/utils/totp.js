@@ -0,0 +1,194 @@
+// *************** IMPORT LIBRARY ***************
+const crypto = require("crypto");
+
+// *************** IMPORT CORE ***************
+const { TOTP_ENCRYPTION_KEY } = require("../../core/config");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_SECRET_BYTES = 20;
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALGORITHM = "sha1";
+const ENCRYPTION_ALGORITHM = "aes-256-gcm";
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding.
+ *
+ * @param {Buffer} buffer - Bytes to encode.
+ * @returns {string} Base32 string.
+ */
+function EncodeBase32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (padding and case are ignored).
+ *
+ * @param {string} input - Base32 string.
+ * @returns {Buffer} Decoded bytes.
+ */
+function DecodeBase32(input) {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Compute the HOTP code of a secret for a given counter (RFC 4226).
+ *
+ * @param {Buffer} key - Shared secret.
+ * @param {number} counter - Moving factor.
+ * @returns {string} Zero padded code of `TOTP_DIGITS` digits.
+ */
+function GenerateHotp(key, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(TOTP_ALGORITHM, key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Generate a new random TOTP secret.
+ *
+ * @returns {string} Base32 encoded secret, as shown to authenticator apps.
+ */
+function GenerateTotpSecret() {
+  return EncodeBase32(crypto.randomBytes(TOTP_SECRET_BYTES));
+}
+
+/**
+ * Build the `otpauth://` URI authenticator apps enroll from (usually as a QR code).
+ *
+ * @param {Object} options - URI options.
+ * @param {string} options.secret - Base32 encoded secret.
+ * @param {string} options.account - Account label, usually the user email.
+ * @param {string} options.issuer - Name of the service.
+ * @returns {string} otpauth URI.
+ */
+function BuildOtpAuthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_ALGORITHM.toUpperCase(),
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Verify a TOTP code (RFC 6238), tolerating a clock drift of `window` periods.
+ *
+ * @param {string} secret - Base32 encoded secret.
+ * @param {string} code - Code typed by the user.
+ * @param {number} [window=1] - Accepted drift, in periods, on each side.
+ * @returns {number|null} Time step the code matched, or null if it is invalid.
+ */
+function VerifyTotp(secret, code, window = 1) {
+  const normalizedCode = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalizedCode)) return null;
+
+  const key = DecodeBase32(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = Buffer.from(GenerateHotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalizedCode))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the key TOTP secrets are encrypted with at rest, `TOTP_ENCRYPTION_KEY`
+ * as 64 hex characters. It is kept apart from `JWT_SECRET` so rotating the
+ * token signing secret never makes the stored secrets unreadable.
+ *
+ * @returns {Buffer} 256-bit key.
+ * @throws {Error} If the key is missing or malformed.
+ */
+function GetEncryptionKey() {
+  if (!/^[0-9a-f]{64}$/i.test(TOTP_ENCRYPTION_KEY || "")) {
+    throw new Error("TOTP_ENCRYPTION_KEY must be set to 64 hex characters");
+  }
+
+  return Buffer.from(TOTP_ENCRYPTION_KEY, "hex");
+}
+
+/**
+ * Encrypt a TOTP secret before persisting it.
+ *
+ * @param {string} secret - Base32 encoded secret.
+ * @returns {string} `iv.tag.ciphertext`, each part hex encoded.
+ */
+function EncryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, GetEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("hex"))
+    .join(".");
+}
+
+/**
+ * Decrypt a TOTP secret encrypted with `EncryptTotpSecret`.
+ *
+ * @param {string} payload - Encrypted secret.
+ * @returns {string} Base32 encoded secret.
+ */
+function DecryptTotpSecret(payload) {
+  const [iv, tag, encrypted] = String(payload)
+    .split(".")
+    .map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, GetEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+  GenerateTotpSecret,
+  BuildOtpAuthUri,
+  VerifyTotp,
+  EncryptTotpSecret,
+  DecryptTotpSecret,
+};
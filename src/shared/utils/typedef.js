@@ -5,6 +5,15 @@ const gql = require("graphql-tag");
 
 module.exports = gql`
   scalar Date
+  scalar JSON
+
+  directive @requiresPermission(permission: String!) on FIELD_DEFINITION
+  directive @audit(
+    entity: String!
+    operation: String!
+    id_arg: String = "id"
+  ) on FIELD_DEFINITION
+  directive @sensitive on FIELD_DEFINITION
 
   enum LogicalOperator {
     AND
@@ -37,11 +46,49 @@ module.exports = gql`
     lt: Date
   }
 
+  input StringFilter {
+    eq: String
+    ne: String
+    in: [String!]
+    nin: [String!]
+    contains: String
+    startsWith: String
+  }
+
+  input IdFilter {
+    eq: ID
+    ne: ID
+    in: [ID!]
+    nin: [ID!]
+  }
+
+  input NumberFilter {
+    eq: Float
+    ne: Float
+    in: [Float!]
+    nin: [Float!]
+    gt: Float
+    gte: Float
+    lt: Float
+    lte: Float
+  }
+
+  input BooleanFilter {
+    eq: Boolean
+  }
+
   input PaginationInput {
     page: Int = 1
     limit: Int
   }
 
+  input ConnectionInput {
+    first: Int
+    after: String
+    last: Int
+    before: String
+  }
+
   input SortInput {
     field: String
     order: OrderSort
@@ -53,4 +100,11 @@ module.exports = gql`
     current_page: Int!
     per_page: Int!
   }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
 `;
@@ -0,0 +1,188 @@
+// *************** IMPORT LIBRARY ***************
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { graphql } = require("graphql");
+const { makeExecutableSchema } = require("@graphql-tools/schema");
+
+// *************** IMPORT CORE ***************
+const { RequiresPermissionDirective } = require("../src/core/directive");
+
+// *************** IMPORT UTILITIES ***************
+const {
+  CheckPermission,
+  HasPermission,
+  GetEffectivePermissions,
+  CheckGrantablePermissions,
+} = require("../src/shared/utils/check_permission");
+
+const director = { role: "ACADEMIC_DIRECTOR" };
+const admin = { role: "ACADEMIC_ADMIN" };
+const corrector = { role: "CORRECTOR" };
+
+/**
+ * Assert that a call throws an AppError of the given type.
+ *
+ * @param {Function} fn - Function expected to throw.
+ * @param {string} type - Expected AppError type.
+ * @returns {void}
+ */
+function ThrowsWith(fn, type) {
+  assert.throws(fn, (error) => {
+    assert.equal(error.extensions?.type, type);
+    return true;
+  });
+}
+
+describe("GetEffectivePermissions", () => {
+  it("merges the defaults of every role with granted permissions", () => {
+    const permissions = GetEffectivePermissions({
+      role: ["CORRECTOR", "STUDENT"],
+      permissions: ["data:export", "marks:read"],
+    });
+
+    assert.deepEqual(permissions.sort(), [
+      "block:read",
+      "data:export",
+      "marks:enter",
+      "marks:read",
+      "subject:read",
+      "transcript:read",
+    ]);
+  });
+
+  it("grants nothing without a user or for an unknown role", () => {
+    assert.deepEqual(GetEffectivePermissions(null), []);
+    assert.deepEqual(GetEffectivePermissions({ role: "GUEST" }), []);
+  });
+});
+
+describe("CheckPermission", () => {
+  it("allows a permission held through the role", () => {
+    assert.equal(CheckPermission({ user: admin }, "student:write"), true);
+    assert.equal(HasPermission({ user: admin }, "student:write"), true);
+  });
+
+  it("refuses a permission the role does not hold", () => {
+    ThrowsWith(() => CheckPermission({ user: admin }, "school:all"), "FORBIDDEN");
+    assert.equal(HasPermission({ user: admin }, "school:all"), false);
+  });
+
+  it("refuses an unauthenticated caller", () => {
+    ThrowsWith(() => CheckPermission({}, "student:read"), "UNAUTHORIZED");
+    assert.equal(HasPermission({}, "student:read"), false);
+  });
+});
+
+describe("CheckGrantablePermissions", () => {
+  it("lets a director assign any role", () => {
+    assert.doesNotThrow(() =>
+      CheckGrantablePermissions({ user: director }, { role: "ACADEMIC_DIRECTOR" })
+    );
+  });
+
+  it("refuses granting permissions the caller does not hold", () => {
+    ThrowsWith(
+      () => CheckGrantablePermissions({ user: admin }, { role: "ACADEMIC_DIRECTOR" }),
+      "FORBIDDEN"
+    );
+    ThrowsWith(
+      () =>
+        CheckGrantablePermissions(
+          { user: admin },
+          { role: "ACADEMIC_ADMIN", permissions: ["user:impersonate"] }
+        ),
+      "FORBIDDEN"
+    );
+    // *************** marks:enter is not a staff default, so admins cannot create correctors
+    ThrowsWith(
+      () => CheckGrantablePermissions({ user: admin }, { role: "CORRECTOR" }),
+      "FORBIDDEN"
+    );
+  });
+
+  it("lets an edit keep permissions the account already has", () => {
+    const current = { role: "ACADEMIC_ADMIN", permissions: ["audit:read"] };
+
+    assert.doesNotThrow(() =>
+      CheckGrantablePermissions(
+        { user: admin },
+        { role: "ACADEMIC_ADMIN", permissions: ["audit:read"] },
+        current
+      )
+    );
+    ThrowsWith(
+      () =>
+        CheckGrantablePermissions(
+          { user: corrector },
+          { role: "ACADEMIC_ADMIN", permissions: ["audit:read", "school:all"] },
+          current
+        ),
+      "FORBIDDEN"
+    );
+  });
+});
+
+describe("RequiresPermissionDirective", () => {
+  const typeDefs = `
+    directive @requiresPermission(permission: String!) on FIELD_DEFINITION
+
+    type Query {
+      students: String @requiresPermission(permission: "student:read")
+      audit: String @requiresPermission(permission: "audit:read")
+      health: String
+    }
+  `;
+  const resolvers = {
+    Query: {
+      students: () => "students",
+      audit: () => "audit",
+      health: () => "ok",
+    },
+  };
+  const schema = RequiresPermissionDirective(
+    makeExecutableSchema({ typeDefs, resolvers })
+  );
+
+  it("runs the resolver when the caller holds the permission", async () => {
+    const result = await graphql({
+      schema,
+      source: "{ students health }",
+      contextValue: { user: admin },
+    });
+
+    assert.equal(result.errors, undefined);
+    assert.deepEqual({ ...result.data }, { students: "students", health: "ok" });
+  });
+
+  it("refuses the field when the caller lacks the permission", async () => {
+    const result = await graphql({
+      schema,
+      source: "{ audit }",
+      contextValue: { user: admin },
+    });
+
+    assert.equal(result.data.audit, null);
+    assert.equal(result.errors[0].extensions.type, "FORBIDDEN");
+  });
+
+  it("leaves fields without the directive open", async () => {
+    const result = await graphql({ schema, source: "{ health }", contextValue: {} });
+
+    assert.deepEqual({ ...result.data }, { health: "ok" });
+  });
+
+  it("rejects an unknown permission when the schema is built", () => {
+    assert.throws(
+      () =>
+        RequiresPermissionDirective(
+          makeExecutableSchema({
+            typeDefs: `
+              directive @requiresPermission(permission: String!) on FIELD_DEFINITION
+              type Query { students: String @requiresPermission(permission: "student:reed") }
+            `,
+          })
+        ),
+      /Unknown permission "student:reed"/
+    );
+  });
+});
@@ -0,0 +1,316 @@
+// *************** IMPORT LIBRARY ***************
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+// *************** IMPORT UTILITIES ***************
+const {
+  PaginateAggregate,
+  PaginateAggregateConnection,
+  PaginateFind,
+  PaginateFindConnection,
+  BuildListSort,
+} = require("../src/shared/utils/pagination");
+
+/**
+ * Compare two values the way MongoDB sorts them, null first.
+ *
+ * @param {*} left - First value.
+ * @param {*} right - Second value.
+ * @returns {number} Negative, zero or positive.
+ */
+function CompareValues(left, right) {
+  const normalize = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (value instanceof Types.ObjectId) return String(value);
+    return value ?? null;
+  };
+  const [a, b] = [normalize(left), normalize(right)];
+
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Evaluate the subset of the query language the pagination helpers emit.
+ *
+ * @param {Object} doc - Stored document.
+ * @param {Object} condition - Query condition.
+ * @returns {boolean} True if the document matches.
+ */
+function Matches(doc, condition) {
+  return Object.entries(condition).every(([field, expected]) => {
+    if (field === "$and") return expected.every((branch) => Matches(doc, branch));
+    if (field === "$or") return expected.some((branch) => Matches(doc, branch));
+
+    const value = doc[field] ?? null;
+    const isOperator =
+      expected?.constructor === Object &&
+      Object.keys(expected).every((key) => key.startsWith("$"));
+    if (!isOperator) return CompareValues(value, expected) === 0;
+
+    return Object.entries(expected).every(([operator, operand]) => {
+      if (operator === "$ne") return CompareValues(value, operand) !== 0;
+      // *************** Range operators never match null against a value
+      if (value === null) return false;
+      if (operator === "$gt") return CompareValues(value, operand) > 0;
+      if (operator === "$lt") return CompareValues(value, operand) < 0;
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  });
+}
+
+/**
+ * Sort documents by a Mongo sort specification.
+ *
+ * @param {Object[]} docs - Documents.
+ * @param {Object} sortSpec - Sort specification.
+ * @returns {Object[]} Sorted copy.
+ */
+function SortDocs(docs, sortSpec) {
+  return [...docs].sort((left, right) => {
+    for (const [field, order] of Object.entries(sortSpec)) {
+      const comparison = CompareValues(left[field], right[field]);
+      if (comparison !== 0) return comparison * order;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Build a model over in-memory documents, supporting the find, count and
+ * aggregate calls made by the pagination helpers.
+ *
+ * @param {Object[]} docs - Stored documents.
+ * @returns {Object} Fake model.
+ */
+function FakeModel(docs) {
+  const RunStages = (input, stages) =>
+    stages.reduce((current, stage) => {
+      if (stage.$match) return current.filter((doc) => Matches(doc, stage.$match));
+      if (stage.$sort) return SortDocs(current, stage.$sort);
+      if (stage.$skip !== undefined) return current.slice(stage.$skip);
+      if (stage.$limit !== undefined) return current.slice(0, stage.$limit);
+      if (stage.$count) return current.length ? [{ [stage.$count]: current.length }] : [];
+      if (stage.$facet) {
+        return [
+          Object.fromEntries(
+            Object.entries(stage.$facet).map(([name, facet]) => [name, RunStages(current, facet)])
+          ),
+        ];
+      }
+      throw new Error(`Unsupported stage ${Object.keys(stage)[0]}`);
+    }, input);
+
+  return {
+    find(query) {
+      const stages = [{ $match: query }];
+      const findQuery = {
+        sort: (sortSpec) => stages.push({ $sort: sortSpec }) && findQuery,
+        skip: (count) => stages.push({ $skip: count }) && findQuery,
+        limit: (count) => stages.push({ $limit: count }) && findQuery,
+        then: (resolve, reject) =>
+          Promise.resolve(RunStages(docs, stages)).then(resolve, reject),
+      };
+      return findQuery;
+    },
+    countDocuments: async (query) => docs.filter((doc) => Matches(doc, query)).length,
+    aggregate: async (pipeline) => RunStages(docs, pipeline),
+  };
+}
+
+/**
+ * Read a whole connection page by page, forwards or backwards.
+ *
+ * @param {Function} paginate - Connection helper bound to a model and query.
+ * @param {Object} options - `size` of a page and `backward` to read from the end.
+ * @returns {Promise<Object[]>} Nodes in list order.
+ */
+async function ReadAllPages(paginate, { size, backward = false }) {
+  const nodes = [];
+  let cursor = null;
+
+  for (let pageCount = 0; pageCount < 100; pageCount += 1) {
+    const page = await paginate(
+      backward ? { last: size, before: cursor } : { first: size, after: cursor }
+    );
+    const pageNodes = page.edges.map((edge) => edge.node);
+
+    if (backward) {
+      nodes.unshift(...pageNodes);
+      if (!page.pageInfo.hasPreviousPage) return nodes;
+      cursor = page.pageInfo.startCursor;
+    } else {
+      nodes.push(...pageNodes);
+      if (!page.pageInfo.hasNextPage) return nodes;
+      cursor = page.pageInfo.endCursor;
+    }
+  }
+  throw new Error("Pagination did not terminate");
+}
+
+/**
+ * Assert that a promise rejects with an AppError of the given type.
+ *
+ * @param {Promise} promise - Promise expected to reject.
+ * @param {string} type - Expected AppError type.
+ * @returns {Promise<void>}
+ */
+function RejectsWith(promise, type) {
+  return assert.rejects(promise, (error) => {
+    assert.equal(error.extensions?.type, type);
+    return true;
+  });
+}
+
+// *************** Scores repeat and are sometimes missing, to exercise ties and nulls
+const docs = Array.from({ length: 23 }, (_, index) => ({
+  _id: new Types.ObjectId(),
+  score: index % 5 === 0 ? null : index % 4,
+  created_at: new Date(Date.UTC(2026, 0, 1 + (index % 7))),
+}));
+const Model = FakeModel(docs);
+
+describe("cursor pagination", () => {
+  const sorts = [
+    [],
+    [{ field: "score", order: 1 }],
+    [{ field: "score", order: -1 }],
+    [
+      { field: "score", order: -1 },
+      { field: "created_at", order: 1 },
+    ],
+  ];
+
+  for (const sort of sorts) {
+    const label = JSON.stringify(sort);
+    const expected = SortDocs(docs, BuildListSort(sort)).map((doc) => String(doc._id));
+
+    it(`reads every document once, forwards, sorted by ${label}`, async () => {
+      const nodes = await ReadAllPages(
+        (pagination) => PaginateFindConnection(Model, {}, pagination, sort),
+        { size: 4 }
+      );
+
+      assert.deepEqual(nodes.map((node) => String(node._id)), expected);
+    });
+
+    it(`reads every document once, backwards, sorted by ${label}`, async () => {
+      const nodes = await ReadAllPages(
+        (pagination) => PaginateAggregateConnection(Model, [], pagination, sort),
+        { size: 5, backward: true }
+      );
+
+      assert.deepEqual(nodes.map((node) => String(node._id)), expected);
+    });
+  }
+
+  it("reports the page boundaries and the total", async () => {
+    const sort = [{ field: "score", order: 1 }];
+    const first = await PaginateFindConnection(Model, {}, { first: 10 }, sort);
+    const second = await PaginateFindConnection(
+      Model,
+      {},
+      { first: 10, after: first.pageInfo.endCursor },
+      sort
+    );
+
+    assert.equal(first.total_count, 23);
+    assert.equal(first.edges.length, 10);
+    assert.deepEqual(
+      [first.pageInfo.hasPreviousPage, first.pageInfo.hasNextPage],
+      [false, true]
+    );
+    assert.deepEqual(
+      [second.pageInfo.hasPreviousPage, second.pageInfo.hasNextPage],
+      [true, true]
+    );
+    assert.equal(second.pageInfo.startCursor, second.edges[0].cursor);
+  });
+
+  it("keeps the query filter on every page", async () => {
+    const query = { score: 2 };
+    const nodes = await ReadAllPages(
+      (pagination) => PaginateFindConnection(Model, query, pagination),
+      { size: 2 }
+    );
+
+    assert.ok(nodes.length > 0);
+    assert.ok(nodes.every((node) => node.score === 2));
+    assert.equal(nodes.length, docs.filter((doc) => doc.score === 2).length);
+  });
+
+  it("rejects inconsistent arguments", async () => {
+    await RejectsWith(PaginateFindConnection(Model, {}, { first: 2, last: 2 }), "BAD_REQUEST");
+
+    const { pageInfo } = await PaginateFindConnection(Model, {}, { first: 2 });
+    await RejectsWith(
+      PaginateFindConnection(Model, {}, { after: pageInfo.endCursor, before: pageInfo.endCursor }),
+      "BAD_REQUEST"
+    );
+  });
+
+  it("rejects malformed and tampered cursors", async () => {
+    const Encode = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+    const sort = [{ field: "score", order: 1 }];
+    const { pageInfo } = await PaginateFindConnection(Model, {}, { first: 2 }, sort);
+
+    const cursors = [
+      "not-a-cursor",
+      Encode({ s: [["score", 1], ["_id", 1]], v: [[{ $ne: null }, null], ["x", null]] }),
+      Encode({ s: [["score", 1], ["_id", 1]], v: [[1, null], ["nope", "objectId"]] }),
+      Encode({ s: [["score", 1], ["_id", 1]], v: [["soon", "date"], [1, null]] }),
+      Encode({ s: [["score", 1], ["_id", 1]], v: [[1, "regex"], [1, null]] }),
+    ];
+    for (const after of cursors) {
+      await RejectsWith(PaginateFindConnection(Model, {}, { after }, sort), "BAD_REQUEST");
+    }
+    // *************** A cursor only works with the sort it was made for
+    await RejectsWith(
+      PaginateFindConnection(Model, {}, { after: pageInfo.endCursor }),
+      "BAD_REQUEST"
+    );
+  });
+});
+
+describe("offset pagination", () => {
+  it("returns the requested page with its metadata", async () => {
+    const page = await PaginateFind(Model, {}, { page: 2, limit: 10 });
+
+    assert.equal(page.data.length, 10);
+    assert.deepEqual(page.meta, { total: 23, total_pages: 3, current_page: 2, per_page: 10 });
+    assert.deepEqual(
+      page.data.map((doc) => String(doc._id)),
+      SortDocs(docs, BuildListSort())
+        .slice(10, 20)
+        .map((doc) => String(doc._id))
+    );
+  });
+
+  it("defaults and bounds page and limit", async () => {
+    const defaults = await PaginateAggregate(Model, [], {});
+    const bounded = await PaginateAggregate(Model, [], { page: -1, limit: 1000 });
+
+    assert.deepEqual(defaults.meta, { total: 23, total_pages: 3, current_page: 1, per_page: 10 });
+    assert.deepEqual(bounded.meta, { total: 23, total_pages: 1, current_page: 1, per_page: 100 });
+  });
+
+  it("reports an empty result", async () => {
+    const page = await PaginateAggregate(Model, [{ $match: { score: 42 } }], { page: 1 });
+
+    assert.deepEqual(page, {
+      data: [],
+      meta: { total: 0, total_pages: 0, current_page: 1, per_page: 10 },
+    });
+  });
+});
+
+describe("BuildListSort", () => {
+  it("sorts newest first by default and always ends on _id", () => {
+    assert.deepEqual(BuildListSort(), { created_at: -1, _id: -1 });
+    assert.deepEqual(BuildListSort([{ field: "name", order: 1 }]), { name: 1, _id: 1 });
+    assert.deepEqual(BuildListSort({ field: "_id", order: 1 }), { _id: 1 });
+  });
+});
@@ -0,0 +1,164 @@
+// *************** IMPORT LIBRARY ***************
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+// *************** IMPORT UTILITIES ***************
+const { CompileWhere, CompileSort, EscapeRegex } = require("../src/shared/utils/query_filter");
+
+const spec = {
+  fields: {
+    name: { type: "string", path: "first_name", sortable: true },
+    status: { type: "enum", values: ["ACTIVE", "DELETED"] },
+    school_id: { type: "id" },
+    score: { type: "number", sortable: true },
+    created_at: { type: "date", sortable: true },
+    verified: { type: "boolean", path: "verified.is_verified" },
+  },
+};
+
+/**
+ * Assert that a call throws an AppError of the given type.
+ *
+ * @param {Function} fn - Function expected to throw.
+ * @param {RegExp} message - Expected message.
+ * @returns {void}
+ */
+function ThrowsBadRequest(fn, message) {
+  assert.throws(fn, (error) => {
+    assert.equal(error.extensions?.type, "BAD_REQUEST");
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+describe("CompileWhere", () => {
+  it("filters nothing without conditions", () => {
+    assert.equal(CompileWhere(undefined, spec), null);
+    assert.equal(CompileWhere({}, spec), null);
+    assert.equal(CompileWhere({ name: { eq: null } }, spec), null);
+  });
+
+  it("maps fields to their path and operators to Mongo operators", () => {
+    const schoolId = new Types.ObjectId();
+
+    const condition = CompileWhere(
+      {
+        name: { ne: "Ann" },
+        school_id: { in: [String(schoolId)] },
+        score: { gte: 10, lt: 20 },
+        verified: { eq: true },
+      },
+      spec
+    );
+
+    assert.deepEqual(condition, {
+      $and: [
+        { first_name: { $ne: "Ann" } },
+        { school_id: { $in: [schoolId] } },
+        { score: { $gte: 10 } },
+        { score: { $lt: 20 } },
+        { "verified.is_verified": { $eq: true } },
+      ],
+    });
+  });
+
+  it("matches text literally and case-insensitively", () => {
+    assert.deepEqual(CompileWhere({ name: { contains: "a.b(" } }, spec), {
+      first_name: { $regex: "a\\.b\\(", $options: "i" },
+    });
+    assert.deepEqual(CompileWhere({ name: { startsWith: "Jo" } }, spec), {
+      first_name: { $regex: "^Jo", $options: "i" },
+    });
+    assert.equal(EscapeRegex("^.*$"), "\\^\\.\\*\\$");
+  });
+
+  it("matches a whole day for a date equality", () => {
+    const { created_at: range } = CompileWhere({ created_at: { eq: "2026-03-01" } }, spec);
+
+    assert.deepEqual(range.$gte, new Date("2026-03-01"));
+    assert.ok(range.$lt > range.$gte);
+    assert.ok(range.$lt - range.$gte <= 25 * 60 * 60 * 1000);
+  });
+
+  it("combines and, or and not", () => {
+    const condition = CompileWhere(
+      {
+        or: [{ status: { eq: "ACTIVE" } }, { score: { gt: 50 } }],
+        not: { name: { eq: "Ann" } },
+      },
+      spec
+    );
+
+    assert.deepEqual(condition, {
+      $and: [
+        { $or: [{ status: { $eq: "ACTIVE" } }, { score: { $gt: 50 } }] },
+        { $nor: [{ first_name: { $eq: "Ann" } }] },
+      ],
+    });
+  });
+
+  it("rejects unknown fields and operators a type does not support", () => {
+    ThrowsBadRequest(() => CompileWhere({ password: { eq: "x" } }, spec), /Unknown filter field/);
+    ThrowsBadRequest(() => CompileWhere({ status: { contains: "ACT" } }, spec), /not supported/);
+    ThrowsBadRequest(() => CompileWhere({ name: { regex: ".*" } }, spec), /not supported/);
+  });
+
+  it("rejects operands that do not fit the field type", () => {
+    ThrowsBadRequest(() => CompileWhere({ name: { eq: { $ne: null } } }, spec), /Invalid value/);
+    ThrowsBadRequest(() => CompileWhere({ status: { eq: "UNKNOWN" } }, spec), /Invalid value/);
+    ThrowsBadRequest(() => CompileWhere({ school_id: { eq: "nope" } }, spec), /Invalid value/);
+    ThrowsBadRequest(() => CompileWhere({ score: { gt: "10" } }, spec), /Invalid value/);
+    ThrowsBadRequest(() => CompileWhere({ created_at: { lt: "soon" } }, spec), /Invalid value/);
+    ThrowsBadRequest(() => CompileWhere({ verified: { eq: "true" } }, spec), /Invalid value/);
+    ThrowsBadRequest(() => CompileWhere({ score: { in: 10 } }, spec), /at most/);
+  });
+
+  it("bounds the size and depth of a filter", () => {
+    const tooManyValues = Array.from({ length: 101 }, (_, index) => index);
+    ThrowsBadRequest(() => CompileWhere({ score: { in: tooManyValues } }, spec), /at most 100/);
+
+    const tooManyConditions = {
+      or: Array.from({ length: 51 }, (_, index) => ({ score: { eq: index } })),
+    };
+    ThrowsBadRequest(() => CompileWhere(tooManyConditions, spec), /too many conditions/);
+
+    let deepFilter = { score: { eq: 1 } };
+    for (let depth = 0; depth < 5; depth += 1) deepFilter = { not: deepFilter };
+    ThrowsBadRequest(() => CompileWhere(deepFilter, spec), /nested too deeply/);
+  });
+});
+
+describe("CompileSort", () => {
+  it("maps sort inputs to paths, skipping repeated fields", () => {
+    assert.equal(CompileSort(undefined, spec), undefined);
+    assert.deepEqual(
+      CompileSort(
+        [
+          { field: "name", order: "ASC" },
+          { field: "score", order: "DESC" },
+          { field: "name", order: "DESC" },
+        ],
+        spec
+      ),
+      [
+        { field: "first_name", order: 1 },
+        { field: "score", order: -1 },
+      ]
+    );
+    assert.deepEqual(CompileSort({ order: "ASC" }, spec), [{ field: "created_at", order: 1 }]);
+  });
+
+  it("rejects fields that are not sortable and too many keys", () => {
+    ThrowsBadRequest(() => CompileSort({ field: "status" }, spec), /Invalid sort field/);
+    ThrowsBadRequest(() => CompileSort({ field: "password" }, spec), /Invalid sort field/);
+    ThrowsBadRequest(
+      () =>
+        CompileSort(
+          [{ field: "name" }, { field: "score" }, { field: "created_at" }, { field: "name" }],
+          spec
+        ),
+      /Too many sort fields/
+    );
+  });
+});
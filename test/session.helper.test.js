@@ -0,0 +1,175 @@
+// *************** IMPORT LIBRARY ***************
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+// *************** IMPORT MODULE ***************
+const Session = require("../src/modules/session/session.model");
+
+// *************** IMPORT HELPER FUNCTION ***************
+const {
+  CreateSession,
+  RotateRefreshToken,
+} = require("../src/modules/session/session.helper");
+
+const user = { _id: new Types.ObjectId(), role: "ACADEMIC_ADMIN" };
+
+/**
+ * Keep sessions in memory instead of MongoDB, with just enough of the
+ * update operators for the session helper.
+ *
+ * @returns {Map<string, Object>} Stored sessions by ID.
+ */
+function MockSessionStore() {
+  const sessions = new Map();
+  const copy = (session) => ({
+    ...session,
+    rotated_token_hashes: [...session.rotated_token_hashes],
+  });
+  const matches = (session, filter) =>
+    Object.entries(filter).every(([field, value]) =>
+      field === "_id" ? String(session._id) === String(value) : session[field] === value
+    );
+
+  mock.method(Session.prototype, "save", async function () {
+    sessions.set(String(this._id), this.toObject());
+    return this;
+  });
+  mock.method(Session, "findById", (sessionId) => ({
+    lean: async () => {
+      const session = sessions.get(String(sessionId));
+      return session ? copy(session) : null;
+    },
+  }));
+  mock.method(Session, "updateOne", async (filter, update) => {
+    const session = [...sessions.values()].find((stored) => matches(stored, filter));
+    if (!session) return { modifiedCount: 0 };
+
+    Object.assign(session, update.$set);
+    for (const [field, value] of Object.entries(update.$push || {})) {
+      session[field].push(value);
+    }
+    return { modifiedCount: 1 };
+  });
+
+  sessions.copy = copy;
+  return sessions;
+}
+
+/**
+ * Assert that a promise rejects with an AppError of the given type.
+ *
+ * @param {Promise} promise - Promise expected to reject.
+ * @param {string} type - Expected AppError type.
+ * @param {RegExp} [message] - Expected message.
+ * @returns {Promise<void>}
+ */
+function RejectsWith(promise, type, message) {
+  return assert.rejects(promise, (error) => {
+    assert.equal(error.extensions?.type, type);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+}
+
+describe("RotateRefreshToken", () => {
+  let sessions;
+  const loadUser = async () => user;
+
+  beforeEach(() => {
+    sessions = MockSessionStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("issues a new token pair and rotates the refresh token out", async () => {
+    const { refresh_token } = await CreateSession(user);
+
+    const rotated = await RotateRefreshToken(refresh_token, loadUser);
+
+    assert.notEqual(rotated.refresh_token, refresh_token);
+    assert.ok(rotated.token);
+    assert.equal(rotated.user, user);
+    const [session] = sessions.values();
+    assert.equal(session.rotated_token_hashes.length, 1);
+    assert.equal(session.session_status, "ACTIVE");
+  });
+
+  it("keeps the session usable with the latest refresh token", async () => {
+    const { refresh_token } = await CreateSession(user);
+
+    const first = await RotateRefreshToken(refresh_token, loadUser);
+    const second = await RotateRefreshToken(first.refresh_token, loadUser);
+
+    assert.ok(second.refresh_token);
+    assert.equal([...sessions.values()][0].rotated_token_hashes.length, 2);
+  });
+
+  it("revokes the session when a rotated token is replayed", async () => {
+    const { refresh_token } = await CreateSession(user);
+    const rotated = await RotateRefreshToken(refresh_token, loadUser);
+
+    await RejectsWith(RotateRefreshToken(refresh_token, loadUser), "UNAUTHORIZED", /reuse/);
+
+    const [session] = sessions.values();
+    assert.equal(session.session_status, "REVOKED");
+    assert.equal(session.revoked_reason, "REFRESH_TOKEN_REUSE");
+    // *************** The legitimate holder is cut off too
+    await RejectsWith(
+      RotateRefreshToken(rotated.refresh_token, loadUser),
+      "UNAUTHORIZED",
+      /revoked/
+    );
+  });
+
+  it("treats a token rotated concurrently as reused", async () => {
+    const { refresh_token } = await CreateSession(user);
+    const [session] = sessions.values();
+    const staleSession = sessions.copy(session);
+
+    await RotateRefreshToken(refresh_token, loadUser);
+    // *************** The second request read the session before the first one rotated it
+    Session.findById.mock.mockImplementationOnce(() => ({ lean: async () => staleSession }));
+
+    await RejectsWith(RotateRefreshToken(refresh_token, loadUser), "UNAUTHORIZED", /reuse/);
+    assert.equal(session.revoked_reason, "REFRESH_TOKEN_REUSE");
+  });
+
+  it("revokes an expired session", async () => {
+    const { refresh_token } = await CreateSession(user);
+    const [session] = sessions.values();
+    session.expires_at = new Date(Date.now() - 1000);
+
+    await RejectsWith(RotateRefreshToken(refresh_token, loadUser), "UNAUTHORIZED", /expired/);
+    assert.equal(session.revoked_reason, "EXPIRED");
+  });
+
+  it("revokes the session of a user who no longer exists", async () => {
+    const { refresh_token } = await CreateSession(user);
+
+    await RejectsWith(RotateRefreshToken(refresh_token, async () => null), "UNAUTHORIZED");
+    assert.equal([...sessions.values()][0].revoked_reason, "USER_DELETED");
+  });
+
+  it("rejects a token whose secret does not match without revoking", async () => {
+    const { refresh_token } = await CreateSession(user);
+    const [sessionId] = refresh_token.split(".");
+
+    await RejectsWith(
+      RotateRefreshToken(`${sessionId}.forged`, loadUser),
+      "UNAUTHORIZED",
+      /Invalid refresh token/
+    );
+    assert.equal([...sessions.values()][0].session_status, "ACTIVE");
+  });
+
+  it("rejects malformed tokens", async () => {
+    for (const refreshToken of [undefined, "", "no-dot", "not-an-id.secret"]) {
+      await RejectsWith(RotateRefreshToken(refreshToken, loadUser), "UNAUTHORIZED");
+    }
+  });
+});
@@ -0,0 +1,201 @@
+// *************** IMPORT LIBRARY ***************
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough, Readable } = require("node:stream");
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+
+// *************** IMPORT UTILITIES ***************
+const {
+  ParseSpreadsheet,
+  FormatCsvRow,
+  CreateXlsxWriter,
+} = require("../src/shared/utils/spreadsheet");
+const { ParseMultipartForm } = require("../src/shared/utils/multipart");
+
+/**
+ * Assert that a promise rejects with a BAD_REQUEST AppError.
+ *
+ * @param {Promise} promise - Promise expected to reject.
+ * @param {RegExp} message - Expected message.
+ * @returns {Promise<void>}
+ */
+function RejectsBadRequest(promise, message) {
+  return assert.rejects(promise, (error) => {
+    assert.equal(error.extensions?.type, "BAD_REQUEST");
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+/**
+ * Build an XLSX workbook in memory.
+ *
+ * @param {Array<Array<*>>} rows - Cell values of the first sheet.
+ * @returns {Promise<Buffer>} XLSX content.
+ */
+async function BuildXlsx(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet("Students");
+  rows.forEach((row) => worksheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Build a request stream carrying a multipart form.
+ *
+ * @param {Array<{name: string, value?: string, file_name?: string, data?: Buffer}>} parts - Form parts.
+ * @returns {Readable} Request with its headers.
+ */
+function MultipartRequest(parts) {
+  const boundary = "----test-boundary";
+  const chunks = parts.flatMap((part) => [
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"` +
+        (part.file_name !== undefined
+          ? `; filename="${part.file_name}"\r\nContent-Type: text/csv\r\n\r\n`
+          : "\r\n\r\n")
+    ),
+    part.data || Buffer.from(part.value),
+    Buffer.from("\r\n"),
+  ]);
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+  const request = Readable.from([Buffer.concat(chunks)]);
+  request.headers = { "content-type": `multipart/form-data; boundary=${boundary}` };
+  return request;
+}
+
+describe("ParseSpreadsheet", () => {
+  it("parses CSV with quotes, line breaks and blank lines", async () => {
+    const csv = '\uFEFFfirst_name,last_name,note\r\n"Ann","O""Neil","two\nlines"\r\n\r\nBob,,\r\n';
+
+    const { file_type, rows } = await ParseSpreadsheet(Buffer.from(csv), "students.csv");
+
+    assert.equal(file_type, "CSV");
+    assert.deepEqual(rows, [
+      { row: 1, cells: ["first_name", "last_name", "note"] },
+      { row: 2, cells: ["Ann", 'O"Neil', "two\nlines"] },
+      { row: 4, cells: ["Bob", "", ""] },
+    ]);
+  });
+
+  it("detects semicolon separated CSV", async () => {
+    const { rows } = await ParseSpreadsheet(Buffer.from("a;b\n1,5;2\n"), "export.CSV");
+
+    assert.deepEqual(rows[1].cells, ["1,5", "2"]);
+  });
+
+  it("reads the first sheet of an XLSX workbook", async () => {
+    const buffer = await BuildXlsx([
+      ["first_name", "date_of_birth", "credits"],
+      ["Ann", new Date(Date.UTC(2004, 4, 12)), 12],
+      [],
+      [{ richText: [{ text: "Bo" }, { text: "b" }] }, null, { formula: "1+1", result: 2 }],
+    ]);
+
+    const { file_type, rows } = await ParseSpreadsheet(buffer, "students.xlsx");
+
+    assert.equal(file_type, "XLSX");
+    assert.deepEqual(rows, [
+      { row: 1, cells: ["first_name", "date_of_birth", "credits"] },
+      { row: 2, cells: ["Ann", "2004-05-12", "12"] },
+      { row: 4, cells: ["Bob", "", "2"] },
+    ]);
+  });
+
+  it("detects the format from the content without a file name", async () => {
+    const buffer = await BuildXlsx([["a"]]);
+
+    assert.equal((await ParseSpreadsheet(buffer)).file_type, "XLSX");
+    assert.equal((await ParseSpreadsheet(Buffer.from("a,b\n"))).file_type, "CSV");
+  });
+
+  it("rejects empty, unsupported and unreadable files", async () => {
+    await RejectsBadRequest(ParseSpreadsheet(Buffer.alloc(0), "a.csv"), /empty/);
+    await RejectsBadRequest(ParseSpreadsheet(Buffer.from("a"), "a.xls"), /Only .csv and .xlsx/);
+    await RejectsBadRequest(ParseSpreadsheet(Buffer.from('a,"b\n'), "a.csv"), /unterminated/);
+    await RejectsBadRequest(ParseSpreadsheet(Buffer.from("a,b"), "a.xlsx"), /not a valid ZIP/);
+  });
+
+  it("rejects an archive that expands too much once decompressed", async () => {
+    const zip = new JSZip();
+    zip.file("xl/worksheets/sheet1.xml", Buffer.alloc(21 * 1024 * 1024));
+    const buffer = await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+
+    assert.ok(buffer.length < 1024 * 1024);
+    await RejectsBadRequest(ParseSpreadsheet(buffer, "bomb.xlsx"), /too large once decompressed/);
+  });
+});
+
+describe("FormatCsvRow", () => {
+  it("quotes special characters and neutralizes formulas", () => {
+    assert.equal(
+      FormatCsvRow(["Ann", 'say "hi"', "a,b", "=SUM(A1)", "-1", 12, -1, null, true]),
+      `Ann,"say ""hi""","a,b",'=SUM(A1),'-1,12,-1,,true\r\n`
+    );
+  });
+
+  it("reads back through ParseSpreadsheet", async () => {
+    const values = ["line\nbreak", "semi;colon", 'quote"'];
+
+    const { rows } = await ParseSpreadsheet(Buffer.from(FormatCsvRow(values)), "a.csv");
+
+    assert.deepEqual(rows[0].cells, values);
+  });
+});
+
+describe("CreateXlsxWriter", () => {
+  it("streams a workbook ParseSpreadsheet can read back", async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on("data", (chunk) => chunks.push(chunk));
+    const finished = new Promise((resolve) => output.on("end", resolve));
+
+    const writer = CreateXlsxWriter(output);
+    await writer.WriteRow(["first_name", "credits", "note"]);
+    await writer.WriteRow(['=HYPERLINK("x")', 12, ""]);
+    await writer.Close();
+    await finished;
+
+    const { rows } = await ParseSpreadsheet(Buffer.concat(chunks), "export.xlsx");
+    assert.deepEqual(rows, [
+      { row: 1, cells: ["first_name", "credits", "note"] },
+      { row: 2, cells: ['=HYPERLINK("x")', "12"] },
+    ]);
+  });
+});
+
+describe("ParseMultipartForm", () => {
+  it("returns the text fields and the uploaded file", async () => {
+    const request = MultipartRequest([
+      { name: "dry_run", value: "true" },
+      { name: "file", file_name: "students.csv", data: Buffer.from("a,b\n1,2\n") },
+    ]);
+
+    const { fields, files } = await ParseMultipartForm(request, { max_file_size: 1024 });
+
+    assert.deepEqual(fields, { dry_run: "true" });
+    assert.equal(files.file.file_name, "students.csv");
+    assert.equal(files.file.content_type, "text/csv");
+    assert.equal(files.file.data.toString(), "a,b\n1,2\n");
+  });
+
+  it("rejects a file larger than the limit", async () => {
+    const request = MultipartRequest([
+      { name: "file", file_name: "big.csv", data: Buffer.alloc(2 * 1024 * 1024, "a") },
+    ]);
+
+    await RejectsBadRequest(
+      ParseMultipartForm(request, { max_file_size: 1024 * 1024 }),
+      /must not exceed 1 MB/
+    );
+  });
+
+  it("rejects a body that is not a multipart form", async () => {
+    const request = Readable.from([Buffer.from("{}")]);
+    request.headers = { "content-type": "application/json" };
+
+    await RejectsBadRequest(ParseMultipartForm(request, { max_file_size: 1024 }), /multipart/);
+  });
+});
@@ -0,0 +1,162 @@
+// *************** IMPORT LIBRARY ***************
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+// *************** IMPORT MODULE ***************
+const School = require("../src/modules/school/school.model");
+const Student = require("../src/modules/student/student.model");
+const User = require("../src/modules/user/user.model");
+
+// *************** IMPORT UTILITIES ***************
+const {
+  GetTenantSchoolIds,
+  GetSchoolScopeQuery,
+  GetStudentScopeQuery,
+  GetUserScopeQuery,
+  CheckSchoolAccess,
+  CheckStudentAccess,
+  CheckUserAccess,
+} = require("../src/shared/utils/tenant_scope");
+
+const memberSchoolId = new Types.ObjectId();
+const adminSchoolId = new Types.ObjectId();
+const otherSchoolId = new Types.ObjectId();
+const ownStudentId = new Types.ObjectId();
+const scopedStudentId = new Types.ObjectId();
+const otherStudentId = new Types.ObjectId();
+const colleagueId = new Types.ObjectId();
+const schoolAdminId = new Types.ObjectId();
+
+/**
+ * Build a request context for a user.
+ *
+ * @param {Object} user - Authenticated user.
+ * @returns {Object} GraphQL context.
+ */
+function ContextFor(user) {
+  return { user: { _id: new Types.ObjectId(), ...user } };
+}
+
+/**
+ * Assert that a promise rejects with an AppError of the given type.
+ *
+ * @param {Promise} promise - Promise expected to reject.
+ * @param {string} type - Expected AppError type.
+ * @returns {Promise<void>}
+ */
+function RejectsWith(promise, type) {
+  return assert.rejects(promise, (error) => {
+    assert.equal(error.extensions?.type, type);
+    return true;
+  });
+}
+
+describe("tenant scope", () => {
+  const students = {
+    [String(scopedStudentId)]: { _id: scopedStudentId, school_id: memberSchoolId },
+    [String(otherStudentId)]: { _id: otherStudentId, school_id: otherSchoolId },
+  };
+
+  beforeEach(() => {
+    // *************** The caller administers adminSchoolId besides the school it belongs to
+    mock.method(School, "distinct", async () => [adminSchoolId]);
+    mock.method(School, "find", () => ({
+      lean: async () => [
+        {
+          _id: adminSchoolId,
+          admin_user: [{ id: String(schoolAdminId) }, { id: "not-an-id" }],
+        },
+      ],
+    }));
+    mock.method(Student, "distinct", async (field, filter) =>
+      Object.values(students)
+        .filter((student) =>
+          filter.school_id.$in.some((schoolId) => String(schoolId) === String(student.school_id))
+        )
+        .map((student) => student._id)
+    );
+    mock.method(Student, "findById", (studentId) => ({
+      lean: async () => students[String(studentId)] || null,
+    }));
+    mock.method(User, "distinct", async () => [colleagueId]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("scopes a user to its own and administered schools, once per request", async () => {
+    const context = ContextFor({
+      role: "ACADEMIC_ADMIN",
+      school_ids: [memberSchoolId, adminSchoolId],
+    });
+
+    const schoolIds = await GetTenantSchoolIds(context);
+    await GetTenantSchoolIds(context);
+
+    assert.deepEqual(
+      schoolIds.map(String).sort(),
+      [adminSchoolId, memberSchoolId].map(String).sort()
+    );
+    assert.equal(School.distinct.mock.callCount(), 1);
+    assert.deepEqual(await GetSchoolScopeQuery(context), { school_id: { $in: schoolIds } });
+  });
+
+  it("leaves a user holding school:all unrestricted", async () => {
+    const context = ContextFor({ role: "ACADEMIC_DIRECTOR" });
+
+    assert.equal(await GetTenantSchoolIds(context), null);
+    assert.deepEqual(await GetSchoolScopeQuery(context), {});
+    assert.deepEqual(await GetStudentScopeQuery(context), {});
+    assert.equal(await CheckSchoolAccess(context, otherSchoolId), true);
+    assert.equal(School.distinct.mock.callCount(), 0);
+  });
+
+  it("refuses an unauthenticated caller", async () => {
+    await RejectsWith(GetTenantSchoolIds({}), "UNAUTHORIZED");
+  });
+
+  it("checks school access against the caller's schools", async () => {
+    const context = ContextFor({ role: "ACADEMIC_ADMIN", school_ids: [memberSchoolId] });
+
+    assert.equal(await CheckSchoolAccess(context, String(memberSchoolId)), true);
+    assert.equal(await CheckSchoolAccess(context, adminSchoolId), true);
+    await RejectsWith(CheckSchoolAccess(context, otherSchoolId), "FORBIDDEN");
+  });
+
+  it("limits students to the caller's schools", async () => {
+    const context = ContextFor({ role: "ACADEMIC_ADMIN", school_ids: [memberSchoolId] });
+
+    assert.deepEqual(await GetStudentScopeQuery(context), {
+      student_id: { $in: [scopedStudentId] },
+    });
+    assert.equal(await CheckStudentAccess(context, scopedStudentId), true);
+    await RejectsWith(CheckStudentAccess(context, otherStudentId), "FORBIDDEN");
+    await RejectsWith(CheckStudentAccess(context, new Types.ObjectId()), "NOT_FOUND");
+  });
+
+  it("limits a student to its own record", async () => {
+    const context = ContextFor({ role: "STUDENT", student_id: ownStudentId });
+
+    assert.deepEqual(await GetStudentScopeQuery(context, "_id"), { _id: ownStudentId });
+    assert.equal(await CheckStudentAccess(context, String(ownStudentId)), true);
+    await RejectsWith(CheckStudentAccess(context, scopedStudentId), "FORBIDDEN");
+  });
+
+  it("refuses a student account without a student record", async () => {
+    const context = ContextFor({ role: "STUDENT" });
+
+    await RejectsWith(GetStudentScopeQuery(context), "FORBIDDEN");
+  });
+
+  it("limits users to members and admins of the caller's schools", async () => {
+    const context = ContextFor({ role: "ACADEMIC_ADMIN", school_ids: [memberSchoolId] });
+
+    const scopeQuery = await GetUserScopeQuery(context, "_id");
+
+    assert.deepEqual(scopeQuery._id.$in.map(String), [colleagueId, schoolAdminId].map(String));
+    assert.equal(await CheckUserAccess(context, schoolAdminId), true);
+    await RejectsWith(CheckUserAccess(context, new Types.ObjectId()), "FORBIDDEN");
+  });
+});
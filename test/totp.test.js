@@ -0,0 +1,162 @@
+// *************** IMPORT LIBRARY ***************
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+
+const TEST_ENCRYPTION_KEY = crypto.randomBytes(32).toString("hex");
+
+/**
+ * Load the TOTP utilities with a given encryption key, as the key is read
+ * from the configuration when the module is loaded.
+ *
+ * @param {string} [encryptionKey] - Value of TOTP_ENCRYPTION_KEY, unset when empty.
+ * @returns {Object} TOTP utilities.
+ */
+function LoadTotp(encryptionKey) {
+  const previousKey = process.env.TOTP_ENCRYPTION_KEY;
+  process.env.TOTP_ENCRYPTION_KEY = encryptionKey || "";
+  delete require.cache[require.resolve("../src/core/config")];
+  delete require.cache[require.resolve("../src/shared/utils/totp")];
+
+  try {
+    return require("../src/shared/utils/totp");
+  } finally {
+    if (previousKey === undefined) delete process.env.TOTP_ENCRYPTION_KEY;
+    else process.env.TOTP_ENCRYPTION_KEY = previousKey;
+  }
+}
+
+const {
+  GenerateTotpSecret,
+  BuildOtpAuthUri,
+  VerifyTotp,
+  EncryptTotpSecret,
+  DecryptTotpSecret,
+} = LoadTotp(TEST_ENCRYPTION_KEY);
+
+// *************** RFC 6238 appendix B, SHA-1 secret "12345678901234567890", last 6 digits
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+];
+
+/**
+ * Freeze the clock at a Unix time.
+ *
+ * @param {number} seconds - Unix time in seconds.
+ * @returns {void}
+ */
+function SetClock(seconds) {
+  mock.method(Date, "now", () => seconds * 1000);
+}
+
+describe("VerifyTotp", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  for (const [time, code] of RFC_VECTORS) {
+    it(`accepts the RFC 6238 code at ${time}`, () => {
+      SetClock(time);
+
+      assert.equal(VerifyTotp(RFC_SECRET, code), Math.floor(time / 30));
+    });
+  }
+
+  it("tolerates one period of drift on each side by default", () => {
+    const step = Math.floor(1111111109 / 30);
+
+    SetClock(1111111109 + 30);
+    assert.equal(VerifyTotp(RFC_SECRET, "081804"), step);
+
+    SetClock(1111111109 - 30);
+    assert.equal(VerifyTotp(RFC_SECRET, "081804"), step);
+
+    SetClock(1111111109 + 60);
+    assert.equal(VerifyTotp(RFC_SECRET, "081804"), null);
+    assert.equal(VerifyTotp(RFC_SECRET, "081804", 2), step);
+  });
+
+  it("accepts spaces and rejects malformed codes", () => {
+    SetClock(1234567890);
+
+    assert.equal(VerifyTotp(RFC_SECRET, "005 924"), 41152263);
+    for (const code of [undefined, "", "5924", "0059245", "00592a", "005925"]) {
+      assert.equal(VerifyTotp(RFC_SECRET, code), null);
+    }
+  });
+
+  it("accepts a lower case secret", () => {
+    SetClock(1111111111);
+
+    assert.equal(VerifyTotp(RFC_SECRET.toLowerCase(), "050471"), Math.floor(1111111111 / 30));
+  });
+});
+
+describe("GenerateTotpSecret", () => {
+  it("generates distinct 160-bit base32 secrets", () => {
+    const secret = GenerateTotpSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(GenerateTotpSecret(), secret);
+  });
+});
+
+describe("BuildOtpAuthUri", () => {
+  it("builds the URI authenticator apps enroll from", () => {
+    const uri = new URL(
+      BuildOtpAuthUri({ secret: RFC_SECRET, account: "ann@school.test", issuer: "Zetta Camp" })
+    );
+
+    assert.equal(uri.protocol, "otpauth:");
+    assert.equal(uri.host, "totp");
+    assert.equal(decodeURIComponent(uri.pathname), "/Zetta Camp:ann@school.test");
+    assert.deepEqual(Object.fromEntries(uri.searchParams), {
+      secret: RFC_SECRET,
+      issuer: "Zetta Camp",
+      algorithm: "SHA1",
+      digits: "6",
+      period: "30",
+    });
+  });
+});
+
+describe("TOTP secret encryption", () => {
+  it("decrypts what it encrypts, with a fresh IV each time", () => {
+    const secret = GenerateTotpSecret();
+
+    const first = EncryptTotpSecret(secret);
+    const second = EncryptTotpSecret(secret);
+
+    assert.notEqual(first, second);
+    assert.ok(!first.includes(secret));
+    assert.equal(DecryptTotpSecret(first), secret);
+    assert.equal(DecryptTotpSecret(second), secret);
+  });
+
+  it("refuses a tampered payload", () => {
+    const [iv, tag, encrypted] = EncryptTotpSecret(RFC_SECRET).split(".");
+    const flipped = (Number.parseInt(encrypted[0], 16) ^ 1).toString(16) + encrypted.slice(1);
+
+    assert.throws(() => DecryptTotpSecret([iv, tag, flipped].join(".")));
+  });
+
+  it("refuses a payload encrypted with another key", () => {
+    const otherTotp = LoadTotp(crypto.randomBytes(32).toString("hex"));
+
+    assert.throws(() => DecryptTotpSecret(otherTotp.EncryptTotpSecret(RFC_SECRET)));
+  });
+
+  it("requires a 64 hex character key", () => {
+    for (const encryptionKey of ["", "abc", "z".repeat(64)]) {
+      const totp = LoadTotp(encryptionKey);
+
+      assert.throws(() => totp.EncryptTotpSecret(RFC_SECRET), /TOTP_ENCRYPTION_KEY/);
+    }
+  });
+});